@@ -0,0 +1,167 @@
+// Admin booking management
+//
+// The bookings list is filtered and paged by the database, so it stays quick
+// however many bookings there are. Changes an admin makes to a booking go
+// through netlify/functions/admin-bookings.js, which records each one in
+// admin_audit_log.
+import { callFunction } from './api';
+
+export const ADMIN_BOOKINGS_PAGE_SIZE = 25;
+
+export const MAX_NOTE_LENGTH = 2000;
+
+export const BOOKING_STATUSES = [
+  { value: 'requested', label: 'Requested' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'no_show', label: 'No-show' },
+  { value: 'declined', label: 'Declined' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+// A booking only becomes 'requested' through the booking flow
+export const ADMIN_SETTABLE_STATUSES = BOOKING_STATUSES.filter((status) => status.value !== 'requested');
+
+export const statusLabel = (value) => BOOKING_STATUSES.find((status) => status.value === value)?.label || value;
+
+export const STATUSES_NEEDING_THERAPIST = ['confirmed', 'in_progress', 'completed', 'no_show'];
+
+export const emptyBookingFilters = {
+  status: '',
+  dateFrom: '',
+  dateTo: '',
+  therapistId: '',
+  serviceId: '',
+  customer: ''
+};
+
+// Characters with a meaning inside a PostgREST filter
+const searchTerm = (text) => text.replace(/[,()*%\\]/g, ' ').trim();
+
+// Bookings matching `filters`, with the customer, therapist and service
+// joined. `customer` matches part of the customer's name or email. Also used
+// by exports.js, so an export holds exactly what the list shows.
+export function queryBookings(supabase, filters = emptyBookingFilters, options = {}) {
+  const customer = searchTerm(filters.customer || '');
+
+  let query = supabase
+    .from('bookings')
+    .select(
+      `
+      *,
+      customer:customer_id${customer ? '!inner' : ''}(name, email),
+      therapist:therapist_id(name, email),
+      service:service_id(name)
+    `,
+      options
+    );
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.dateFrom) query = query.gte('date', filters.dateFrom);
+  if (filters.dateTo) query = query.lte('date', filters.dateTo);
+  if (filters.therapistId) query = query.eq('therapist_id', filters.therapistId);
+  if (filters.serviceId) query = query.eq('service_id', filters.serviceId);
+  if (customer) query = query.or(`name.ilike.*${customer}*,email.ilike.*${customer}*`, { foreignTable: 'customer' });
+  return query;
+}
+
+// One page of bookings matching `filters`, newest first: { bookings, total }
+export async function loadAdminBookings(supabase, filters = emptyBookingFilters, page = 0, pageSize = ADMIN_BOOKINGS_PAGE_SIZE) {
+  const { data, count, error } = await queryBookings(supabase, filters, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(page * pageSize, (page + 1) * pageSize - 1);
+  if (error) throw error;
+  return { bookings: data, total: count || 0 };
+}
+
+// Therapists for the filter and reassignment lists, with whether each is
+// approved for bookings
+export async function loadTherapistOptions(supabase) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, profile:therapist_profiles(status)')
+    .eq('role', 'therapist')
+    .order('name');
+  if (error) throw error;
+  return data.map((therapist) => ({ ...therapist, approved: therapist.profile?.status === 'approved' }));
+}
+
+// Everything the detail drawer shows: the booking with its people and
+// payments, its event history, internal notes and admin audit entries
+export async function loadBookingDetail(supabase, bookingId) {
+  const [booking, events, notes, audit] = await Promise.all([
+    supabase
+      .from('bookings')
+      .select(`
+        *,
+        customer:customer_id(name, email, phone),
+        therapist:therapist_id(name, email, phone),
+        service:service_id(name),
+        payments(id, kind, amount, refunded_amount, status, created_at)
+      `)
+      .eq('id', bookingId)
+      .single(),
+    supabase
+      .from('booking_events')
+      .select('*, actor:actor_id(name)')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('booking_notes')
+      .select('*, author:author_id(name)')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('admin_audit_log')
+      .select('*, admin:admin_id(name)')
+      .eq('target_type', 'booking')
+      .eq('target_id', bookingId)
+      .order('created_at', { ascending: false })
+  ]);
+  const error = booking.error || events.error || notes.error || audit.error;
+  if (error) throw error;
+  return { booking: booking.data, events: events.data, notes: notes.data, audit: audit.data };
+}
+
+// What's left to refund of the booking's card payment. A hold that hasn't
+// been captured has nothing to refund.
+export const refundableAmount = (payments = []) => {
+  const payment = payments
+    .filter((p) => p.kind === 'booking' && p.status === 'completed')
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+  return payment ? Math.round((Number(payment.amount) - Number(payment.refunded_amount || 0)) * 100) / 100 : 0;
+};
+
+// Whether the booking's card is held but not yet charged
+export const hasCardHold = (payments = []) =>
+  payments.some((p) => p.kind === 'booking' && ['pending', 'authorised'].includes(p.status));
+
+// One line for an admin_audit_log entry about a booking
+export function describeAdminAction({ action, details }) {
+  switch (action) {
+    case 'booking.reassign':
+      return `Reassigned to ${details.to_therapist_name}${details.override ? ' (availability overridden)' : ''}`;
+    case 'booking.status':
+      return `Status changed from ${statusLabel(details.from)} to ${statusLabel(details.to)}: ${details.reason}`;
+    case 'booking.refund':
+      return `Refunded $${Number(details.refund_amount).toFixed(2)}: ${details.reason}`;
+    case 'booking.note':
+      return 'Added an internal note';
+    default:
+      return action;
+  }
+}
+
+// Set `override` to reassign even when the therapist looks busy
+export const reassignBooking = (supabase, bookingId, therapistId, override = false) =>
+  callFunction(supabase, 'admin-bookings', { action: 'reassign', bookingId, therapistId, override });
+
+export const setBookingStatus = (supabase, bookingId, status, reason) =>
+  callFunction(supabase, 'admin-bookings', { action: 'set-status', bookingId, status, reason });
+
+// Resolves with { refundAmount }
+export const refundBooking = (supabase, bookingId, amount, reason) =>
+  callFunction(supabase, 'admin-bookings', { action: 'refund', bookingId, amount, reason });
+
+export const addBookingNote = (supabase, bookingId, body) =>
+  callFunction(supabase, 'admin-bookings', { action: 'add-note', bookingId, body });
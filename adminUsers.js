@@ -0,0 +1,110 @@
+// Admin user management
+//
+// Admins change roles, suspend and reactivate accounts, correct contact
+// details and send password reset emails through
+// netlify/functions/admin-users.js, which records each change in
+// admin_audit_log. The support view is read-only: admins see a user's
+// bookings and payments without signing in as them.
+import { callFunction } from './api';
+
+export const USER_ROLES = [
+  { value: 'customer', label: 'Customer' },
+  { value: 'therapist', label: 'Therapist' },
+  { value: 'admin', label: 'Admin' }
+];
+
+export const roleLabel = (value) => USER_ROLES.find((role) => role.value === value)?.label || value;
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{8,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Problems with edited contact details, as a message, or null
+export function validateContactDetails({ name, email, phone }) {
+  if (!name?.trim()) return 'Enter a name';
+  if (!EMAIL_PATTERN.test(email?.trim() || '')) return 'Enter a valid email address';
+  if (phone?.trim() && !PHONE_PATTERN.test(phone.trim())) return 'Enter a valid phone number';
+  return null;
+}
+
+// Users, newest first, optionally only those in `role` or whose name or
+// email contains `search`. Also used by exports.js, so an export holds
+// exactly what the list shows.
+export function queryUsers(supabase, { role = '', search = '' } = {}) {
+  let query = supabase.from('users').select('*').order('created_at', { ascending: false });
+  if (role) query = query.eq('role', role);
+  const term = search.replace(/[,()*%\\]/g, ' ').trim();
+  if (term) query = query.or(`name.ilike.*${term}*,email.ilike.*${term}*`);
+  return query;
+}
+
+export async function loadAdminUsers(supabase, filters) {
+  const { data, error } = await queryUsers(supabase, filters);
+  if (error) throw error;
+  return data;
+}
+
+// What the support view shows: the user, the bookings they made or were
+// assigned, the payments on bookings they made, and admin changes to them
+export async function loadUserSupport(supabase, userId) {
+  const [user, bookings, payments, audit] = await Promise.all([
+    supabase.from('users').select('*').eq('id', userId).single(),
+    supabase
+      .from('bookings')
+      .select(`
+        id, date, time, duration, status, price, tip, customer_id, suburb,
+        customer:customer_id(name),
+        therapist:therapist_id(name),
+        service:service_id(name)
+      `)
+      .or(`customer_id.eq.${userId},therapist_id.eq.${userId}`)
+      .order('date', { ascending: false }),
+    supabase
+      .from('payments')
+      .select('id, kind, amount, refunded_amount, status, created_at, booking:booking_id!inner(id, date, customer_id)')
+      .eq('booking.customer_id', userId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('admin_audit_log')
+      .select('*, admin:admin_id(name)')
+      .eq('target_type', 'user')
+      .eq('target_id', userId)
+      .order('created_at', { ascending: false })
+  ]);
+  const error = user.error || bookings.error || payments.error || audit.error;
+  if (error) throw error;
+  return { user: user.data, bookings: bookings.data, payments: payments.data, audit: audit.data };
+}
+
+// One line for an admin_audit_log entry about a user
+export function describeUserAction({ action, details }) {
+  switch (action) {
+    case 'user.role':
+      return `Role changed from ${roleLabel(details.from)} to ${roleLabel(details.to)}: ${details.reason}`;
+    case 'user.suspend':
+      return `Suspended: ${details.reason}`;
+    case 'user.reactivate':
+      return 'Reactivated';
+    case 'user.contact':
+      return `Contact details changed (${Object.keys(details.changes).join(', ')})`;
+    case 'user.password_reset':
+      return `Password reset email sent to ${details.email}`;
+    default:
+      return action;
+  }
+}
+
+export const setUserRole = (supabase, userId, role, reason) =>
+  callFunction(supabase, 'admin-users', { action: 'set-role', userId, role, reason });
+
+export const suspendUser = (supabase, userId, reason) =>
+  callFunction(supabase, 'admin-users', { action: 'suspend', userId, reason });
+
+export const reactivateUser = (supabase, userId) =>
+  callFunction(supabase, 'admin-users', { action: 'reactivate', userId });
+
+// `details` is { name, email, phone }
+export const updateContactDetails = (supabase, userId, details) =>
+  callFunction(supabase, 'admin-users', { action: 'update-contact', userId, ...details });
+
+export const sendPasswordReset = (supabase, userId) =>
+  callFunction(supabase, 'admin-users', { action: 'reset-password', userId });
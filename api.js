@@ -0,0 +1,21 @@
+// Calls one of the Netlify functions in netlify/functions as the signed-in
+// user. Resolves with the JSON response, or throws with the function's error
+// message.
+export async function callFunction(supabase, name, body) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const response = await fetch(`/.netlify/functions/${name}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.access_token || ''}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
@@ -0,0 +1,129 @@
+// Therapist availability
+//
+// A therapist's hours are weekly blocks (therapist_availability) plus
+// exceptions for particular dates (therapist_availability_exceptions):
+// different hours on a day, holidays and blocked-out time. How they combine
+// into bookable windows is scheduling.windowsForDate(). Therapists edit their
+// own through the dashboard; RLS keeps them to their own rows.
+import { rangesOverlap, toMinutes } from './scheduling';
+
+// Monday first, as the editor lists them; values match Date#getDay()
+export const WEEKDAYS = [
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' },
+  { value: 0, label: 'Sunday' }
+];
+
+export const EXCEPTION_KINDS = [
+  { value: 'override', label: 'Different hours' },
+  { value: 'holiday', label: 'Holiday' },
+  { value: 'blocked', label: 'Blocked time' }
+];
+
+const trimTime = (time) => time.slice(0, 5);
+
+const blocksOverlap = (a, b) =>
+  rangesOverlap(toMinutes(a.start_time), toMinutes(a.end_time), toMinutes(b.start_time), toMinutes(b.end_time));
+
+const hasValidTimes = (block) =>
+  Boolean(block.start_time && block.end_time) && toMinutes(block.end_time) > toMinutes(block.start_time);
+
+// The therapist's weekly blocks, and exceptions that haven't finished before `today`
+export async function loadAvailability(supabase, therapistId, today) {
+  const [weekly, exceptions] = await Promise.all([
+    supabase
+      .from('therapist_availability')
+      .select('weekday, start_time, end_time')
+      .eq('therapist_id', therapistId)
+      .order('start_time'),
+    supabase
+      .from('therapist_availability_exceptions')
+      .select('*')
+      .eq('therapist_id', therapistId)
+      .gte('end_date', today)
+      .order('start_date')
+  ]);
+  if (weekly.error || exceptions.error) throw weekly.error || exceptions.error;
+
+  return {
+    weekly: weekly.data.map((block) => ({
+      ...block,
+      start_time: trimTime(block.start_time),
+      end_time: trimTime(block.end_time)
+    })),
+    exceptions: exceptions.data
+  };
+}
+
+// Problems with the weekly blocks, as a message, or null
+export function validateWeeklyAvailability(blocks) {
+  for (const { value, label } of WEEKDAYS) {
+    const day = blocks.filter((block) => block.weekday === value);
+    if (day.some((block) => !hasValidTimes(block))) return `${label}: each block must end after it starts`;
+    if (day.some((block, i) => day.slice(i + 1).some((other) => blocksOverlap(block, other)))) {
+      return `${label}: blocks overlap`;
+    }
+  }
+  return null;
+}
+
+// Replaces the therapist's weekly blocks in one go
+export async function saveWeeklyAvailability(supabase, blocks) {
+  const invalid = validateWeeklyAvailability(blocks);
+  if (invalid) throw new Error(invalid);
+
+  const { error } = await supabase.rpc('replace_weekly_availability', {
+    p_blocks: blocks.map(({ weekday, start_time, end_time }) => ({ weekday, start_time, end_time }))
+  });
+  if (error) throw error;
+}
+
+// Problems with a new exception, given the therapist's existing ones, as a
+// message, or null
+export function validateAvailabilityException(exception, existing = []) {
+  if (!exception.start_date) return 'Choose a date';
+
+  if (exception.kind === 'holiday') {
+    const endDate = exception.end_date || exception.start_date;
+    if (endDate < exception.start_date) return 'The holiday must end on or after its first day';
+    const clash = existing.find(
+      (other) => other.kind === 'holiday' && other.start_date <= endDate && exception.start_date <= other.end_date
+    );
+    return clash ? `This overlaps your holiday from ${clash.start_date}` : null;
+  }
+
+  if (!hasValidTimes(exception)) return 'The end time must be after the start time';
+  const clash = existing.find(
+    (other) =>
+      other.kind === exception.kind &&
+      other.start_date === exception.start_date &&
+      blocksOverlap(other, exception)
+  );
+  return clash ? `This overlaps ${trimTime(clash.start_time)}-${trimTime(clash.end_time)} on the same day` : null;
+}
+
+export async function addAvailabilityException(supabase, therapistId, exception, existing = []) {
+  const invalid = validateAvailabilityException(exception, existing);
+  if (invalid) throw new Error(invalid);
+
+  const holiday = exception.kind === 'holiday';
+  const { error } = await supabase.from('therapist_availability_exceptions').insert({
+    therapist_id: therapistId,
+    kind: exception.kind,
+    start_date: exception.start_date,
+    end_date: holiday ? exception.end_date || exception.start_date : exception.start_date,
+    start_time: holiday ? null : exception.start_time,
+    end_time: holiday ? null : exception.end_time,
+    note: exception.note?.trim() || null
+  });
+  if (error) throw error;
+}
+
+export async function deleteAvailabilityException(supabase, exceptionId) {
+  const { error } = await supabase.from('therapist_availability_exceptions').delete().eq('id', exceptionId);
+  if (error) throw error;
+}
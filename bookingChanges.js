@@ -0,0 +1,80 @@
+// Changes to existing bookings, backed by netlify/functions/bookings.js:
+// cancelling and rescheduling (the refund rules live in
+// cancellationPolicy.js), the therapist's "on my way" update, and the session
+// itself: checking in on arrival, extending it, and completing it or
+// recording a no-show.
+import { callFunction } from './api';
+import { hoursUntilStart } from './cancellationPolicy';
+import { BUSINESS_TIME_ZONE, estimateTravelMinutes, haversineKm } from './scheduling';
+
+// How long before the start a therapist can tell the customer they're coming
+export const ON_MY_WAY_WINDOW_HOURS = 3;
+
+// How early a therapist can check in, for when they arrive ahead of time
+export const CHECK_IN_WINDOW_HOURS = 1;
+
+// Longest session a therapist can record as completed
+export const MAX_ACTUAL_DURATION_MINUTES = 480;
+
+// Resolves with { status, refundAmount }
+export const cancelBooking = (supabase, bookingId, reason = '') =>
+  callFunction(supabase, 'bookings', { action: 'cancel', bookingId, reason });
+
+// Moves the booking to a new date and time with the same therapist
+export const rescheduleBooking = (supabase, bookingId, date, time) =>
+  callFunction(supabase, 'bookings', { action: 'reschedule', bookingId, date, time });
+
+// From a few hours before a confirmed booking until it would have finished
+export const canSendOnMyWay = (booking, now = new Date()) => {
+  const hours = hoursUntilStart(booking, now);
+  return booking.status === 'confirmed' && hours <= ON_MY_WAY_WINDOW_HOURS && hours > -booking.duration / 60;
+};
+
+// When a therapist at `position` ({ lat, lon }) should reach the booking:
+// { etaMinutes, arrivesAt } with arrivesAt as an ISO timestamp
+export function estimateArrival(position, booking, now = new Date()) {
+  const etaMinutes = estimateTravelMinutes(haversineKm(position, booking));
+  return { etaMinutes, arrivesAt: new Date(now.getTime() + etaMinutes * 60000).toISOString() };
+}
+
+// 'HH:MM' business time for an arrival timestamp
+export const arrivalTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString('en-AU', {
+    timeZone: BUSINESS_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+// Texts and emails the customer an ETA from the therapist's position.
+// Resolves with { etaMinutes, arrivesAt }.
+export const sendOnMyWay = (supabase, bookingId, position) =>
+  callFunction(supabase, 'bookings', { action: 'on-my-way', bookingId, lat: position.lat, lon: position.lon });
+
+export const canCheckIn = (booking, now = new Date()) =>
+  booking.status === 'confirmed' && hoursUntilStart(booking, now) <= CHECK_IN_WINDOW_HOURS;
+
+// Extending and completing happen once the therapist has checked in
+export const isInProgress = (booking) => booking.status === 'in_progress';
+
+// Problems with the minutes a completed session actually ran, as a message, or null
+export function validateActualDuration(minutes) {
+  if (!Number.isInteger(minutes) || minutes <= 0) return 'Enter how many minutes the session ran';
+  if (minutes > MAX_ACTUAL_DURATION_MINUTES) return `Sessions can't run longer than ${MAX_ACTUAL_DURATION_MINUTES} minutes`;
+  return null;
+}
+
+// Starts the session, making sure the booking has been paid for
+export const checkIn = (supabase, bookingId) => callFunction(supabase, 'bookings', { action: 'check-in', bookingId });
+
+// Adds `minutes` to the session, charged to the customer's card at the
+// service's increment price. Resolves with { duration, price, amount }.
+export const extendSession = (supabase, bookingId, minutes) =>
+  callFunction(supabase, 'bookings', { action: 'extend', bookingId, minutes });
+
+export const completeSession = (supabase, bookingId, actualDuration) =>
+  callFunction(supabase, 'bookings', { action: 'complete', bookingId, actualDuration });
+
+// Resolves with { feeAmount, refundAmount }
+export const recordNoShow = (supabase, bookingId) =>
+  callFunction(supabase, 'bookings', { action: 'no-show', bookingId });
@@ -0,0 +1,118 @@
+// Booking request lifecycle
+//
+// A booking is created as `requested` and offered to therapists through
+// create_booking_offers(). Each offer is held until its expiry (mirrored on
+// the booking as `request_expires_at`). The therapist accepts or declines
+// through netlify/functions/bookings.js, which calls respond_to_booking() and
+// charges or releases the card; if nobody answers in time the customer's side
+// calls expire_booking_offer(), which moves on to the next therapist, and
+// expire_booking_requests() sweeps up the rest. Both sides follow the rows
+// through Supabase realtime.
+import { callFunction } from './api';
+
+export const REQUEST_TIMEOUT_SECONDS = 120;
+
+// direct:    only the chosen therapist is asked
+// fallback:  the chosen therapist first, then the next closest, one at a time
+// broadcast: every eligible therapist at once, first to accept wins
+export const DISPATCH_MODES = ['direct', 'fallback', 'broadcast'];
+
+const RESPONSE_ERRORS = {
+  expired: 'This booking request has expired',
+  taken: 'This booking has already been taken by another therapist',
+  clash: 'This booking overlaps one you have already accepted, so it has been passed on'
+};
+
+// Seconds left to respond to a booking request, never negative
+export const secondsUntilExpiry = (booking, now = Date.now()) =>
+  Math.max(0, Math.ceil((new Date(booking.request_expires_at).getTime() - now) / 1000));
+
+// `therapistIds` in order of preference. Returns the booking status.
+export async function createBookingOffers(supabase, bookingId, therapistIds, mode) {
+  const { data, error } = await supabase.rpc('create_booking_offers', {
+    p_booking_id: bookingId,
+    p_therapist_ids: therapistIds,
+    p_mode: mode
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function respondToBooking(supabase, bookingId, accept) {
+  const { status } = await callFunction(supabase, 'bookings', { action: 'respond', bookingId, accept });
+  if (RESPONSE_ERRORS[status]) throw new Error(RESPONSE_ERRORS[status]);
+  return status;
+}
+
+export async function expireBookingOffer(supabase, bookingId) {
+  const { data, error } = await supabase.rpc('expire_booking_offer', { p_booking_id: bookingId });
+  if (error) throw error;
+  return data;
+}
+
+export async function cancelBookingRequest(supabase, bookingId) {
+  const { data, error } = await supabase.rpc('cancel_booking_request', { p_booking_id: bookingId });
+  if (error) throw error;
+  return data;
+}
+
+// Open offers for a therapist, shaped like bookings so the dashboard can list
+// them alongside confirmed work
+export async function fetchOpenOffers(supabase, therapistId) {
+  const { data, error } = await supabase
+    .from('booking_offers')
+    .select(`
+      expires_at,
+      booking:booking_id(
+        *,
+        customer:customer_names!customer_id(name),
+        service:service_id(name)
+      )
+    `)
+    .eq('therapist_id', therapistId)
+    .eq('status', 'offered');
+
+  if (error) throw error;
+  return (data || [])
+    .filter((offer) => offer.booking?.status === 'requested')
+    .map((offer) => ({ ...offer.booking, request_expires_at: offer.expires_at }));
+}
+
+// Calls onChange(booking) whenever the booking row changes. Returns an
+// unsubscribe function.
+export function subscribeToBooking(supabase, bookingId, onChange) {
+  const channel = supabase
+    .channel(`booking-${bookingId}`)
+    .on(
+      'postgres_changes',
+      { event: 'UPDATE', schema: 'public', table: 'bookings', filter: `id=eq.${bookingId}` },
+      (payload) => onChange(payload.new)
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+// Calls onChange() whenever one of the therapist's bookings or offers is
+// created or updated
+export function subscribeToTherapistBookings(supabase, therapistId, onChange) {
+  const channel = supabase
+    .channel(`therapist-bookings-${therapistId}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'bookings', filter: `therapist_id=eq.${therapistId}` },
+      (payload) => onChange(payload.new)
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'booking_offers', filter: `therapist_id=eq.${therapistId}` },
+      (payload) => onChange(payload.new)
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
@@ -0,0 +1,65 @@
+// Cancellation, rescheduling and no-show rules
+//
+// Shared by the browser, to show the customer what they'll get back before
+// they confirm, and the bookings function, which applies it.
+import { zonedTimeToUtc } from './scheduling';
+
+// Refund tiers, checked in order: the first whose notice period the
+// cancellation meets applies
+export const DEFAULT_CANCELLATION_POLICY = [
+  { minHoursNotice: 24, refundPercent: 100 },
+  { minHoursNotice: 2, refundPercent: 50 },
+  { minHoursNotice: 0, refundPercent: 0 }
+];
+
+// Customers can move a booking up to this close to the start
+export const RESCHEDULE_MIN_HOURS_NOTICE = 2;
+
+export const CANCELLABLE_STATUSES = ['requested', 'confirmed'];
+
+// A customer who isn't there for the session pays this much of it, the same
+// as cancelling at the last minute
+export const NO_SHOW_FEE_PERCENT = 100;
+
+// How long after the start the therapist waits before recording a no-show
+export const NO_SHOW_AFTER_MINUTES = 15;
+
+export const hoursUntilStart = (booking, now = new Date()) =>
+  (zonedTimeToUtc(booking.date, booking.time).getTime() - now.getTime()) / 3600000;
+
+// What a cancellation refunds: { refundPercent, refundAmount, reason }.
+// Therapists and admins cancelling always refund in full, as does a request
+// that was never accepted (only a hold was placed).
+export function refundForCancellation(booking, { cancelledBy, now = new Date(), policy = DEFAULT_CANCELLATION_POLICY }) {
+  const full = (reason) => ({ refundPercent: 100, refundAmount: Number(booking.price), reason });
+
+  if (cancelledBy === 'therapist') return full('Cancelled by the therapist');
+  if (cancelledBy === 'admin') return full('Cancelled by Rejuvenators');
+  if (booking.status === 'requested') return full('Request cancelled before it was accepted');
+
+  const hours = hoursUntilStart(booking, now);
+  const tier = policy.find((t) => hours >= t.minHoursNotice) || policy[policy.length - 1];
+  const refundAmount = Math.round(Number(booking.price) * tier.refundPercent) / 100;
+
+  return {
+    refundPercent: tier.refundPercent,
+    refundAmount,
+    reason: `Cancelled ${Math.max(0, Math.floor(hours))} hours before the session`
+  };
+}
+
+export const canCancel = (booking) => CANCELLABLE_STATUSES.includes(booking.status);
+
+export const canReschedule = (booking, now = new Date()) =>
+  booking.status === 'confirmed' && hoursUntilStart(booking, now) >= RESCHEDULE_MIN_HOURS_NOTICE;
+
+// What a no-show costs: { feePercent, feeAmount, refundAmount }
+export function noShowCharge(booking, feePercent = NO_SHOW_FEE_PERCENT) {
+  const price = Math.round(Number(booking.price) * 100);
+  const fee = Math.round((price * feePercent) / 100);
+  return { feePercent, feeAmount: fee / 100, refundAmount: (price - fee) / 100 };
+}
+
+// Only a booking the therapist hasn't checked in to
+export const canRecordNoShow = (booking, now = new Date()) =>
+  booking.status === 'confirmed' && hoursUntilStart(booking, now) <= -NO_SHOW_AFTER_MINUTES / 60;
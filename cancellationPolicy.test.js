@@ -0,0 +1,111 @@
+import {
+  NO_SHOW_AFTER_MINUTES,
+  canCancel,
+  canRecordNoShow,
+  canReschedule,
+  hoursUntilStart,
+  noShowCharge,
+  refundForCancellation
+} from './cancellationPolicy';
+
+// Tuesday 20 October 2026 at 10:00 in Sydney, which is 23:00 UTC the day before
+const booking = { date: '2026-10-20', time: '10:00', price: '120.00', status: 'confirmed' };
+const start = new Date('2026-10-19T23:00:00Z');
+
+// `hours` before the session starts
+const before = (hours) => new Date(start.getTime() - hours * 3600000);
+
+describe('hoursUntilStart', () => {
+  it('counts from Sydney time', () => {
+    expect(hoursUntilStart(booking, before(5))).toBe(5);
+    expect(hoursUntilStart(booking, new Date('2026-10-20T00:00:00Z'))).toBe(-1);
+  });
+});
+
+describe('refundForCancellation', () => {
+  it('refunds in full with a day or more of notice', () => {
+    expect(refundForCancellation(booking, { cancelledBy: 'customer', now: before(24) })).toEqual({
+      refundPercent: 100,
+      refundAmount: 120,
+      reason: 'Cancelled 24 hours before the session'
+    });
+  });
+
+  it('refunds half with two hours or more of notice', () => {
+    const refund = refundForCancellation(booking, { cancelledBy: 'customer', now: before(23.5) });
+    expect(refund).toMatchObject({ refundPercent: 50, refundAmount: 60 });
+    expect(refundForCancellation(booking, { cancelledBy: 'customer', now: before(2) }).refundPercent).toBe(50);
+  });
+
+  it('refunds nothing at the last minute or after the start', () => {
+    expect(refundForCancellation(booking, { cancelledBy: 'customer', now: before(1.5) })).toMatchObject({
+      refundPercent: 0,
+      refundAmount: 0,
+      reason: 'Cancelled 1 hours before the session'
+    });
+    expect(refundForCancellation(booking, { cancelledBy: 'customer', now: before(-1) }).reason).toBe(
+      'Cancelled 0 hours before the session'
+    );
+  });
+
+  it('refunds in full when the therapist or an admin cancels', () => {
+    expect(refundForCancellation(booking, { cancelledBy: 'therapist', now: before(1) })).toMatchObject({
+      refundPercent: 100,
+      refundAmount: 120
+    });
+    expect(refundForCancellation(booking, { cancelledBy: 'admin', now: before(1) }).reason).toBe('Cancelled by Rejuvenators');
+  });
+
+  it('refunds a request that was never accepted in full', () => {
+    const request = { ...booking, status: 'requested' };
+    expect(refundForCancellation(request, { cancelledBy: 'customer', now: before(1) }).refundAmount).toBe(120);
+  });
+
+  it('rounds to the cent', () => {
+    const odd = { ...booking, price: '99.99' };
+    expect(refundForCancellation(odd, { cancelledBy: 'customer', now: before(3) }).refundAmount).toBe(50);
+  });
+
+  it('takes a different policy', () => {
+    const policy = [
+      { minHoursNotice: 48, refundPercent: 100 },
+      { minHoursNotice: 0, refundPercent: 25 }
+    ];
+    expect(refundForCancellation(booking, { cancelledBy: 'customer', now: before(24), policy }).refundAmount).toBe(30);
+  });
+});
+
+describe('canCancel', () => {
+  it('allows requested and confirmed bookings', () => {
+    expect(canCancel({ status: 'requested' })).toBe(true);
+    expect(canCancel({ status: 'confirmed' })).toBe(true);
+    expect(canCancel({ status: 'in_progress' })).toBe(false);
+    expect(canCancel({ status: 'cancelled' })).toBe(false);
+  });
+});
+
+describe('canReschedule', () => {
+  it('allows a confirmed booking up to two hours before', () => {
+    expect(canReschedule(booking, before(2))).toBe(true);
+    expect(canReschedule(booking, before(1.9))).toBe(false);
+    expect(canReschedule({ ...booking, status: 'requested' }, before(24))).toBe(false);
+  });
+});
+
+describe('noShowCharge', () => {
+  it('keeps the whole price by default', () => {
+    expect(noShowCharge(booking)).toEqual({ feePercent: 100, feeAmount: 120, refundAmount: 0 });
+  });
+
+  it('splits the price to the cent for a smaller fee', () => {
+    expect(noShowCharge({ price: '99.99' }, 50)).toEqual({ feePercent: 50, feeAmount: 50, refundAmount: 49.99 });
+  });
+});
+
+describe('canRecordNoShow', () => {
+  it(`waits ${NO_SHOW_AFTER_MINUTES} minutes after the start`, () => {
+    expect(canRecordNoShow(booking, before(-NO_SHOW_AFTER_MINUTES / 60))).toBe(true);
+    expect(canRecordNoShow(booking, before(-0.2))).toBe(false);
+    expect(canRecordNoShow({ ...booking, status: 'in_progress' }, before(-1))).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+// Promo codes and gift vouchers
+//
+// Customers check codes and buy vouchers through netlify/functions/discounts.js;
+// they can't read the codes table themselves. Admins manage codes directly,
+// which RLS allows for them only.
+import { callFunction } from './api';
+import { BUSINESS_TIME_ZONE, addDays, zonedTimeToUtc } from './scheduling';
+
+export const GIFT_VOUCHER_AMOUNTS = [50, 100, 150, 200];
+
+// Checks a code for the chosen treatment. Resolves with the discount to hand
+// to pricing.applyDiscount(), or throws saying why the code can't be used.
+export async function checkDiscountCode(supabase, code, serviceId) {
+  const { discount } = await callFunction(supabase, 'discounts', { action: 'check', code, serviceId });
+  return discount;
+}
+
+// Pays for a gift voucher and resolves with its code
+export async function purchaseVoucher(supabase, stripe, card, details) {
+  const { voucherId, clientSecret } = await callFunction(supabase, 'discounts', { action: 'buy-voucher', ...details });
+
+  const { error } = await stripe.confirmCardPayment(clientSecret, { payment_method: { card } });
+  if (error) throw error;
+
+  const { status, code } = await callFunction(supabase, 'discounts', { action: 'sync-voucher', voucherId });
+  if (status !== 'completed') {
+    throw new Error('Your payment could not be completed. Please try another card.');
+  }
+  return code;
+}
+
+export async function loadPurchasedVouchers(supabase, userId) {
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .select('*')
+    .eq('purchaser_id', userId)
+    .eq('active', true)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+// Admin: every code, with how many times each has been used
+export async function loadDiscountCodes(supabase) {
+  const [codes, redemptions] = await Promise.all([
+    supabase.from('discount_codes').select('*').order('created_at', { ascending: false }),
+    supabase.from('discount_redemptions').select('discount_code_id').eq('status', 'applied')
+  ]);
+  if (codes.error || redemptions.error) throw codes.error || redemptions.error;
+
+  const uses = {};
+  redemptions.data.forEach(({ discount_code_id: id }) => {
+    uses[id] = (uses[id] || 0) + 1;
+  });
+  return codes.data.map((code) => ({ ...code, uses: uses[code.id] || 0 }));
+}
+
+// The admin form picks whole days: a code is valid from the start of its
+// first day to the end of its last, business time
+const startOfDay = (date) => zonedTimeToUtc(date, '00:00').toISOString();
+const dayOf = (timestamp) => new Date(timestamp).toLocaleDateString('en-CA', { timeZone: BUSINESS_TIME_ZONE });
+
+// A discount_codes row as admin form values
+export const toDiscountCodeForm = (row) => ({
+  ...row,
+  starts_at: row.starts_at ? dayOf(row.starts_at) : '',
+  expires_at: row.expires_at ? addDays(dayOf(row.expires_at), -1) : '',
+  max_redemptions: row.max_redemptions || '',
+  max_per_customer: row.max_per_customer || '',
+  service_ids: row.service_ids || []
+});
+
+// Problems with the admin code form, as a message, or null
+export function validateDiscountCode(code) {
+  if (!/^[A-Z0-9-]{3,50}$/.test(code.code)) return 'Codes are 3-50 letters, numbers or dashes';
+  const value = Number(code.value);
+  if (!(value > 0)) return 'The discount must be more than zero';
+  if (code.discount_type === 'percent' && value > 100) return "A percentage discount can't be more than 100%";
+  if (code.starts_at && code.expires_at && code.expires_at < code.starts_at) return 'The code must expire after it starts';
+  return null;
+}
+
+// Inserts or updates a code from the admin form. A new voucher starts with
+// its full value as its balance.
+export async function saveDiscountCode(supabase, code) {
+  const row = {
+    code: code.code.trim().toUpperCase(),
+    kind: code.kind,
+    discount_type: code.kind === 'voucher' ? 'fixed' : code.discount_type,
+    value: Number(code.value),
+    description: code.description || null,
+    starts_at: code.starts_at ? startOfDay(code.starts_at) : null,
+    expires_at: code.expires_at ? startOfDay(addDays(code.expires_at, 1)) : null,
+    max_redemptions: code.max_redemptions ? Number(code.max_redemptions) : null,
+    max_per_customer: code.max_per_customer ? Number(code.max_per_customer) : null,
+    service_ids: code.service_ids?.length ? code.service_ids : null,
+    active: code.active
+  };
+
+  const invalid = validateDiscountCode({ ...row, starts_at: code.starts_at, expires_at: code.expires_at });
+  if (invalid) throw new Error(invalid);
+
+  const { error } = code.id
+    ? await supabase.from('discount_codes').update(row).eq('id', code.id)
+    : await supabase.from('discount_codes').insert({ ...row, balance: row.kind === 'voucher' ? row.value : null });
+  if (error?.code === '23505') throw new Error(`The code ${row.code} already exists`);
+  if (error) throw error;
+}
+
+export async function setDiscountCodeActive(supabase, codeId, active) {
+  const { error } = await supabase.from('discount_codes').update({ active }).eq('id', codeId);
+  if (error) throw error;
+}
+
+// Admin: most recent redemptions, with who used them on what
+export async function loadRedemptions(supabase, limit = 100) {
+  const { data, error } = await supabase
+    .from('discount_redemptions')
+    .select(`
+      *,
+      discount:discount_code_id(code, kind),
+      customer:customer_id(name, email),
+      booking:booking_id(date, time, price, status)
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,68 @@
+// File downloads built in the browser: statements, reports and exports
+
+// One CSV field, quoted when it needs to be
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `rows` are arrays of cells; the first is usually the header
+export const toCsv = (rows) => rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+// Saves `blob` as `filename` through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Saves CSV text that was built up in parts, such as one per chunk of a
+// large export, without joining it into one string first
+export const downloadCsvParts = (parts, filename) =>
+  downloadBlob(new Blob(parts, { type: 'text/csv;charset=utf-8' }), filename);
+
+export const downloadCsv = (rows, filename) => downloadCsvParts([toCsv(rows)], filename);
+
+// Asks where to save `filename` and returns a writable stream into it, so CSV
+// text can go to disk as it is built. Null where the browser has no file
+// picker to write through (it's Chromium-only), and the file has to be
+// downloaded once it is finished instead. Must be called before anything else
+// is awaited after the click; rejects with an AbortError if the picker is
+// cancelled.
+export async function openCsvFile(filename) {
+  if (typeof window === 'undefined' || !window.showSaveFilePicker) return null;
+  const handle = await window.showSaveFilePicker({
+    suggestedName: filename,
+    types: [{ description: 'CSV file', accept: { 'text/csv': ['.csv'] } }]
+  });
+  return handle.createWritable();
+}
+
+// `sheets` are { name, rows, formats }: `rows` as for toCsv(), header first,
+// and `formats` the Excel number format for each column, or null. Dates go
+// in as Excel serial numbers with a date format. SheetJS is only loaded when
+// someone asks for a spreadsheet.
+export async function downloadXlsx(sheets, filename) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows, formats = [] }) => {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    formats.forEach((format, c) => {
+      if (!format) return;
+      for (let r = 1; r < rows.length; r++) {
+        const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+        if (cell && cell.t === 'n') cell.z = format;
+      }
+    });
+    sheet['!cols'] = rows[0].map((heading) => ({ wch: Math.max(String(heading).length + 2, 12) }));
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename);
+}
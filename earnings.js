@@ -0,0 +1,309 @@
+// Therapist earnings and payouts
+//
+// Therapists earn what the customer was charged for each completed booking,
+// less anything refunded (so a no-show earns the fee kept), less the
+// platform's commission, plus their tips in full. Admins pay out in runs:
+// create_payout_run (supabase-schema.sql) totals every such booking not yet
+// paid out, up to a date, per therapist, and marks those bookings with the
+// payout. Tips are paid by their own payment rows, so a tip added after its
+// booking was paid out goes into the next run. A paid-out booking keeps the
+// commission rate of its run.
+import { downloadBlob, downloadCsv } from './downloads';
+import { addDays, weekdayOf } from './scheduling';
+
+export const PLATFORM_COMMISSION_PERCENT = 20;
+
+// Bookings a therapist is paid for
+export const EARNING_STATUSES = ['completed', 'no_show'];
+
+// Payment kinds that pay for the session itself, as opposed to a tip
+const SESSION_PAYMENT_KINDS = ['booking', 'extension'];
+
+// Each booking's payments, as embedded by the loaders below
+const PAYMENT_COLUMNS = 'payments(kind, amount, refunded_amount, status, payout_id)';
+
+export const EARNINGS_PERIODS = [
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+const BRAND = 'Rejuvenators Mobile Massage';
+
+const cents = (amount) => Math.round(Number(amount || 0) * 100);
+const dollars = (total) => total / 100;
+const money = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// First day of the Monday-to-Sunday week or calendar month holding `date`
+export const periodStart = (date, period) =>
+  period === 'month' ? `${date.slice(0, 7)}-01` : addDays(date, -((weekdayOf(date) + 6) % 7));
+
+export const periodEnd = (start, period) => {
+  if (period !== 'month') return addDays(start, 6);
+  const [year, month] = start.split('-').map(Number);
+  const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  return addDays(nextMonth, -1);
+};
+
+// What the customer was charged and kept paying, in cents, across the
+// booking's `kinds` of payment
+const chargedCents = (payments, kinds) =>
+  payments
+    .filter((payment) => kinds.includes(payment.kind) && payment.status === 'completed')
+    .reduce((sum, payment) => sum + cents(payment.amount) - cents(payment.refunded_amount), 0);
+
+const unpaidTip = (payment) => payment.kind === 'tip' && payment.status === 'completed' && !payment.payout_id;
+
+// Whether the session and every tip on the booking have been paid out
+export const isPaidOut = (booking) => Boolean(booking.payout_id) && !(booking.payments || []).some(unpaidTip);
+
+// What one completed booking or no-show earns the therapist. With `unpaidOnly`,
+// just the part not yet paid out.
+export function bookingEarnings(booking, commissionPercent = PLATFORM_COMMISSION_PERCENT, unpaidOnly = false) {
+  const percent = booking.payout ? Number(booking.payout.payout_run.commission_percent) : commissionPercent;
+  const payments = booking.payments || [];
+  const session = unpaidOnly && booking.payout_id ? 0 : chargedCents(payments, SESSION_PAYMENT_KINDS);
+  const tip = chargedCents(unpaidOnly ? payments.filter(unpaidTip) : payments, ['tip']);
+  const commission = Math.round((session * percent) / 100);
+  return {
+    session: dollars(session),
+    tip: dollars(tip),
+    commissionPercent: percent,
+    commission: dollars(commission),
+    net: dollars(session - commission + tip)
+  };
+}
+
+// Totals over a list of completed bookings, or with `unpaidOnly` what is
+// still owed for them
+export function summariseEarnings(bookings, commissionPercent = PLATFORM_COMMISSION_PERCENT, unpaidOnly = false) {
+  const totals = bookings.reduce(
+    (sum, booking) => {
+      const earned = bookingEarnings(booking, commissionPercent, unpaidOnly);
+      return {
+        session: sum.session + cents(earned.session),
+        tip: sum.tip + cents(earned.tip),
+        commission: sum.commission + cents(earned.commission),
+        net: sum.net + cents(earned.net)
+      };
+    },
+    { session: 0, tip: 0, commission: 0, net: 0 }
+  );
+  return {
+    sessions: unpaidOnly ? bookings.filter((booking) => !booking.payout_id).length : bookings.length,
+    sessionTotal: dollars(totals.session),
+    tips: dollars(totals.tip),
+    commission: dollars(totals.commission),
+    net: dollars(totals.net)
+  };
+}
+
+// Completed bookings grouped into weeks or months, newest first, each with
+// its totals and whether it has all been paid out
+export function earningsByPeriod(bookings, period, commissionPercent = PLATFORM_COMMISSION_PERCENT) {
+  const groups = {};
+  bookings.forEach((booking) => {
+    const start = periodStart(booking.date, period);
+    (groups[start] = groups[start] || []).push(booking);
+  });
+
+  return Object.keys(groups)
+    .sort()
+    .reverse()
+    .map((start) => ({
+      start,
+      end: periodEnd(start, period),
+      bookings: groups[start].sort((a, b) => `${a.date}${a.time}`.localeCompare(`${b.date}${b.time}`)),
+      paidOut: groups[start].every(isPaidOut),
+      ...summariseEarnings(groups[start], commissionPercent)
+    }));
+}
+
+// The therapist's name, and their completed bookings and no-shows with what
+// each was paid out in
+export async function loadTherapistEarnings(supabase, therapistId) {
+  const [therapist, bookings] = await Promise.all([
+    supabase.from('users').select('name').eq('id', therapistId).single(),
+    supabase
+      .from('bookings')
+      .select(`
+        id, date, time, duration, status, price, no_show_fee, tip, payout_id,
+        ${PAYMENT_COLUMNS},
+        service:service_id(name),
+        customer:customer_names!customer_id(name),
+        payout:payout_id(id, payout_run:payout_run_id(commission_percent, created_at))
+      `)
+      .eq('therapist_id', therapistId)
+      .in('status', EARNING_STATUSES)
+      .order('date', { ascending: false })
+  ]);
+  if (therapist.error || bookings.error) throw therapist.error || bookings.error;
+  return { therapistName: therapist.data.name, bookings: bookings.data };
+}
+
+const statementFilename = (period, therapistName, extension) =>
+  `statement-${therapistName.replace(/\W+/g, '-').toLowerCase()}-${period.start}.${extension}`;
+
+const statementLines = (period) =>
+  period.bookings.map((booking) => ({ booking, ...bookingEarnings(booking) }));
+
+export function downloadStatementCsv(period, therapistName) {
+  const rows = [
+    ['Date', 'Time', 'Service', 'Customer', 'Session', 'Commission %', 'Commission', 'Tip', 'Net', 'Paid out']
+  ];
+  statementLines(period).forEach(({ booking, session, commissionPercent, commission, tip, net }) => {
+    rows.push([
+      booking.date,
+      booking.time.slice(0, 5),
+      booking.status === 'no_show' ? `${booking.service?.name} (no-show)` : booking.service?.name,
+      booking.customer?.name,
+      session.toFixed(2),
+      commissionPercent,
+      commission.toFixed(2),
+      tip.toFixed(2),
+      net.toFixed(2),
+      isPaidOut(booking) ? 'Yes' : 'No'
+    ]);
+  });
+  rows.push([
+    'Total', '', '', '',
+    period.sessionTotal.toFixed(2), '', period.commission.toFixed(2), period.tips.toFixed(2), period.net.toFixed(2), ''
+  ]);
+  downloadCsv(rows, statementFilename(period, therapistName, 'csv'));
+}
+
+// jsPDF is only loaded when someone asks for a PDF
+export async function downloadStatementPdf(period, therapistName) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF();
+  const columns = [14, 38, 90, 130, 158, 182];
+  let y = 20;
+
+  doc.setFontSize(16);
+  doc.text(BRAND, 14, y);
+  doc.setFontSize(12);
+  doc.text(`Earnings statement for ${therapistName}`, 14, (y += 8));
+  doc.text(`${period.start} to ${period.end}`, 14, (y += 6));
+
+  doc.setFontSize(9);
+  y += 12;
+  ['Date', 'Service', 'Session', 'Commission', 'Tip', 'Net'].forEach((heading, i) => doc.text(heading, columns[i], y));
+  doc.line(14, y + 2, 196, y + 2);
+
+  statementLines(period).forEach(({ booking, session, commission, tip, net }) => {
+    y += 7;
+    if (y > 280) {
+      doc.addPage();
+      y = 20;
+    }
+    [
+      `${booking.date} ${booking.time.slice(0, 5)}`,
+      `${booking.service?.name || ''}${booking.status === 'no_show' ? ' (no-show)' : ''}`,
+      money(session),
+      `-${money(commission)}`,
+      money(tip),
+      money(net)
+    ].forEach((cell, i) => doc.text(cell, columns[i], y));
+  });
+
+  y += 4;
+  doc.line(14, y, 196, y);
+  y += 6;
+  doc.text(`${period.sessions} sessions`, columns[0], y);
+  [money(period.sessionTotal), `-${money(period.commission)}`, money(period.tips), money(period.net)].forEach((cell, i) =>
+    doc.text(cell, columns[i + 2], y)
+  );
+
+  y += 12;
+  doc.setFontSize(10);
+  doc.text(
+    period.paidOut ? 'All sessions in this period have been paid out.' : 'Some sessions in this period are still to be paid out.',
+    14,
+    y
+  );
+
+  downloadBlob(doc.output('blob'), statementFilename(period, therapistName, 'pdf'));
+}
+
+const UNPAID_BOOKING_COLUMNS = `id, date, time, status, price, no_show_fee, tip, payout_id, therapist_id,
+  therapist:therapist_id(name, email), ${PAYMENT_COLUMNS}`;
+
+// Admin: what is owed for completed bookings and no-shows up to and including
+// `periodEnd`, totalled per therapist: bookings not yet paid out, and tips
+// added to bookings that were
+export async function loadUnpaidEarnings(supabase, periodEnd, commissionPercent = PLATFORM_COMMISSION_PERCENT) {
+  const [sessions, tips] = await Promise.all([
+    supabase
+      .from('bookings')
+      .select(UNPAID_BOOKING_COLUMNS)
+      .in('status', EARNING_STATUSES)
+      .is('payout_id', null)
+      .not('therapist_id', 'is', null)
+      .lte('date', periodEnd),
+    supabase
+      .from('payments')
+      .select(`booking:booking_id!inner(${UNPAID_BOOKING_COLUMNS})`)
+      .eq('kind', 'tip')
+      .eq('status', 'completed')
+      .is('payout_id', null)
+      .in('booking.status', EARNING_STATUSES)
+      .not('booking.payout_id', 'is', null)
+      .not('booking.therapist_id', 'is', null)
+      .lte('booking.date', periodEnd)
+  ]);
+  if (sessions.error || tips.error) throw sessions.error || tips.error;
+
+  const bookings = new Map(sessions.data.map((booking) => [booking.id, booking]));
+  tips.data.forEach(({ booking }) => bookings.set(booking.id, booking));
+
+  const byTherapist = {};
+  bookings.forEach((booking) => {
+    const group = (byTherapist[booking.therapist_id] = byTherapist[booking.therapist_id] || {
+      therapistId: booking.therapist_id,
+      therapist: booking.therapist,
+      bookings: []
+    });
+    group.bookings.push(booking);
+  });
+
+  return Object.values(byTherapist)
+    .map((group) => ({ ...group, ...summariseEarnings(group.bookings, commissionPercent, true) }))
+    .sort((a, b) => a.therapist.name.localeCompare(b.therapist.name));
+}
+
+// Admin: pays out everything loadUnpaidEarnings() shows. Resolves with the
+// run's id, or null if there was nothing to pay.
+export async function createPayoutRun(supabase, periodEnd, commissionPercent = PLATFORM_COMMISSION_PERCENT) {
+  const { data, error } = await supabase.rpc('create_payout_run', {
+    p_period_end: periodEnd,
+    p_commission_percent: commissionPercent
+  });
+  if (error) throw error;
+  return data;
+}
+
+// Admin: past payout runs, newest first, with each therapist's payout
+export async function loadPayoutRuns(supabase, limit = 20) {
+  const { data, error } = await supabase
+    .from('payout_runs')
+    .select('*, created_by_user:created_by(name), payouts(*, therapist:therapist_id(name, email))')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+export function downloadPayoutRunCsv(run) {
+  const rows = [['Therapist', 'Email', 'Sessions', 'Session total', 'Commission', 'Tips', 'Net payout']];
+  run.payouts.forEach((payout) => {
+    rows.push([
+      payout.therapist.name,
+      payout.therapist.email,
+      payout.booking_count,
+      Number(payout.sessions_total).toFixed(2),
+      Number(payout.commission).toFixed(2),
+      Number(payout.tips_total).toFixed(2),
+      Number(payout.net_amount).toFixed(2)
+    ]);
+  });
+  downloadCsv(rows, `payout-run-${run.period_end}.csv`);
+}
@@ -5,11 +5,32 @@ REACT_APP_SUPABASE_KEY=your_supabase_anon_key
 # Stripe Configuration
 REACT_APP_STRIPE_KEY=your_stripe_publishable_key
 
+# Server-side keys for Netlify functions (never expose these to the browser)
+SUPABASE_SERVICE_KEY=your_supabase_service_role_key
+STRIPE_SECRET_KEY=your_stripe_secret_key
+STRIPE_WEBHOOK_SECRET=your_stripe_webhook_signing_secret
+
+# Point functions at a local Stripe stand-in (e.g. stripe-mock) instead of api.stripe.com
+# STRIPE_API_HOST=localhost
+# STRIPE_API_PORT=12111
+# STRIPE_API_PROTOCOL=http
+
 # EmailJS Configuration
 REACT_APP_EMAILJS_USER=your_emailjs_user_id
 REACT_APP_EMAILJS_SERVICE=your_emailjs_service_id
 REACT_APP_EMAILJS_TEMPLATE=your_emailjs_template_id
 
+# Notifications (Netlify functions). Emails go through EmailJS with the private
+# key; the template needs {{to_email}}, {{subject}} and {{message}}.
+EMAILJS_PRIVATE_KEY=your_emailjs_private_key
+EMAILJS_NOTIFICATION_TEMPLATE=your_emailjs_notification_template_id
+TWILIO_ACCOUNT_SID=your_twilio_account_sid
+TWILIO_AUTH_TOKEN=your_twilio_auth_token
+TWILIO_FROM_NUMBER=your_twilio_sending_number
+NOTIFY_WEBHOOK_SECRET=your_notify_webhook_secret
+# Keep messages in memory instead of sending them
+# NOTIFICATIONS_TRANSPORT=fake
+
 # Google Maps API
 REACT_APP_GOOGLE_API_KEY=your_google_maps_api_key
 
@@ -0,0 +1,278 @@
+// Admin exports
+//
+// CSV and Excel copies of what the admin tables show, for accounting.
+// Rows are fetched a chunk at a time, each chunk picking up after the last
+// row of the one before, so a long date range doesn't mean one enormous
+// request or ever deeper offsets. Where the browser lets us write to a file
+// the admin picks, a CSV goes to disk chunk by chunk and has no size limit.
+// Excel files, and CSVs in other browsers, are held in memory until they are
+// saved, so those stop at EXPORT_MAX_ROWS rows and ask for narrower filters.
+// Amounts are Australian dollars; dates and times are Sydney's.
+import { queryBookings, statusLabel } from './adminBookings';
+import { queryUsers } from './adminUsers';
+import { downloadCsvParts, downloadXlsx, openCsvFile, toCsv } from './downloads';
+import { addDays, timeZoneOffsetMinutes, zonedTimeToUtc } from './scheduling';
+import { REPORT_GROUPS } from './reports';
+
+export const EXPORT_CHUNK_SIZE = 1000;
+
+// The most rows an export held in memory can have
+export const EXPORT_MAX_ROWS = 50000;
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' }
+];
+
+const EXCEL_FORMATS = {
+  date: 'dd/mm/yyyy',
+  datetime: 'dd/mm/yyyy hh:mm',
+  currency: '"$"#,##0.00'
+};
+
+const PAYMENT_KINDS = { booking: 'Session', extension: 'Extra time', tip: 'Tip', voucher: 'Gift voucher' };
+
+// 'YYYY-MM-DDTHH:mm' on Sydney's clock at a stored timestamp
+const sydneyDateTime = (timestamp) => {
+  const instant = new Date(timestamp);
+  return new Date(instant.getTime() + timeZoneOffsetMinutes(instant) * 60000).toISOString().slice(0, 16);
+};
+
+// Days since Excel's epoch, with the time of day as the fraction
+const excelSerial = (dateTime) => (Date.parse(`${dateTime}Z`) - Date.UTC(1899, 11, 30)) / 86400000;
+
+// A cell as it should appear in `format` ('csv' or 'xlsx')
+function exportCell(column, row, format) {
+  const value = column.value(row);
+  if (value == null || value === '') return '';
+  switch (column.type) {
+    case 'currency':
+      return format === 'xlsx' ? Number(value) : Number(value).toFixed(2);
+    case 'date':
+      return format === 'xlsx' ? excelSerial(`${value}T00:00`) : value;
+    case 'datetime': {
+      const dateTime = sydneyDateTime(value);
+      return format === 'xlsx' ? excelSerial(dateTime) : dateTime.replace('T', ' ');
+    }
+    default:
+      return value;
+  }
+}
+
+const column = (header, value, type = 'text') => ({ header, value, type });
+
+const BOOKING_COLUMNS = [
+  column('Booking', (b) => b.id),
+  column('Date', (b) => b.date, 'date'),
+  column('Time', (b) => b.time?.slice(0, 5)),
+  column('Status', (b) => statusLabel(b.status)),
+  column('Service', (b) => b.service?.name),
+  column('Minutes', (b) => b.duration, 'number'),
+  column('Customer', (b) => b.customer?.name),
+  column('Customer email', (b) => b.customer?.email),
+  column('Therapist', (b) => b.therapist?.name),
+  column('Therapist email', (b) => b.therapist?.email),
+  column('Suburb', (b) => b.suburb),
+  column('Address', (b) => b.address),
+  column('Discount code', (b) => b.discount_code),
+  column('Price (AUD)', (b) => b.price, 'currency'),
+  column('No-show fee (AUD)', (b) => b.no_show_fee, 'currency'),
+  column('Tip (AUD)', (b) => b.tip, 'currency'),
+  column('Booked', (b) => b.created_at, 'datetime')
+];
+
+const USER_COLUMNS = [
+  column('Name', (u) => u.name),
+  column('Email', (u) => u.email),
+  column('Phone', (u) => u.phone),
+  column('Role', (u) => u.role),
+  column('Joined', (u) => u.created_at, 'datetime')
+];
+
+const PAYMENT_COLUMNS = [
+  column('Paid', (p) => p.created_at, 'datetime'),
+  column('Kind', (p) => PAYMENT_KINDS[p.kind] || p.kind),
+  column('Status', (p) => p.status),
+  column('Amount (AUD)', (p) => p.amount, 'currency'),
+  column('Refunded (AUD)', (p) => p.refunded_amount, 'currency'),
+  column('Booking', (p) => p.booking?.id),
+  column('Session date', (p) => p.booking?.date, 'date'),
+  column('Service', (p) => p.booking?.service?.name),
+  column('Customer', (p) => p.booking?.customer?.name),
+  column('Customer email', (p) => p.booking?.customer?.email),
+  column('Therapist', (p) => p.booking?.therapist?.name),
+  column('Stripe payment', (p) => p.stripe_payment_id)
+];
+
+// Rows after `last` in a query ordered by created_at (newest first when
+// `newestFirst`) and then id. Timestamps are quoted for their colons and dots.
+const after = (query, last, newestFirst) => {
+  const createdAt = `"${last.created_at}"`;
+  return query.or(`created_at.${newestFirst ? 'lt' : 'gt'}.${createdAt},and(created_at.eq.${createdAt},id.gt.${last.id})`);
+};
+
+// Calls and awaits `onChunk(rows, fetchedSoFar)` for each chunk of the
+// query's rows. `buildQuery` makes a fresh query ordered by created_at and
+// then id each time. Throws before passing on anything past `maxRows`.
+async function eachChunk(buildQuery, { newestFirst = false, maxRows = EXPORT_MAX_ROWS }, onChunk) {
+  let fetched = 0;
+  let last = null;
+  for (;;) {
+    // One row more than the cap shows there are too many
+    const limit = Math.min(EXPORT_CHUNK_SIZE, maxRows + 1 - fetched);
+    const query = last ? after(buildQuery(), last, newestFirst) : buildQuery();
+    const { data, error } = await query.limit(limit);
+    if (error) throw error;
+    if (fetched + data.length > maxRows) {
+      throw new Error(`Exports are limited to ${maxRows.toLocaleString('en-AU')} rows; narrow the filters and try again`);
+    }
+    fetched += data.length;
+    if (data.length) await onChunk(data, fetched);
+    if (data.length < limit) return;
+    last = data[data.length - 1];
+  }
+}
+
+// Fetches every row and saves them as `filename`.csv or .xlsx. `order` is
+// { newestFirst } as buildQuery() sorts. `onProgress(rows)` hears how many
+// rows have been fetched so far.
+async function exportQuery(buildQuery, columns, { format, filename, sheetName, order = {}, onProgress = () => {} }) {
+  const header = columns.map((c) => c.header);
+  const cellsFor = (rows) => rows.map((row) => columns.map((c) => exportCell(c, row, format)));
+
+  if (format !== 'xlsx') {
+    let file;
+    try {
+      file = await openCsvFile(`${filename}.csv`);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      throw error;
+    }
+    if (file) {
+      try {
+        await file.write(toCsv([header]));
+        await eachChunk(buildQuery, { ...order, maxRows: Infinity }, async (rows, fetched) => {
+          await file.write(toCsv(cellsFor(rows)));
+          onProgress(fetched);
+        });
+      } catch (error) {
+        await file.abort();
+        throw error;
+      }
+      await file.close();
+      return;
+    }
+  }
+
+  const csvParts = [toCsv([header])];
+  const sheetRows = [header];
+
+  await eachChunk(buildQuery, order, (rows, fetched) => {
+    if (format === 'xlsx') sheetRows.push(...cellsFor(rows));
+    else csvParts.push(toCsv(cellsFor(rows)));
+    onProgress(fetched);
+  });
+
+  if (format === 'xlsx') {
+    const formats = columns.map((c) => EXCEL_FORMATS[c.type] || null);
+    await downloadXlsx([{ name: sheetName, rows: sheetRows, formats }], `${filename}.xlsx`);
+  } else {
+    downloadCsvParts(csvParts, `${filename}.csv`);
+  }
+}
+
+const rangeName = (from, to) => [from, to].filter(Boolean).join('-to-');
+
+// The bookings matching the admin list's filters
+export function exportBookings(supabase, filters, format, onProgress) {
+  const range = rangeName(filters.dateFrom, filters.dateTo);
+  return exportQuery(
+    () => queryBookings(supabase, filters).order('created_at', { ascending: false }).order('id'),
+    BOOKING_COLUMNS,
+    {
+      format,
+      onProgress,
+      order: { newestFirst: true },
+      sheetName: 'Bookings',
+      filename: range ? `bookings-${range}` : 'bookings'
+    }
+  );
+}
+
+// The users matching the admin list's filters, { role, search }
+export const exportUsers = (supabase, filters, format, onProgress) =>
+  exportQuery(() => queryUsers(supabase, filters).order('id'), USER_COLUMNS, {
+    format,
+    onProgress,
+    order: { newestFirst: true },
+    sheetName: 'Users',
+    filename: filters.role ? `users-${filters.role}` : 'users'
+  });
+
+// Payments taken between the start of `from` and the end of `to`, Sydney time
+export const exportPayments = (supabase, { from, to }, format, onProgress) =>
+  exportQuery(
+    () =>
+      supabase
+        .from('payments')
+        .select(`
+          *,
+          booking:booking_id(id, date, customer:customer_id(name, email), therapist:therapist_id(name), service:service_id(name))
+        `)
+        .gte('created_at', zonedTimeToUtc(from, '00:00').toISOString())
+        .lt('created_at', zonedTimeToUtc(addDays(to, 1), '00:00').toISOString())
+        .order('created_at')
+        .order('id'),
+    PAYMENT_COLUMNS,
+    { format, onProgress, sheetName: 'Payments', filename: `payments-${rangeName(from, to)}` }
+  );
+
+// A report already on screen: its revenue rows, with a total, and for Excel
+// a second sheet with the summary from loadReportSummary()
+export async function exportReport({ rows, summary, from, to, groupBy }, format) {
+  const group = REPORT_GROUPS.find((g) => g.value === groupBy).label;
+  const header = [group, 'Bookings', 'Sessions (AUD)', 'Tips (AUD)', 'Refunds (AUD)', 'Revenue (AUD)'];
+  const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+  const money = (amount) => (format === 'xlsx' ? amount : amount.toFixed(2));
+  const line = (label, bookings, sessions, tips, refunds, revenue) =>
+    [label, bookings, money(sessions), money(tips), money(refunds), money(revenue)];
+
+  const revenueRows = [
+    header,
+    ...rows.map((row) => line(row.label, row.bookings, row.sessions, row.tips, row.refunds, row.revenue)),
+    line('Total', total('bookings'), total('sessions'), total('tips'), total('refunds'), total('revenue'))
+  ];
+  const filename = `report-by-${groupBy}-${rangeName(from, to)}`;
+
+  if (format !== 'xlsx') {
+    downloadCsvParts([toCsv(revenueRows)], `${filename}.csv`);
+    return;
+  }
+
+  const currency = EXCEL_FORMATS.currency;
+  await downloadXlsx(
+    [
+      { name: 'Revenue', rows: revenueRows, formats: [null, null, currency, currency, currency, currency] },
+      {
+        name: 'Summary',
+        rows: [
+          ['Measure', 'Value'],
+          ['From', from],
+          ['To', to],
+          ['Bookings', summary.bookings],
+          ['Completed', summary.completed],
+          ['Cancelled', summary.cancelled],
+          ['Declined (unfilled)', summary.declined],
+          ['No-shows', summary.noShows],
+          ['Offers made', summary.offersMade],
+          ['Offers declined', summary.offersDeclined],
+          ['Offers expired', summary.offersExpired],
+          ['Average seconds to accept', summary.avgSecondsToAccept ?? ''],
+          ['Payments refunded', summary.refunds],
+          ['Refunded (AUD)', summary.refundTotal]
+        ]
+      }
+    ],
+    `${filename}.xlsx`
+  );
+}
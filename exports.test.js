@@ -0,0 +1,184 @@
+import { downloadCsvParts, downloadXlsx, openCsvFile } from './downloads';
+import { EXPORT_CHUNK_SIZE, EXPORT_MAX_ROWS, exportPayments, exportUsers } from './exports';
+
+jest.mock('./downloads', () => ({
+  ...jest.requireActual('./downloads'),
+  downloadCsvParts: jest.fn(),
+  downloadXlsx: jest.fn(),
+  openCsvFile: jest.fn(() => Promise.resolve(null))
+}));
+
+const payment = (n) => ({
+  id: `payment-${n}`,
+  created_at: '2026-10-19T23:00:00Z',
+  kind: 'booking',
+  status: 'completed',
+  amount: '80.00',
+  refunded_amount: 0,
+  stripe_payment_id: `pi_${n}`,
+  booking: { id: `booking-${n}`, date: '2026-10-20', service: { name: 'Stressbuster' } }
+});
+
+// A table of `count` rows that answers limit(), picking up after the row a
+// keyset or() names, or fails with `error`, and records the chunks ([first
+// row, limit]), keysets and other filters asked for
+function fakeSupabase(count, row = payment, error = null) {
+  const chunks = [];
+  const keysets = [];
+  const filters = [];
+  const from = () => {
+    let start = 0;
+    const builder = {
+      select: () => builder,
+      gte: () => builder,
+      lt: () => builder,
+      order: () => builder,
+      eq: (...args) => {
+        filters.push(['eq', ...args]);
+        return builder;
+      },
+      or: (...args) => {
+        const keyset = /id\.gt\.[a-z]+-(\d+)\)$/.exec(args[0]);
+        if (keyset) {
+          keysets.push(args[0]);
+          start = Number(keyset[1]) + 1;
+        } else {
+          filters.push(['or', ...args]);
+        }
+        return builder;
+      },
+      limit: (limit) => {
+        chunks.push([start, limit]);
+        if (error) return Promise.resolve({ data: null, error });
+        const rows = [];
+        for (let n = start; n < Math.min(start + limit, count); n++) rows.push(row(n));
+        return Promise.resolve({ data: rows, error: null });
+      }
+    };
+    return builder;
+  };
+  return { chunks, keysets, filters, from };
+}
+
+// A file opened through the save picker
+const fakeFile = () => ({
+  write: jest.fn(() => Promise.resolve()),
+  close: jest.fn(() => Promise.resolve()),
+  abort: jest.fn(() => Promise.resolve())
+});
+
+const period = { from: '2026-10-01', to: '2026-10-31' };
+
+// Rows with nothing to format, to keep the cap tests quick
+const bare = (n) => ({ id: `payment-${n}`, created_at: '2026-10-19T23:00:00Z' });
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('exportPayments', () => {
+  it('fetches a chunk at a time after the last row and saves one CSV part per chunk', async () => {
+    const supabase = fakeSupabase(EXPORT_CHUNK_SIZE + 5);
+    const onProgress = jest.fn();
+
+    await exportPayments(supabase, period, 'csv', onProgress);
+
+    expect(supabase.chunks).toEqual([
+      [0, EXPORT_CHUNK_SIZE],
+      [EXPORT_CHUNK_SIZE, EXPORT_CHUNK_SIZE]
+    ]);
+    const last = `"2026-10-19T23:00:00Z"`;
+    expect(supabase.keysets).toEqual([
+      `created_at.gt.${last},and(created_at.eq.${last},id.gt.payment-${EXPORT_CHUNK_SIZE - 1})`
+    ]);
+    expect(onProgress.mock.calls).toEqual([[EXPORT_CHUNK_SIZE], [EXPORT_CHUNK_SIZE + 5]]);
+
+    const [parts, filename] = downloadCsvParts.mock.calls[0];
+    expect(filename).toBe('payments-2026-10-01-to-2026-10-31.csv');
+    expect(parts).toHaveLength(3);
+    expect(parts[0]).toMatch(/^Paid,Kind,Status,Amount \(AUD\)/);
+    expect(parts[1].split('\r\n')[0]).toBe('2026-10-20 10:00,Session,completed,80.00,0.00,booking-0,2026-10-20,Stressbuster,,,,pi_0');
+  });
+
+  it('writes Excel dates and amounts as numbers', async () => {
+    await exportPayments(fakeSupabase(1), period, 'xlsx');
+
+    const [[sheet], filename] = downloadXlsx.mock.calls[0];
+    expect(filename).toBe('payments-2026-10-01-to-2026-10-31.xlsx');
+    expect(sheet.name).toBe('Payments');
+    expect(sheet.rows[1][0]).toBeCloseTo(46315.4167, 4);
+    expect(sheet.rows[1][3]).toBe(80);
+  });
+
+  it('saves exactly the row cap', async () => {
+    const onProgress = jest.fn();
+    await exportPayments(fakeSupabase(EXPORT_MAX_ROWS, bare), period, 'csv', onProgress);
+    expect(onProgress).toHaveBeenLastCalledWith(EXPORT_MAX_ROWS);
+    expect(downloadCsvParts).toHaveBeenCalled();
+  });
+
+  it('stops past the row cap without saving anything', async () => {
+    const supabase = fakeSupabase(EXPORT_MAX_ROWS + 1, bare);
+
+    await expect(exportPayments(supabase, period, 'csv')).rejects.toThrow('narrow the filters');
+
+    expect(supabase.chunks[supabase.chunks.length - 1]).toEqual([EXPORT_MAX_ROWS, 1]);
+    expect(downloadCsvParts).not.toHaveBeenCalled();
+  });
+
+  it('writes a CSV straight to a file the admin picks, past the row cap', async () => {
+    const file = fakeFile();
+    openCsvFile.mockResolvedValueOnce(file);
+    const onProgress = jest.fn();
+
+    await exportPayments(fakeSupabase(EXPORT_MAX_ROWS + 1, bare), period, 'csv', onProgress);
+
+    expect(openCsvFile).toHaveBeenCalledWith('payments-2026-10-01-to-2026-10-31.csv');
+    expect(file.write).toHaveBeenCalledTimes(1 + Math.ceil((EXPORT_MAX_ROWS + 1) / EXPORT_CHUNK_SIZE));
+    expect(file.write.mock.calls[0][0]).toMatch(/^Paid,Kind,Status/);
+    expect(file.close).toHaveBeenCalled();
+    expect(onProgress).toHaveBeenLastCalledWith(EXPORT_MAX_ROWS + 1);
+    expect(downloadCsvParts).not.toHaveBeenCalled();
+  });
+
+  it('abandons the file when a chunk fails', async () => {
+    const file = fakeFile();
+    openCsvFile.mockResolvedValueOnce(file);
+    const supabase = fakeSupabase(1, payment, new Error('timeout'));
+
+    await expect(exportPayments(supabase, period, 'csv')).rejects.toThrow('timeout');
+    expect(file.abort).toHaveBeenCalled();
+    expect(file.close).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when the save picker is cancelled', async () => {
+    openCsvFile.mockRejectedValueOnce(Object.assign(new Error('The user aborted a request.'), { name: 'AbortError' }));
+    const supabase = fakeSupabase(1);
+
+    await exportPayments(supabase, period, 'csv');
+
+    expect(supabase.chunks).toEqual([]);
+    expect(downloadCsvParts).not.toHaveBeenCalled();
+  });
+
+  it('keeps Excel files in memory', async () => {
+    await exportPayments(fakeSupabase(1), period, 'xlsx');
+    expect(openCsvFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('exportUsers', () => {
+  it('exports the users the admin list is filtered to', async () => {
+    const supabase = fakeSupabase(1, () => ({ name: 'Theo', email: 'theo@example.com', role: 'therapist' }));
+
+    await exportUsers(supabase, { role: 'therapist', search: 'theo' }, 'csv');
+
+    expect(supabase.filters).toEqual([
+      ['eq', 'role', 'therapist'],
+      ['or', 'name.ilike.*theo*,email.ilike.*theo*']
+    ]);
+    const [parts, filename] = downloadCsvParts.mock.calls[0];
+    expect(filename).toBe('users-therapist.csv');
+    expect(parts[1]).toBe('Theo,theo@example.com,,therapist,\r\n');
+  });
+});
@@ -0,0 +1,172 @@
+// Address resolution
+//
+// Every geocoder has the same shape so the booking flow doesn't care where
+// addresses come from:
+//   suggest(query)  -> [{ id, description }]
+//   resolve(input)  -> { formatted, unit, streetNumber, street, suburb, postcode, state, lat, lon }
+// `input` is either a suggestion returned by suggest() or free text.
+// resolve() throws when it can't pin the address to a real street address.
+
+const COUNTRY = 'au';
+const MIN_QUERY_LENGTH = 3;
+
+export const emptyAddressParts = {
+  unit: '',
+  streetNumber: '',
+  street: '',
+  suburb: '',
+  postcode: '',
+  state: ''
+};
+
+const unresolvable = (input) =>
+  new Error(`We couldn't find "${typeof input === 'string' ? input : input.description}". Please pick an address from the suggestions.`);
+
+// Map Google's address_components onto our structured address parts
+export function parseAddressComponents(components = []) {
+  const find = (type, key = 'long_name') => components.find((c) => c.types.includes(type))?.[key] || '';
+
+  return {
+    unit: find('subpremise'),
+    streetNumber: find('street_number'),
+    street: find('route'),
+    suburb: find('locality') || find('sublocality') || find('postal_town'),
+    postcode: find('postal_code'),
+    state: find('administrative_area_level_1', 'short_name')
+  };
+}
+
+// A result is only usable if it is an actual street address with coordinates
+export function isResolvedAddress(address) {
+  return Boolean(
+    address &&
+      address.street &&
+      address.suburb &&
+      address.postcode &&
+      Number.isFinite(address.lat) &&
+      Number.isFinite(address.lon)
+  );
+}
+
+export function formatAddress({ unit, streetNumber, street, suburb, state, postcode }) {
+  const line1 = [unit && streetNumber ? `${unit}/${streetNumber}` : unit || streetNumber, street]
+    .filter(Boolean)
+    .join(' ');
+  return [line1, [suburb, state, postcode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+// Google Places backed geocoder. The Maps script is loaded asynchronously from
+// index.html, so `window.google` is looked up on every call rather than once.
+export function createGoogleGeocoder({ getGoogle = () => window.google } = {}) {
+  let sessionToken = null;
+
+  const maps = () => {
+    const google = getGoogle();
+    if (!google?.maps?.places) {
+      throw new Error('Address lookup is unavailable right now. Please try again in a moment.');
+    }
+    return google.maps;
+  };
+
+  const geocode = (request) =>
+    new Promise((resolve, reject) => {
+      new (maps().Geocoder)().geocode(request, (results, status) => {
+        if (status === 'OK') resolve(results);
+        else if (status === 'ZERO_RESULTS') resolve([]);
+        else reject(new Error(`Address lookup failed (${status})`));
+      });
+    });
+
+  return {
+    async suggest(query) {
+      if (!query || query.trim().length < MIN_QUERY_LENGTH) return [];
+      const { places } = maps();
+      if (!sessionToken) sessionToken = new places.AutocompleteSessionToken();
+
+      const predictions = await new Promise((resolve) => {
+        new places.AutocompleteService().getPlacePredictions(
+          {
+            input: query,
+            sessionToken,
+            types: ['address'],
+            componentRestrictions: { country: COUNTRY }
+          },
+          (results) => resolve(results || [])
+        );
+      });
+
+      return predictions.map((p) => ({ id: p.place_id, description: p.description }));
+    },
+
+    async resolve(input) {
+      const request = typeof input === 'string'
+        ? { address: input, componentRestrictions: { country: COUNTRY } }
+        : { placeId: input.id };
+
+      // A new autocomplete session starts after every resolution
+      sessionToken = null;
+
+      const [result] = await geocode(request);
+      if (!result || result.partial_match) throw unresolvable(input);
+
+      const location = result.geometry.location;
+      const address = {
+        formatted: result.formatted_address,
+        ...parseAddressComponents(result.address_components),
+        lat: location.lat(),
+        lon: location.lng()
+      };
+
+      if (!isResolvedAddress(address)) throw unresolvable(input);
+      return address;
+    }
+  };
+}
+
+// In-memory geocoder for tests and local development. `addresses` are fully
+// resolved address objects; anything not in the list fails to resolve.
+export function createStubGeocoder(addresses = []) {
+  const entries = addresses.map((address, i) => ({
+    id: address.id || `stub-${i}`,
+    address: { ...emptyAddressParts, formatted: formatAddress(address), ...address }
+  }));
+
+  const matches = (entry, query) =>
+    entry.address.formatted.toLowerCase().includes(query.trim().toLowerCase());
+
+  return {
+    async suggest(query) {
+      if (!query || query.trim().length < MIN_QUERY_LENGTH) return [];
+      return entries
+        .filter((entry) => matches(entry, query))
+        .map((entry) => ({ id: entry.id, description: entry.address.formatted }));
+    },
+
+    async resolve(input) {
+      const entry = typeof input === 'string'
+        ? entries.find((e) => e.address.formatted.toLowerCase() === input.trim().toLowerCase())
+        : entries.find((e) => e.id === input.id);
+
+      if (!entry || !isResolvedAddress(entry.address)) throw unresolvable(input);
+      const { id, ...address } = entry.address;
+      return address;
+    }
+  };
+}
+
+// The device's current position as { lat, lon }, from the browser's
+// geolocation API. Rejects with a readable message if it can't be had.
+export function getCurrentPosition({ geolocation = typeof navigator !== 'undefined' ? navigator.geolocation : null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!geolocation) {
+      reject(new Error("This device can't share its location"));
+      return;
+    }
+    geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ lat: coords.latitude, lon: coords.longitude }),
+      (error) =>
+        reject(new Error(error.code === 1 ? 'Allow location access to send an ETA' : "Couldn't find your location")),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  });
+}
@@ -0,0 +1,177 @@
+import {
+  createGoogleGeocoder,
+  createStubGeocoder,
+  formatAddress,
+  getCurrentPosition,
+  isResolvedAddress,
+  parseAddressComponents
+} from './geocoding';
+
+const georgeSt = {
+  unit: '',
+  streetNumber: '1',
+  street: 'George St',
+  suburb: 'Sydney',
+  postcode: '2000',
+  state: 'NSW',
+  lat: -33.8617,
+  lon: 151.2099
+};
+
+const bondiUnit = {
+  id: 'bondi',
+  unit: '4',
+  streetNumber: '12',
+  street: 'Campbell Pde',
+  suburb: 'Bondi Beach',
+  postcode: '2026',
+  state: 'NSW',
+  lat: -33.8915,
+  lon: 151.2767
+};
+
+describe('parseAddressComponents', () => {
+  it('maps Google address components onto address parts', () => {
+    const components = [
+      { types: ['subpremise'], long_name: '4', short_name: '4' },
+      { types: ['street_number'], long_name: '12', short_name: '12' },
+      { types: ['route'], long_name: 'Campbell Parade', short_name: 'Campbell Pde' },
+      { types: ['locality', 'political'], long_name: 'Bondi Beach', short_name: 'Bondi Beach' },
+      { types: ['administrative_area_level_1'], long_name: 'New South Wales', short_name: 'NSW' },
+      { types: ['postal_code'], long_name: '2026', short_name: '2026' }
+    ];
+
+    expect(parseAddressComponents(components)).toEqual({
+      unit: '4',
+      streetNumber: '12',
+      street: 'Campbell Parade',
+      suburb: 'Bondi Beach',
+      postcode: '2026',
+      state: 'NSW'
+    });
+  });
+
+  it('falls back to the sublocality for the suburb and leaves missing parts empty', () => {
+    const parts = parseAddressComponents([{ types: ['sublocality'], long_name: 'Surry Hills', short_name: 'Surry Hills' }]);
+    expect(parts.suburb).toBe('Surry Hills');
+    expect(parts.street).toBe('');
+  });
+});
+
+describe('isResolvedAddress', () => {
+  it('needs a street, suburb, postcode and coordinates', () => {
+    expect(isResolvedAddress(georgeSt)).toBe(true);
+    expect(isResolvedAddress({ ...georgeSt, street: '' })).toBe(false);
+    expect(isResolvedAddress({ ...georgeSt, lat: NaN })).toBe(false);
+    expect(isResolvedAddress(null)).toBe(false);
+  });
+});
+
+describe('formatAddress', () => {
+  it('writes units as unit/number', () => {
+    expect(formatAddress(bondiUnit)).toBe('4/12 Campbell Pde, Bondi Beach NSW 2026');
+    expect(formatAddress(georgeSt)).toBe('1 George St, Sydney NSW 2000');
+  });
+});
+
+describe('createStubGeocoder', () => {
+  const geocoder = createStubGeocoder([georgeSt, bondiUnit]);
+
+  it('suggests addresses containing the query', async () => {
+    expect(await geocoder.suggest('bondi')).toEqual([
+      { id: 'bondi', description: '4/12 Campbell Pde, Bondi Beach NSW 2026' }
+    ]);
+    expect(await geocoder.suggest('NSW')).toHaveLength(2);
+  });
+
+  it('waits for a few characters before suggesting anything', async () => {
+    expect(await geocoder.suggest('bo')).toEqual([]);
+  });
+
+  it('resolves a suggestion to the full address', async () => {
+    const [suggestion] = await geocoder.suggest('George');
+    expect(await geocoder.resolve(suggestion)).toEqual({ ...georgeSt, formatted: '1 George St, Sydney NSW 2000' });
+  });
+
+  it('resolves free text that matches an address exactly', async () => {
+    const address = await geocoder.resolve('4/12 campbell pde, bondi beach nsw 2026 ');
+    expect(address.suburb).toBe('Bondi Beach');
+    expect(address).not.toHaveProperty('id');
+  });
+
+  it('rejects anything it does not know', async () => {
+    await expect(geocoder.resolve('1 Nowhere Rd')).rejects.toThrow('We couldn\'t find "1 Nowhere Rd"');
+  });
+
+  it('rejects a listed address that is not a full street address', async () => {
+    const partial = createStubGeocoder([{ ...georgeSt, postcode: '' }]);
+    const [suggestion] = await partial.suggest('George');
+    await expect(partial.resolve(suggestion)).rejects.toThrow("We couldn't find");
+  });
+});
+
+describe('createGoogleGeocoder', () => {
+  // Just enough of the Maps JavaScript API for resolve()
+  const fakeGoogle = (results, status = 'OK') => ({
+    maps: {
+      places: {},
+      Geocoder: class {
+        geocode(request, callback) {
+          callback(results, status);
+        }
+      }
+    }
+  });
+
+  const result = {
+    formatted_address: '1 George St, Sydney NSW 2000, Australia',
+    address_components: [
+      { types: ['street_number'], long_name: '1', short_name: '1' },
+      { types: ['route'], long_name: 'George Street', short_name: 'George St' },
+      { types: ['locality'], long_name: 'Sydney', short_name: 'Sydney' },
+      { types: ['administrative_area_level_1'], long_name: 'New South Wales', short_name: 'NSW' },
+      { types: ['postal_code'], long_name: '2000', short_name: '2000' }
+    ],
+    geometry: { location: { lat: () => georgeSt.lat, lng: () => georgeSt.lon } }
+  };
+
+  it('resolves a geocoding result', async () => {
+    const geocoder = createGoogleGeocoder({ getGoogle: () => fakeGoogle([result]) });
+    expect(await geocoder.resolve('1 George St Sydney')).toMatchObject({
+      street: 'George Street',
+      suburb: 'Sydney',
+      lat: georgeSt.lat,
+      lon: georgeSt.lon
+    });
+  });
+
+  it('rejects partial matches and empty results', async () => {
+    await expect(
+      createGoogleGeocoder({ getGoogle: () => fakeGoogle([{ ...result, partial_match: true }]) }).resolve('1 George')
+    ).rejects.toThrow("We couldn't find");
+    await expect(
+      createGoogleGeocoder({ getGoogle: () => fakeGoogle(null, 'ZERO_RESULTS') }).resolve('1 George')
+    ).rejects.toThrow("We couldn't find");
+  });
+
+  it('says so when the Maps script has not loaded', async () => {
+    const geocoder = createGoogleGeocoder({ getGoogle: () => undefined });
+    await expect(geocoder.resolve('1 George St')).rejects.toThrow('Address lookup is unavailable');
+  });
+});
+
+describe('getCurrentPosition', () => {
+  it('resolves with the coordinates', async () => {
+    const geolocation = { getCurrentPosition: (ok) => ok({ coords: { latitude: -33.9, longitude: 151.2 } }) };
+    expect(await getCurrentPosition({ geolocation })).toEqual({ lat: -33.9, lon: 151.2 });
+  });
+
+  it('explains a refused permission', async () => {
+    const geolocation = { getCurrentPosition: (ok, fail) => fail({ code: 1 }) };
+    await expect(getCurrentPosition({ geolocation })).rejects.toThrow('Allow location access');
+  });
+
+  it('rejects without geolocation', async () => {
+    await expect(getCurrentPosition({ geolocation: null })).rejects.toThrow("can't share its location");
+  });
+});
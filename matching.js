@@ -0,0 +1,124 @@
+// Therapist matching
+//
+// Works out which therapists can take a booking: they have to be qualified
+// for the service, the customer's address has to be inside the therapist's
+// service radius, the requested time has to fall inside their availability
+// and must not overlap a confirmed booking. Therapists' home coordinates
+// never reach the browser; therapist_distances (supabase-schema.sql) checks
+// the radius and says how far away each one is.
+import { addDays, estimateTravelMinutes, isTherapistFree, weekdayOf } from './scheduling';
+
+const hasLocation = (point) => point.lat != null && point.lon != null;
+
+// Whether the therapist offers the service and holds a qualification for it
+// that is still current on `date`
+export const isQualifiedFor = (therapist, serviceId, date) =>
+  therapist.serviceIds.includes(serviceId) &&
+  therapist.qualifications.some(
+    (qualification) =>
+      qualification.service_ids.includes(serviceId) && (!qualification.expires_on || qualification.expires_on >= date)
+  );
+
+// `therapists` are { id, distanceKm, serviceIds, qualifications, availability,
+// commitments, ... }, as fetchTherapistSchedules() loads them for the
+// request's address; distanceKm is null for a therapist who doesn't cover
+// it. When the request has a serviceId only therapists qualified for it are
+// considered. Returns the eligible ones, nearest first, with travelMinutes.
+export function matchTherapists(therapists, request) {
+  if (!hasLocation(request)) return [];
+
+  return therapists
+    .filter((therapist) => therapist.distanceKm != null)
+    .filter((therapist) => request.serviceId == null || isQualifiedFor(therapist, request.serviceId, request.date))
+    .map((therapist) => ({ ...therapist, travelMinutes: estimateTravelMinutes(therapist.distanceKm) }))
+    .filter((therapist) => isTherapistFree(therapist, request))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+// The weekdays falling from `from` to `to`, at most all seven
+const weekdaysBetween = (from, to) => {
+  const weekdays = new Set();
+  for (let date = from; date <= to && weekdays.size < 7; date = addDays(date, 1)) weekdays.add(weekdayOf(date));
+  return [...weekdays];
+};
+
+// Loads approved, active therapists' profiles and qualifications, their
+// availability for the weekdays from `from` to `to`, exceptions to it
+// overlapping those dates and when they're busy on each, grouped per
+// therapist, in one round of queries. Distances and busy times, which
+// include the travel to and from the booking, are for a booking at
+// `lat`/`lon`; without one no therapist has a distance. `excludeBookingId`
+// leaves out a booking that is being moved. Commitments carry their date;
+// schedulesOn() narrows them to one day.
+export async function fetchTherapistSchedulesBetween(
+  supabase,
+  from,
+  to,
+  { lat = null, lon = null, excludeBookingId = null } = {}
+) {
+  const located = lat != null && lon != null;
+  const [profiles, distances, qualifications, availability, exceptions, commitments] = await Promise.all([
+    supabase
+      .from('therapist_profiles')
+      .select('user_id, bio, home_suburb, service_radius_km, service_ids, photo_url, therapist:therapist_names!user_id!inner(id, name)')
+      .eq('status', 'approved')
+      .eq('therapist.active', true),
+    located ? supabase.rpc('therapist_distances', { p_lat: lat, p_lon: lon }) : { data: [], error: null },
+    supabase
+      .from('therapist_qualifications')
+      .select('therapist_id, name, expires_on, service_ids'),
+    supabase
+      .from('therapist_availability')
+      .select('therapist_id, weekday, start_time, end_time')
+      .in('weekday', weekdaysBetween(from, to)),
+    supabase
+      .from('therapist_availability_exceptions')
+      .select('therapist_id, kind, start_date, end_date, start_time, end_time')
+      .lte('start_date', to)
+      .gte('end_date', from),
+    supabase.rpc('therapist_commitments_between', {
+      p_from: from,
+      p_to: to,
+      p_lat: lat,
+      p_lon: lon,
+      p_exclude_booking_id: excludeBookingId
+    })
+  ]);
+
+  const error =
+    profiles.error || distances.error || qualifications.error || availability.error || exceptions.error || commitments.error;
+  if (error) throw error;
+
+  const distanceKm = new Map((distances.data || []).map((row) => [row.therapist_id, Number(row.distance_km)]));
+
+  return (profiles.data || []).map((profile) => ({
+    ...profile.therapist,
+    distanceKm: distanceKm.get(profile.user_id) ?? null,
+    serviceRadiusKm: Number(profile.service_radius_km),
+    bio: profile.bio || '',
+    homeSuburb: profile.home_suburb,
+    photoUrl: profile.photo_url,
+    serviceIds: profile.service_ids || [],
+    qualifications: (qualifications.data || []).filter((row) => row.therapist_id === profile.user_id),
+    availability: (availability.data || []).filter((row) => row.therapist_id === profile.user_id),
+    exceptions: (exceptions.data || []).filter((row) => row.therapist_id === profile.user_id),
+    commitments: (commitments.data || []).filter((row) => row.therapist_id === profile.user_id)
+  }));
+}
+
+// One day's schedules: everything fetchTherapistSchedulesBetween() loads for
+// a booking on `date`
+export const fetchTherapistSchedules = (supabase, date, options) =>
+  fetchTherapistSchedulesBetween(supabase, date, date, options);
+
+// Schedules loaded for several days, as they stand on `date`
+export const schedulesOn = (therapists, date) =>
+  therapists.map((therapist) => ({
+    ...therapist,
+    commitments: therapist.commitments.filter((commitment) => commitment.date === date)
+  }));
+
+export async function findAvailableTherapists(supabase, { lat, lon, date, time, duration, serviceId }) {
+  const therapists = await fetchTherapistSchedules(supabase, date, { lat, lon });
+  return matchTherapists(therapists, { lat, lon, date, time, duration, serviceId });
+}
@@ -0,0 +1,256 @@
+import {
+  fetchTherapistSchedules,
+  fetchTherapistSchedulesBetween,
+  findAvailableTherapists,
+  isQualifiedFor,
+  matchTherapists,
+  schedulesOn
+} from './matching';
+
+// Tuesday 20 October 2026
+const date = '2026-10-20';
+const bondi = { lat: -33.8915, lon: 151.2767 };
+
+const massageCert = { name: 'Cert IV Massage', expires_on: null, service_ids: [1, 2] };
+
+const therapist = (id, overrides = {}) => ({
+  id,
+  name: id,
+  distanceKm: 1,
+  serviceRadiusKm: 10,
+  serviceIds: [1, 2],
+  qualifications: [massageCert],
+  availability: [{ weekday: 2, start_time: '09:00:00', end_time: '17:00:00' }],
+  exceptions: [],
+  commitments: [],
+  ...overrides
+});
+
+const request = { ...bondi, date, time: '10:00', duration: 60, serviceId: 1 };
+
+const ids = (therapists) => therapists.map((t) => t.id);
+
+describe('isQualifiedFor', () => {
+  it('needs the service offered and a current qualification covering it', () => {
+    expect(isQualifiedFor(therapist('a'), 1, date)).toBe(true);
+    expect(isQualifiedFor(therapist('a', { serviceIds: [2] }), 1, date)).toBe(false);
+    expect(isQualifiedFor(therapist('a', { qualifications: [{ ...massageCert, service_ids: [2] }] }), 1, date)).toBe(false);
+  });
+
+  it('ignores qualifications that have expired by the booking date', () => {
+    const expiring = therapist('a', { qualifications: [{ ...massageCert, expires_on: '2026-10-19' }] });
+    expect(isQualifiedFor(expiring, 1, '2026-10-19')).toBe(true);
+    expect(isQualifiedFor(expiring, 1, date)).toBe(false);
+  });
+});
+
+describe('matchTherapists', () => {
+  it('returns eligible therapists nearest first, with distance and travel time', () => {
+    const matches = matchTherapists([therapist('far', { distanceKm: 6 }), therapist('near', { distanceKm: 2 })], request);
+    expect(ids(matches)).toEqual(['near', 'far']);
+    expect(matches[0].distanceKm).toBe(2);
+    expect(matches[0].travelMinutes).toBe(4);
+  });
+
+  it('needs a location for the booking, and a therapist who covers it', () => {
+    expect(matchTherapists([therapist('a')], { ...request, lat: null })).toEqual([]);
+    expect(matchTherapists([therapist('a', { distanceKm: null })], request)).toEqual([]);
+  });
+
+  it('only checks qualifications when a service is asked for', () => {
+    const unqualified = therapist('a', { qualifications: [] });
+    expect(matchTherapists([unqualified], request)).toEqual([]);
+    expect(ids(matchTherapists([unqualified], { ...request, serviceId: null }))).toEqual(['a']);
+  });
+
+  it('needs the whole session inside their hours', () => {
+    expect(matchTherapists([therapist('a')], { ...request, time: '16:30' })).toEqual([]);
+    expect(matchTherapists([therapist('a')], { ...request, time: '08:30' })).toEqual([]);
+  });
+
+  it('respects holidays and blocked time', () => {
+    const holiday = { kind: 'holiday', start_date: '2026-10-19', end_date: '2026-10-23', start_time: null, end_time: null };
+    const blocked = { kind: 'blocked', start_date: date, end_date: date, start_time: '10:30:00', end_time: '11:00:00' };
+    expect(matchTherapists([therapist('a', { exceptions: [holiday] })], request)).toEqual([]);
+    expect(matchTherapists([therapist('a', { exceptions: [blocked] })], request)).toEqual([]);
+    expect(ids(matchTherapists([therapist('a', { exceptions: [blocked] })], { ...request, time: '11:00' }))).toEqual(['a']);
+  });
+
+  it('leaves out therapists busy at the time, travel included', () => {
+    // 11:00-12:00 with 20 minutes either side to get there and away
+    const busy = [{ start_minute: 640, end_minute: 740 }];
+    expect(matchTherapists([therapist('a', { commitments: busy })], request)).toEqual([]);
+    expect(ids(matchTherapists([therapist('a', { commitments: busy })], { ...request, time: '09:00' }))).toEqual(['a']);
+    expect(ids(matchTherapists([therapist('a', { commitments: busy })], { ...request, time: '12:20' }))).toEqual(['a']);
+  });
+});
+
+// Answers each table query with `tables[name]` and each RPC with `rpcs[name]`,
+// and records what was asked
+function fakeSupabase(tables, rpcs = {}) {
+  const calls = { rpc: [], select: {}, eq: {}, in: {}, range: {} };
+  const query = (table, rows) => {
+    const builder = {
+      select: (columns) => {
+        calls.select[table] = columns;
+        return builder;
+      },
+      eq: (column, value) => {
+        calls.eq[table] = { ...calls.eq[table], [column]: value };
+        return builder;
+      },
+      in: (column, values) => {
+        calls.in[table] = { ...calls.in[table], [column]: values };
+        return builder;
+      },
+      lte: (column, value) => {
+        calls.range[table] = { ...calls.range[table], [`${column} <=`]: value };
+        return builder;
+      },
+      gte: (column, value) => {
+        calls.range[table] = { ...calls.range[table], [`${column} >=`]: value };
+        return builder;
+      },
+      then: (resolve) => resolve({ data: rows, error: null })
+    };
+    return builder;
+  };
+  return {
+    calls,
+    from: (table) => query(table, tables[table] || []),
+    rpc: (name, params) => {
+      calls.rpc.push({ name, params });
+      return Promise.resolve({ data: rpcs[name] || [], error: null });
+    }
+  };
+}
+
+const profileRow = (id, overrides = {}) => ({
+  user_id: id,
+  bio: null,
+  home_suburb: 'Bondi',
+  service_radius_km: '10.0',
+  service_ids: [1],
+  photo_url: null,
+  therapist: { id, name: `Therapist ${id}` },
+  ...overrides
+});
+
+describe('fetchTherapistSchedules', () => {
+  it('groups availability, exceptions, qualifications and busy times per therapist', async () => {
+    const supabase = fakeSupabase(
+      {
+        therapist_profiles: [profileRow('a'), profileRow('b')],
+        therapist_qualifications: [{ therapist_id: 'b', ...massageCert }],
+        therapist_availability: [
+          { therapist_id: 'a', weekday: 2, start_time: '09:00:00', end_time: '12:00:00' },
+          { therapist_id: 'b', weekday: 2, start_time: '13:00:00', end_time: '17:00:00' }
+        ],
+        therapist_availability_exceptions: []
+      },
+      {
+        therapist_distances: [{ therapist_id: 'a', distance_km: 3 }],
+        therapist_commitments_between: [{ therapist_id: 'a', date, start_minute: 600, end_minute: 700 }]
+      }
+    );
+
+    const [a, b] = await fetchTherapistSchedules(supabase, date, { ...bondi, excludeBookingId: 'booking-1' });
+
+    expect(a).toMatchObject({ id: 'a', name: 'Therapist a', distanceKm: 3, serviceRadiusKm: 10, bio: '', homeSuburb: 'Bondi' });
+    expect(b.distanceKm).toBeNull();
+    expect(a.availability).toHaveLength(1);
+    expect(a.commitments).toEqual([{ therapist_id: 'a', date, start_minute: 600, end_minute: 700 }]);
+    expect(a.qualifications).toEqual([]);
+    expect(b.commitments).toEqual([]);
+    expect(b.qualifications).toHaveLength(1);
+
+    expect(supabase.calls.rpc).toEqual([
+      { name: 'therapist_distances', params: { p_lat: bondi.lat, p_lon: bondi.lon } },
+      {
+        name: 'therapist_commitments_between',
+        params: { p_from: date, p_to: date, p_lat: bondi.lat, p_lon: bondi.lon, p_exclude_booking_id: 'booking-1' }
+      }
+    ]);
+  });
+
+  it('never asks for home coordinates, and asks for no distances without an address', async () => {
+    const supabase = fakeSupabase({ therapist_profiles: [profileRow('a')] });
+    const [a] = await fetchTherapistSchedules(supabase, date);
+
+    expect(supabase.calls.select.therapist_profiles).not.toMatch(/\blat\b|\blon\b/);
+    expect(supabase.calls.rpc.map((call) => call.name)).toEqual(['therapist_commitments_between']);
+    expect(a.distanceKm).toBeNull();
+  });
+
+  it('only loads approved therapists who are still active', async () => {
+    const supabase = fakeSupabase({});
+    await fetchTherapistSchedules(supabase, date);
+
+    expect(supabase.calls.select.therapist_profiles).toContain('therapist:therapist_names!user_id!inner(id, name)');
+    expect(supabase.calls.eq.therapist_profiles).toEqual({ status: 'approved', 'therapist.active': true });
+  });
+
+  it('throws the first error', async () => {
+    const supabase = fakeSupabase({});
+    supabase.rpc = () => Promise.resolve({ data: null, error: new Error('permission denied') });
+    await expect(fetchTherapistSchedules(supabase, date)).rejects.toThrow('permission denied');
+  });
+});
+
+describe('fetchTherapistSchedulesBetween', () => {
+  it('loads every day of the range in one round of queries', async () => {
+    const supabase = fakeSupabase({});
+    await fetchTherapistSchedulesBetween(supabase, '2026-10-19', '2026-10-21', bondi);
+
+    expect(supabase.calls.in.therapist_availability).toEqual({ weekday: [1, 2, 3] });
+    expect(supabase.calls.range.therapist_availability_exceptions).toEqual({
+      'start_date <=': '2026-10-21',
+      'end_date >=': '2026-10-19'
+    });
+    expect(supabase.calls.rpc[1]).toEqual({
+      name: 'therapist_commitments_between',
+      params: { p_from: '2026-10-19', p_to: '2026-10-21', p_lat: bondi.lat, p_lon: bondi.lon, p_exclude_booking_id: null }
+    });
+  });
+
+  it('asks for each weekday once over a long range', async () => {
+    const supabase = fakeSupabase({});
+    await fetchTherapistSchedulesBetween(supabase, '2026-10-19', '2026-11-30');
+    expect(supabase.calls.in.therapist_availability.weekday.sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+});
+
+describe('schedulesOn', () => {
+  it("keeps only the day's busy times", () => {
+    const busy = therapist('a', {
+      commitments: [
+        { therapist_id: 'a', date, start_minute: 540, end_minute: 600 },
+        { therapist_id: 'a', date: '2026-10-21', start_minute: 600, end_minute: 660 }
+      ]
+    });
+    expect(schedulesOn([busy], date)[0].commitments).toEqual([busy.commitments[0]]);
+  });
+});
+
+describe('findAvailableTherapists', () => {
+  it('matches against busy times loaded for the booking address', async () => {
+    const supabase = fakeSupabase(
+      {
+        therapist_profiles: [profileRow('a')],
+        therapist_qualifications: [{ therapist_id: 'a', ...massageCert }],
+        therapist_availability: [{ therapist_id: 'a', weekday: 2, start_time: '09:00:00', end_time: '17:00:00' }]
+      },
+      {
+        therapist_distances: [{ therapist_id: 'a', distance_km: 1 }],
+        therapist_commitments_between: [{ therapist_id: 'a', date, start_minute: 540, end_minute: 600 }]
+      }
+    );
+
+    expect(ids(await findAvailableTherapists(supabase, request))).toEqual(['a']);
+    expect(ids(await findAvailableTherapists(supabase, { ...request, time: '09:30' }))).toEqual([]);
+    expect(supabase.calls.rpc.find((call) => call.name === 'therapist_commitments_between').params).toMatchObject({
+      p_lat: bondi.lat,
+      p_lon: bondi.lon
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// Admin changes to bookings: handing a booking to another therapist,
+// overriding its status, refunding the customer and keeping internal notes.
+// Each is written to admin_audit_log. Status overrides don't move money;
+// refunds are their own action.
+import { ADMIN_SETTABLE_STATUSES, MAX_NOTE_LENGTH, STATUSES_NEEDING_THERAPIST } from '../../adminBookings';
+import { logAdminAction } from '../lib/adminAudit';
+import { HttpError, actionHandler } from '../lib/http';
+import { createPaymentService } from '../lib/payments';
+import { createStripe } from '../lib/stripe';
+import { requireAdmin, supabaseAdmin } from '../lib/supabase';
+import { therapistIsFree } from '../lib/therapistSchedule';
+
+const supabase = supabaseAdmin;
+const payments = createPaymentService({ stripe: createStripe(), supabase });
+
+const bookingTarget = (booking) => ({ type: 'booking', id: booking.id });
+
+export const handler = actionHandler({
+  // Unless `override` is set, the new therapist has to be free at the time
+  async reassign({ bookingId, therapistId, override = false }, event) {
+    const admin = await requireAdmin(event);
+    const booking = await payments.getBooking(bookingId);
+    if (booking.status !== 'confirmed') throw new HttpError(409, 'Only confirmed bookings can be reassigned');
+    if (!therapistId || therapistId === booking.therapist_id) throw new HttpError(400, 'Choose a different therapist');
+
+    const { data: therapist, error: therapistError } = await supabase
+      .from('users')
+      .select('id, name, role, profile:therapist_profiles(status)')
+      .eq('id', therapistId)
+      .maybeSingle();
+    if (therapistError) throw therapistError;
+    if (therapist?.role !== 'therapist' || therapist.profile?.status !== 'approved') {
+      throw new HttpError(409, 'Bookings can only go to approved therapists');
+    }
+
+    if (!override && !(await therapistIsFree(supabase, therapistId, booking))) {
+      throw new HttpError(409, `${therapist.name} isn't free at that time`);
+    }
+
+    const { error } = await supabase
+      .from('bookings')
+      .update({ therapist_id: therapistId, therapist_eta: null })
+      .eq('id', bookingId)
+      .eq('status', 'confirmed');
+    if (error) throw error;
+
+    await logAdminAction(supabase, admin.id, 'booking.reassign', bookingTarget(booking), {
+      from_therapist_id: booking.therapist_id,
+      to_therapist_id: therapistId,
+      to_therapist_name: therapist.name,
+      override
+    });
+
+    return { therapistId };
+  },
+
+  async 'set-status'({ bookingId, status, reason = '' }, event) {
+    const admin = await requireAdmin(event);
+    const booking = await payments.getBooking(bookingId);
+    if (!ADMIN_SETTABLE_STATUSES.some((s) => s.value === status)) throw new HttpError(400, 'Choose a status');
+    if (status === booking.status) throw new HttpError(409, `The booking is already ${status}`);
+    if (!reason.trim()) throw new HttpError(400, 'Say why the status is being changed');
+    if (STATUSES_NEEDING_THERAPIST.includes(status) && !booking.therapist_id) {
+      throw new HttpError(409, 'Assign a therapist first');
+    }
+
+    // Goes round the usual lifecycle checks (supabase-schema.sql), and fills
+    // in check-in and completion times the session never recorded
+    const { data: changed, error } = await supabase.rpc('override_booking_status', {
+      p_booking_id: bookingId,
+      p_from: booking.status,
+      p_to: status
+    });
+    if (error) throw error;
+    if (!changed) throw new HttpError(409, 'The booking has just changed; reload it and try again');
+
+    // A request that has been settled by hand stops being offered around
+    if (booking.status === 'requested') {
+      await supabase
+        .from('booking_offers')
+        .update({ status: 'withdrawn', responded_at: new Date().toISOString() })
+        .eq('booking_id', bookingId)
+        .in('status', ['offered', 'queued']);
+    }
+
+    await logAdminAction(supabase, admin.id, 'booking.status', bookingTarget(booking), {
+      from: booking.status,
+      to: status,
+      reason: reason.trim()
+    });
+
+    return { status };
+  },
+
+  async refund({ bookingId, amount, reason = '' }, event) {
+    const admin = await requireAdmin(event);
+    const booking = await payments.getBooking(bookingId);
+    const wanted = Math.round(Number(amount) * 100) / 100;
+    if (!(wanted > 0)) throw new HttpError(400, 'Enter an amount to refund');
+    if (!reason.trim()) throw new HttpError(400, 'Say why the refund is being given');
+
+    // Refunding a hold would release all of it; cancelling the booking does that
+    const payment = await payments.getBookingPayment(bookingId);
+    if (payment && ['pending', 'authorised'].includes(payment.status)) {
+      throw new HttpError(409, "The card hasn't been charged yet; cancel the booking to release the hold");
+    }
+
+    const refunded = await payments.refund(bookingId, wanted);
+    if (refunded <= 0) throw new HttpError(409, 'There is nothing left to refund on this booking');
+
+    await logAdminAction(supabase, admin.id, 'booking.refund', bookingTarget(booking), {
+      requested_amount: wanted,
+      refund_amount: refunded,
+      reason: reason.trim()
+    });
+
+    return { refundAmount: refunded };
+  },
+
+  async 'add-note'({ bookingId, body = '' }, event) {
+    const admin = await requireAdmin(event);
+    const booking = await payments.getBooking(bookingId);
+    const text = body.trim();
+    if (!text) throw new HttpError(400, 'Write a note first');
+    if (text.length > MAX_NOTE_LENGTH) throw new HttpError(400, `Notes can be up to ${MAX_NOTE_LENGTH} characters`);
+
+    const { data: note, error } = await supabase
+      .from('booking_notes')
+      .insert({ booking_id: bookingId, author_id: admin.id, body: text })
+      .select()
+      .single();
+    if (error) throw error;
+
+    await logAdminAction(supabase, admin.id, 'booking.note', bookingTarget(booking), { note_id: note.id });
+
+    return { note };
+  }
+});
@@ -0,0 +1,196 @@
+// Admin changes to user accounts: roles, suspension, contact details and
+// password reset emails. Each is written to admin_audit_log. Admins can't
+// change their own role or suspend themselves, so there is always someone
+// left to undo a mistake. A therapist who is suspended or given another role
+// also has their profile suspended; reactivating the account doesn't
+// reinstate it, that's a separate review in onboarding.
+import { USER_ROLES, validateContactDetails } from '../../adminUsers';
+import { businessDate } from '../../scheduling';
+import { logAdminAction } from '../lib/adminAudit';
+import { HttpError, actionHandler } from '../lib/http';
+import { requireAdmin, supabaseAdmin } from '../lib/supabase';
+
+const supabase = supabaseAdmin;
+
+// Long enough to mean "until reactivated"
+const SUSPENDED_BAN_DURATION = '876000h';
+
+const userTarget = (user) => ({ type: 'user', id: user.id });
+
+async function getUser(userId) {
+  const { data: user, error } = await supabase.from('users').select('*').eq('id', userId).maybeSingle();
+  if (error) throw error;
+  if (!user) throw new HttpError(404, 'User not found');
+  return user;
+}
+
+function requireSomeoneElse(admin, user) {
+  if (admin.id === user.id) throw new HttpError(409, "You can't do this to your own account");
+}
+
+// A therapist with sessions still to come can't stop being one until
+// they're handed to someone else
+async function requireNoUpcomingSessions(user) {
+  if (user.role !== 'therapist') return;
+  const { count, error } = await supabase
+    .from('bookings')
+    .select('id', { count: 'exact', head: true })
+    .eq('therapist_id', user.id)
+    .in('status', ['confirmed', 'in_progress'])
+    .gte('date', businessDate());
+  if (error) throw error;
+  if (count) throw new HttpError(409, `${user.name} has ${count} upcoming bookings; reassign them first`);
+}
+
+// Stops matching offering a therapist new work: suspends their profile and
+// passes the offers they haven't answered to the next therapist
+async function standDownTherapist(admin, user, reason) {
+  if (user.role !== 'therapist') return;
+  const { error } = await supabase.rpc('stand_down_therapist', {
+    p_therapist_id: user.id,
+    p_admin_id: admin.id,
+    p_note: reason
+  });
+  if (error) throw error;
+}
+
+export const handler = actionHandler({
+  async 'set-role'({ userId, role, reason = '' }, event) {
+    const admin = await requireAdmin(event);
+    const user = await getUser(userId);
+    requireSomeoneElse(admin, user);
+    if (!USER_ROLES.some((r) => r.value === role)) throw new HttpError(400, 'Choose a role');
+    if (role === user.role) throw new HttpError(409, 'That is already their role');
+    if (!reason.trim()) throw new HttpError(400, 'Say why the role is being changed');
+    await requireNoUpcomingSessions(user);
+
+    const { data: updated, error } = await supabase
+      .from('users')
+      .update({ role })
+      .eq('id', userId)
+      .eq('role', user.role)
+      .select('id');
+    if (error) throw error;
+    if (!updated.length) throw new HttpError(409, 'Their role has just been changed; refresh to see it');
+    await standDownTherapist(admin, user, reason.trim());
+
+    // New therapists start onboarding like anyone who signed up as one
+    if (role === 'therapist') {
+      const { error: profileError } = await supabase
+        .from('therapist_profiles')
+        .upsert({ user_id: userId, bio: '' }, { onConflict: 'user_id', ignoreDuplicates: true });
+      if (profileError) throw profileError;
+    }
+
+    await logAdminAction(supabase, admin.id, 'user.role', userTarget(user), {
+      from: user.role,
+      to: role,
+      reason: reason.trim()
+    });
+
+    return { role };
+  },
+
+  // Blocks sign-in as well as flagging the account. A session that is
+  // already open can't be ended from here, but the database stops taking
+  // its writes as soon as suspended_at is set (see current_user_role()).
+  async suspend({ userId, reason = '' }, event) {
+    const admin = await requireAdmin(event);
+    const user = await getUser(userId);
+    requireSomeoneElse(admin, user);
+    if (user.suspended_at) throw new HttpError(409, `${user.name} is already suspended`);
+    if (!reason.trim()) throw new HttpError(400, 'Say why the account is being suspended');
+    await requireNoUpcomingSessions(user);
+
+    const { error: authError } = await supabase.auth.admin.updateUserById(userId, { ban_duration: SUSPENDED_BAN_DURATION });
+    if (authError) throw authError;
+
+    const suspendedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('users')
+      .update({ suspended_at: suspendedAt, suspension_reason: reason.trim() })
+      .eq('id', userId);
+    if (error) throw error;
+    await standDownTherapist(admin, user, reason.trim());
+
+    await logAdminAction(supabase, admin.id, 'user.suspend', userTarget(user), { reason: reason.trim() });
+
+    return { suspendedAt };
+  },
+
+  async reactivate({ userId }, event) {
+    const admin = await requireAdmin(event);
+    const user = await getUser(userId);
+    if (!user.suspended_at) throw new HttpError(409, `${user.name} isn't suspended`);
+
+    const { error: authError } = await supabase.auth.admin.updateUserById(userId, { ban_duration: 'none' });
+    if (authError) throw authError;
+
+    const { error } = await supabase
+      .from('users')
+      .update({ suspended_at: null, suspension_reason: null })
+      .eq('id', userId);
+    if (error) throw error;
+
+    await logAdminAction(supabase, admin.id, 'user.reactivate', userTarget(user), {
+      suspended_at: user.suspended_at,
+      reason: user.suspension_reason
+    });
+
+    return {};
+  },
+
+  // A new email address is changed for sign-in too, without asking the user
+  // to confirm it
+  async 'update-contact'({ userId, name, email, phone = '' }, event) {
+    const admin = await requireAdmin(event);
+    const user = await getUser(userId);
+    const invalid = validateContactDetails({ name, email, phone });
+    if (invalid) throw new HttpError(400, invalid);
+
+    const next = { name: name.trim(), email: email.trim().toLowerCase(), phone: phone.trim() || null };
+    const changes = {};
+    Object.keys(next).forEach((field) => {
+      if ((user[field] || null) !== next[field]) changes[field] = { from: user[field], to: next[field] };
+    });
+    if (!Object.keys(changes).length) throw new HttpError(409, 'Nothing has changed');
+
+    if (changes.email) {
+      const { data: taken, error: takenError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', next.email)
+        .neq('id', userId)
+        .maybeSingle();
+      if (takenError) throw takenError;
+      if (taken) throw new HttpError(409, 'Another account already uses that email');
+
+      const { error: authError } = await supabase.auth.admin.updateUserById(userId, {
+        email: next.email,
+        email_confirm: true
+      });
+      if (authError) throw authError;
+    }
+
+    const { error } = await supabase.from('users').update(next).eq('id', userId);
+    if (error) throw error;
+
+    await logAdminAction(supabase, admin.id, 'user.contact', userTarget(user), { changes });
+
+    return { user: { ...user, ...next } };
+  },
+
+  // Supabase emails the user a link that signs them in to choose a new password
+  async 'reset-password'({ userId }, event) {
+    const admin = await requireAdmin(event);
+    const user = await getUser(userId);
+    if (user.suspended_at) throw new HttpError(409, 'Reactivate the account first');
+
+    const { error } = await supabase.auth.resetPasswordForEmail(user.email, { redirectTo: process.env.URL });
+    if (error) throw error;
+
+    await logAdminAction(supabase, admin.id, 'user.password_reset', userTarget(user), { email: user.email });
+
+    return {};
+  }
+});
@@ -0,0 +1,334 @@
+// Changes to existing bookings by the customer, the therapist or an admin:
+// the therapist answering a request (accepting charges the card held for
+// it), cancelling (with a refund worked out by cancellationPolicy.js),
+// rescheduling with the same therapist at the same price, the therapist
+// letting the customer know they're on the way, and running the session:
+// check-in (which makes sure the booking is paid for), extensions charged as
+// they're added, and completion or a no-show fee.
+import {
+  arrivalTime,
+  canCheckIn,
+  canSendOnMyWay,
+  estimateArrival,
+  isInProgress,
+  validateActualDuration
+} from '../../bookingChanges';
+import {
+  NO_SHOW_AFTER_MINUTES,
+  canCancel,
+  canRecordNoShow,
+  canReschedule,
+  noShowCharge,
+  refundForCancellation
+} from '../../cancellationPolicy';
+import { priceBooking } from '../../pricing';
+import { zonedTimeToUtc } from '../../scheduling';
+import { toService } from '../../services';
+import { MIN_LEAD_TIME_MINUTES } from '../../slots';
+import { logBookingEvent } from '../lib/bookingEvents';
+import { HttpError, actionHandler } from '../lib/http';
+import { createPaymentService } from '../lib/payments';
+import { createStripe, toCents } from '../lib/stripe';
+import { requireUser, supabaseAdmin } from '../lib/supabase';
+import { therapistIsFree } from '../lib/therapistSchedule';
+
+const supabase = supabaseAdmin;
+const payments = createPaymentService({ stripe: createStripe(), supabase });
+
+// How the caller relates to the booking: 'customer', 'therapist' or 'admin'
+const partyRole = (booking, user) => {
+  if (user.role === 'admin') return 'admin';
+  if (booking.customer_id === user.id) return 'customer';
+  if (booking.therapist_id === user.id) return 'therapist';
+  throw new HttpError(403, 'Not your booking');
+};
+
+// What the booking would cost at `date` and `time`, at today's rates
+const slotPrice = (service, booking, date, time) =>
+  priceBooking(toService(service), {
+    duration: booking.duration,
+    date,
+    time: time.slice(0, 5),
+    lat: booking.lat,
+    lon: booking.lon
+  }).total;
+
+// Sessions are run by the therapist, or by an admin putting things right
+const requireSessionRole = (booking, user) => {
+  const role = partyRole(booking, user);
+  if (role === 'customer') throw new HttpError(403, 'Only the therapist can do this');
+  return role;
+};
+
+export const handler = actionHandler({
+  // Returns { status }: 'confirmed', 'declined', or 'expired' / 'taken' /
+  // 'clash' when the offer closed or was passed on. A capture that fails here
+  // is retried by settle-payments.js, as is releasing the hold of a request
+  // nobody is left to take.
+  async respond({ bookingId, accept }, event) {
+    const user = await requireUser(event);
+    if (user.role !== 'therapist') throw new HttpError(403, 'Only therapists can answer booking requests');
+
+    const { data: status, error } = await supabase.rpc('respond_to_booking', {
+      p_booking_id: bookingId,
+      p_therapist_id: user.id,
+      p_accept: Boolean(accept)
+    });
+    if (error) throw new HttpError(409, error.message);
+
+    try {
+      await payments.settle(bookingId);
+    } catch (settleError) {
+      console.error(`Could not settle the payment for booking ${bookingId}:`, settleError);
+    }
+
+    return { status };
+  },
+
+  async cancel({ bookingId, reason = '' }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = partyRole(booking, user);
+    if (!canCancel(booking)) throw new HttpError(409, `A ${booking.status} booking can't be cancelled`);
+    // A request carries the therapist it is being offered to, who declines
+    // it rather than cancelling it for the customer
+    if (role === 'therapist' && booking.status !== 'confirmed') {
+      throw new HttpError(403, 'Decline the request instead');
+    }
+
+    const refund = refundForCancellation(booking, { cancelledBy: role });
+
+    // Refunding only ever releases a hold in full, so charge the card first
+    // when part of the price is kept, while the booking is still confirmed
+    if (booking.status === 'confirmed' && refund.refundAmount < Number(booking.price)) {
+      await payments.capture(bookingId);
+    }
+
+    // Cancel first so the booking can't go ahead even if the refund needs a retry,
+    // and nothing is refunded twice when two cancellations race
+    const { data: cancelled, error } = await supabase
+      .from('bookings')
+      .update({ status: 'cancelled' })
+      .eq('id', bookingId)
+      .in('status', ['requested', 'confirmed'])
+      .select('id');
+    if (error) throw error;
+    if (!cancelled.length) throw new HttpError(409, 'This booking has already changed; refresh to see where it is');
+
+    await supabase
+      .from('booking_offers')
+      .update({ status: 'withdrawn', responded_at: new Date().toISOString() })
+      .eq('booking_id', bookingId)
+      .in('status', ['offered', 'queued']);
+
+    const refunded = await payments.refund(bookingId, refund.refundAmount);
+
+    await logBookingEvent(supabase, bookingId, user.id, 'cancelled', {
+      cancelled_by: role,
+      reason,
+      policy: refund.reason,
+      refund_percent: refund.refundPercent,
+      refund_amount: refunded
+    });
+
+    return { status: 'cancelled', refundAmount: refunded };
+  },
+
+  async reschedule({ bookingId, date, time }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = partyRole(booking, user);
+    // Admins can move a booking at short notice, but only one still to come
+    if (booking.status !== 'confirmed') throw new HttpError(409, `A ${booking.status} booking can't be rescheduled`);
+    if (role !== 'admin' && !canReschedule(booking)) {
+      throw new HttpError(409, 'This booking can no longer be rescheduled');
+    }
+    if (!date || !time) throw new HttpError(400, 'Choose a new date and time');
+
+    const earliest = Date.now() + MIN_LEAD_TIME_MINUTES * 60000;
+    if (zonedTimeToUtc(date, time).getTime() < earliest) {
+      throw new HttpError(409, 'The new time is too soon');
+    }
+
+    if (!(await therapistIsFree(supabase, booking.therapist_id, booking, date, time))) {
+      throw new HttpError(409, 'Your therapist is not available at that time');
+    }
+
+    // The card was authorised for the original time's surcharges, so only a
+    // move that costs the same goes through
+    const { data: service, error: serviceError } = await supabase
+      .from('services')
+      .select('*')
+      .eq('id', booking.service_id)
+      .single();
+    if (serviceError || !service) throw new HttpError(409, 'This service is no longer available');
+    const currentPrice = slotPrice(service, booking, booking.date, booking.time);
+    const newPrice = slotPrice(service, booking, date, time);
+    if (toCents(newPrice) !== toCents(currentPrice)) {
+      throw new HttpError(
+        409,
+        `That time costs $${newPrice.toFixed(2)} rather than $${currentPrice.toFixed(2)}. ` +
+          'Choose a time at the same price, or cancel and book again.'
+      );
+    }
+
+    const { data: moved, error } = await supabase
+      .from('bookings')
+      .update({ date, time, therapist_eta: null })
+      .eq('id', bookingId)
+      .eq('status', 'confirmed')
+      .select('id');
+    if (error) throw error;
+    if (!moved.length) throw new HttpError(409, 'This booking has already changed; refresh to see where it is');
+
+    await logBookingEvent(supabase, bookingId, user.id, 'rescheduled', {
+      rescheduled_by: role,
+      from: { date: booking.date, time: booking.time },
+      to: { date, time }
+    });
+
+    return { status: booking.status, date, time };
+  },
+
+  // Sends the customer an ETA from the therapist's current position. Can be
+  // sent again with a fresh position if the first estimate was off.
+  async 'on-my-way'({ bookingId, lat, lon }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    if (partyRole(booking, user) !== 'therapist') throw new HttpError(403, 'Only the therapist can send this');
+    if (!canSendOnMyWay(booking)) throw new HttpError(409, "It's not time to head to this booking yet");
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) {
+      throw new HttpError(400, 'Your location is needed to work out an ETA');
+    }
+    if (booking.lat == null || booking.lon == null) throw new HttpError(409, 'This booking has no map location');
+
+    const { etaMinutes, arrivesAt } = estimateArrival({ lat, lon }, booking);
+
+    const { error } = await supabase.from('bookings').update({ therapist_eta: arrivesAt }).eq('id', bookingId);
+    if (error) throw error;
+
+    // Keyed to the minute so a double tap doesn't send two messages
+    const { error: queueError } = await supabase.rpc('queue_notification', {
+      p_type: 'on_my_way',
+      p_user_id: booking.customer_id,
+      p_booking_id: bookingId,
+      p_key: `on_my_way:${bookingId}:${arrivesAt.slice(0, 16)}`,
+      p_payload: { eta_minutes: etaMinutes, arrives_at: arrivalTime(arrivesAt) }
+    });
+    if (queueError) throw queueError;
+
+    await logBookingEvent(supabase, bookingId, user.id, 'on_my_way', { eta_minutes: etaMinutes, arrives_at: arrivesAt });
+
+    return { etaMinutes, arrivesAt };
+  },
+
+  async 'check-in'({ bookingId }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = requireSessionRole(booking, user);
+    if (booking.status !== 'confirmed') throw new HttpError(409, `A ${booking.status} booking can't be checked in to`);
+    if (role !== 'admin' && !canCheckIn(booking)) throw new HttpError(409, "It's too early to check in to this booking");
+
+    // The hold is normally captured when the booking is accepted; this
+    // catches one that wasn't, before any work is done
+    const paymentStatus = await payments.capture(bookingId);
+    if (paymentStatus !== 'completed') throw new HttpError(402, "The customer's payment hasn't gone through");
+
+    const checkedInAt = new Date().toISOString();
+    const { data: checkedIn, error } = await supabase
+      .from('bookings')
+      .update({ status: 'in_progress', checked_in_at: checkedInAt })
+      .eq('id', bookingId)
+      .eq('status', 'confirmed')
+      .select('id');
+    if (error) throw error;
+    if (!checkedIn.length) throw new HttpError(409, 'This booking has already changed; refresh to see where it is');
+
+    await logBookingEvent(supabase, bookingId, user.id, 'checked_in', { checked_in_by: role });
+
+    return { status: 'in_progress', checkedInAt };
+  },
+
+  async extend({ bookingId, minutes }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = requireSessionRole(booking, user);
+
+    const extension = await payments.extend(bookingId, Number(minutes));
+
+    await logBookingEvent(supabase, bookingId, user.id, 'extended', {
+      extended_by: role,
+      minutes: Number(minutes),
+      amount: extension.amount,
+      duration: extension.duration
+    });
+
+    return extension;
+  },
+
+  async complete({ bookingId, actualDuration }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = requireSessionRole(booking, user);
+    if (!isInProgress(booking)) throw new HttpError(409, 'Check in to the booking before completing it');
+
+    const minutes = Number(actualDuration);
+    const invalid = validateActualDuration(minutes);
+    if (invalid) throw new HttpError(400, invalid);
+
+    const { data: completed, error } = await supabase
+      .from('bookings')
+      .update({ status: 'completed', completed_at: new Date().toISOString(), actual_duration: minutes })
+      .eq('id', bookingId)
+      .eq('status', 'in_progress')
+      .select('id');
+    if (error) throw error;
+    if (!completed.length) throw new HttpError(409, 'This booking has already changed; refresh to see where it is');
+
+    await logBookingEvent(supabase, bookingId, user.id, 'completed', {
+      completed_by: role,
+      booked_duration: booking.duration,
+      actual_duration: minutes
+    });
+
+    return { status: 'completed' };
+  },
+
+  // The customer wasn't there. Keeps the no-show fee and gives back the rest.
+  async 'no-show'({ bookingId }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    const role = requireSessionRole(booking, user);
+    if (booking.status !== 'confirmed') throw new HttpError(409, `A ${booking.status} booking can't be marked as a no-show`);
+    if (role !== 'admin' && !canRecordNoShow(booking)) {
+      throw new HttpError(409, `Wait until ${NO_SHOW_AFTER_MINUTES} minutes after the start to record a no-show`);
+    }
+
+    const charge = noShowCharge(booking);
+
+    // Capture first, while the booking is still confirmed, so the fee is
+    // kept even when nothing is refunded
+    await payments.capture(bookingId);
+
+    // Only the request that moves the booking on refunds anything
+    const { data: noShow, error } = await supabase
+      .from('bookings')
+      .update({ status: 'no_show', no_show_fee: charge.feeAmount })
+      .eq('id', bookingId)
+      .eq('status', 'confirmed')
+      .select('id');
+    if (error) throw error;
+    if (!noShow.length) throw new HttpError(409, 'This booking has already changed; refresh to see where it is');
+
+    const refunded = await payments.refund(bookingId, charge.refundAmount);
+
+    await logBookingEvent(supabase, bookingId, user.id, 'no_show', {
+      recorded_by: role,
+      fee_percent: charge.feePercent,
+      fee_amount: charge.feeAmount,
+      refund_amount: refunded
+    });
+
+    return { status: 'no_show', feeAmount: charge.feeAmount, refundAmount: refunded };
+  }
+});
@@ -0,0 +1,30 @@
+// Promo codes and gift vouchers: checking a code at checkout, and buying a
+// voucher. See netlify/lib/discounts.js.
+import { createDiscountService } from '../lib/discounts';
+import { HttpError, actionHandler } from '../lib/http';
+import { createPaymentService } from '../lib/payments';
+import { createStripe } from '../lib/stripe';
+import { requireUser, supabaseAdmin } from '../lib/supabase';
+
+const discounts = createDiscountService({ supabase: supabaseAdmin });
+const payments = createPaymentService({ stripe: createStripe(), supabase: supabaseAdmin });
+
+export const handler = actionHandler({
+  // The discount for pricing.applyDiscount(), without the code's id
+  async check({ code, serviceId }, event) {
+    const user = await requireUser(event);
+    if (!serviceId) throw new HttpError(400, 'Choose a treatment first');
+    const { id, ...discount } = await discounts.check(code, { customerId: user.id, serviceId });
+    return { discount };
+  },
+
+  async 'buy-voucher'({ value, recipientName, recipientEmail, message }, event) {
+    const user = await requireUser(event);
+    return payments.purchaseVoucher(user, { value, recipientName, recipientEmail, message });
+  },
+
+  async 'sync-voucher'({ voucherId }, event) {
+    const user = await requireUser(event);
+    return payments.syncVoucher(voucherId, user);
+  }
+});
@@ -0,0 +1,26 @@
+// Sends queued notifications as soon as they are queued. Point a Supabase
+// database webhook for INSERTs on `notifications` here, with an
+// x-notify-secret header matching NOTIFY_WEBHOOK_SECRET. Anything it misses
+// is picked up by the send-notifications sweep.
+import { json } from '../lib/http';
+import { createNotificationDelivery, createSupabaseNotificationStore } from '../lib/notifications';
+import { supabaseAdmin } from '../lib/supabase';
+import { transportsFromEnv } from '../lib/transports';
+
+const delivery = createNotificationDelivery({
+  store: createSupabaseNotificationStore(supabaseAdmin),
+  transports: transportsFromEnv()
+});
+
+export async function handler(event) {
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method not allowed' });
+  }
+
+  const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+  if (!secret || event.headers['x-notify-secret'] !== secret) {
+    return json(401, { error: 'Unauthorised' });
+  }
+
+  return json(200, await delivery.deliverDue());
+}
@@ -0,0 +1,37 @@
+// Booking payments: authorise on request, plus post-session tips. Capture and
+// release happen on the server, in bookings.js and settle-payments.js. See
+// netlify/lib/payments.js.
+import { HttpError, actionHandler } from '../lib/http';
+import { createPaymentService } from '../lib/payments';
+import { createStripe } from '../lib/stripe';
+import { requireUser, supabaseAdmin } from '../lib/supabase';
+
+const payments = createPaymentService({ stripe: createStripe(), supabase: supabaseAdmin });
+
+const isParty = (booking, user) =>
+  user.role === 'admin' || booking.customer_id === user.id || booking.therapist_id === user.id;
+
+export const handler = actionHandler({
+  async authorise({ bookingId }, event) {
+    const user = await requireUser(event);
+    return payments.authorise(bookingId, user);
+  },
+
+  async sync({ bookingId, kind = 'booking' }, event) {
+    const user = await requireUser(event);
+    const booking = await payments.getBooking(bookingId);
+    if (!isParty(booking, user)) throw new HttpError(403, 'Not your booking');
+    return { status: await payments.syncPayment(bookingId, kind) };
+  },
+
+  async tip({ bookingId, amount }, event) {
+    const user = await requireUser(event);
+    return payments.tip(bookingId, user, Number(amount));
+  },
+
+  async 'skip-tip'({ bookingId }, event) {
+    const user = await requireUser(event);
+    await payments.skipTip(bookingId, user);
+    return {};
+  }
+});
@@ -0,0 +1,22 @@
+// Scheduled sweep that queues booking reminders that have come due, then
+// sends queued notifications, including retries of earlier failures. Runs
+// every minute (see netlify.toml); notify.js sends new ones straight away.
+// See netlify/lib/notifications.js.
+import { createNotificationDelivery, createSupabaseNotificationStore } from '../lib/notifications';
+import { supabaseAdmin } from '../lib/supabase';
+import { transportsFromEnv } from '../lib/transports';
+
+const delivery = createNotificationDelivery({
+  store: createSupabaseNotificationStore(supabaseAdmin),
+  transports: transportsFromEnv()
+});
+
+export async function handler() {
+  // Reminders failing to queue shouldn't hold up everything else
+  const { error } = await supabaseAdmin.rpc('queue_due_reminders');
+  if (error) console.error('Could not queue reminders:', error.message);
+
+  const results = await delivery.deliverDue();
+  console.log('Notifications sweep:', results);
+  return { statusCode: 200 };
+}
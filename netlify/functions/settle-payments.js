@@ -0,0 +1,15 @@
+// Scheduled sweep that charges or releases card holds the booking flow left
+// behind: requests closed by expire_booking_requests() or a decline while the
+// customer's page was shut, and captures that failed when the therapist
+// accepted. Runs every minute (see netlify.toml); see netlify/lib/payments.js.
+import { createPaymentService } from '../lib/payments';
+import { createStripe } from '../lib/stripe';
+import { supabaseAdmin } from '../lib/supabase';
+
+const payments = createPaymentService({ stripe: createStripe(), supabase: supabaseAdmin });
+
+export async function handler() {
+  const results = await payments.settleOpenHolds();
+  console.log('Payments sweep:', results);
+  return { statusCode: 200 };
+}
@@ -0,0 +1,35 @@
+// Stripe webhook endpoint. Point the Stripe dashboard (or `stripe listen`) at
+// /.netlify/functions/stripe-webhook; see netlify/lib/webhooks.js.
+import { json } from '../lib/http';
+import { createStripe } from '../lib/stripe';
+import { supabaseAdmin } from '../lib/supabase';
+import { createWebhookProcessor } from '../lib/webhooks';
+
+const stripe = createStripe();
+const processor = createWebhookProcessor({ supabase: supabaseAdmin });
+
+export async function handler(event) {
+  if (event.httpMethod !== 'POST') {
+    return json(405, { error: 'Method not allowed' });
+  }
+
+  // Signatures are computed over the exact bytes Stripe sent
+  const payload = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  const signature = event.headers['stripe-signature'] || event.headers['Stripe-Signature'];
+
+  let stripeEvent;
+  try {
+    stripeEvent = stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET || '');
+  } catch (error) {
+    console.warn('Stripe webhook: rejected signature', error.message);
+    return json(400, { error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await processor.process(stripeEvent);
+    return json(200, { received: true, result });
+  } catch (error) {
+    // A non-2xx response makes Stripe redeliver the event later
+    return json(500, { error: 'Event processing failed' });
+  }
+}
@@ -0,0 +1,13 @@
+// Audit trail of what admins change (admin_audit_log)
+
+// `target` is { type, id }, e.g. { type: 'booking', id: booking.id }
+export async function logAdminAction(supabase, adminId, action, target, details = {}) {
+  const { error } = await supabase.from('admin_audit_log').insert({
+    admin_id: adminId,
+    action,
+    target_type: target.type,
+    target_id: target.id,
+    details
+  });
+  if (error) throw error;
+}
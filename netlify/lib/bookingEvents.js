@@ -0,0 +1,11 @@
+// Audit trail of changes to a booking (booking_events)
+
+export async function logBookingEvent(supabase, bookingId, actorId, type, details = {}) {
+  const { error } = await supabase.from('booking_events').insert({
+    booking_id: bookingId,
+    actor_id: actorId,
+    type,
+    details
+  });
+  if (error) throw error;
+}
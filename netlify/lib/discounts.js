@@ -0,0 +1,134 @@
+// Promo codes and gift vouchers
+//
+// Codes are checked here when the customer enters one, and again under a row
+// lock by redeem_discount() when the booking's card is authorised, which is
+// what actually uses the code up. void_discount_redemption() hands the
+// discount back if the booking never goes ahead.
+import { randomBytes } from 'crypto';
+import { HttpError } from './http';
+
+// Why a code can't be used, keyed by the reasons redeem_discount() returns
+export const DISCOUNT_ERRORS = {
+  'not-found': "We couldn't find that code",
+  inactive: 'This code is no longer active',
+  'not-started': "This code can't be used yet",
+  expired: 'This code has expired',
+  'wrong-service': "This code can't be used for this treatment",
+  'used-up': 'This code has been fully used',
+  'customer-limit': "You've already used this code",
+  'insufficient-balance': "This voucher's balance has changed. Please apply it again."
+};
+
+// Unambiguous characters for voucher codes (no 0/O or 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateVoucherCode = () =>
+  `GIFT-${Array.from(randomBytes(8), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')}`;
+
+export const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+// The shape pricing.applyDiscount() takes
+const toDiscount = (row) => ({
+  id: row.id,
+  code: row.code,
+  kind: row.kind,
+  discountType: row.discount_type,
+  value: Number(row.kind === 'voucher' ? row.balance : row.value)
+});
+
+export function createDiscountService({ supabase }) {
+  const countRedemptions = async (codeId, customerId = null) => {
+    let query = supabase
+      .from('discount_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('discount_code_id', codeId)
+      .eq('status', 'applied');
+    if (customerId) query = query.eq('customer_id', customerId);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count;
+  };
+
+  // The same rules as redeem_discount(), for a friendly answer at checkout
+  const ineligibility = async (row, { customerId, serviceId, now }) => {
+    if (!row) return 'not-found';
+    if (!row.active) return 'inactive';
+    if (row.starts_at && new Date(row.starts_at) > now) return 'not-started';
+    if (row.expires_at && new Date(row.expires_at) <= now) return 'expired';
+    if (row.service_ids && !row.service_ids.includes(Number(serviceId))) return 'wrong-service';
+    if (row.kind === 'voucher' && Number(row.balance) <= 0) return 'used-up';
+    if (row.max_redemptions && (await countRedemptions(row.id)) >= row.max_redemptions) return 'used-up';
+    if (row.max_per_customer && (await countRedemptions(row.id, customerId)) >= row.max_per_customer) {
+      return 'customer-limit';
+    }
+    return null;
+  };
+
+  return {
+    // The discount `code` gives this customer on `serviceId`, or an HttpError
+    // saying why it can't be used
+    async check(code, { customerId, serviceId, now = new Date() }) {
+      const { data: row, error } = await supabase
+        .from('discount_codes')
+        .select('*')
+        .eq('code', normaliseCode(code))
+        .maybeSingle();
+      if (error) throw error;
+
+      const reason = await ineligibility(row, { customerId, serviceId, now });
+      if (reason) throw new HttpError(reason === 'not-found' ? 404 : 409, DISCOUNT_ERRORS[reason]);
+      return toDiscount(row);
+    },
+
+    async redeem(bookingId, discount, amount) {
+      const { data, error } = await supabase.rpc('redeem_discount', {
+        p_code_id: discount.id,
+        p_booking_id: bookingId,
+        p_amount: amount
+      });
+      if (error) throw error;
+      if (data !== 'applied') throw new HttpError(409, DISCOUNT_ERRORS[data] || 'This code could not be applied');
+    },
+
+    async voidRedemption(bookingId) {
+      const { error } = await supabase.rpc('void_discount_redemption', { p_booking_id: bookingId });
+      if (error) throw error;
+    },
+
+    // An unpaid gift voucher for `purchaser`; activateVoucher() makes it
+    // usable once the payment goes through
+    async createVoucher(purchaser, { value, recipientName, recipientEmail, message }) {
+      const { data, error } = await supabase
+        .from('discount_codes')
+        .insert({
+          code: generateVoucherCode(),
+          kind: 'voucher',
+          discount_type: 'fixed',
+          value,
+          balance: value,
+          description: `Gift voucher from ${purchaser.name}`,
+          purchaser_id: purchaser.id,
+          recipient_name: recipientName || null,
+          recipient_email: recipientEmail || null,
+          gift_message: message || null,
+          active: false
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async activateVoucher(voucherId) {
+      const { data, error } = await supabase
+        .from('discount_codes')
+        .update({ active: true })
+        .eq('id', voucherId)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+  };
+}
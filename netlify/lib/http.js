@@ -0,0 +1,46 @@
+// Shared request/response plumbing for Netlify functions
+
+export class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+export const json = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+export function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}');
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be JSON');
+  }
+}
+
+// Wraps an action table in a POST handler: the body's `action` picks the
+// function, which is called with (body, event) and whose result is returned
+// as JSON. HttpErrors keep their status; anything else is a 500.
+export function actionHandler(actions) {
+  return async (event) => {
+    if (event.httpMethod !== 'POST') {
+      return json(405, { error: 'Method not allowed' });
+    }
+
+    try {
+      const body = parseBody(event);
+      const action = actions[body.action];
+      if (!action) throw new HttpError(400, `Unknown action "${body.action}"`);
+      return json(200, await action(body, event));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return json(error.statusCode, { error: error.message });
+      }
+      console.error('Function error:', error);
+      return json(500, { error: 'Something went wrong. Please try again.' });
+    }
+  };
+}
@@ -0,0 +1,210 @@
+// Message templates for netlify/lib/notifications.js
+//
+// Each notification type renders an email ({ subject, body }) and, where it
+// is worth a text, an SMS body. Templates get the notification's context:
+// { booking, customer, therapist, service, recipient, payload }, where the
+// booking fields are null for messages that aren't about a booking and
+// `recipient` is null when the message goes to someone without an account.
+
+const BRAND = 'Rejuvenators';
+
+const when = (booking) => `${booking.date} at ${booking.time.slice(0, 5)}`;
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(Number(amount)).toFixed(2)}`;
+const firstName = (user) => (user?.name || '').split(' ')[0] || 'there';
+
+const signOff = `\n\nThanks,\n${BRAND}`;
+
+export const TEMPLATES = {
+  booking_requested: {
+    email: ({ booking, service, therapist }) => ({
+      subject: `New booking request: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(therapist)},\n\n` +
+        `You have a new request for a ${booking.duration} minute ${service.name} on ${when(booking)} in ${booking.suburb || booking.address}.\n\n` +
+        'Open your dashboard to accept or decline. The request will be offered to someone else if you don\'t answer in time.' +
+        signOff
+    }),
+    sms: ({ booking, service }) =>
+      `${BRAND}: new request, ${service.name} ${when(booking)} in ${booking.suburb || booking.address}. Open your dashboard to respond.`
+  },
+
+  booking_confirmed: {
+    email: ({ booking, service, therapist, customer }) => ({
+      subject: `Booking confirmed: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `${therapist?.name || 'Your therapist'} has confirmed your ${booking.duration} minute ${service.name} on ${when(booking)}.\n\n` +
+        `Address: ${booking.address}\nTotal charged: ${money(booking.price)}` +
+        signOff
+    }),
+    sms: ({ booking, service, therapist }) =>
+      `${BRAND}: ${therapist?.name || 'Your therapist'} confirmed your ${service.name} on ${when(booking)}.`
+  },
+
+  booking_declined: {
+    email: ({ booking, service, customer }) => ({
+      subject: `We couldn't fill your booking for ${when(booking)}`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `Unfortunately no therapist was able to take your ${service.name} on ${when(booking)}. ` +
+        'The hold on your card has been released and you have not been charged.\n\n' +
+        'Please try another time.' +
+        signOff
+    }),
+    sms: ({ booking }) =>
+      `${BRAND}: sorry, no therapist could take your booking on ${when(booking)}. You have not been charged.`
+  },
+
+  booking_cancelled: {
+    email: ({ booking, service, recipient }) => ({
+      subject: `Booking cancelled: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(recipient)},\n\n` +
+        `The ${service.name} booked for ${when(booking)} at ${booking.address} has been cancelled.` +
+        (recipient?.id === booking.customer_id ? ' Any refund will appear on your card within 5-10 business days.' : '') +
+        signOff
+    }),
+    sms: ({ booking, service }) => `${BRAND}: the ${service.name} on ${when(booking)} has been cancelled.`
+  },
+
+  booking_rescheduled: {
+    email: ({ booking, service, recipient }) => ({
+      subject: `Booking moved: ${service.name}, now ${when(booking)}`,
+      body:
+        `Hi ${firstName(recipient)},\n\n` +
+        `The ${service.name} at ${booking.address} has been moved to ${when(booking)}.` +
+        signOff
+    }),
+    sms: ({ booking, service }) => `${BRAND}: your ${service.name} has been moved to ${when(booking)}.`
+  },
+
+  booking_assigned: {
+    email: ({ booking, service, therapist }) => ({
+      subject: `Booking assigned to you: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(therapist)},\n\n` +
+        `You've been assigned a ${booking.duration} minute ${service.name} on ${when(booking)} at ${booking.address}. ` +
+        'It is confirmed and in your dashboard.' +
+        signOff
+    }),
+    sms: ({ booking, service }) =>
+      `${BRAND}: you've been assigned a ${service.name} on ${when(booking)} in ${booking.suburb || booking.address}.`
+  },
+
+  // To the customer, and to the therapist who no longer has the booking
+  booking_reassigned: {
+    email: ({ booking, service, therapist, recipient }) => ({
+      subject: `Therapist changed: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(recipient)},\n\n` +
+        (recipient?.id === booking.customer_id
+          ? `${therapist?.name || 'A new therapist'} will now be looking after your ${service.name} on ${when(booking)}. Nothing else has changed.`
+          : `The ${service.name} on ${when(booking)} at ${booking.address} has been given to another therapist and is no longer in your schedule.`) +
+        signOff
+    }),
+    sms: ({ booking, service, therapist, recipient }) =>
+      recipient?.id === booking.customer_id
+        ? `${BRAND}: ${therapist?.name || 'a new therapist'} will now do your ${service.name} on ${when(booking)}.`
+        : `${BRAND}: the ${service.name} on ${when(booking)} has been given to another therapist.`
+  },
+
+  booking_no_show: {
+    email: ({ booking, service, therapist, customer, payload }) => ({
+      subject: `Missed booking: ${service.name}, ${when(booking)}`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `${therapist?.name || 'Your therapist'} arrived for your ${service.name} on ${when(booking)} but wasn't able to reach you, ` +
+        `so the booking has been recorded as missed and a no-show fee of ${money(payload.fee)} applies.` +
+        (Number(payload.fee) < Number(booking.price)
+          ? ` The rest of the ${money(booking.price)} charged will be refunded within 5-10 business days.`
+          : '') +
+        '\n\nIf you think this is a mistake, reply to this email.' +
+        signOff
+    }),
+    sms: ({ booking, payload }) =>
+      `${BRAND}: we missed you for your booking on ${when(booking)}. A no-show fee of ${money(payload.fee)} applies.`
+  },
+
+  reminder_24h: {
+    email: ({ booking, service, therapist, customer }) => ({
+      subject: `Reminder: ${service.name} tomorrow at ${booking.time.slice(0, 5)}`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `Just a reminder that ${therapist?.name || 'your therapist'} is booked for your ${booking.duration} minute ${service.name} on ${when(booking)}.\n\n` +
+        `Address: ${booking.address}` +
+        (booking.parking ? `\nParking: ${booking.parking}` : '') +
+        '\n\nPlease have a quiet space ready with room for the table. You can cancel or reschedule from My Bookings.' +
+        signOff
+    }),
+    sms: ({ booking, service }) =>
+      `${BRAND}: reminder, your ${service.name} is tomorrow at ${booking.time.slice(0, 5)}. Manage it in My Bookings.`
+  },
+
+  reminder_2h: {
+    email: ({ booking, service, therapist, customer }) => ({
+      subject: `See you soon: ${service.name} at ${booking.time.slice(0, 5)}`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `${therapist?.name || 'Your therapist'} will be with you at ${booking.time.slice(0, 5)} today at ${booking.address}. ` +
+        "We'll let you know when they're on the way." +
+        signOff
+    }),
+    sms: ({ booking, service, therapist }) =>
+      `${BRAND}: ${therapist?.name || 'your therapist'} will be with you for your ${service.name} at ${booking.time.slice(0, 5)} today.`
+  },
+
+  on_my_way: {
+    email: ({ therapist, customer, payload }) => ({
+      subject: `${therapist.name} is on the way`,
+      body:
+        `Hi ${firstName(customer)},\n\n` +
+        `${therapist.name} is on the way and should arrive around ${payload.arrives_at} (about ${payload.eta_minutes} minutes).` +
+        signOff
+    }),
+    sms: ({ therapist, payload }) =>
+      `${BRAND}: ${therapist.name} is on the way, arriving around ${payload.arrives_at} (about ${payload.eta_minutes} min).`
+  },
+
+  receipt: {
+    email: ({ booking, service, recipient, payload }) => ({
+      subject: `Receipt: ${money(payload.amount)}`,
+      body:
+        `Hi ${firstName(recipient)},\n\n` +
+        `We've charged ${money(payload.amount)} to your card for ` +
+        (payload.kind === 'tip'
+          ? `a tip for your ${service.name} on ${when(booking)}.`
+          : payload.kind === 'extension'
+          ? `extra time added to your ${service.name} on ${when(booking)}.`
+          : payload.kind === 'voucher'
+          ? `gift voucher ${payload.code}.`
+          : `your ${service.name} on ${when(booking)}.`) +
+        (booking?.price_breakdown && payload.kind === 'booking'
+          ? `\n\n${booking.price_breakdown.lines.map((line) => `${line.label}: ${money(line.amount)}`).join('\n')}` +
+            `\nTotal: ${money(booking.price_breakdown.total)} (includes GST of ${money(booking.price_breakdown.gst)})`
+          : '') +
+        signOff
+    })
+  },
+
+  gift_voucher: {
+    email: ({ payload }) => ({
+      subject: `${payload.from} sent you a ${BRAND} gift voucher`,
+      body:
+        `Hi ${payload.recipient_name || 'there'},\n\n` +
+        `${payload.from} has sent you a ${money(payload.value)} gift voucher for a mobile massage.` +
+        (payload.message ? `\n\n"${payload.message}"` : '') +
+        `\n\nYour code is ${payload.code}. Enter it at checkout when you book.` +
+        signOff
+    })
+  }
+};
+
+// { subject, body } for an email or { body } for an SMS. Throws if the type
+// has no template for the channel.
+export function renderNotification(type, channel, context) {
+  const template = TEMPLATES[type]?.[channel];
+  if (!template) throw new Error(`No ${channel} template for ${type}`);
+
+  const rendered = template(context);
+  return typeof rendered === 'string' ? { subject: null, body: rendered } : rendered;
+}
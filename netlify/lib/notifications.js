@@ -0,0 +1,130 @@
+// Notification delivery
+//
+// Database triggers queue rows in `notifications` whenever a booking is
+// offered to a therapist, confirmed, declined, cancelled, moved or
+// reassigned, and when a payment goes through (see supabase-schema.sql), so
+// every code path that changes a booking is covered. Reminders are queued by
+// the send-notifications sweep and "on my way" updates by the bookings function.
+// This module sends them: due rows are claimed in batches, rendered from
+// notificationTemplates.js and handed to the transport for their channel. A
+// failed send is retried with backoff until MAX_ATTEMPTS, and every attempt
+// is appended to the row's attempt_log.
+import { renderNotification } from './notificationTemplates';
+
+export const MAX_ATTEMPTS = 5;
+
+// Wait before the 2nd, 3rd, ... attempt
+export const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+export const BATCH_SIZE = 25;
+
+export const retryDelayMinutes = (attempts) =>
+  RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+
+// Failures that retrying won't fix
+const permanent = (message) => Object.assign(new Error(message), { permanent: true });
+
+// `store` is how delivery reads and writes notifications:
+//   claimDue(limit)           rows due for an attempt, locked for this run
+//   loadContext(notification) what the template needs (see notificationTemplates.js)
+//   recordAttempt(notification, changes)
+// createSupabaseNotificationStore() below is the real one.
+export function createNotificationDelivery({ store, transports, now = () => new Date() }) {
+  // Returns 'sent', 'retrying' or 'failed'
+  const deliver = async (notification) => {
+    const at = now();
+    const attempts = (notification.attempts || 0) + 1;
+    const transport = transports[notification.channel];
+    const log = (entry) => [...(notification.attempt_log || []), { at: at.toISOString(), attempt: attempts, ...entry }];
+
+    try {
+      if (!transport) throw permanent(`No ${notification.channel} transport configured`);
+
+      let message;
+      try {
+        message = renderNotification(notification.type, notification.channel, await store.loadContext(notification));
+      } catch (error) {
+        throw permanent(`Could not render ${notification.type}: ${error.message}`);
+      }
+
+      await transport.send({ to: notification.recipient, ...message });
+      await store.recordAttempt(notification, {
+        status: 'sent',
+        attempts,
+        subject: message.subject,
+        body: message.body,
+        sent_at: at.toISOString(),
+        last_error: null,
+        attempt_log: log({ transport: transport.name, ok: true })
+      });
+      return 'sent';
+    } catch (error) {
+      const giveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+      console.error(`Notification ${notification.id} (${notification.type}) attempt ${attempts} failed:`, error.message);
+
+      await store.recordAttempt(notification, {
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: giveUp ? null : new Date(at.getTime() + retryDelayMinutes(attempts) * 60000).toISOString(),
+        attempt_log: log({ transport: transport?.name || null, ok: false, error: error.message })
+      });
+      return giveUp ? 'failed' : 'retrying';
+    }
+  };
+
+  return {
+    deliver,
+
+    // Sends one batch of due notifications. Returns counts by outcome.
+    async deliverDue(limit = BATCH_SIZE) {
+      const results = { sent: 0, retrying: 0, failed: 0 };
+      for (const notification of await store.claimDue(limit)) {
+        results[await deliver(notification)] += 1;
+      }
+      return results;
+    }
+  };
+}
+
+const USER_FIELDS = 'id, name, email, phone';
+
+export function createSupabaseNotificationStore(supabase) {
+  return {
+    async claimDue(limit) {
+      const { data, error } = await supabase.rpc('claim_notifications', { p_limit: limit });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async loadContext(notification) {
+      const [booking, recipient] = await Promise.all([
+        notification.booking_id
+          ? supabase
+              .from('bookings')
+              .select(`*, customer:customer_id(${USER_FIELDS}), therapist:therapist_id(${USER_FIELDS}), service:service_id(*)`)
+              .eq('id', notification.booking_id)
+              .single()
+          : { data: null },
+        notification.user_id
+          ? supabase.from('users').select(USER_FIELDS).eq('id', notification.user_id).single()
+          : { data: null }
+      ]);
+      if (booking.error || recipient.error) throw booking.error || recipient.error;
+
+      return {
+        booking: booking.data,
+        customer: booking.data?.customer || null,
+        therapist: booking.data?.therapist || null,
+        service: booking.data?.service || null,
+        recipient: recipient.data,
+        payload: notification.payload || {}
+      };
+    },
+
+    async recordAttempt(notification, changes) {
+      const { error } = await supabase.from('notifications').update(changes).eq('id', notification.id);
+      if (error) throw error;
+    }
+  };
+}
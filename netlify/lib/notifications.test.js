@@ -0,0 +1,201 @@
+import { TEMPLATES, renderNotification } from './notificationTemplates';
+import { MAX_ATTEMPTS, RETRY_DELAYS_MINUTES, createNotificationDelivery } from './notifications';
+import { createFakeTransport } from './transports';
+
+const customer = { id: 'customer-1', name: 'Alex Citizen', email: 'alex@example.com', phone: '+61400000001' };
+const therapist = { id: 'therapist-1', name: 'Sam Hands', email: 'sam@example.com', phone: '+61400000002' };
+const service = { id: 1, name: 'Stressbuster' };
+const booking = {
+  id: 'booking-1',
+  customer_id: customer.id,
+  therapist_id: therapist.id,
+  date: '2026-10-20',
+  time: '10:00:00',
+  duration: 60,
+  address: '1 George St, Sydney NSW 2000',
+  suburb: 'Sydney',
+  price: 80,
+  price_breakdown: {
+    lines: [
+      { type: 'base', label: 'Stressbuster (60 min)', amount: 80 },
+      { type: 'discount', label: 'Promo code SPRING', amount: -8 }
+    ],
+    total: 72,
+    gst: 6.55
+  }
+};
+
+const context = (overrides = {}) => ({
+  booking,
+  customer,
+  therapist,
+  service,
+  recipient: customer,
+  payload: {},
+  ...overrides
+});
+
+// Keeps notifications in memory the way the notifications table would
+function createMemoryStore(rows) {
+  const notifications = rows.map((row) => ({ attempts: 0, attempt_log: [], status: 'pending', ...row }));
+  return {
+    notifications,
+    async claimDue(limit) {
+      return notifications.filter((n) => n.status === 'pending').slice(0, limit).map((n) => ({ ...n }));
+    },
+    async loadContext(notification) {
+      return context({ payload: notification.payload || {} });
+    },
+    async recordAttempt(notification, changes) {
+      Object.assign(notifications.find((n) => n.id === notification.id), changes);
+    }
+  };
+}
+
+const at = new Date('2026-10-19T09:00:00Z');
+
+function setup(rows) {
+  const store = createMemoryStore(rows);
+  const transports = { email: createFakeTransport('fake-email'), sms: createFakeTransport('fake-sms') };
+  const delivery = createNotificationDelivery({ store, transports, now: () => at });
+  return { store, transports, delivery };
+}
+
+const confirmedEmail = { id: 'n1', type: 'booking_confirmed', channel: 'email', recipient: customer.email };
+const confirmedSms = { id: 'n2', type: 'booking_confirmed', channel: 'sms', recipient: customer.phone };
+
+describe('createNotificationDelivery', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders and sends through the transport for the channel', async () => {
+    const { store, transports, delivery } = setup([confirmedEmail, confirmedSms]);
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 2, retrying: 0, failed: 0 });
+
+    expect(transports.email.sent).toHaveLength(1);
+    expect(transports.email.sent[0].to).toBe(customer.email);
+    expect(transports.email.sent[0].subject).toBe('Booking confirmed: Stressbuster, 2026-10-20 at 10:00');
+    expect(transports.sms.sent[0]).toEqual({
+      to: customer.phone,
+      subject: null,
+      body: 'Rejuvenators: Sam Hands confirmed your Stressbuster on 2026-10-20 at 10:00.'
+    });
+
+    const [email] = store.notifications;
+    expect(email.status).toBe('sent');
+    expect(email.attempts).toBe(1);
+    expect(email.sent_at).toBe(at.toISOString());
+    expect(email.body).toContain('Total charged: $80.00');
+    expect(email.attempt_log).toEqual([{ at: at.toISOString(), attempt: 1, transport: 'fake-email', ok: true }]);
+  });
+
+  it('retries a failed send after the next backoff delay', async () => {
+    const { store, transports, delivery } = setup([confirmedEmail]);
+    transports.email.failNext();
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+
+    const [notification] = store.notifications;
+    expect(notification.status).toBe('pending');
+    expect(notification.attempts).toBe(1);
+    expect(notification.last_error).toBe('fake-email transport failure');
+    expect(notification.next_attempt_at).toBe(new Date(at.getTime() + RETRY_DELAYS_MINUTES[0] * 60000).toISOString());
+    expect(notification.attempt_log).toEqual([
+      { at: at.toISOString(), attempt: 1, transport: 'fake-email', ok: false, error: 'fake-email transport failure' }
+    ]);
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    expect(notification.status).toBe('sent');
+    expect(notification.last_error).toBeNull();
+    expect(notification.attempt_log.map((entry) => entry.ok)).toEqual([false, true]);
+  });
+
+  it('backs off further with each failure and gives up after MAX_ATTEMPTS', async () => {
+    const { store, transports, delivery } = setup([confirmedEmail]);
+    transports.email.failNext(MAX_ATTEMPTS);
+
+    const delays = [];
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt += 1) {
+      expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+      delays.push((new Date(store.notifications[0].next_attempt_at) - at) / 60000);
+    }
+    expect(delays).toEqual(RETRY_DELAYS_MINUTES);
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    const [notification] = store.notifications;
+    expect(notification.status).toBe('failed');
+    expect(notification.attempts).toBe(MAX_ATTEMPTS);
+    expect(notification.next_attempt_at).toBeNull();
+    expect(notification.attempt_log).toHaveLength(MAX_ATTEMPTS);
+    expect(transports.email.sent).toHaveLength(0);
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+  });
+
+  it('fails straight away when the channel has no transport', async () => {
+    const store = createMemoryStore([confirmedSms]);
+    const delivery = createNotificationDelivery({ store, transports: { email: createFakeTransport() }, now: () => at });
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(store.notifications[0].last_error).toBe('No sms transport configured');
+    expect(store.notifications[0].attempt_log[0].transport).toBeNull();
+  });
+
+  it('fails straight away when the type has no template for the channel', async () => {
+    const { store, transports, delivery } = setup([{ id: 'n3', type: 'receipt', channel: 'sms', recipient: customer.phone }]);
+
+    expect(await delivery.deliverDue()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(store.notifications[0].last_error).toBe('Could not render receipt: No sms template for receipt');
+    expect(transports.sms.sent).toHaveLength(0);
+  });
+});
+
+describe('renderNotification', () => {
+  const payloads = {
+    booking_no_show: { fee: 72 },
+    on_my_way: { eta_minutes: 18, arrives_at: '09:42' },
+    receipt: { kind: 'booking', amount: 72 },
+    gift_voucher: { code: 'GIFT-ABCD2345', value: 100, from: 'Jo', recipient_name: 'Alex', message: 'Happy birthday' }
+  };
+
+  Object.entries(TEMPLATES).forEach(([type, channels]) => {
+    Object.keys(channels).forEach((channel) => {
+      it(`renders ${type} by ${channel}`, () => {
+        const { subject, body } = renderNotification(type, channel, context({ payload: payloads[type] || {} }));
+        expect(body).toEqual(expect.any(String));
+        expect(body).not.toMatch(/undefined|null|NaN/);
+        if (channel === 'email') expect(subject).toEqual(expect.any(String));
+        if (channel === 'sms') expect(body.length).toBeLessThanOrEqual(160);
+      });
+    });
+  });
+
+  it('itemises the price on a booking receipt', () => {
+    const { body } = renderNotification('receipt', 'email', context({ payload: payloads.receipt }));
+    expect(body).toContain('Promo code SPRING: -$8.00');
+    expect(body).toContain('Total: $72.00 (includes GST of $6.55)');
+  });
+
+  it('only tells the customer about refunds when a booking is cancelled', () => {
+    const toCustomer = renderNotification('booking_cancelled', 'email', context());
+    const toTherapist = renderNotification('booking_cancelled', 'email', context({ recipient: therapist }));
+    expect(toCustomer.body).toContain('refund');
+    expect(toTherapist.body).not.toContain('refund');
+    expect(toTherapist.body).toMatch(/^Hi Sam,/);
+  });
+
+  it('describes voucher receipts without a booking', () => {
+    const { body } = renderNotification(
+      'receipt',
+      'email',
+      context({ booking: null, service: null, payload: { kind: 'voucher', amount: 100, code: 'GIFT-ABCD2345' } })
+    );
+    expect(body).toContain('gift voucher GIFT-ABCD2345');
+  });
+});
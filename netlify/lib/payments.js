@@ -0,0 +1,479 @@
+// Booking payments
+//
+// The customer's card is authorised (a manual-capture hold) when they request
+// a booking, captured once a therapist confirms, and released if the request
+// is declined or times out. Both happen on the server: capture as the
+// therapist accepts (netlify/functions/bookings.js), and settleOpenHolds()
+// every minute for anything that closed some other way or failed to capture
+// (netlify/functions/settle-payments.js). The card is saved against the
+// customer's Stripe account for follow-up charges on the same booking, each a separate payment
+// row: a tip after the session (kind 'tip') or extra time added during it
+// (kind 'extension'). Gift vouchers are bought with an ordinary one-off
+// payment of kind 'voucher'.
+import { applyDiscount, extensionPrice, priceBooking } from '../../pricing';
+import { toService } from '../../services';
+import { createDiscountService } from './discounts';
+import { HttpError } from './http';
+import { CURRENCY, toCents } from './stripe';
+
+// Stripe PaymentIntent status -> payments.status
+const PAYMENT_STATUS_BY_INTENT_STATUS = {
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  processing: 'pending',
+  requires_capture: 'authorised',
+  succeeded: 'completed',
+  canceled: 'cancelled'
+};
+
+// Upper bound on a single tip, to catch typos in the custom amount
+export const MAX_TIP = 500;
+
+const UNIQUE_VIOLATION = '23505';
+
+export const MIN_VOUCHER = 25;
+export const MAX_VOUCHER = 1000;
+
+export function createPaymentService({ stripe, supabase }) {
+  const discounts = createDiscountService({ supabase });
+
+  const getBooking = async (bookingId) => {
+    const { data, error } = await supabase.from('bookings').select('*').eq('id', bookingId).single();
+    if (error || !data) throw new HttpError(404, 'Booking not found');
+    return data;
+  };
+
+  // The latest card payment of `kind` for the booking
+  const getBookingPayment = async (bookingId, kind = 'booking') => {
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .eq('kind', kind)
+      .not('stripe_payment_id', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  const setPaymentStatus = async (paymentId, status) => {
+    const { error } = await supabase.from('payments').update({ status }).eq('id', paymentId);
+    if (error) throw error;
+    return status;
+  };
+
+  // Copies a captured tip onto the booking so it shows in earnings
+  const recordTip = async (payment) => {
+    const { error } = await supabase.from('bookings').update({ tip: payment.amount }).eq('id', payment.booking_id);
+    if (error) throw error;
+  };
+
+  // Prices the booking the same way the browser did, discount included, and
+  // stores the result. A mismatch means the customer saw a different price
+  // (stale rates, or a tampered request), so nothing is charged.
+  const confirmPrice = async (booking) => {
+    const { data: service, error } = await supabase.from('services').select('*').eq('id', booking.service_id).single();
+    if (error || !service) throw new HttpError(409, 'This service is no longer available');
+
+    const discount = booking.discount_code
+      ? await discounts.check(booking.discount_code, { customerId: booking.customer_id, serviceId: booking.service_id })
+      : null;
+
+    let quote;
+    try {
+      quote = applyDiscount(priceBooking(toService(service), {
+        duration: booking.duration,
+        date: booking.date,
+        time: booking.time.slice(0, 5),
+        lat: booking.lat,
+        lon: booking.lon
+      }), discount);
+    } catch (invalid) {
+      throw new HttpError(400, invalid.message);
+    }
+    if (toCents(quote.total) !== toCents(booking.price)) {
+      throw new HttpError(409, 'The price for this booking has changed. Please go back and review it.');
+    }
+
+    const { error: updateError } = await supabase.from('bookings').update({ price_breakdown: quote }).eq('id', booking.id);
+    if (updateError) throw updateError;
+    return { quote, discount };
+  };
+
+  // Charges `amount` to the card used for the booking, off-session, as a new
+  // payment row of `kind`. Resolves with { payment, intent, status }; status
+  // is 'pending' when the bank wants the customer to authenticate first.
+  // Stripe sees the charge once per `idempotencyKey`, by default one per row.
+  const chargeSavedCard = async (booking, kind, amount, idempotencyKey = null) => {
+    const bookingPayment = await getBookingPayment(booking.id);
+    if (!bookingPayment) throw new HttpError(409, 'No card on file for this booking');
+    const { payment_method: paymentMethod, customer } = await stripe.paymentIntents.retrieve(
+      bookingPayment.stripe_payment_id
+    );
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .insert({ booking_id: booking.id, kind, amount, status: 'pending' })
+      .select()
+      .single();
+    if (error?.code === UNIQUE_VIOLATION) throw new HttpError(409, `This booking already has a ${kind}`);
+    if (error) throw error;
+
+    let intent;
+    try {
+      intent = await stripe.paymentIntents.create(
+        {
+          amount: toCents(amount),
+          currency: CURRENCY,
+          customer,
+          payment_method: paymentMethod,
+          off_session: true,
+          confirm: true,
+          metadata: { booking_id: booking.id, kind }
+        },
+        { idempotencyKey: idempotencyKey || `${kind}-${payment.id}` }
+      );
+    } catch (stripeError) {
+      intent = stripeError.raw?.payment_intent;
+      if (stripeError.code !== 'authentication_required' || !intent) {
+        await setPaymentStatus(payment.id, 'failed');
+        throw new HttpError(402, stripeError.message);
+      }
+    }
+
+    await supabase.from('payments').update({ stripe_payment_id: intent.id }).eq('id', payment.id);
+
+    const status = PAYMENT_STATUS_BY_INTENT_STATUS[intent.status] || 'pending';
+    await setPaymentStatus(payment.id, status);
+    return { payment, intent, status };
+  };
+
+  const ensureCustomer = async (user) => {
+    if (user.stripe_customer_id) return user.stripe_customer_id;
+
+    const customer = await stripe.customers.create(
+      { email: user.email, name: user.name, metadata: { user_id: user.id } },
+      { idempotencyKey: `customer-${user.id}` }
+    );
+
+    const { error } = await supabase.from('users').update({ stripe_customer_id: customer.id }).eq('id', user.id);
+    if (error) throw error;
+    return customer.id;
+  };
+
+  const service = {
+    getBooking,
+    getBookingPayment,
+
+    // Starts the hold. Returns the client secret the browser confirms the
+    // card with, including any 3-D Secure challenge.
+    async authorise(bookingId, user) {
+      const booking = await getBooking(bookingId);
+      if (booking.customer_id !== user.id) throw new HttpError(403, 'Not your booking');
+      if (booking.status !== 'requested') throw new HttpError(409, 'This booking can no longer be paid for');
+
+      const existing = await getBookingPayment(bookingId);
+      if (existing && ['pending', 'authorised'].includes(existing.status)) {
+        const intent = await stripe.paymentIntents.retrieve(existing.stripe_payment_id);
+        return { clientSecret: intent.client_secret, status: existing.status };
+      }
+
+      const { quote, discount } = await confirmPrice(booking);
+      if (discount) await discounts.redeem(booking.id, discount, quote.discount.amount);
+
+      let intent;
+      try {
+        intent = await stripe.paymentIntents.create(
+          {
+            amount: toCents(booking.price),
+            currency: CURRENCY,
+            customer: await ensureCustomer(user),
+            capture_method: 'manual',
+            setup_future_usage: 'off_session',
+            payment_method_types: ['card'],
+            metadata: { booking_id: booking.id }
+          },
+          { idempotencyKey: `authorise-${booking.id}` }
+        );
+      } catch (stripeError) {
+        if (discount) await discounts.voidRedemption(booking.id);
+        throw stripeError;
+      }
+
+      const { error } = await supabase.from('payments').insert({
+        booking_id: booking.id,
+        stripe_payment_id: intent.id,
+        amount: booking.price,
+        status: 'pending'
+      });
+      if (error) throw error;
+
+      return { clientSecret: intent.client_secret, status: 'pending' };
+    },
+
+    // Reads the PaymentIntent back from Stripe after the browser confirmed it
+    async syncPayment(bookingId, kind = 'booking') {
+      const payment = await getBookingPayment(bookingId, kind);
+      if (!payment) throw new HttpError(404, 'No payment for this booking');
+
+      const intent = await stripe.paymentIntents.retrieve(payment.stripe_payment_id);
+      const status = PAYMENT_STATUS_BY_INTENT_STATUS[intent.status] || payment.status;
+      if (kind === 'tip' && status === 'completed') await recordTip(payment);
+      return status === payment.status ? status : setPaymentStatus(payment.id, status);
+    },
+
+    // Charges a tip to the card used for the booking. Tries off-session
+    // first; if the bank wants the customer to authenticate, returns the
+    // client secret for the browser to finish the payment. A booking takes
+    // one tip: another is refused while one is charged or still going
+    // through, and Stripe is keyed per booking and attempt so a retried
+    // request can't charge twice.
+    async tip(bookingId, user, amount) {
+      const booking = await getBooking(bookingId);
+      if (booking.customer_id !== user.id) throw new HttpError(403, 'Not your booking');
+      if (booking.status !== 'completed') throw new HttpError(409, 'Tips can be added once the session is complete');
+      if (!(amount >= 1) || amount > MAX_TIP) throw new HttpError(400, `Tips must be between $1 and $${MAX_TIP}`);
+
+      const { data: tips, error } = await supabase.from('payments').select('status').eq('booking_id', bookingId).eq('kind', 'tip');
+      if (error) throw error;
+      if (tips.some((tip) => ['pending', 'completed'].includes(tip.status))) {
+        throw new HttpError(409, 'This booking already has a tip');
+      }
+
+      const { payment, intent, status } = await chargeSavedCard(booking, 'tip', amount, `tip-${bookingId}-${tips.length}`);
+      if (status === 'completed') await recordTip(payment);
+
+      return { status, clientSecret: status === 'pending' ? intent.client_secret : null };
+    },
+
+    // Adds `minutes` to a session in progress and charges the customer for
+    // them. The therapist asks for this, so a card that needs the customer
+    // to authenticate is declined rather than left waiting.
+    async extend(bookingId, minutes) {
+      const booking = await getBooking(bookingId);
+      if (booking.status !== 'in_progress') throw new HttpError(409, 'Only a session in progress can be extended');
+
+      const { data: service, error } = await supabase.from('services').select('*').eq('id', booking.service_id).single();
+      if (error || !service) throw new HttpError(409, 'This service is no longer available');
+
+      let amount;
+      try {
+        amount = extensionPrice(toService(service), booking.duration, minutes);
+      } catch (invalid) {
+        throw new HttpError(400, invalid.message);
+      }
+
+      const { payment, intent, status } = await chargeSavedCard(booking, 'extension', amount);
+      if (status !== 'completed') {
+        if (status === 'pending') {
+          await stripe.paymentIntents.cancel(intent.id, {}, { idempotencyKey: `release-${payment.id}` });
+        }
+        await setPaymentStatus(payment.id, 'failed');
+        throw new HttpError(402, "The customer's card couldn't be charged for the extra time");
+      }
+
+      const duration = booking.duration + minutes;
+      const price = (toCents(booking.price) + toCents(amount)) / 100;
+      const { error: updateError } = await supabase.from('bookings').update({ duration, price }).eq('id', bookingId);
+      if (updateError) throw updateError;
+
+      return { duration, price, amount };
+    },
+
+    // The customer chose not to tip; stop asking
+    async skipTip(bookingId, user) {
+      const booking = await getBooking(bookingId);
+      if (booking.customer_id !== user.id) throw new HttpError(403, 'Not your booking');
+      const { error } = await supabase.from('bookings').update({ tip_prompt_dismissed: true }).eq('id', bookingId);
+      if (error) throw error;
+    },
+
+    async capture(bookingId) {
+      const booking = await getBooking(bookingId);
+      if (!['confirmed', 'in_progress'].includes(booking.status)) {
+        throw new HttpError(409, 'Only confirmed bookings can be charged');
+      }
+
+      const payment = await getBookingPayment(bookingId);
+      if (!payment) throw new HttpError(409, 'This booking has no card authorisation');
+      if (payment.status === 'completed') return payment.status;
+
+      const intent = await stripe.paymentIntents.capture(
+        payment.stripe_payment_id,
+        {},
+        { idempotencyKey: `capture-${payment.id}` }
+      );
+      return setPaymentStatus(payment.id, PAYMENT_STATUS_BY_INTENT_STATUS[intent.status] || 'failed');
+    },
+
+    // Gives `amount` of the booking payment back to the customer. A captured
+    // payment is refunded through Stripe. An uncaptured hold is never charged
+    // here: it is released in full, so anyone keeping a fee captures first.
+    // Returns the amount returned.
+    async refund(bookingId, amount) {
+      const payment = await getBookingPayment(bookingId);
+      if (!payment || amount <= 0) return 0;
+
+      if (['pending', 'authorised'].includes(payment.status)) {
+        await stripe.paymentIntents.cancel(payment.stripe_payment_id, {}, { idempotencyKey: `release-${payment.id}` });
+        await setPaymentStatus(payment.id, 'cancelled');
+        await discounts.voidRedemption(bookingId);
+        return Number(payment.amount);
+      }
+
+      if (payment.status !== 'completed') return 0;
+
+      const alreadyRefunded = Number(payment.refunded_amount || 0);
+      const refundAmount = Math.min(amount, Number(payment.amount) - alreadyRefunded);
+      if (refundAmount <= 0) return 0;
+
+      await stripe.refunds.create(
+        {
+          payment_intent: payment.stripe_payment_id,
+          amount: toCents(refundAmount),
+          metadata: { booking_id: bookingId }
+        },
+        { idempotencyKey: `refund-${payment.id}-${toCents(alreadyRefunded)}` }
+      );
+
+      const refunded = alreadyRefunded + refundAmount;
+      const fullRefund = refunded >= Number(payment.amount);
+      const { error } = await supabase
+        .from('payments')
+        .update({ refunded_amount: refunded, status: fullRefund ? 'refunded' : 'completed' })
+        .eq('id', payment.id);
+      if (error) throw error;
+      if (fullRefund) await discounts.voidRedemption(bookingId);
+
+      return refundAmount;
+    },
+
+    // Drops the hold on a booking that won't go ahead. The customer of a
+    // declined request is told once the hold is gone, not before.
+    async release(bookingId) {
+      const booking = await getBooking(bookingId);
+      if (!['declined', 'cancelled'].includes(booking.status)) {
+        throw new HttpError(409, 'Only declined or cancelled bookings can be released');
+      }
+
+      await discounts.voidRedemption(bookingId);
+
+      let status = null;
+      const payment = await getBookingPayment(bookingId);
+      if (payment && ['pending', 'authorised'].includes(payment.status)) {
+        await stripe.paymentIntents.cancel(payment.stripe_payment_id, {}, { idempotencyKey: `release-${payment.id}` });
+        status = await setPaymentStatus(payment.id, 'cancelled');
+      } else {
+        status = payment?.status || null;
+      }
+
+      if (booking.status === 'declined') {
+        const { error } = await supabase.rpc('queue_notification', {
+          p_type: 'booking_declined',
+          p_user_id: booking.customer_id,
+          p_booking_id: bookingId,
+          p_key: `booking_declined:${bookingId}`
+        });
+        if (error) throw error;
+      }
+      return status;
+    },
+
+    // Brings a booking's card hold into line with the booking: charged once a
+    // therapist has confirmed, released once the request has closed, and left
+    // alone while it is still open. Returns the payment's status, or null.
+    async settle(bookingId) {
+      const booking = await getBooking(bookingId);
+      if (['declined', 'cancelled'].includes(booking.status)) return service.release(bookingId);
+
+      const payment = await getBookingPayment(bookingId);
+      if (payment?.status === 'authorised' && ['confirmed', 'in_progress'].includes(booking.status)) {
+        return service.capture(bookingId);
+      }
+      return payment?.status || null;
+    },
+
+    // Settles every booking whose card is still held, whichever way its
+    // request closed: on the server, in another tab or with nobody watching.
+    // One failure doesn't stop the rest. Returns { settled, failed }.
+    async settleOpenHolds() {
+      const { data, error } = await supabase
+        .from('payments')
+        .select('booking_id')
+        .eq('kind', 'booking')
+        .in('status', ['pending', 'authorised'])
+        .not('stripe_payment_id', 'is', null);
+      if (error) throw error;
+
+      const results = { settled: 0, failed: 0 };
+      for (const bookingId of new Set(data.map((payment) => payment.booking_id))) {
+        try {
+          await service.settle(bookingId);
+          results.settled += 1;
+        } catch (settleError) {
+          console.error(`Could not settle the payment for booking ${bookingId}:`, settleError);
+          results.failed += 1;
+        }
+      }
+      return results;
+    },
+
+    // Starts paying for a gift voucher. The voucher is created inactive and
+    // switched on by syncVoucher() or the webhook once the charge succeeds.
+    async purchaseVoucher(user, details) {
+      const value = Math.round(Number(details.value) * 100) / 100;
+      if (!(value >= MIN_VOUCHER) || value > MAX_VOUCHER) {
+        throw new HttpError(400, `Gift vouchers must be between $${MIN_VOUCHER} and $${MAX_VOUCHER}`);
+      }
+
+      const voucher = await discounts.createVoucher(user, { ...details, value });
+      const intent = await stripe.paymentIntents.create(
+        {
+          amount: toCents(value),
+          currency: CURRENCY,
+          customer: await ensureCustomer(user),
+          payment_method_types: ['card'],
+          metadata: { discount_code_id: voucher.id, kind: 'voucher' }
+        },
+        { idempotencyKey: `voucher-${voucher.id}` }
+      );
+
+      const { error } = await supabase.from('payments').insert({
+        discount_code_id: voucher.id,
+        kind: 'voucher',
+        stripe_payment_id: intent.id,
+        amount: value,
+        status: 'pending'
+      });
+      if (error) throw error;
+
+      return { voucherId: voucher.id, clientSecret: intent.client_secret };
+    },
+
+    // Reads a voucher payment back from Stripe and activates the voucher if
+    // it went through. Returns { status, code }, with the code only once paid.
+    async syncVoucher(voucherId, user) {
+      const { data: payment, error } = await supabase
+        .from('payments')
+        .select('*, voucher:discount_code_id(purchaser_id)')
+        .eq('discount_code_id', voucherId)
+        .eq('kind', 'voucher')
+        .single();
+      if (error || !payment) throw new HttpError(404, 'Voucher not found');
+      if (payment.voucher.purchaser_id !== user.id) throw new HttpError(403, 'Not your voucher');
+
+      const intent = await stripe.paymentIntents.retrieve(payment.stripe_payment_id);
+      const status = PAYMENT_STATUS_BY_INTENT_STATUS[intent.status] || payment.status;
+      if (status !== payment.status) await setPaymentStatus(payment.id, status);
+      if (status !== 'completed') return { status, code: null };
+
+      const voucher = await discounts.activateVoucher(voucherId);
+      return { status, code: voucher.code };
+    }
+  };
+
+  return service;
+}
@@ -0,0 +1,496 @@
+import { createPaymentService } from './payments';
+
+const customer = { id: 'customer-1', name: 'Alex Citizen', email: 'alex@example.com', role: 'customer' };
+
+const stressbuster = {
+  id: 1,
+  name: 'Stressbuster',
+  base_duration: 60,
+  base_price: '80.00',
+  increment: 30,
+  increment_price: '40.00',
+  active: true
+};
+
+// Tuesday 20 October 2026, in business hours, in the CBD
+const requested = {
+  id: 'booking-1',
+  customer_id: customer.id,
+  therapist_id: null,
+  service_id: 1,
+  duration: 60,
+  date: '2026-10-20',
+  time: '10:00:00',
+  lat: -33.8688,
+  lon: 151.2093,
+  price: '80.00',
+  discount_code: null,
+  tip: 0,
+  status: 'requested'
+};
+
+// Column defaults from supabase-schema.sql that inserts rely on
+const COLUMN_DEFAULTS = {
+  payments: { kind: 'booking', refunded_amount: 0 }
+};
+
+// Just enough of supabase-js for the payment service: filtered selects,
+// inserts and updates on in-memory tables, and recorded RPC calls
+function createMemorySupabase(tables) {
+  const rpcCalls = [];
+  let sequence = 0;
+
+  const from = (table) => {
+    const rows = (tables[table] = tables[table] || []);
+    const filters = [];
+    let action = null;
+    let order = null;
+    let limit = null;
+
+    const matching = () => rows.filter((row) => filters.every((matches) => matches(row)));
+    const run = () => {
+      if (action?.type === 'insert') {
+        const inserted = [].concat(action.values).map((values) => {
+          sequence += 1;
+          return {
+            id: `${table}-${sequence}`,
+            created_at: new Date(Date.UTC(2026, 9, 19, 0, 0, sequence)).toISOString(),
+            ...COLUMN_DEFAULTS[table],
+            ...values
+          };
+        });
+        rows.push(...inserted);
+        return inserted;
+      }
+      if (action?.type === 'update') {
+        const updated = matching();
+        updated.forEach((row) => Object.assign(row, action.values));
+        return updated;
+      }
+      let result = matching();
+      if (order) {
+        const direction = order.ascending ? 1 : -1;
+        result = [...result].sort((a, b) => (a[order.column] < b[order.column] ? -direction : direction));
+      }
+      return limit == null ? result : result.slice(0, limit);
+    };
+    const respond = (data) => Promise.resolve({ data, error: null });
+
+    const builder = {
+      select: () => builder,
+      insert: (values) => {
+        action = { type: 'insert', values };
+        return builder;
+      },
+      update: (values) => {
+        action = { type: 'update', values };
+        return builder;
+      },
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      in: (column, values) => {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      // Only not('column', 'is', null) is used
+      not: (column) => {
+        filters.push((row) => row[column] != null);
+        return builder;
+      },
+      order: (column, { ascending = true } = {}) => {
+        order = { column, ascending };
+        return builder;
+      },
+      limit: (count) => {
+        limit = count;
+        return builder;
+      },
+      single: () => {
+        const [row] = run();
+        return Promise.resolve(row ? { data: { ...row }, error: null } : { data: null, error: { message: 'No rows' } });
+      },
+      maybeSingle: () => {
+        const [row] = run();
+        return respond(row ? { ...row } : null);
+      },
+      then: (resolve, reject) => respond(run().map((row) => ({ ...row }))).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return {
+    tables,
+    rpcCalls,
+    from,
+    rpc: (name, params) => {
+      rpcCalls.push({ name, params });
+      return Promise.resolve({ data: null, error: null });
+    }
+  };
+}
+
+// A Stripe client that keeps PaymentIntents in memory. A manual-capture
+// intent waits for the card, like the browser's confirmCardPayment; confirm()
+// stands in for that.
+function createStripeStub() {
+  const intents = {};
+  let next = 0;
+
+  const copy = (id) => ({ ...intents[id] });
+
+  const stripe = {
+    intents,
+    confirm: (id) => {
+      intents[id].status = intents[id].capture_method === 'manual' ? 'requires_capture' : 'succeeded';
+    },
+    customers: {
+      create: jest.fn(async () => ({ id: 'cus_1' }))
+    },
+    paymentIntents: {
+      create: jest.fn(async (params) => {
+        next += 1;
+        const id = `pi_${next}`;
+        intents[id] = {
+          id,
+          client_secret: `${id}_secret`,
+          payment_method: params.payment_method || 'pm_card_visa',
+          status: params.confirm ? 'succeeded' : 'requires_payment_method',
+          ...params
+        };
+        return copy(id);
+      }),
+      retrieve: jest.fn(async (id) => copy(id)),
+      capture: jest.fn(async (id, params = {}) => {
+        intents[id].status = 'succeeded';
+        intents[id].amount_received = params.amount_to_capture ?? intents[id].amount;
+        return copy(id);
+      }),
+      cancel: jest.fn(async (id) => {
+        intents[id].status = 'canceled';
+        return copy(id);
+      })
+    },
+    refunds: {
+      create: jest.fn(async (params) => ({ id: 're_1', status: 'succeeded', ...params }))
+    }
+  };
+  return stripe;
+}
+
+function setup({ booking = requested, payments = [] } = {}) {
+  const supabase = createMemorySupabase({
+    bookings: [{ ...booking }],
+    services: [stressbuster],
+    users: [{ ...customer }],
+    payments: payments.map((payment) => ({ ...COLUMN_DEFAULTS.payments, ...payment }))
+  });
+  const stripe = createStripeStub();
+  return { supabase, stripe, service: createPaymentService({ stripe, supabase }) };
+}
+
+const bookingRow = (supabase) => supabase.tables.bookings[0];
+const paymentRows = (supabase) => supabase.tables.payments;
+
+// A captured $80 booking payment
+const captured = { id: 'payment-1', booking_id: requested.id, stripe_payment_id: 'pi_paid', amount: '80.00', status: 'completed' };
+
+describe('createPaymentService', () => {
+  describe('authorise', () => {
+    it('places a manual-capture hold for the price and records it as pending', async () => {
+      const { supabase, stripe, service } = setup();
+
+      expect(await service.authorise(requested.id, customer)).toEqual({ clientSecret: 'pi_1_secret', status: 'pending' });
+
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 8000, currency: 'aud', capture_method: 'manual', customer: 'cus_1' }),
+        { idempotencyKey: 'authorise-booking-1' }
+      );
+      expect(supabase.tables.users[0].stripe_customer_id).toBe('cus_1');
+      expect(paymentRows(supabase)).toEqual([
+        expect.objectContaining({ booking_id: requested.id, stripe_payment_id: 'pi_1', amount: '80.00', status: 'pending' })
+      ]);
+      expect(bookingRow(supabase).price_breakdown.total).toBe(80);
+    });
+
+    it('hands back the open hold instead of starting another', async () => {
+      const { stripe, service } = setup();
+      await service.authorise(requested.id, customer);
+
+      expect(await service.authorise(requested.id, customer)).toEqual({ clientSecret: 'pi_1_secret', status: 'pending' });
+      expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('only lets the customer pay for their own request', async () => {
+      const { service } = setup();
+      await expect(service.authorise(requested.id, { ...customer, id: 'someone-else' })).rejects.toMatchObject({ statusCode: 403 });
+
+      const { service: confirmedService } = setup({ booking: { ...requested, status: 'confirmed' } });
+      await expect(confirmedService.authorise(requested.id, customer)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('charges nothing when the price does not match the catalogue', async () => {
+      const { stripe, service } = setup({ booking: { ...requested, price: '60.00' } });
+      await expect(service.authorise(requested.id, customer)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'The price for this booking has changed. Please go back and review it.'
+      });
+      expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncPayment', () => {
+    it('records the hold once the card is confirmed', async () => {
+      const { supabase, stripe, service } = setup();
+      await service.authorise(requested.id, customer);
+      expect(await service.syncPayment(requested.id)).toBe('pending');
+
+      stripe.confirm('pi_1');
+      expect(await service.syncPayment(requested.id)).toBe('authorised');
+      expect(paymentRows(supabase)[0].status).toBe('authorised');
+    });
+  });
+
+  describe('capture', () => {
+    it('captures the hold on a confirmed booking', async () => {
+      const { supabase, stripe, service } = setup();
+      await service.authorise(requested.id, customer);
+      stripe.confirm('pi_1');
+      await service.syncPayment(requested.id);
+      bookingRow(supabase).status = 'confirmed';
+
+      expect(await service.capture(requested.id)).toBe('completed');
+      expect(stripe.paymentIntents.capture).toHaveBeenCalledWith('pi_1', {}, { idempotencyKey: 'capture-payments-1' });
+      expect(paymentRows(supabase)[0].status).toBe('completed');
+    });
+
+    it('does nothing more for a payment already captured', async () => {
+      const { stripe, service } = setup({ booking: { ...requested, status: 'confirmed' }, payments: [captured] });
+      expect(await service.capture(requested.id)).toBe('completed');
+      expect(stripe.paymentIntents.capture).not.toHaveBeenCalled();
+    });
+
+    it('refuses bookings that have not been accepted', async () => {
+      const { service } = setup({ payments: [{ ...captured, status: 'authorised' }] });
+      await expect(service.capture(requested.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('refund', () => {
+    const completedBooking = { ...requested, status: 'completed' };
+
+    it('refunds part of a captured payment through Stripe', async () => {
+      const { supabase, stripe, service } = setup({ booking: completedBooking, payments: [captured] });
+
+      expect(await service.refund(requested.id, 30)).toBe(30);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        { payment_intent: 'pi_paid', amount: 3000, metadata: { booking_id: requested.id } },
+        { idempotencyKey: 'refund-payment-1-0' }
+      );
+      expect(paymentRows(supabase)[0]).toMatchObject({ refunded_amount: 30, status: 'completed' });
+      expect(supabase.rpcCalls).toEqual([]);
+    });
+
+    it('never refunds more than is left, and gives a discount back once it is all refunded', async () => {
+      const { supabase, stripe, service } = setup({ booking: completedBooking, payments: [{ ...captured, refunded_amount: '30.00' }] });
+
+      expect(await service.refund(requested.id, 100)).toBe(50);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 5000 }),
+        { idempotencyKey: 'refund-payment-1-3000' }
+      );
+      expect(paymentRows(supabase)[0]).toMatchObject({ refunded_amount: 80, status: 'refunded' });
+      expect(supabase.rpcCalls).toEqual([{ name: 'void_discount_redemption', params: { p_booking_id: requested.id } }]);
+
+      expect(await service.refund(requested.id, 10)).toBe(0);
+    });
+
+    it('releases the whole of a hold rather than capturing what is left', async () => {
+      const { supabase, stripe, service } = setup({
+        booking: { ...requested, status: 'cancelled' },
+        payments: [{ ...captured, stripe_payment_id: 'pi_hold', status: 'authorised' }]
+      });
+      stripe.intents.pi_hold = { id: 'pi_hold', status: 'requires_capture' };
+
+      expect(await service.refund(requested.id, 30)).toBe(80);
+      expect(stripe.paymentIntents.capture).not.toHaveBeenCalled();
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_hold', {}, { idempotencyKey: 'release-payment-1' });
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+      expect(paymentRows(supabase)[0]).toMatchObject({ amount: '80.00', status: 'cancelled' });
+      expect(supabase.rpcCalls).toEqual([{ name: 'void_discount_redemption', params: { p_booking_id: requested.id } }]);
+    });
+
+    it('returns nothing without a payment', async () => {
+      const { stripe, service } = setup({ booking: completedBooking });
+      expect(await service.refund(requested.id, 10)).toBe(0);
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('release', () => {
+    it('cancels the hold on a declined booking', async () => {
+      const { supabase, stripe, service } = setup({
+        booking: { ...requested, status: 'declined' },
+        payments: [{ ...captured, stripe_payment_id: 'pi_hold', status: 'authorised' }]
+      });
+      stripe.intents.pi_hold = { id: 'pi_hold', status: 'requires_capture' };
+
+      expect(await service.release(requested.id)).toBe('cancelled');
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_hold', {}, { idempotencyKey: 'release-payment-1' });
+      expect(paymentRows(supabase)[0].status).toBe('cancelled');
+      expect(supabase.rpcCalls).toEqual([
+        { name: 'void_discount_redemption', params: { p_booking_id: requested.id } },
+        {
+          name: 'queue_notification',
+          params: {
+            p_type: 'booking_declined',
+            p_user_id: customer.id,
+            p_booking_id: requested.id,
+            p_key: `booking_declined:${requested.id}`
+          }
+        }
+      ]);
+    });
+
+    it('does not tell the customer about a request they cancelled', async () => {
+      const { supabase, stripe, service } = setup({
+        booking: { ...requested, status: 'cancelled' },
+        payments: [{ ...captured, stripe_payment_id: 'pi_hold', status: 'pending' }]
+      });
+      stripe.intents.pi_hold = { id: 'pi_hold', status: 'requires_payment_method' };
+
+      expect(await service.release(requested.id)).toBe('cancelled');
+      expect(supabase.rpcCalls.map((call) => call.name)).toEqual(['void_discount_redemption']);
+    });
+
+    it('refuses bookings that are going ahead', async () => {
+      const { service } = setup({ booking: { ...requested, status: 'confirmed' } });
+      await expect(service.release(requested.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('settle', () => {
+    const held = { ...captured, stripe_payment_id: 'pi_hold', status: 'authorised' };
+
+    const setupHeld = (status) => {
+      const context = setup({ booking: { ...requested, status }, payments: [held] });
+      context.stripe.intents.pi_hold = { id: 'pi_hold', status: 'requires_capture' };
+      return context;
+    };
+
+    it('captures the hold once a therapist has confirmed', async () => {
+      const { stripe, service } = setupHeld('confirmed');
+      expect(await service.settle(requested.id)).toBe('completed');
+      expect(stripe.paymentIntents.capture).toHaveBeenCalledWith('pi_hold', {}, { idempotencyKey: 'capture-payment-1' });
+    });
+
+    it('releases the hold once the request has closed', async () => {
+      const { stripe, service } = setupHeld('declined');
+      expect(await service.settle(requested.id)).toBe('cancelled');
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_hold', {}, { idempotencyKey: 'release-payment-1' });
+    });
+
+    it('leaves an open request alone', async () => {
+      const { stripe, service } = setupHeld('requested');
+      expect(await service.settle(requested.id)).toBe('authorised');
+      expect(stripe.paymentIntents.capture).not.toHaveBeenCalled();
+      expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleOpenHolds', () => {
+    it('settles each booking with a card still held and carries on past failures', async () => {
+      const { supabase, stripe, service } = setup({
+        booking: { ...requested, status: 'declined' },
+        payments: [
+          { ...captured, id: 'payment-1', stripe_payment_id: 'pi_1', status: 'authorised' },
+          { ...captured, id: 'payment-2', booking_id: 'booking-2', stripe_payment_id: 'pi_2', status: 'authorised' },
+          { ...captured, id: 'payment-3', booking_id: 'booking-3', stripe_payment_id: 'pi_3', status: 'authorised' },
+          { ...captured, id: 'payment-4', booking_id: 'booking-4', stripe_payment_id: 'pi_4' }
+        ]
+      });
+      supabase.tables.bookings.push(
+        { ...requested, id: 'booking-2', status: 'confirmed' },
+        { ...requested, id: 'booking-3', status: 'confirmed' }
+      );
+      stripe.intents.pi_1 = { id: 'pi_1', status: 'requires_capture' };
+      stripe.intents.pi_2 = { id: 'pi_2', status: 'requires_capture' };
+      stripe.paymentIntents.capture.mockImplementationOnce(async () => {
+        throw new Error('Stripe is down');
+      });
+      stripe.intents.pi_3 = { id: 'pi_3', status: 'requires_capture' };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await service.settleOpenHolds()).toEqual({ settled: 2, failed: 1 });
+      expect(paymentRows(supabase).map((payment) => payment.status)).toEqual([
+        'cancelled',
+        'authorised',
+        'completed',
+        'completed'
+      ]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('tip', () => {
+    const completedBooking = { ...requested, status: 'completed' };
+
+    it('charges the saved card off-session and records the tip', async () => {
+      const { supabase, stripe, service } = setup({ booking: completedBooking, payments: [captured] });
+      stripe.intents.pi_paid = { id: 'pi_paid', status: 'succeeded', customer: 'cus_1', payment_method: 'pm_card_visa' };
+
+      expect(await service.tip(requested.id, customer, 15)).toEqual({ status: 'completed', clientSecret: null });
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 1500, customer: 'cus_1', payment_method: 'pm_card_visa', off_session: true }),
+        { idempotencyKey: 'tip-booking-1-0' }
+      );
+      expect(paymentRows(supabase)[1]).toMatchObject({ kind: 'tip', amount: 15, status: 'completed' });
+      expect(bookingRow(supabase).tip).toBe(15);
+    });
+
+    it('asks the customer to authenticate when the bank wants it', async () => {
+      const { supabase, stripe, service } = setup({ booking: completedBooking, payments: [captured] });
+      stripe.intents.pi_paid = { id: 'pi_paid', status: 'succeeded', customer: 'cus_1', payment_method: 'pm_card_visa' };
+      stripe.paymentIntents.create.mockImplementationOnce(async () => {
+        const error = new Error('Authentication required');
+        error.code = 'authentication_required';
+        error.raw = { payment_intent: { id: 'pi_3ds', status: 'requires_action', client_secret: 'pi_3ds_secret' } };
+        throw error;
+      });
+
+      expect(await service.tip(requested.id, customer, 15)).toEqual({ status: 'pending', clientSecret: 'pi_3ds_secret' });
+      expect(paymentRows(supabase)[1]).toMatchObject({ stripe_payment_id: 'pi_3ds', status: 'pending' });
+      expect(bookingRow(supabase).tip).toBe(0);
+    });
+
+    it('refuses a second tip while the first is charged or going through', async () => {
+      for (const status of ['completed', 'pending']) {
+        const { stripe, service } = setup({
+          booking: completedBooking,
+          payments: [captured, { id: 'payment-2', booking_id: requested.id, kind: 'tip', amount: '15.00', status }]
+        });
+
+        await expect(service.tip(requested.id, customer, 15)).rejects.toMatchObject({ statusCode: 409 });
+        expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+      }
+    });
+
+    it('tries again under a new key after a tip failed', async () => {
+      const { stripe, service } = setup({
+        booking: completedBooking,
+        payments: [captured, { id: 'payment-2', booking_id: requested.id, kind: 'tip', amount: '15.00', status: 'failed' }]
+      });
+      stripe.intents.pi_paid = { id: 'pi_paid', status: 'succeeded', customer: 'cus_1', payment_method: 'pm_card_visa' };
+
+      expect((await service.tip(requested.id, customer, 15)).status).toBe('completed');
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.anything(), { idempotencyKey: 'tip-booking-1-1' });
+    });
+
+    it('keeps tips within the limits', async () => {
+      const { service } = setup({ booking: completedBooking, payments: [captured] });
+      await expect(service.tip(requested.id, customer, 0)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.tip(requested.id, customer, 501)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,24 @@
+// Stripe client for functions. Setting STRIPE_API_HOST (and optionally
+// STRIPE_API_PORT / STRIPE_API_PROTOCOL) points it at a local stand-in such
+// as stripe-mock instead of api.stripe.com.
+import Stripe from 'stripe';
+
+export const CURRENCY = 'aud';
+
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+export const fromCents = (cents) => cents / 100;
+
+export function createStripe(env = process.env) {
+  const local = env.STRIPE_API_HOST
+    ? {
+        host: env.STRIPE_API_HOST,
+        port: env.STRIPE_API_PORT || 12111,
+        protocol: env.STRIPE_API_PROTOCOL || 'http'
+      }
+    : {};
+
+  return new Stripe(env.STRIPE_SECRET_KEY || '', {
+    apiVersion: '2023-10-16',
+    ...local
+  });
+}
@@ -0,0 +1,35 @@
+// Service-role Supabase client for functions. Bypasses RLS, so every function
+// has to check who is calling before touching a row.
+import { createClient } from '@supabase/supabase-js';
+import { HttpError } from './http';
+
+export const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_KEY || '',
+  { auth: { persistSession: false } }
+);
+
+// The signed-in caller ({ id, email, name, role, ... }) from the bearer token
+export async function requireUser(event, supabase = supabaseAdmin) {
+  const token = (event.headers.authorization || event.headers.Authorization || '').replace(/^Bearer /, '');
+  if (!token) throw new HttpError(401, 'Not signed in');
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) throw new HttpError(401, 'Not signed in');
+
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', user.id)
+    .single();
+
+  if (profileError || !profile) throw new HttpError(403, 'No account found for this user');
+  if (profile.suspended_at) throw new HttpError(403, 'This account is suspended');
+  return profile;
+}
+
+export async function requireAdmin(event, supabase = supabaseAdmin) {
+  const user = await requireUser(event, supabase);
+  if (user.role !== 'admin') throw new HttpError(403, 'Only admins can do this');
+  return user;
+}
@@ -0,0 +1,35 @@
+// Checking a therapist's schedule from a function, with the service key
+import { isTherapistFree, weekdayOf } from '../../scheduling';
+
+// Whether `therapistId` can do `booking` at `date` and `time`, ignoring the
+// booking itself, so it can be moved or handed to someone else
+export async function therapistIsFree(supabase, therapistId, booking, date = booking.date, time = booking.time) {
+  const [availability, exceptions, commitments] = await Promise.all([
+    supabase
+      .from('therapist_availability')
+      .select('weekday, start_time, end_time')
+      .eq('therapist_id', therapistId)
+      .eq('weekday', weekdayOf(date)),
+    supabase
+      .from('therapist_availability_exceptions')
+      .select('kind, start_date, end_date, start_time, end_time')
+      .eq('therapist_id', therapistId)
+      .lte('start_date', date)
+      .gte('end_date', date),
+    supabase.rpc('therapist_commitments', {
+      p_date: date,
+      p_lat: booking.lat,
+      p_lon: booking.lon,
+      p_exclude_booking_id: booking.id
+    })
+  ]);
+  const error = availability.error || exceptions.error || commitments.error;
+  if (error) throw error;
+
+  const schedule = {
+    availability: availability.data || [],
+    exceptions: exceptions.data || [],
+    commitments: (commitments.data || []).filter((c) => c.therapist_id === therapistId)
+  };
+  return isTherapistFree(schedule, { date, time, duration: booking.duration });
+}
@@ -0,0 +1,101 @@
+// Delivery transports for notifications
+//
+// A transport has one method, send({ to, subject, body }), which resolves
+// once the provider has accepted the message and throws if it didn't. Email
+// goes through EmailJS's REST API and SMS through Twilio; the fake transport
+// keeps messages in memory for tests and local development.
+
+const EMAILJS_URL = 'https://api.emailjs.com/api/v1.0/email/send';
+
+// Expects an EmailJS template with {{to_email}}, {{subject}} and {{message}}
+// placeholders, and "Allow EmailJS API for non-browser applications" on.
+export function createEmailJsTransport({ serviceId, templateId, publicKey, privateKey }) {
+  return {
+    name: 'emailjs',
+    async send({ to, subject, body }) {
+      const response = await fetch(EMAILJS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          service_id: serviceId,
+          template_id: templateId,
+          user_id: publicKey,
+          accessToken: privateKey,
+          template_params: { to_email: to, subject, message: body }
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`EmailJS ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+export function createTwilioTransport({ accountSid, authToken, from }) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }).toString()
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(`Twilio ${response.status}: ${result.message || response.statusText}`);
+      }
+    }
+  };
+}
+
+// Records every message in `sent`. failNext(n) makes the next n sends throw.
+export function createFakeTransport(name = 'fake') {
+  let failures = 0;
+
+  return {
+    name,
+    sent: [],
+    failNext(count = 1) {
+      failures = count;
+    },
+    async send(message) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error(`${name} transport failure`);
+      }
+      this.sent.push(message);
+    }
+  };
+}
+
+// Transports by channel from the environment. A channel whose provider isn't
+// configured is left out; NOTIFICATIONS_TRANSPORT=fake swaps in fakes for both.
+export function transportsFromEnv(env = process.env) {
+  if (env.NOTIFICATIONS_TRANSPORT === 'fake') {
+    return { email: createFakeTransport('fake-email'), sms: createFakeTransport('fake-sms') };
+  }
+
+  const transports = {};
+  if (env.EMAILJS_PRIVATE_KEY) {
+    transports.email = createEmailJsTransport({
+      serviceId: env.REACT_APP_EMAILJS_SERVICE,
+      templateId: env.EMAILJS_NOTIFICATION_TEMPLATE || env.REACT_APP_EMAILJS_TEMPLATE,
+      publicKey: env.REACT_APP_EMAILJS_USER,
+      privateKey: env.EMAILJS_PRIVATE_KEY
+    });
+  }
+  if (env.TWILIO_ACCOUNT_SID) {
+    transports.sms = createTwilioTransport({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: env.TWILIO_FROM_NUMBER
+    });
+  }
+  return transports;
+}
@@ -0,0 +1,170 @@
+// Stripe webhook processing
+//
+// Every event is recorded in stripe_events before it is applied, so a
+// redelivered event that already went through is skipped, and one that failed
+// can be replayed. Stripe doesn't promise to deliver events in order, so each
+// handler only moves a payment on from the statuses it expects before it; a
+// late event finds the payment already past it and leaves it alone.
+
+const findPayment = async (supabase, intentId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('stripe_payment_id', intentId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) console.warn(`Stripe webhook: no payment for ${intentId}`);
+  return data;
+};
+
+// Sets the payment's status if it is still in one of the statuses in `from`,
+// or already has it (so a replayed event runs its follow-up again). Returns
+// the payment as it was, or null when the event came too late to apply.
+const movePayment = async (supabase, payment, status, from, fields = {}) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .update({ ...fields, status })
+    .eq('id', payment.id)
+    .in('status', [...from, status])
+    .select('id');
+  if (error) throw error;
+  if (!data.length) {
+    console.warn(`Stripe webhook: payment ${payment.id} is ${payment.status}, not moving it to ${status}`);
+    return null;
+  }
+  return payment;
+};
+
+const updatePayment = async (supabase, intentId, status, from) => {
+  const payment = await findPayment(supabase, intentId);
+  return payment && movePayment(supabase, payment, status, from);
+};
+
+// Moves a booking on, but only from the statuses listed in `from`
+const updateBookingStatus = async (supabase, bookingId, status, from) => {
+  const { error } = await supabase
+    .from('bookings')
+    .update({ status })
+    .eq('id', bookingId)
+    .in('status', from);
+  if (error) throw error;
+};
+
+const handlers = {
+  async 'payment_intent.amount_capturable_updated'(supabase, intent) {
+    await updatePayment(supabase, intent.id, 'authorised', ['pending']);
+  },
+
+  async 'payment_intent.succeeded'(supabase, intent) {
+    const payment = await updatePayment(supabase, intent.id, 'completed', ['pending', 'authorised', 'failed']);
+    if (payment?.kind === 'tip') {
+      const { error } = await supabase.from('bookings').update({ tip: payment.amount }).eq('id', payment.booking_id);
+      if (error) throw error;
+    }
+    if (payment?.kind === 'voucher') {
+      const { error } = await supabase.from('discount_codes').update({ active: true }).eq('id', payment.discount_code_id);
+      if (error) throw error;
+    }
+  },
+
+  // A released hold also hands back any promo code or voucher balance
+  async 'payment_intent.canceled'(supabase, intent) {
+    const payment = await updatePayment(supabase, intent.id, 'cancelled', ['pending', 'authorised', 'failed']);
+    if (payment?.kind === 'booking') {
+      const { error } = await supabase.rpc('void_discount_redemption', { p_booking_id: payment.booking_id });
+      if (error) throw error;
+    }
+  },
+
+  // The card was refused, so the request can't go ahead. A failed tip or
+  // extension leaves the booking alone.
+  async 'payment_intent.payment_failed'(supabase, intent) {
+    const payment = await updatePayment(supabase, intent.id, 'failed', ['pending']);
+    if (payment?.kind === 'booking') {
+      await updateBookingStatus(supabase, payment.booking_id, 'cancelled', ['requested']);
+    }
+  },
+
+  // Records how much has gone back to the card; the total only ever grows.
+  // Only a full refund marks the payment refunded and cancels the booking.
+  async 'charge.refunded'(supabase, charge) {
+    const payment = await findPayment(supabase, charge.payment_intent);
+    if (!payment) return;
+
+    const refundedAmount = Math.max(charge.amount_refunded / 100, Number(payment.refunded_amount));
+    const fullRefund = charge.amount_refunded >= charge.amount;
+    const moved = await movePayment(supabase, payment, fullRefund ? 'refunded' : 'completed', ['completed'], {
+      refunded_amount: refundedAmount
+    });
+
+    if (moved && fullRefund && payment.kind === 'booking') {
+      await updateBookingStatus(supabase, payment.booking_id, 'cancelled', ['requested', 'confirmed']);
+    }
+  },
+
+  async 'charge.dispute.created'(supabase, dispute) {
+    await updatePayment(supabase, dispute.payment_intent, 'disputed', ['completed']);
+  },
+
+  // A lost dispute takes the whole charge back; otherwise the money stays
+  async 'charge.dispute.closed'(supabase, dispute) {
+    const payment = await findPayment(supabase, dispute.payment_intent);
+    if (!payment) return;
+
+    if (dispute.status === 'lost') {
+      await movePayment(supabase, payment, 'refunded', ['disputed'], { refunded_amount: payment.amount });
+    } else {
+      await movePayment(supabase, payment, 'completed', ['disputed']);
+    }
+  }
+};
+
+export const HANDLED_EVENT_TYPES = Object.keys(handlers);
+
+export function createWebhookProcessor({ supabase }) {
+  const record = async (event, fields) => {
+    const { error } = await supabase.from('stripe_events').update(fields).eq('id', event.id);
+    if (error) throw error;
+  };
+
+  return {
+    // Returns 'processed', 'duplicate' or 'ignored'; throws if the handler
+    // failed, after recording the failure.
+    async process(event) {
+      const { data: existing, error } = await supabase
+        .from('stripe_events')
+        .select('status, attempts')
+        .eq('id', event.id)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (existing?.status === 'processed' || existing?.status === 'ignored') {
+        console.log(`Stripe webhook: skipping duplicate ${event.type} ${event.id}`);
+        return 'duplicate';
+      }
+
+      const handler = handlers[event.type];
+      const attempts = (existing?.attempts || 0) + 1;
+      const { error: upsertError } = await supabase.from('stripe_events').upsert({
+        id: event.id,
+        type: event.type,
+        payload: event,
+        status: handler ? 'processing' : 'ignored',
+        attempts
+      });
+      if (upsertError) throw upsertError;
+
+      if (!handler) return 'ignored';
+
+      try {
+        await handler(supabase, event.data.object);
+        await record(event, { status: 'processed', error: null, processed_at: new Date().toISOString() });
+        return 'processed';
+      } catch (error) {
+        console.error(`Stripe webhook: ${event.type} ${event.id} failed (attempt ${attempts}):`, error);
+        await record(event, { status: 'failed', error: error.message });
+        throw error;
+      }
+    }
+  };
+}
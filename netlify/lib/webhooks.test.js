@@ -0,0 +1,211 @@
+import { createWebhookProcessor } from './webhooks';
+
+// Just enough of supabase-js for the webhook processor: filtered selects,
+// updates and upserts on in-memory tables, and recorded RPC calls
+function createMemorySupabase(tables) {
+  const rpcCalls = [];
+
+  const from = (table) => {
+    const rows = (tables[table] = tables[table] || []);
+    const filters = [];
+    let action = null;
+
+    const run = () => {
+      const matching = rows.filter((row) => filters.every((matches) => matches(row)));
+      if (action?.type === 'update') matching.forEach((row) => Object.assign(row, action.values));
+      return matching.map((row) => ({ ...row }));
+    };
+
+    const builder = {
+      select: () => builder,
+      update: (values) => {
+        action = { type: 'update', values };
+        return builder;
+      },
+      upsert: (values) => {
+        const existing = rows.find((row) => row.id === values.id);
+        if (existing) Object.assign(existing, values);
+        else rows.push({ ...values });
+        return Promise.resolve({ data: null, error: null });
+      },
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      in: (column, values) => {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      maybeSingle: () => Promise.resolve({ data: run()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return {
+    tables,
+    rpcCalls,
+    from,
+    rpc: (name, params) => {
+      rpcCalls.push({ name, params });
+      return Promise.resolve({ data: null, error: null });
+    }
+  };
+}
+
+const payment = {
+  id: 'payment-1',
+  booking_id: 'booking-1',
+  kind: 'booking',
+  stripe_payment_id: 'pi_1',
+  amount: '80.00',
+  refunded_amount: 0,
+  status: 'pending'
+};
+
+function setup({ paymentStatus = 'pending', bookingStatus = 'requested' } = {}) {
+  const supabase = createMemorySupabase({
+    payments: [{ ...payment, status: paymentStatus }],
+    bookings: [{ id: 'booking-1', status: bookingStatus, tip: 0 }],
+    stripe_events: []
+  });
+  return { supabase, processor: createWebhookProcessor({ supabase }) };
+}
+
+let sequence = 0;
+const stripeEvent = (type, object) => {
+  sequence += 1;
+  return { id: `evt_${sequence}`, type, data: { object } };
+};
+
+const intentEvent = (type) => stripeEvent(type, { id: 'pi_1' });
+const refundEvent = (refunded) => stripeEvent('charge.refunded', { payment_intent: 'pi_1', amount: 8000, amount_refunded: refunded });
+const disputeEvent = (type, status) => stripeEvent(type, { payment_intent: 'pi_1', status });
+
+const paymentRow = (supabase) => supabase.tables.payments[0];
+const bookingRow = (supabase) => supabase.tables.bookings[0];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createWebhookProcessor', () => {
+  describe('idempotency', () => {
+    it('records an event and skips it when Stripe sends it again', async () => {
+      const { supabase, processor } = setup();
+      const event = intentEvent('payment_intent.amount_capturable_updated');
+
+      expect(await processor.process(event)).toBe('processed');
+      expect(await processor.process(event)).toBe('duplicate');
+      expect(supabase.tables.stripe_events).toEqual([
+        expect.objectContaining({ id: event.id, status: 'processed', attempts: 1, error: null })
+      ]);
+      expect(paymentRow(supabase).status).toBe('authorised');
+    });
+
+    it('ignores event types it has no handler for, and their redeliveries', async () => {
+      const { supabase, processor } = setup();
+      const event = stripeEvent('customer.created', { id: 'cus_1' });
+
+      expect(await processor.process(event)).toBe('ignored');
+      expect(await processor.process(event)).toBe('duplicate');
+      expect(supabase.tables.stripe_events[0].status).toBe('ignored');
+    });
+
+    it('records a failure and applies the event when it is replayed', async () => {
+      const { supabase, processor } = setup();
+      const event = intentEvent('payment_intent.amount_capturable_updated');
+      const from = supabase.from;
+      supabase.from = (table) => {
+        if (table === 'payments') throw new Error('connection reset');
+        return from(table);
+      };
+
+      await expect(processor.process(event)).rejects.toThrow('connection reset');
+      expect(supabase.tables.stripe_events[0]).toMatchObject({ status: 'failed', error: 'connection reset', attempts: 1 });
+
+      supabase.from = from;
+      expect(await processor.process(event)).toBe('processed');
+      expect(supabase.tables.stripe_events[0]).toMatchObject({ status: 'processed', error: null, attempts: 2 });
+      expect(paymentRow(supabase).status).toBe('authorised');
+    });
+
+    it('gives the same result when the same change arrives in two events', async () => {
+      const { supabase, processor } = setup({ paymentStatus: 'completed', bookingStatus: 'confirmed' });
+
+      await processor.process(refundEvent(8000));
+      await processor.process(refundEvent(8000));
+
+      expect(paymentRow(supabase)).toMatchObject({ status: 'refunded', refunded_amount: 80 });
+      expect(bookingRow(supabase).status).toBe('cancelled');
+    });
+  });
+
+  describe('ordering', () => {
+    it('does not put a captured payment back to authorised', async () => {
+      const { supabase, processor } = setup();
+
+      await processor.process(intentEvent('payment_intent.succeeded'));
+      await processor.process(intentEvent('payment_intent.amount_capturable_updated'));
+
+      expect(paymentRow(supabase).status).toBe('completed');
+    });
+
+    it('does not mark a released hold as failed', async () => {
+      const { supabase, processor } = setup({ paymentStatus: 'authorised' });
+
+      await processor.process(intentEvent('payment_intent.canceled'));
+      await processor.process(intentEvent('payment_intent.payment_failed'));
+
+      expect(paymentRow(supabase).status).toBe('cancelled');
+      expect(bookingRow(supabase).status).toBe('requested');
+      expect(supabase.rpcCalls).toEqual([{ name: 'void_discount_redemption', params: { p_booking_id: 'booking-1' } }]);
+    });
+
+    it('lets a card that failed be tried again', async () => {
+      const { supabase, processor } = setup();
+
+      await processor.process(intentEvent('payment_intent.payment_failed'));
+      await processor.process(intentEvent('payment_intent.succeeded'));
+
+      expect(paymentRow(supabase).status).toBe('completed');
+    });
+
+    it('keeps the larger refunded total when partial refunds arrive out of order', async () => {
+      const { supabase, processor } = setup({ paymentStatus: 'completed', bookingStatus: 'confirmed' });
+
+      await processor.process(refundEvent(5000));
+      await processor.process(refundEvent(2000));
+
+      expect(paymentRow(supabase)).toMatchObject({ status: 'completed', refunded_amount: 50 });
+      expect(bookingRow(supabase).status).toBe('confirmed');
+    });
+
+    it('does not reopen a refunded payment for a late partial refund', async () => {
+      const { supabase, processor } = setup({ paymentStatus: 'completed', bookingStatus: 'confirmed' });
+
+      await processor.process(refundEvent(8000));
+      await processor.process(refundEvent(2000));
+
+      expect(paymentRow(supabase)).toMatchObject({ status: 'refunded', refunded_amount: 80 });
+    });
+  });
+
+  describe('disputes', () => {
+    it('records a lost dispute as a full refund', async () => {
+      const { supabase, processor } = setup({ paymentStatus: 'completed' });
+
+      await processor.process(disputeEvent('charge.dispute.created'));
+      expect(paymentRow(supabase).status).toBe('disputed');
+
+      await processor.process(disputeEvent('charge.dispute.closed', 'lost'));
+      expect(paymentRow(supabase)).toMatchObject({ status: 'refunded', refunded_amount: '80.00' });
+    });
+  });
+});
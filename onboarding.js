@@ -0,0 +1,139 @@
+// Therapist onboarding
+//
+// New therapists upload their documents and submit them for review; admins
+// approve them, ask for changes, or later suspend them. Only approved
+// therapists are matched to bookings. The status moves only through the
+// database functions in supabase-schema.sql, which enforce the same
+// transitions as APPLICATION_STATUSES describes here.
+import { PROFILE_COLUMNS } from './therapistProfiles';
+
+export const DOCUMENTS_BUCKET = 'therapist-documents';
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+export const APPLICATION_STATUSES = {
+  applied: { label: 'Documents needed', style: 'bg-gray-100 text-gray-800' },
+  documents_uploaded: { label: 'Ready to submit', style: 'bg-blue-100 text-blue-800' },
+  under_review: { label: 'Under review', style: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', style: 'bg-green-100 text-green-800' },
+  suspended: { label: 'Suspended', style: 'bg-red-100 text-red-800' }
+};
+
+export const REQUIRED_DOCUMENTS = [
+  { kind: 'qualification', label: 'Massage qualification', hasExpiry: false },
+  { kind: 'insurance', label: 'Professional indemnity and public liability insurance', hasExpiry: true },
+  { kind: 'police_check', label: 'National police check', hasExpiry: true }
+];
+
+// What an admin can do with a therapist in each status
+export const REVIEW_ACTIONS = {
+  under_review: [
+    { status: 'approved', label: 'Approve' },
+    { status: 'documents_uploaded', label: 'Request Changes', needsNote: true }
+  ],
+  approved: [{ status: 'suspended', label: 'Suspend', needsNote: true }],
+  suspended: [{ status: 'approved', label: 'Reinstate' }]
+};
+
+const SUBMIT_ERRORS = {
+  'documents-missing': 'Upload a current copy of every document first',
+  'not-ready': 'Your application has already been submitted'
+};
+
+const REVIEW_ERRORS = {
+  'not-allowed': "That change can't be made to this therapist's application"
+};
+
+const isCurrent = (document, today) => !document.expires_on || document.expires_on >= today;
+
+// Required documents with no current copy on file
+export const missingDocuments = (documents, today) =>
+  REQUIRED_DOCUMENTS.filter(({ kind }) => !documents.some((d) => d.kind === kind && isCurrent(d, today)));
+
+// The therapist's application status and documents, newest first
+export async function loadApplication(supabase, therapistId) {
+  const [profile, documents] = await Promise.all([
+    supabase
+      .from('therapist_profiles')
+      .select('status, status_note, submitted_at, reviewed_at')
+      .eq('user_id', therapistId)
+      .single(),
+    supabase
+      .from('therapist_documents')
+      .select('*')
+      .eq('therapist_id', therapistId)
+      .order('uploaded_at', { ascending: false })
+  ]);
+  if (profile.error || documents.error) throw profile.error || documents.error;
+  return { ...profile.data, documents: documents.data };
+}
+
+export async function uploadDocument(supabase, therapistId, kind, file, expiresOn = null) {
+  if (!DOCUMENT_TYPES.includes(file.type)) throw new Error('Documents must be PDF, JPEG or PNG');
+  if (file.size > MAX_DOCUMENT_BYTES) throw new Error('Documents must be 10 MB or smaller');
+  if (REQUIRED_DOCUMENTS.find((d) => d.kind === kind).hasExpiry && !expiresOn) {
+    throw new Error('Enter the expiry date shown on the document');
+  }
+
+  const path = `${therapistId}/${kind}-${Date.now()}.${file.name.split('.').pop().toLowerCase()}`;
+  const { error: uploadError } = await supabase.storage.from(DOCUMENTS_BUCKET).upload(path, file, { contentType: file.type });
+  if (uploadError) throw uploadError;
+
+  const { error } = await supabase.from('therapist_documents').insert({
+    therapist_id: therapistId,
+    kind,
+    file_path: path,
+    file_name: file.name,
+    expires_on: expiresOn || null
+  });
+  if (error) throw error;
+}
+
+export async function deleteDocument(supabase, document) {
+  const { error } = await supabase.from('therapist_documents').delete().eq('id', document.id);
+  if (error) throw error;
+  await supabase.storage.from(DOCUMENTS_BUCKET).remove([document.file_path]);
+}
+
+// A short-lived link to view a document
+export async function documentUrl(supabase, document) {
+  const { data, error } = await supabase.storage.from(DOCUMENTS_BUCKET).createSignedUrl(document.file_path, 300);
+  if (error) throw error;
+  return data.signedUrl;
+}
+
+export async function submitApplication(supabase) {
+  const { data, error } = await supabase.rpc('submit_therapist_application');
+  if (error) throw error;
+  if (SUBMIT_ERRORS[data]) throw new Error(SUBMIT_ERRORS[data]);
+  return data;
+}
+
+// Admin: therapists with their documents, optionally only those in `status`.
+// Applications waiting longest come first.
+export async function loadApplications(supabase, status = null) {
+  let query = supabase
+    .from('therapist_profiles')
+    .select(`
+      ${PROFILE_COLUMNS},
+      therapist:user_id(name, email, phone),
+      documents:therapist_documents(*)
+    `)
+    .order('submitted_at', { ascending: true, nullsFirst: false });
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+export async function reviewTherapist(supabase, therapistId, status, note = '') {
+  const { data, error } = await supabase.rpc('review_therapist', {
+    p_therapist_id: therapistId,
+    p_status: status,
+    p_note: note
+  });
+  if (error) throw error;
+  if (REVIEW_ERRORS[data]) throw new Error(REVIEW_ERRORS[data]);
+  return data;
+}
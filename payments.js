@@ -0,0 +1,44 @@
+// Card payments for bookings, backed by netlify/functions/payments.js.
+// The card is authorised when the booking is requested. The server captures it
+// when the therapist accepts and releases it if nobody does.
+import { callFunction } from './api';
+
+// Puts a hold on the card for the booking's price. Stripe.js runs any 3-D
+// Secure challenge in its own modal before this resolves.
+export async function authoriseCard(supabase, stripe, card, bookingId) {
+  const { clientSecret, status } = await callFunction(supabase, 'payments', { action: 'authorise', bookingId });
+
+  if (status !== 'authorised') {
+    const { error } = await stripe.confirmCardPayment(clientSecret, { payment_method: { card } });
+    if (error) throw error;
+  }
+
+  const { status: confirmed } = await callFunction(supabase, 'payments', { action: 'sync', bookingId });
+  if (confirmed !== 'authorised') {
+    throw new Error('Your card could not be authorised. Please try another card.');
+  }
+}
+
+// Suggested tips, as a percentage of the session price
+export const TIP_PRESET_PERCENTAGES = [10, 15, 20];
+
+export const tipPresets = (price) =>
+  TIP_PRESET_PERCENTAGES.map((percent) => Math.max(1, Math.round((Number(price) * percent) / 100)));
+
+// Tips the therapist on the card used for the booking, asking the customer to
+// authenticate only if their bank requires it
+export async function sendTip(supabase, stripe, bookingId, amount) {
+  const { status, clientSecret } = await callFunction(supabase, 'payments', { action: 'tip', bookingId, amount });
+  if (status === 'completed') return;
+
+  const { error } = await stripe.confirmCardPayment(clientSecret);
+  if (error) throw error;
+
+  const { status: confirmed } = await callFunction(supabase, 'payments', { action: 'sync', bookingId, kind: 'tip' });
+  if (confirmed !== 'completed') {
+    throw new Error('Your tip could not be charged. Please try again.');
+  }
+}
+
+export const skipTip = (supabase, bookingId) =>
+  callFunction(supabase, 'payments', { action: 'skip-tip', bookingId });
@@ -0,0 +1,201 @@
+// Booking prices
+//
+// The one place a booking's price is worked out. The booking flow uses it to
+// show the customer a breakdown and the payments function repeats it before
+// placing the hold, so what is shown and what is charged always agree.
+//
+// Service prices are GST-inclusive. Amounts are calculated in cents and
+// returned in dollars. Promo codes and gift vouchers come off the total last,
+// through applyDiscount().
+import { addDays, haversineKm, toMinutes, weekdayOf } from './scheduling';
+
+export const GST_RATE = 0.1;
+
+// Discounts stop short of this, since a card hold still secures the booking
+export const MIN_CHARGE = 1;
+
+// Sydney CBD, where travel distance is measured from
+export const TRAVEL_ORIGIN = { lat: -33.8688, lon: 151.2093 };
+
+export const DEFAULT_PRICING = {
+  // Sessions starting before `start` or finishing after `end`
+  afterHours: { start: '08:00', end: '19:00', percent: 15 },
+  weekendPercent: 10,
+  // Replaces the weekend surcharge when a holiday falls on a weekend
+  publicHolidayPercent: 25,
+  travel: { origin: TRAVEL_ORIGIN, includedKm: 10, perKm: 1.5, maxFee: 40 },
+  gstRate: GST_RATE,
+  publicHolidays: (year) => nswPublicHolidays(year)
+};
+
+const toCents = (dollars) => Math.round(Number(dollars) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Easter Sunday for a year (anonymous Gregorian algorithm)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The `n`th (1-based) Monday of a month
+const nthMonday = (year, month, n) => {
+  const first = `${year}-${String(month).padStart(2, '0')}-01`;
+  return addDays(first, ((8 - weekdayOf(first)) % 7) + (n - 1) * 7);
+};
+
+// A holiday falling on a weekend is also observed on the following Monday
+const withMondaySubstitute = (date) => {
+  const weekday = weekdayOf(date);
+  if (weekday === 6) return [date, addDays(date, 2)];
+  if (weekday === 0) return [date, addDays(date, 1)];
+  return [date];
+};
+
+// Christmas and Boxing Day, plus the weekdays they are observed on when
+// either falls on a weekend
+const christmasHolidays = (year) => {
+  const christmas = `${year}-12-25`;
+  const boxingDay = `${year}-12-26`;
+  const extra = {
+    5: [`${year}-12-28`], // Boxing Day on Saturday
+    6: [`${year}-12-27`, `${year}-12-28`], // Christmas on Saturday
+    0: [`${year}-12-27`] // Christmas on Sunday, Boxing Day on Monday
+  }[weekdayOf(christmas)] || [];
+  return [christmas, boxingDay, ...extra];
+};
+
+// NSW public holidays for a year, including weekend substitutes
+export function nswPublicHolidays(year) {
+  const easter = easterSunday(year);
+  return [
+    ...withMondaySubstitute(`${year}-01-01`),
+    ...withMondaySubstitute(`${year}-01-26`),
+    addDays(easter, -2), // Good Friday
+    addDays(easter, -1), // Easter Saturday
+    easter,
+    addDays(easter, 1), // Easter Monday
+    `${year}-04-25`, // Anzac Day
+    nthMonday(year, 6, 2), // King's Birthday
+    nthMonday(year, 10, 1), // Labour Day
+    ...christmasHolidays(year)
+  ].sort();
+}
+
+export const isPublicHoliday = (date, pricing = DEFAULT_PRICING) =>
+  pricing.publicHolidays(Number(date.slice(0, 4))).includes(date);
+
+const isWeekend = (date) => [0, 6].includes(weekdayOf(date));
+
+// Throws unless `duration` is the base session plus whole increments
+export function assertValidDuration(service, duration) {
+  const extra = duration - service.baseDuration;
+  if (!Number.isInteger(duration) || extra < 0 || extra % service.increment !== 0) {
+    throw new Error(
+      `${service.name} is booked in ${service.increment} minute steps from ${service.baseDuration} minutes`
+    );
+  }
+}
+
+// Base session plus extensions, before surcharges
+export function sessionPrice(service, duration) {
+  assertValidDuration(service, duration);
+  const increments = (duration - service.baseDuration) / service.increment;
+  return fromCents(toCents(service.basePrice) + increments * toCents(service.incrementPrice));
+}
+
+// What extending a session of `duration` by `extraMinutes` costs: the
+// increment price for each extra increment, without surcharges
+export function extensionPrice(service, duration, extraMinutes) {
+  if (!(extraMinutes > 0)) throw new Error('Extend the session by at least one increment');
+  return fromCents(toCents(sessionPrice(service, duration + extraMinutes)) - toCents(sessionPrice(service, duration)));
+}
+
+export function travelFee(location, pricing = DEFAULT_PRICING) {
+  if (location?.lat == null || location?.lon == null) return { distanceKm: null, fee: 0 };
+
+  const { origin, includedKm, perKm, maxFee } = pricing.travel;
+  const distanceKm = haversineKm(origin, location);
+  const chargeableKm = Math.max(0, Math.ceil(distanceKm - includedKm));
+  return { distanceKm, fee: fromCents(Math.min(toCents(maxFee), chargeableKm * toCents(perKm))) };
+}
+
+// Full price for a booking:
+//   { lines: [{ type, label, amount }], total, gst, totalExGst }
+// `lines` add up to `total`; `gst` is the GST included in it.
+export function priceBooking(service, { duration, date, time, lat, lon }, pricing = DEFAULT_PRICING) {
+  assertValidDuration(service, duration);
+
+  const lines = [];
+  const add = (type, label, cents) => {
+    if (cents > 0) lines.push({ type, label, amount: fromCents(cents) });
+    return cents;
+  };
+  const percentOf = (cents, percent) => Math.round((cents * percent) / 100);
+
+  const increments = (duration - service.baseDuration) / service.increment;
+  const session =
+    add('base', `${service.name} (${service.baseDuration} min)`, toCents(service.basePrice)) +
+    add('extension', `Extra ${duration - service.baseDuration} min`, increments * toCents(service.incrementPrice));
+
+  const { start, end, percent } = pricing.afterHours;
+  const startMinutes = toMinutes(time);
+  if (startMinutes < toMinutes(start) || startMinutes + duration > toMinutes(end)) {
+    add('after-hours', `After-hours surcharge (${percent}%)`, percentOf(session, percent));
+  }
+
+  if (isPublicHoliday(date, pricing)) {
+    add('public-holiday', `Public holiday surcharge (${pricing.publicHolidayPercent}%)`,
+      percentOf(session, pricing.publicHolidayPercent));
+  } else if (isWeekend(date)) {
+    add('weekend', `Weekend surcharge (${pricing.weekendPercent}%)`, percentOf(session, pricing.weekendPercent));
+  }
+
+  const travel = travelFee({ lat, lon }, pricing);
+  add('travel', `Travel (${travel.distanceKm?.toFixed(1)} km)`, toCents(travel.fee));
+
+  return withTotals(lines, pricing);
+}
+
+const withTotals = (lines, pricing) => {
+  const total = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const gst = Math.round((total * pricing.gstRate) / (1 + pricing.gstRate));
+  return { lines, total: fromCents(total), gst: fromCents(gst), totalExGst: fromCents(total - gst) };
+};
+
+// Takes a promo code or gift voucher off a priceBooking() quote.
+// `discount` is { code, kind, discountType: 'percent' | 'fixed', value }, with
+// a voucher's remaining balance as its value. Adds a negative 'discount' line
+// and `discount: { code, amount }`.
+export function applyDiscount(quote, discount, pricing = DEFAULT_PRICING) {
+  if (!discount) return quote;
+
+  const total = toCents(quote.total);
+  const wanted = discount.discountType === 'percent'
+    ? Math.round((total * Number(discount.value)) / 100)
+    : toCents(discount.value);
+  const cents = Math.max(0, Math.min(wanted, total - toCents(MIN_CHARGE)));
+
+  const label = discount.kind === 'voucher'
+    ? `Gift voucher ${discount.code}`
+    : discount.discountType === 'percent'
+    ? `Promo ${discount.code} (${Number(discount.value)}% off)`
+    : `Promo ${discount.code}`;
+
+  return {
+    ...withTotals([...quote.lines, { type: 'discount', label, amount: -fromCents(cents) }], pricing),
+    discount: { code: discount.code, amount: fromCents(cents) }
+  };
+}
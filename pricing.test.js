@@ -0,0 +1,244 @@
+import {
+  DEFAULT_PRICING,
+  MIN_CHARGE,
+  TRAVEL_ORIGIN,
+  applyDiscount,
+  easterSunday,
+  extensionPrice,
+  isPublicHoliday,
+  nswPublicHolidays,
+  priceBooking,
+  sessionPrice,
+  travelFee
+} from './pricing';
+
+const stressbuster = { id: 1, name: 'Stressbuster', baseDuration: 60, basePrice: 80, increment: 30, incrementPrice: 40 };
+const swedish = { id: 4, name: 'Swedish Relaxation', baseDuration: 60, basePrice: 85, increment: 30, incrementPrice: 42 };
+
+// Tuesday 20 October 2026, in the CBD
+const weekday = { duration: 60, date: '2026-10-20', time: '10:00', ...TRAVEL_ORIGIN };
+
+// `km` due north of the travel origin
+const northOfOrigin = (km) => ({ lat: TRAVEL_ORIGIN.lat + km / 111.195, lon: TRAVEL_ORIGIN.lon });
+
+const lineTypes = (quote) => quote.lines.map((line) => line.type);
+
+describe('sessionPrice', () => {
+  it('charges the base price for the base duration', () => {
+    expect(sessionPrice(stressbuster, 60)).toBe(80);
+  });
+
+  it('adds the increment price for each extra increment', () => {
+    expect(sessionPrice(stressbuster, 90)).toBe(120);
+    expect(sessionPrice(stressbuster, 120)).toBe(160);
+  });
+
+  it('rejects durations shorter than the base or off the increment', () => {
+    expect(() => sessionPrice(stressbuster, 30)).toThrow('30 minute steps from 60 minutes');
+    expect(() => sessionPrice(stressbuster, 75)).toThrow();
+  });
+});
+
+describe('extensionPrice', () => {
+  it('charges the increment price for each extra increment', () => {
+    expect(extensionPrice(stressbuster, 60, 30)).toBe(40);
+    expect(extensionPrice(swedish, 90, 60)).toBe(84);
+  });
+
+  it('rejects extensions that are not whole increments', () => {
+    expect(() => extensionPrice(stressbuster, 60, 15)).toThrow('30 minute steps');
+    expect(() => extensionPrice(stressbuster, 60, 0)).toThrow('at least one increment');
+  });
+});
+
+describe('priceBooking', () => {
+  it('is just the session price on a weekday in business hours', () => {
+    const quote = priceBooking(stressbuster, weekday);
+    expect(quote.lines).toEqual([{ type: 'base', label: 'Stressbuster (60 min)', amount: 80 }]);
+    expect(quote.total).toBe(80);
+  });
+
+  it('lists extensions separately', () => {
+    const quote = priceBooking(stressbuster, { ...weekday, duration: 120 });
+    expect(quote.lines[1]).toEqual({ type: 'extension', label: 'Extra 60 min', amount: 80 });
+    expect(quote.total).toBe(160);
+  });
+
+  it('includes GST as one eleventh of the total, rounded to the cent', () => {
+    const quote = priceBooking(swedish, weekday);
+    expect(quote.gst).toBe(7.73);
+    expect(quote.totalExGst).toBe(77.27);
+    expect(quote.gst + quote.totalExGst).toBeCloseTo(quote.total, 10);
+  });
+
+  describe('after-hours surcharge', () => {
+    it('applies to sessions starting before 8am', () => {
+      const quote = priceBooking(stressbuster, { ...weekday, time: '07:30' });
+      expect(lineTypes(quote)).toContain('after-hours');
+      expect(quote.total).toBe(92);
+    });
+
+    it('applies to sessions running past 7pm', () => {
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, time: '18:30' }))).toContain('after-hours');
+    });
+
+    it('does not apply at the edges of business hours', () => {
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, time: '08:00' }))).toEqual(['base']);
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, time: '18:00' }))).toEqual(['base']);
+    });
+
+    it('counts the whole session, extensions included', () => {
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, time: '17:30', duration: 90 }))).toEqual(['base', 'extension']);
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, time: '17:30', duration: 120 }))).toContain('after-hours');
+    });
+
+    it('is a percentage of the session including extensions', () => {
+      const quote = priceBooking(stressbuster, { ...weekday, time: '19:00', duration: 90 });
+      expect(quote.lines.find((line) => line.type === 'after-hours').amount).toBe(18);
+    });
+  });
+
+  describe('weekend and public holiday surcharges', () => {
+    it('adds the weekend surcharge on Saturdays and Sundays', () => {
+      expect(priceBooking(stressbuster, { ...weekday, date: '2026-10-24' }).total).toBe(88);
+      expect(priceBooking(stressbuster, { ...weekday, date: '2026-10-25' }).total).toBe(88);
+    });
+
+    it('adds the public holiday surcharge on a weekday holiday', () => {
+      const quote = priceBooking(stressbuster, { ...weekday, date: '2026-10-05' });
+      expect(lineTypes(quote)).toEqual(['base', 'public-holiday']);
+      expect(quote.total).toBe(100);
+    });
+
+    it('charges the holiday rate instead of the weekend rate when they coincide', () => {
+      // Christmas 2027 is a Saturday
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, date: '2027-12-25' }))).toEqual(['base', 'public-holiday']);
+    });
+
+    it('stacks after-hours with the day surcharge', () => {
+      const quote = priceBooking(stressbuster, { ...weekday, date: '2026-10-24', time: '07:00' });
+      expect(lineTypes(quote)).toEqual(['base', 'after-hours', 'weekend']);
+      expect(quote.total).toBe(100);
+    });
+
+    it('rounds percentage surcharges to the cent', () => {
+      const quote = priceBooking(swedish, { ...weekday, date: '2026-10-24', time: '07:00', duration: 90 });
+      // 15% and 10% of $127
+      expect(quote.lines.map((line) => line.amount)).toEqual([85, 42, 19.05, 12.7]);
+      expect(quote.total).toBe(158.75);
+    });
+  });
+
+  describe('travel fee', () => {
+    it('is free within the included distance', () => {
+      expect(travelFee(northOfOrigin(9.5)).fee).toBe(0);
+      expect(lineTypes(priceBooking(stressbuster, { ...weekday, ...northOfOrigin(9.5) }))).toEqual(['base']);
+    });
+
+    it('charges each started kilometre beyond the included distance', () => {
+      const quote = priceBooking(stressbuster, { ...weekday, ...northOfOrigin(20.2) });
+      expect(quote.lines[1]).toEqual({ type: 'travel', label: 'Travel (20.2 km)', amount: 16.5 });
+      expect(quote.total).toBe(96.5);
+    });
+
+    it('is capped', () => {
+      expect(travelFee(northOfOrigin(80)).fee).toBe(DEFAULT_PRICING.travel.maxFee);
+    });
+
+    it('is not charged when the location is unknown', () => {
+      expect(travelFee({ lat: null, lon: null })).toEqual({ distanceKm: null, fee: 0 });
+    });
+  });
+
+  it('can be given different rates', () => {
+    const pricing = { ...DEFAULT_PRICING, weekendPercent: 50, publicHolidays: () => [] };
+    expect(priceBooking(stressbuster, { ...weekday, date: '2027-12-25' }, pricing).total).toBe(120);
+  });
+});
+
+describe('public holidays', () => {
+  it('finds Easter Sunday', () => {
+    expect(easterSunday(2024)).toBe('2024-03-31');
+    expect(easterSunday(2025)).toBe('2025-04-20');
+    expect(easterSunday(2026)).toBe('2026-04-05');
+    expect(easterSunday(2038)).toBe('2038-04-25');
+  });
+
+  it('lists the NSW holidays for a year', () => {
+    expect(nswPublicHolidays(2026)).toEqual([
+      '2026-01-01',
+      '2026-01-26',
+      '2026-04-03',
+      '2026-04-04',
+      '2026-04-05',
+      '2026-04-06',
+      '2026-04-25',
+      '2026-06-08',
+      '2026-10-05',
+      '2026-12-25',
+      '2026-12-26',
+      '2026-12-28'
+    ]);
+  });
+
+  it('adds a Monday when New Year or Australia Day falls on a weekend', () => {
+    expect(nswPublicHolidays(2022)).toContain('2022-01-03');
+    expect(nswPublicHolidays(2025)).toContain('2025-01-27');
+  });
+
+  it('moves Christmas and Boxing Day off the weekend', () => {
+    // Christmas on Saturday
+    expect(nswPublicHolidays(2027).filter((date) => date >= '2027-12-01')).toEqual([
+      '2027-12-25', '2027-12-26', '2027-12-27', '2027-12-28'
+    ]);
+    // Christmas on Sunday
+    expect(nswPublicHolidays(2022).filter((date) => date >= '2022-12-01')).toEqual([
+      '2022-12-25', '2022-12-26', '2022-12-27'
+    ]);
+  });
+
+  it('checks a date against its year', () => {
+    expect(isPublicHoliday('2026-06-08')).toBe(true);
+    expect(isPublicHoliday('2026-06-09')).toBe(false);
+  });
+});
+
+describe('applyDiscount', () => {
+  const quote = priceBooking(stressbuster, { ...weekday, duration: 90 });
+  const promo = (discountType, value) => ({ code: 'SPRING', kind: 'promo', discountType, value });
+
+  it('leaves the quote alone without a discount', () => {
+    expect(applyDiscount(quote, null)).toBe(quote);
+  });
+
+  it('takes a percentage off the total', () => {
+    const discounted = applyDiscount(quote, promo('percent', 15));
+    expect(discounted.lines[discounted.lines.length - 1]).toEqual({
+      type: 'discount',
+      label: 'Promo SPRING (15% off)',
+      amount: -18
+    });
+    expect(discounted.total).toBe(102);
+    expect(discounted.discount).toEqual({ code: 'SPRING', amount: 18 });
+  });
+
+  it('takes a fixed amount off the total and recalculates GST', () => {
+    const discounted = applyDiscount(quote, promo('fixed', 20));
+    expect(discounted.total).toBe(100);
+    expect(discounted.gst).toBe(9.09);
+  });
+
+  it('includes surcharges and travel in what a percentage applies to', () => {
+    const weekend = priceBooking(stressbuster, { ...weekday, date: '2026-10-24' });
+    expect(applyDiscount(weekend, promo('percent', 50)).total).toBe(44);
+  });
+
+  it('never takes the total below the minimum charge', () => {
+    expect(applyDiscount(quote, promo('percent', 100)).total).toBe(MIN_CHARGE);
+    const voucher = { code: 'GIFT-ABCD', kind: 'voucher', discountType: 'fixed', value: 500 };
+    const discounted = applyDiscount(quote, voucher);
+    expect(discounted.total).toBe(MIN_CHARGE);
+    expect(discounted.discount.amount).toBe(119);
+    expect(discounted.lines[discounted.lines.length - 1].label).toBe('Gift voucher GIFT-ABCD');
+  });
+});
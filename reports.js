@@ -0,0 +1,163 @@
+// Admin reports
+//
+// The figures are aggregated by report_revenue and report_summary
+// (supabase-schema.sql), so only the totals come to the browser. Dates are
+// the Sydney calendar dates bookings are made for, and "today" is worked
+// out in Sydney too, not in the browser's timezone.
+import { periodStart } from './earnings';
+import { addDays, businessDate } from './scheduling';
+
+export const REPORT_GROUPS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'service', label: 'Service' },
+  { value: 'therapist', label: 'Therapist' }
+];
+
+export const RANGE_PRESETS = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: 'month', label: 'This month' },
+  { value: '12m', label: 'Last 12 months' }
+];
+
+// Groupings that are periods of time, shown oldest to newest with empty
+// periods filled in
+export const isTimeGroup = (group) => ['day', 'week', 'month'].includes(group);
+
+// { from, to } for a preset, ending today
+export function presetRange(preset, today = businessDate()) {
+  switch (preset) {
+    case '7d':
+      return { from: addDays(today, -6), to: today };
+    case 'month':
+      return { from: periodStart(today, 'month'), to: today };
+    case '12m': {
+      // From the start of the same month last year, so this month isn't counted twice
+      const [year, month] = today.split('-').map(Number);
+      const from = month === 12 ? `${year}-01-01` : `${year - 1}-${String(month + 1).padStart(2, '0')}-01`;
+      return { from, to: today };
+    }
+    default:
+      return { from: addDays(today, -29), to: today };
+  }
+}
+
+// Problems with a chosen range, as a message, or null
+export function validateReportRange({ from, to }) {
+  if (!from || !to) return 'Choose a start and end date';
+  if (to < from) return 'The end date must be on or after the start date';
+  return null;
+}
+
+// The first day of every day, week or month the range touches
+export function bucketsBetween(from, to, group) {
+  const buckets = [];
+  let start = group === 'day' ? from : periodStart(from, group);
+  while (start <= to) {
+    buckets.push(start);
+    if (group === 'day') start = addDays(start, 1);
+    else if (group === 'week') start = addDays(start, 7);
+    else start = periodStart(addDays(start, 31), 'month');
+  }
+  return buckets;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Short axis label for a period starting on `date`
+export function bucketLabel(date, group) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (group === 'month') return `${MONTHS[month - 1]} ${year}`;
+  return `${day} ${MONTHS[month - 1]}`;
+}
+
+const toNumber = (value) => Number(value || 0);
+
+const emptyRow = (bucket, group) => ({
+  bucket,
+  label: bucketLabel(bucket, group),
+  bookings: 0,
+  sessions: 0,
+  tips: 0,
+  refunds: 0,
+  revenue: 0
+});
+
+// Revenue rows for the range, grouped by `groupBy` (see REPORT_GROUPS).
+// Time groupings come back oldest first with a row for every period; services
+// and therapists come back highest revenue first.
+export async function loadRevenueReport(supabase, { from, to, groupBy }) {
+  const { data, error } = await supabase.rpc('report_revenue', { p_from: from, p_to: to, p_group: groupBy });
+  if (error) throw error;
+
+  const rows = data.map((row) => ({
+    bucket: row.bucket,
+    label: isTimeGroup(groupBy) ? bucketLabel(row.bucket, groupBy) : row.label,
+    bookings: toNumber(row.booking_count),
+    sessions: toNumber(row.session_total),
+    tips: toNumber(row.tip_total),
+    refunds: toNumber(row.refund_total),
+    revenue: toNumber(row.revenue)
+  }));
+
+  if (!isTimeGroup(groupBy)) return rows.sort((a, b) => b.revenue - a.revenue);
+  return bucketsBetween(from, to, groupBy).map(
+    (bucket) => rows.find((row) => row.bucket === bucket) || emptyRow(bucket, groupBy)
+  );
+}
+
+// As a fraction of `total`, or null when there is nothing to divide by
+const rate = (count, total) => (total ? count / total : null);
+
+// Booking outcomes and refunds for the range, with rates worked out
+export async function loadReportSummary(supabase, { from, to }) {
+  const { data, error } = await supabase.rpc('report_summary', { p_from: from, p_to: to });
+  if (error) throw error;
+
+  const row = data[0] || {};
+  const bookings = toNumber(row.booking_count);
+  const offersMade = toNumber(row.offers_made);
+  return {
+    bookings,
+    completed: toNumber(row.completed_count),
+    cancelled: toNumber(row.cancelled_count),
+    declined: toNumber(row.declined_count),
+    noShows: toNumber(row.no_show_count),
+    offersMade,
+    offersDeclined: toNumber(row.offers_declined),
+    offersExpired: toNumber(row.offers_expired),
+    cancellationRate: rate(toNumber(row.cancelled_count), bookings),
+    unfilledRate: rate(toNumber(row.declined_count), bookings),
+    offerDeclineRate: rate(toNumber(row.offers_declined), offersMade),
+    avgSecondsToAccept: row.avg_seconds_to_accept == null ? null : toNumber(row.avg_seconds_to_accept),
+    refunds: toNumber(row.refund_count),
+    refundTotal: toNumber(row.refund_total)
+  };
+}
+
+// Bookings for today, in any live state, and approved therapists
+export async function loadTodayStats(supabase, today = businessDate()) {
+  const [bookings, therapists] = await Promise.all([
+    supabase
+      .from('bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('date', today)
+      .in('status', ['requested', 'confirmed', 'in_progress', 'completed']),
+    supabase.from('therapist_profiles').select('user_id', { count: 'exact', head: true }).eq('status', 'approved')
+  ]);
+  if (bookings.error || therapists.error) throw bookings.error || therapists.error;
+  return { todaysBookings: bookings.count || 0, activeTherapists: therapists.count || 0 };
+}
+
+export const formatPercent = (fraction) => (fraction == null ? '–' : `${Math.round(fraction * 1000) / 10}%`);
+
+// '1h 5m', '12m' or '40s'
+export function formatDuration(seconds) {
+  if (seconds == null) return '–';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) return `${Math.round(seconds)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
@@ -0,0 +1,148 @@
+// Scheduling helpers shared by therapist matching and slot generation.
+// Times are 'HH:MM' (or 'HH:MM:SS' as Postgres returns them), dates are
+// 'YYYY-MM-DD', and everything is compared in minutes since midnight.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Booking dates and times are wall-clock times where the business operates
+export const BUSINESS_TIME_ZONE = 'Australia/Sydney';
+
+// Average door-to-door speed used to turn distance into travel time
+export const AVERAGE_TRAVEL_SPEED_KMH = 30;
+
+// Minimum gap between appointments for packing down and setting up again
+export const SETUP_BUFFER_MINUTES = 15;
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const fromMinutes = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Weekday of a calendar date (0 = Sunday), independent of the browser timezone
+export const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// 'YYYY-MM-DD' for a Date in the browser's local timezone
+export const toDateString = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => part.toString().padStart(2, '0'))
+    .join('-');
+
+export const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+// Minutes `timeZone` is ahead of UTC at `instant`
+export function timeZoneOffsetMinutes(instant, timeZone = BUSINESS_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// 'YYYY-MM-DD' it is in `timeZone` at `instant`, whatever the browser's timezone
+export const businessDate = (instant = new Date(), timeZone = BUSINESS_TIME_ZONE) =>
+  new Date(instant.getTime() + timeZoneOffsetMinutes(instant, timeZone) * 60000).toISOString().split('T')[0];
+
+// The instant a wall-clock date and time in `timeZone` happens
+export function zonedTimeToUtc(date, time, timeZone = BUSINESS_TIME_ZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day) + toMinutes(time) * 60000;
+  // Second pass picks up a daylight saving change between guess and answer
+  const firstPass = guess - timeZoneOffsetMinutes(new Date(guess), timeZone) * 60000;
+  return new Date(guess - timeZoneOffsetMinutes(new Date(firstPass), timeZone) * 60000);
+}
+
+export const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+export function haversineKm(from, to) {
+  const rad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLon = rad(to.lon - from.lon);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+export const estimateTravelMinutes = (distanceKm) =>
+  Math.ceil((distanceKm / AVERAGE_TRAVEL_SPEED_KMH) * 60);
+
+const hasLocation = (point) => point?.lat != null && point?.lon != null;
+
+// Gap needed between two appointments: setup time plus the drive between them.
+// travel_buffer_minutes (supabase-schema.sql) works it out the same way for
+// the commitments matching is given.
+export const travelBufferMinutes = (from, to) =>
+  SETUP_BUFFER_MINUTES +
+  (hasLocation(from) && hasLocation(to) ? estimateTravelMinutes(haversineKm(from, to)) : 0);
+
+// What's left of `windows` once every range in `cuts` is taken out
+const subtractRanges = (windows, cuts) =>
+  cuts.reduce(
+    (remaining, cut) =>
+      remaining.flatMap((window) =>
+        rangesOverlap(window.start, window.end, cut.start, cut.end)
+          ? [
+              { start: window.start, end: cut.start },
+              { start: cut.end, end: window.end }
+            ].filter((part) => part.start < part.end)
+          : [window]
+      ),
+    windows
+  );
+
+// Working windows for a date from weekly therapist_availability rows and any
+// therapist_availability_exceptions covering it. A holiday clears the day,
+// 'override' rows replace the weekly hours for their date, and 'blocked'
+// time is cut out of whatever is left.
+export function windowsForDate(availability, date, exceptions = []) {
+  const covering = exceptions.filter((row) => row.start_date <= date && date <= row.end_date);
+  if (covering.some((row) => row.kind === 'holiday')) return [];
+
+  const toWindow = (row) => ({ start: toMinutes(row.start_time), end: toMinutes(row.end_time) });
+  const overrides = covering.filter((row) => row.kind === 'override');
+  const weekday = weekdayOf(date);
+  const windows = overrides.length > 0
+    ? overrides.map(toWindow)
+    : availability.filter((row) => row.weekday === weekday).map(toWindow);
+
+  return subtractRanges(windows, covering.filter((row) => row.kind === 'blocked').map(toWindow));
+}
+
+export const fitsWithinWindows = (windows, start, end) =>
+  windows.some((window) => window.start <= start && end <= window.end);
+
+// True if [start, end) collides with any time the therapist is busy.
+// Commitments are { start_minute, end_minute } rows from therapist_commitments,
+// already widened by the travel buffer to and from the new booking.
+export const clashesWithCommitments = (commitments, start, end) =>
+  commitments.some((busy) => rangesOverlap(start, end, busy.start_minute, busy.end_minute));
+
+// Whether a therapist can take a job of `duration` minutes at `date` `time`.
+// Their commitments have to have been loaded for the job's location.
+export function isTherapistFree({ availability, exceptions = [], commitments }, { date, time, duration }) {
+  const start = toMinutes(time);
+  const end = start + duration;
+  return fitsWithinWindows(windowsForDate(availability, date, exceptions), start, end) &&
+    !clashesWithCommitments(commitments, start, end);
+}
@@ -2,7 +2,145 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { createClient } from '@supabase/supabase-js';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
-import { Calendar, Clock, MapPin, User, CreditCard, CheckCircle, X, Timer, DollarSign, Menu, LogOut } from 'lucide-react';
+import { Calendar, Clock, MapPin, User, CreditCard, CheckCircle, X, Timer, DollarSign, Menu, LogOut, Navigation } from 'lucide-react';
+import { createGoogleGeocoder, emptyAddressParts, formatAddress, getCurrentPosition } from './geocoding';
+import { findAvailableTherapists, fetchTherapistSchedules } from './matching';
+import { addDays, businessDate, toDateString, weekdayOf } from './scheduling';
+import { computeSlots, findNextAvailableSlot, loadSlots } from './slots';
+import { canCancel, canRecordNoShow, canReschedule, noShowCharge, refundForCancellation } from './cancellationPolicy';
+import {
+  MAX_ACTUAL_DURATION_MINUTES,
+  arrivalTime,
+  canCheckIn,
+  canSendOnMyWay,
+  cancelBooking,
+  checkIn,
+  completeSession,
+  extendSession,
+  isInProgress,
+  recordNoShow,
+  rescheduleBooking,
+  sendOnMyWay,
+  validateActualDuration
+} from './bookingChanges';
+import {
+  EXCEPTION_KINDS,
+  WEEKDAYS,
+  addAvailabilityException,
+  deleteAvailabilityException,
+  loadAvailability,
+  saveWeeklyAvailability
+} from './availability';
+import {
+  MAX_SERVICE_RADIUS_KM,
+  addQualification,
+  deleteQualification,
+  loadTherapistProfile,
+  saveTherapistProfile,
+  uploadTherapistPhoto
+} from './therapistProfiles';
+import {
+  APPLICATION_STATUSES,
+  REQUIRED_DOCUMENTS,
+  REVIEW_ACTIONS,
+  deleteDocument,
+  documentUrl,
+  loadApplication,
+  loadApplications,
+  missingDocuments,
+  reviewTherapist,
+  submitApplication,
+  uploadDocument
+} from './onboarding';
+import {
+  EARNINGS_PERIODS,
+  PLATFORM_COMMISSION_PERCENT,
+  createPayoutRun,
+  downloadPayoutRunCsv,
+  downloadStatementCsv,
+  downloadStatementPdf,
+  earningsByPeriod,
+  loadPayoutRuns,
+  loadTherapistEarnings,
+  loadUnpaidEarnings,
+  summariseEarnings
+} from './earnings';
+import {
+  ADMIN_BOOKINGS_PAGE_SIZE,
+  ADMIN_SETTABLE_STATUSES,
+  BOOKING_STATUSES,
+  MAX_NOTE_LENGTH,
+  addBookingNote,
+  describeAdminAction,
+  emptyBookingFilters,
+  hasCardHold,
+  loadAdminBookings,
+  loadBookingDetail,
+  loadTherapistOptions,
+  reassignBooking,
+  refundBooking,
+  refundableAmount,
+  setBookingStatus,
+  statusLabel
+} from './adminBookings';
+import {
+  deleteService,
+  durationOptions,
+  loadAllServices,
+  loadServices,
+  saveService,
+  setServiceActive,
+  toService
+} from './services';
+import { applyDiscount, extensionPrice, priceBooking, sessionPrice } from './pricing';
+import {
+  GIFT_VOUCHER_AMOUNTS,
+  checkDiscountCode,
+  loadDiscountCodes,
+  loadPurchasedVouchers,
+  loadRedemptions,
+  purchaseVoucher,
+  saveDiscountCode,
+  setDiscountCodeActive,
+  toDiscountCodeForm
+} from './discounts';
+import { authoriseCard, sendTip, skipTip, tipPresets } from './payments';
+import {
+  REQUEST_TIMEOUT_SECONDS,
+  cancelBookingRequest,
+  createBookingOffers,
+  expireBookingOffer,
+  fetchOpenOffers,
+  respondToBooking,
+  secondsUntilExpiry,
+  subscribeToBooking,
+  subscribeToTherapistBookings
+} from './bookingRequests';
+import {
+  RANGE_PRESETS,
+  REPORT_GROUPS,
+  formatDuration,
+  formatPercent,
+  loadReportSummary,
+  loadRevenueReport,
+  loadTodayStats,
+  presetRange,
+  validateReportRange
+} from './reports';
+import { EXPORT_FORMATS, exportBookings, exportPayments, exportReport, exportUsers } from './exports';
+import {
+  USER_ROLES,
+  describeUserAction,
+  loadAdminUsers,
+  loadUserSupport,
+  reactivateUser,
+  roleLabel,
+  sendPasswordReset,
+  setUserRole,
+  suspendUser,
+  updateContactDetails,
+  validateContactDetails
+} from './adminUsers';
 
 // Initialize services
 const supabase = createClient(
@@ -12,14 +150,7 @@ const supabase = createClient(
 
 const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_KEY || '');
 
-// Service data
-const SERVICES = [
-  { id: 1, name: 'Stressbuster', baseDuration: 60, basePrice: 80, increment: 30, incrementPrice: 40 },
-  { id: 2, name: 'Sports Massage', baseDuration: 60, basePrice: 90, increment: 30, incrementPrice: 45 },
-  { id: 3, name: 'Deep Tissue', baseDuration: 60, basePrice: 100, increment: 30, incrementPrice: 50 },
-  { id: 4, name: 'Swedish Relaxation', baseDuration: 60, basePrice: 85, increment: 30, incrementPrice: 42 },
-  { id: 5, name: 'Prenatal', baseDuration: 60, basePrice: 95, increment: 30, incrementPrice: 47 }
-];
+const defaultGeocoder = createGoogleGeocoder();
 
 // Main App Component
 export default function App() {
@@ -27,12 +158,16 @@ export default function App() {
   const [userRole, setUserRole] = useState(null);
   const [currentView, setCurrentView] = useState('login');
   const [loading, setLoading] = useState(true);
+  const [rebooking, setRebooking] = useState({ key: 0, data: null });
+  // Signed in from a password reset email, so asked for a new password
+  const [recovering, setRecovering] = useState(false);
 
   useEffect(() => {
     checkUser();
     const { data: authListener } = supabase.auth.onAuthStateChange(async (event, session) => {
       if (session) {
         await checkUser();
+        if (event === 'PASSWORD_RECOVERY') setRecovering(true);
       } else {
         setUser(null);
         setUserRole(null);
@@ -58,7 +193,10 @@ export default function App() {
         
         if (userData) {
           setUserRole(userData.role);
-          setCurrentView(userData.role === 'admin' ? 'admin' : userData.role === 'therapist' ? 'therapist' : 'booking');
+          // Token refreshes also land here; keep customers on the tab they're on
+          setCurrentView((view) =>
+            userData.role === 'admin' ? 'admin' : userData.role === 'therapist' ? 'therapist' : ['my-bookings', 'vouchers'].includes(view) ? view : 'booking'
+          );
         }
       }
     } catch (error) {
@@ -68,6 +206,12 @@ export default function App() {
     }
   };
 
+  // Start a new booking prefilled from a past one
+  const handleRebook = (data) => {
+    setRebooking((current) => ({ key: current.key + 1, data }));
+    setCurrentView('booking');
+  };
+
   const handleLogout = async () => {
     await supabase.auth.signOut();
     setUser(null);
@@ -93,6 +237,28 @@ export default function App() {
                 <h1 className="text-xl font-semibold text-gray-900">Rejuvenators Mobile Massage</h1>
               </div>
               <div className="flex items-center space-x-4">
+                {userRole === 'customer' && (
+                  <>
+                    <button
+                      onClick={() => setCurrentView('booking')}
+                      className={`text-sm ${currentView === 'booking' ? 'text-purple-600 font-medium' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      Book a Massage
+                    </button>
+                    <button
+                      onClick={() => setCurrentView('my-bookings')}
+                      className={`text-sm ${currentView === 'my-bookings' ? 'text-purple-600 font-medium' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      My Bookings
+                    </button>
+                    <button
+                      onClick={() => setCurrentView('vouchers')}
+                      className={`text-sm ${currentView === 'vouchers' ? 'text-purple-600 font-medium' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      Gift Vouchers
+                    </button>
+                  </>
+                )}
                 <span className="text-sm text-gray-600">{user.email}</span>
                 <button
                   onClick={handleLogout}
@@ -108,7 +274,20 @@ export default function App() {
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {!user && currentView === 'login' && <LoginForm onSuccess={checkUser} />}
-        {user && userRole === 'customer' && currentView === 'booking' && <BookingFlow user={user} />}
+        {user && recovering && <NewPasswordForm onDone={() => setRecovering(false)} />}
+        {user && userRole === 'customer' && <TipPrompt user={user} />}
+        {user && userRole === 'customer' && currentView === 'booking' && (
+          <BookingFlow
+            key={rebooking.key}
+            user={user}
+            initialData={rebooking.data}
+            initialStep={!rebooking.data ? 1 : rebooking.data.service ? 3 : 2}
+          />
+        )}
+        {user && userRole === 'customer' && currentView === 'my-bookings' && (
+          <CustomerDashboard user={user} onRebook={handleRebook} />
+        )}
+        {user && userRole === 'customer' && currentView === 'vouchers' && <GiftVouchers user={user} />}
         {user && userRole === 'therapist' && currentView === 'therapist' && <TherapistDashboard user={user} />}
         {user && userRole === 'admin' && currentView === 'admin' && <AdminDashboard />}
       </main>
@@ -116,6 +295,57 @@ export default function App() {
   );
 }
 
+// Choosing a new password after following a reset email
+function NewPasswordForm({ onDone }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+      onDone();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto mb-8 bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-4">Choose a New Password</h3>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleSubmit}>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          minLength={6}
+          placeholder="New password"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 mb-4"
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          {loading ? 'Saving...' : 'Save Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
 // Login/Signup Form
 function LoginForm({ onSuccess }) {
   const [email, setEmail] = useState('');
@@ -134,35 +364,17 @@ function LoginForm({ onSuccess }) {
 
     try {
       if (isSignup) {
-        const { data: authData, error: authError } = await supabase.auth.signUp({
+        // The database creates the account's users row (and a therapist's
+        // profile) from these; see create_user_profile
+        const { error: authError } = await supabase.auth.signUp({
           email,
           password,
+          options: {
+            data: { name, phone, role: isTherapist ? 'therapist' : 'customer' }
+          }
         });
 
         if (authError) throw authError;
-
-        if (authData.user) {
-          const { error: userError } = await supabase.from('users').insert({
-            id: authData.user.id,
-            email,
-            name,
-            phone,
-            role: isTherapist ? 'therapist' : 'customer'
-          });
-
-          if (userError) throw userError;
-
-          if (isTherapist) {
-            const { error: profileError } = await supabase.from('therapist_profiles').insert({
-              user_id: authData.user.id,
-              bio: '',
-              lat: 0,
-              lon: 0
-            });
-
-            if (profileError) throw profileError;
-          }
-        }
       } else {
         const { error } = await supabase.auth.signInWithPassword({
           email,
@@ -271,10 +483,20 @@ function LoginForm({ onSuccess }) {
 }
 
 // Booking Flow Component
-function BookingFlow({ user }) {
-  const [step, setStep] = useState(1);
-  const [bookingData, setBookingData] = useState({
+// Prices the booking once the service, date and time are known, less any
+// promo code or voucher. The server repeats the calculation before placing
+// the hold.
+const withQuote = (data) => {
+  if (!data.service || !data.date || !data.time) return data;
+  const quote = applyDiscount(priceBooking(data.service, data), data.discount);
+  return { ...data, quote, price: quote.total };
+};
+
+function BookingFlow({ user, geocoder = defaultGeocoder, initialData = null, initialStep = 1 }) {
+  const [step, setStep] = useState(initialStep);
+  const [bookingData, setBookingData] = useState(() => withQuote({
     address: '',
+    addressParts: emptyAddressParts,
     lat: null,
     lon: null,
     service: null,
@@ -282,19 +504,24 @@ function BookingFlow({ user }) {
     date: '',
     time: '',
     therapist: null,
+    dispatchMode: 'direct',
+    candidates: [],
     parking: '',
     roomDetails: '',
-    price: 0
-  });
+    price: 0,
+    quote: null,
+    discount: null,
+    ...initialData
+  }));
 
   const updateBookingData = (data) => {
-    setBookingData(prev => ({ ...prev, ...data }));
+    setBookingData(prev => withQuote({ ...prev, ...data }));
   };
 
   const renderStep = () => {
     switch (step) {
       case 1:
-        return <AddressStep data={bookingData} updateData={updateBookingData} onNext={() => setStep(2)} />;
+        return <AddressStep data={bookingData} updateData={updateBookingData} geocoder={geocoder} onNext={() => setStep(2)} />;
       case 2:
         return <ServiceStep data={bookingData} updateData={updateBookingData} onNext={() => setStep(3)} onBack={() => setStep(1)} />;
       case 3:
@@ -304,7 +531,7 @@ function BookingFlow({ user }) {
       case 5:
         return <BookingDetailsStep data={bookingData} updateData={updateBookingData} onNext={() => setStep(6)} onBack={() => setStep(4)} />;
       case 6:
-        return <PaymentStep data={bookingData} user={user} onSuccess={() => setStep(7)} onBack={() => setStep(5)} />;
+        return <PaymentStep data={bookingData} updateData={updateBookingData} user={user} onSuccess={() => setStep(7)} onBack={() => setStep(5)} />;
       case 7:
         return <ThankYouStep data={bookingData} onNewBooking={() => { setStep(1); setBookingData({}); }} />;
       default:
@@ -334,16 +561,75 @@ function BookingFlow({ user }) {
 }
 
 // Step 1: Address
-function AddressStep({ data, updateData, onNext }) {
-  const [address, setAddress] = useState(data.address || '');
+function AddressStep({ data, updateData, onNext, geocoder }) {
+  const [query, setQuery] = useState(data.address || '');
+  const [unit, setUnit] = useState(data.addressParts?.unit || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [resolved, setResolved] = useState(
+    data.address && data.lat != null ? { ...data.addressParts, formatted: data.address, lat: data.lat, lon: data.lon } : null
+  );
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState('');
 
-  const handleSubmit = (e) => {
+  useEffect(() => {
+    if (resolved && query === resolved.formatted) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await geocoder.suggest(query);
+        if (!cancelled) setSuggestions(results);
+      } catch (error) {
+        if (!cancelled) setError(error.message);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, resolved, geocoder]);
+
+  const resolveAddress = async (input) => {
+    setResolving(true);
+    setError('');
+    try {
+      const address = await geocoder.resolve(input);
+      setResolved(address);
+      setQuery(address.formatted);
+      setSuggestions([]);
+      if (address.unit) setUnit(address.unit);
+      return address;
+    } catch (error) {
+      setResolved(null);
+      setError(error.message);
+      return null;
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setResolved(null);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // In production, would use Google Places API here
-    updateData({ 
-      address, 
-      lat: -33.8688 + (Math.random() - 0.5) * 0.1, 
-      lon: 151.2093 + (Math.random() - 0.5) * 0.1 
+    const address = resolved || await resolveAddress(query);
+    if (!address) return;
+
+    const { formatted, lat, lon, ...parts } = address;
+    const addressParts = { ...parts, unit: unit.trim() };
+    updateData({
+      address: formatAddress(addressParts),
+      addressParts,
+      lat,
+      lon
     });
     onNext();
   };
@@ -354,20 +640,61 @@ function AddressStep({ data, updateData, onNext }) {
         <MapPin className="mr-2 h-5 w-5 text-purple-600" />
         Service Address
       </h3>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit}>
+        <div className="relative mb-4">
+          <input
+            type="text"
+            placeholder="Start typing your street address"
+            value={query}
+            onChange={(e) => handleQueryChange(e.target.value)}
+            autoComplete="off"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent"
+            required
+          />
+          {suggestions.length > 0 && (
+            <ul className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-md">
+              {suggestions.map((suggestion) => (
+                <li key={suggestion.id}>
+                  <button
+                    type="button"
+                    onClick={() => resolveAddress(suggestion)}
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-purple-50"
+                  >
+                    {suggestion.description}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         <input
           type="text"
-          placeholder="Enter your address"
-          value={address}
-          onChange={(e) => setAddress(e.target.value)}
+          placeholder="Unit / apartment (optional)"
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
           className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent mb-4"
-          required
         />
+
+        {resolved && (
+          <div className="mb-4 p-4 bg-gray-50 rounded-lg text-sm">
+            <span className="text-gray-600">Booking address:</span> {formatAddress({ ...resolved, unit })}
+          </div>
+        )}
+
         <button
           type="submit"
-          className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700"
+          disabled={resolving}
+          className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
         >
-          Next
+          {resolving ? 'Finding address...' : 'Next'}
         </button>
       </form>
     </div>
@@ -376,14 +703,25 @@ function AddressStep({ data, updateData, onNext }) {
 
 // Step 2: Service Selection
 function ServiceStep({ data, updateData, onNext, onBack }) {
+  const [services, setServices] = useState([]);
   const [service, setService] = useState(data.service || null);
   const [duration, setDuration] = useState(data.duration || 60);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
-  const calculatePrice = (service, duration) => {
-    if (!service) return 0;
-    const additionalTime = duration - service.baseDuration;
-    const additionalIncrements = additionalTime / service.increment;
-    return service.basePrice + (additionalIncrements * service.incrementPrice);
+  useEffect(() => {
+    loadServices(supabase)
+      .then(setServices)
+      .catch((error) => {
+        console.error('Error loading services:', error);
+        setError(error.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const selectService = (s) => {
+    setService(s);
+    if (!durationOptions(s).includes(duration)) setDuration(s.baseDuration);
   };
 
   const handleSubmit = (e) => {
@@ -391,7 +729,7 @@ function ServiceStep({ data, updateData, onNext, onBack }) {
     updateData({ 
       service, 
       duration, 
-      price: calculatePrice(service, duration) 
+      price: sessionPrice(service, duration) 
     });
     onNext();
   };
@@ -399,9 +737,19 @@ function ServiceStep({ data, updateData, onNext, onBack }) {
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h3 className="text-xl font-semibold mb-4">Select Service & Duration</h3>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
       <form onSubmit={handleSubmit}>
         <div className="space-y-4 mb-6">
-          {SERVICES.map((s) => (
+          {loading && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+            </div>
+          )}
+          {services.map((s) => (
             <label
               key={s.id}
               className={`block p-4 border rounded-lg cursor-pointer transition ${
@@ -415,13 +763,14 @@ function ServiceStep({ data, updateData, onNext, onBack }) {
                 name="service"
                 value={s.id}
                 checked={service?.id === s.id}
-                onChange={() => setService(s)}
+                onChange={() => selectService(s)}
                 className="sr-only"
               />
               <div className="flex justify-between items-center">
                 <span className="font-medium">{s.name}</span>
                 <span className="text-gray-600">${s.basePrice} base</span>
               </div>
+              {s.description && <p className="text-sm text-gray-600 mt-1">{s.description}</p>}
             </label>
           ))}
         </div>
@@ -435,20 +784,23 @@ function ServiceStep({ data, updateData, onNext, onBack }) {
             onChange={(e) => setDuration(Number(e.target.value))}
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
           >
-            <option value={60}>60 minutes</option>
-            <option value={90}>90 minutes</option>
-            <option value={120}>120 minutes</option>
+            {(service ? durationOptions(service) : [60, 90, 120]).map((minutes) => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
           </select>
         </div>
 
         {service && (
           <div className="mb-6 p-4 bg-purple-50 rounded-lg">
             <div className="flex justify-between items-center">
-              <span className="font-medium">Total Price:</span>
+              <span className="font-medium">Session Price:</span>
               <span className="text-2xl font-bold text-purple-600">
-                ${calculatePrice(service, duration)}
+                ${sessionPrice(service, duration).toFixed(2)}
               </span>
             </div>
+            <p className="text-xs text-gray-500 mt-1">
+              After-hours, weekend, public holiday and travel charges are added once you choose a time.
+            </p>
           </div>
         )}
 
@@ -477,15 +829,50 @@ function ServiceStep({ data, updateData, onNext, onBack }) {
 function DateTimeStep({ data, updateData, onNext, onBack }) {
   const [date, setDate] = useState(data.date || '');
   const [time, setTime] = useState(data.time || '');
+  const [slots, setSlots] = useState([]);
+  const [nextAvailable, setNextAvailable] = useState(null);
+  const [loadingSlots, setLoadingSlots] = useState(false);
 
-  const generateTimeSlots = () => {
-    const slots = [];
-    for (let hour = 8; hour < 20; hour++) {
-      slots.push(`${hour.toString().padStart(2, '0')}:00`);
-      slots.push(`${hour.toString().padStart(2, '0')}:30`);
-    }
-    return slots;
-  };
+  // Sydney's today, as the slots are
+  const today = businessDate();
+
+  useEffect(() => {
+    let cancelled = false;
+    const request = {
+      date: date || today,
+      duration: data.duration,
+      lat: data.lat,
+      lon: data.lon,
+      serviceId: data.service.id
+    };
+
+    const fetchSlots = async () => {
+      setLoadingSlots(true);
+      try {
+        const daySlots = date ? await loadSlots(supabase, request) : [];
+        const firstFree = daySlots.find((slot) => slot.available);
+        const suggestion = firstFree
+          ? { date, time: firstFree.time }
+          : await findNextAvailableSlot(supabase, date ? { ...request, date: addDays(date, 1) } : request);
+
+        if (cancelled) return;
+        setSlots(daySlots);
+        setNextAvailable(suggestion);
+        if (!daySlots.some((slot) => slot.time === time && slot.available)) {
+          setTime('');
+        }
+      } catch (error) {
+        console.error('Error loading availability:', error);
+      } finally {
+        if (!cancelled) setLoadingSlots(false);
+      }
+    };
+
+    fetchSlots();
+    return () => {
+      cancelled = true;
+    };
+  }, [date]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -493,7 +880,10 @@ function DateTimeStep({ data, updateData, onNext, onBack }) {
     onNext();
   };
 
-  const today = new Date().toISOString().split('T')[0];
+  const applyNextAvailable = () => {
+    if (nextAvailable.date !== date) setDate(nextAvailable.date);
+    setTime(nextAvailable.time);
+  };
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
@@ -516,6 +906,27 @@ function DateTimeStep({ data, updateData, onNext, onBack }) {
           />
         </div>
 
+        {!loadingSlots && nextAvailable && (nextAvailable.date !== date || nextAvailable.time !== time) && (
+          <div className="mb-4 p-3 bg-purple-50 rounded-lg flex items-center justify-between text-sm">
+            <span>
+              <span className="text-gray-600">Next available:</span> {nextAvailable.date} at {nextAvailable.time}
+            </span>
+            <button
+              type="button"
+              onClick={applyNextAvailable}
+              className="text-purple-600 hover:text-purple-700 font-medium"
+            >
+              Use this time
+            </button>
+          </div>
+        )}
+
+        {!loadingSlots && !nextAvailable && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            No therapists are available in your area over the next two weeks.
+          </div>
+        )}
+
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Time
@@ -523,13 +934,14 @@ function DateTimeStep({ data, updateData, onNext, onBack }) {
           <select
             value={time}
             onChange={(e) => setTime(e.target.value)}
+            disabled={!date || loadingSlots}
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
             required
           >
-            <option value="">Select time</option>
-            {generateTimeSlots().map((slot) => (
-              <option key={slot} value={slot}>
-                {slot}
+            <option value="">{loadingSlots ? 'Checking availability...' : 'Select time'}</option>
+            {slots.map((slot) => (
+              <option key={slot.time} value={slot.time} disabled={!slot.available}>
+                {slot.available ? slot.time : `${slot.time} (unavailable)`}
               </option>
             ))}
           </select>
@@ -545,7 +957,7 @@ function DateTimeStep({ data, updateData, onNext, onBack }) {
           </button>
           <button
             type="submit"
-            disabled={!date || !time}
+            disabled={!date || !time || loadingSlots}
             className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
           >
             Next
@@ -560,6 +972,7 @@ function DateTimeStep({ data, updateData, onNext, onBack }) {
 function TherapistStep({ data, updateData, onNext, onBack }) {
   const [therapists, setTherapists] = useState([]);
   const [selectedTherapist, setSelectedTherapist] = useState(data.therapist || null);
+  const [dispatchMode, setDispatchMode] = useState(data.dispatchMode || 'direct');
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -568,13 +981,19 @@ function TherapistStep({ data, updateData, onNext, onBack }) {
 
   const fetchAvailableTherapists = async () => {
     try {
-      // In production, would filter by proximity and availability
-      const { data: therapistData } = await supabase
-        .from('users')
-        .select('id, name, email')
-        .eq('role', 'therapist');
+      const available = await findAvailableTherapists(supabase, {
+        lat: data.lat,
+        lon: data.lon,
+        date: data.date,
+        time: data.time,
+        duration: data.duration,
+        serviceId: data.service.id
+      });
 
-      setTherapists(therapistData || []);
+      setTherapists(available);
+      if (selectedTherapist && !available.some((t) => t.id === selectedTherapist.id)) {
+        setSelectedTherapist(null);
+      }
     } catch (error) {
       console.error('Error fetching therapists:', error);
     } finally {
@@ -582,9 +1001,24 @@ function TherapistStep({ data, updateData, onNext, onBack }) {
     }
   };
 
+  const selectTherapist = (therapist) => {
+    setSelectedTherapist(therapist);
+    if (dispatchMode === 'broadcast') setDispatchMode('direct');
+  };
+
+  const selectAnyTherapist = () => {
+    setSelectedTherapist(null);
+    setDispatchMode('broadcast');
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    updateData({ therapist: selectedTherapist });
+    // Candidates in the order they will be offered the booking
+    const candidates = dispatchMode === 'broadcast'
+      ? therapists
+      : [selectedTherapist, ...therapists.filter((t) => t.id !== selectedTherapist.id)];
+
+    updateData({ therapist: selectedTherapist, dispatchMode, candidates });
     onNext();
   };
 
@@ -607,34 +1041,88 @@ function TherapistStep({ data, updateData, onNext, onBack }) {
       <form onSubmit={handleSubmit}>
         <div className="space-y-4 mb-6">
           {therapists.length === 0 ? (
-            <p className="text-gray-500 text-center py-4">No therapists available</p>
+            <p className="text-gray-500 text-center py-4">
+              No therapists are available at this time. Try another date or time.
+            </p>
           ) : (
-            therapists.map((therapist) => (
+            <>
               <label
-                key={therapist.id}
                 className={`block p-4 border rounded-lg cursor-pointer transition ${
-                  selectedTherapist?.id === therapist.id 
-                    ? 'border-purple-600 bg-purple-50' 
+                  dispatchMode === 'broadcast'
+                    ? 'border-purple-600 bg-purple-50'
                     : 'border-gray-300 hover:border-gray-400'
                 }`}
               >
                 <input
                   type="radio"
                   name="therapist"
-                  value={therapist.id}
-                  checked={selectedTherapist?.id === therapist.id}
-                  onChange={() => setSelectedTherapist(therapist)}
+                  value="any"
+                  checked={dispatchMode === 'broadcast'}
+                  onChange={selectAnyTherapist}
                   className="sr-only"
                 />
                 <div className="flex justify-between items-center">
-                  <span className="font-medium">{therapist.name}</span>
-                  <span className="text-sm text-gray-600">Within 10km</span>
+                  <span className="font-medium">Any available therapist</span>
+                  <span className="text-sm text-gray-600">First to accept</span>
                 </div>
               </label>
-            ))
+              {therapists.map((therapist) => (
+                <label
+                  key={therapist.id}
+                  className={`block p-4 border rounded-lg cursor-pointer transition ${
+                    selectedTherapist?.id === therapist.id 
+                      ? 'border-purple-600 bg-purple-50' 
+                      : 'border-gray-300 hover:border-gray-400'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="therapist"
+                    value={therapist.id}
+                    checked={selectedTherapist?.id === therapist.id}
+                    onChange={() => selectTherapist(therapist)}
+                    className="sr-only"
+                  />
+                  <div className="flex items-start space-x-4">
+                    <TherapistAvatar name={therapist.name} photoUrl={therapist.photoUrl} className="h-16 w-16" />
+                    <div className="flex-1">
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">{therapist.name}</span>
+                        <span className="text-sm text-gray-600">
+                          {therapist.distanceKm} km away · ~{therapist.travelMinutes} min
+                        </span>
+                      </div>
+                      {therapist.homeSuburb && (
+                        <p className="text-sm text-gray-600">Based in {therapist.homeSuburb}</p>
+                      )}
+                      {therapist.bio && <p className="text-sm text-gray-700 mt-2">{therapist.bio}</p>}
+                      {therapist.qualifications.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          {therapist.qualifications.map((q) => q.name).join(' · ')}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                </label>
+              ))}
+            </>
           )}
         </div>
 
+        {selectedTherapist && therapists.length > 1 && (
+          <label className="flex items-center space-x-2 mb-6">
+            <input
+              type="checkbox"
+              checked={dispatchMode === 'fallback'}
+              onChange={(e) => setDispatchMode(e.target.checked ? 'fallback' : 'direct')}
+              className="rounded text-purple-600"
+            />
+            <span className="text-sm text-gray-700">
+              If {selectedTherapist.name} can't take it, offer my booking to the next closest therapist
+            </span>
+          </label>
+        )}
+
         <div className="flex space-x-4">
           <button
             type="button"
@@ -645,7 +1133,7 @@ function TherapistStep({ data, updateData, onNext, onBack }) {
           </button>
           <button
             type="submit"
-            disabled={!selectedTherapist}
+            disabled={!selectedTherapist && dispatchMode !== 'broadcast'}
             className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
           >
             Next
@@ -704,10 +1192,10 @@ function BookingDetailsStep({ data, updateData, onNext, onBack }) {
             <p><span className="text-gray-600">Duration:</span> {data.duration} minutes</p>
             <p><span className="text-gray-600">Date:</span> {data.date}</p>
             <p><span className="text-gray-600">Time:</span> {data.time}</p>
-            <p><span className="text-gray-600">Therapist:</span> {data.therapist?.name}</p>
+            <p><span className="text-gray-600">Therapist:</span> {data.therapist?.name || 'First available therapist'}</p>
             <p><span className="text-gray-600">Address:</span> {data.address}</p>
-            <p className="font-semibold text-purple-600 pt-2">Total: ${data.price}</p>
           </div>
+          {data.quote && <PriceBreakdown quote={data.quote} />}
         </div>
 
         <div className="flex space-x-4">
@@ -731,125 +1219,165 @@ function BookingDetailsStep({ data, updateData, onNext, onBack }) {
 }
 
 // Step 6: Payment
-function PaymentStep({ data, user, onSuccess, onBack }) {
+
+// How the customer's request banner reads each booking status
+const REQUEST_STATUS_BY_BOOKING_STATUS = {
+  requested: 'pending',
+  confirmed: 'accepted',
+  declined: 'declined',
+  cancelled: 'timeout'
+};
+
+function PaymentStep({ data, updateData, user, onSuccess, onBack }) {
   return (
     <Elements stripe={stripePromise}>
-      <PaymentForm data={data} user={user} onSuccess={onSuccess} onBack={onBack} />
+      <PaymentForm data={data} updateData={updateData} user={user} onSuccess={onSuccess} onBack={onBack} />
     </Elements>
   );
 }
 
-function PaymentForm({ data, user, onSuccess, onBack }) {
+function PaymentForm({ data, updateData, user, onSuccess, onBack }) {
   const stripe = useStripe();
   const elements = useElements();
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [bookingId, setBookingId] = useState(null);
-  const [requestStatus, setRequestStatus] = useState('pending');
-  const [timeRemaining, setTimeRemaining] = useState(120);
+  const [booking, setBooking] = useState(null);
+  const [requestStatus, setRequestStatus] = useState('idle');
+  const [timeRemaining, setTimeRemaining] = useState(REQUEST_TIMEOUT_SECONDS);
+  const [code, setCode] = useState(data.discount?.code || '');
+  const [applyingCode, setApplyingCode] = useState(false);
+  const [codeError, setCodeError] = useState('');
+
+  const applyCode = async () => {
+    setApplyingCode(true);
+    setCodeError('');
+    try {
+      updateData({ discount: await checkDiscountCode(supabase, code, data.service.id) });
+    } catch (error) {
+      setCodeError(error.message);
+    } finally {
+      setApplyingCode(false);
+    }
+  };
+
+  const removeCode = () => {
+    setCode('');
+    updateData({ discount: null });
+  };
 
+  // Follow the therapists' decisions live. A new expiry means the booking
+  // has been offered to the next therapist.
   useEffect(() => {
-    createBookingRequest();
-  }, []);
+    if (!booking) return;
+    return subscribeToBooking(supabase, booking.id, (updated) => {
+      const status = REQUEST_STATUS_BY_BOOKING_STATUS[updated.status];
+      if (status) setRequestStatus(status);
+      if (updated.status === 'confirmed') {
+        updateData({ therapist: data.candidates.find((t) => t.id === updated.therapist_id) || data.therapist });
+      }
+      if (updated.status === 'requested' && updated.request_expires_at !== booking.request_expires_at) {
+        setBooking((current) => ({ ...current, ...updated }));
+        setTimeRemaining(secondsUntilExpiry(updated));
+      }
+    });
+  }, [booking?.id, booking?.request_expires_at]);
 
   useEffect(() => {
-    if (requestStatus === 'pending' && timeRemaining > 0) {
-      const timer = setTimeout(() => {
-        setTimeRemaining(timeRemaining - 1);
-      }, 1000);
-      return () => clearTimeout(timer);
-    } else if (timeRemaining === 0 && requestStatus === 'pending') {
-      setRequestStatus('timeout');
+    if (requestStatus !== 'pending' || !booking) return;
+    if (timeRemaining === 0) {
+      expireBookingRequest();
+      return;
     }
-  }, [timeRemaining, requestStatus]);
+    const timer = setTimeout(() => {
+      setTimeRemaining(secondsUntilExpiry(booking));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [timeRemaining, requestStatus, booking]);
+
+  // Creates the booking, puts a hold on the card for its price (handling any
+  // 3-D Secure challenge) and only then offers it to therapists
+  const createBookingRequest = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
 
-  const createBookingRequest = async () => {
+    setProcessing(true);
+    setError('');
+
+    let created = null;
     try {
-      const { data: booking, error: bookingError } = await supabase
+      const { data: inserted, error: bookingError } = await supabase
         .from('bookings')
         .insert({
           customer_id: user.id,
-          therapist_id: data.therapist.id,
           service_id: data.service.id,
           duration: data.duration,
           date: data.date,
           time: data.time,
           address: data.address,
+          unit: data.addressParts.unit,
+          street: [data.addressParts.streetNumber, data.addressParts.street].filter(Boolean).join(' '),
+          suburb: data.addressParts.suburb,
+          postcode: data.addressParts.postcode,
+          state: data.addressParts.state,
           lat: data.lat,
           lon: data.lon,
           parking: data.parking,
           room_details: data.roomDetails,
           price: data.price,
+          price_breakdown: data.quote,
+          discount_code: data.discount?.code || null,
           status: 'requested'
         })
         .select()
         .single();
 
       if (bookingError) throw bookingError;
+      created = inserted;
 
-      setBookingId(booking.id);
-      
-      // Simulate sending notification to therapist
-      console.log('Notification sent to therapist');
-      
-      // Simulate therapist response after 5 seconds
-      setTimeout(() => {
-        setRequestStatus('accepted');
-      }, 5000);
+      await authoriseCard(supabase, stripe, elements.getElement(CardElement), created.id);
+      await createBookingOffers(supabase, created.id, data.candidates.map((t) => t.id), data.dispatchMode);
+
+      // Offering resets the response window, so read it back
+      await refreshBooking(created.id);
+      setRequestStatus('pending');
     } catch (error) {
       console.error('Error creating booking:', error);
-      setError('Failed to create booking request');
+      setError(error.message || 'Failed to create booking request');
+      if (created) {
+        await cancelBookingRequest(supabase, created.id).catch(() => {});
+      }
+    } finally {
+      setProcessing(false);
     }
   };
 
-  const handlePayment = async (e) => {
-    e.preventDefault();
-    
-    if (!stripe || !elements || requestStatus !== 'accepted') {
-      return;
-    }
+  const refreshBooking = async (id) => {
+    const { data: current, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .single();
 
-    setProcessing(true);
-    setError('');
+    if (fetchError) throw fetchError;
 
-    try {
-      // In production, you would create a payment intent on the server
-      const cardElement = elements.getElement(CardElement);
-      
-      const { error: stripeError, paymentMethod } = await stripe.createPaymentMethod({
-        type: 'card',
-        card: cardElement,
-      });
+    setBooking(current);
+    setTimeRemaining(secondsUntilExpiry(current));
+  };
 
-      if (stripeError) {
-        throw stripeError;
+  // The therapist didn't answer in time: move the request on on the server
+  // too, to the next therapist if there is one. If they accepted at the last
+  // moment the booking keeps that status.
+  const expireBookingRequest = async () => {
+    try {
+      const status = await expireBookingOffer(supabase, booking.id);
+      if (status === 'requested') {
+        await refreshBooking(booking.id);
+        return;
       }
-
-      // Update booking status
-      const { error: updateError } = await supabase
-        .from('bookings')
-        .update({ status: 'confirmed' })
-        .eq('id', bookingId);
-
-      if (updateError) throw updateError;
-
-      // Create payment record
-      const { error: paymentError } = await supabase
-        .from('payments')
-        .insert({
-          booking_id: bookingId,
-          stripe_payment_id: paymentMethod.id,
-          amount: data.price,
-          status: 'completed'
-        });
-
-      if (paymentError) throw paymentError;
-
-      onSuccess();
+      setRequestStatus(REQUEST_STATUS_BY_BOOKING_STATUS[status] || 'timeout');
     } catch (error) {
-      setError(error.message);
-    } finally {
-      setProcessing(false);
+      console.error('Error cancelling booking request:', error);
+      setRequestStatus('timeout');
     }
   };
 
@@ -869,7 +1397,11 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
       {requestStatus === 'pending' && (
         <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
           <div className="flex items-center justify-between mb-2">
-            <span className="font-medium text-yellow-800">Waiting for therapist confirmation...</span>
+            <span className="font-medium text-yellow-800">
+              {data.dispatchMode === 'broadcast'
+                ? 'Waiting for the first available therapist to accept...'
+                : 'Waiting for therapist confirmation...'}
+            </span>
             <span className="flex items-center text-yellow-800">
               <Timer className="h-4 w-4 mr-1" />
               {formatTime(timeRemaining)}
@@ -878,7 +1410,7 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
           <div className="w-full bg-yellow-200 rounded-full h-2">
             <div 
               className="bg-yellow-600 h-2 rounded-full transition-all duration-1000"
-              style={{ width: `${(timeRemaining / 120) * 100}%` }}
+              style={{ width: `${(timeRemaining / REQUEST_TIMEOUT_SECONDS) * 100}%` }}
             />
           </div>
         </div>
@@ -888,7 +1420,16 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
         <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
           <div className="flex items-center text-green-800">
             <CheckCircle className="h-5 w-5 mr-2" />
-            <span className="font-medium">Booking accepted! Please complete payment.</span>
+            <span className="font-medium">Booking accepted! The amount held on your card will now be charged.</span>
+          </div>
+        </div>
+      )}
+
+      {requestStatus === 'declined' && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <div className="flex items-center text-red-800">
+            <X className="h-5 w-5 mr-2" />
+            <span className="font-medium">The therapist can't take this booking. Please try another therapist.</span>
           </div>
         </div>
       )}
@@ -908,11 +1449,55 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
         </div>
       )}
 
-      <form onSubmit={handlePayment}>
+      <form onSubmit={requestStatus === 'accepted' ? (e) => { e.preventDefault(); onSuccess(); } : createBookingRequest}>
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Promo Code or Gift Voucher
+          </label>
+          {data.discount ? (
+            <div className="flex justify-between items-center p-3 bg-green-50 border border-green-200 rounded-lg text-sm">
+              <span className="text-green-800">
+                <CheckCircle className="inline h-4 w-4 mr-1" />
+                {data.discount.code} applied
+              </span>
+              <button
+                type="button"
+                onClick={removeCode}
+                disabled={requestStatus !== 'idle'}
+                className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </div>
+          ) : (
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                placeholder="Enter code"
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+              <button
+                type="button"
+                onClick={applyCode}
+                disabled={!code.trim() || applyingCode}
+                className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+              >
+                {applyingCode ? 'Checking...' : 'Apply'}
+              </button>
+            </div>
+          )}
+          {codeError && <p className="text-sm text-red-600 mt-1">{codeError}</p>}
+        </div>
+
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Card Details
           </label>
+          <p className="text-xs text-gray-500 mb-2">
+            We hold the amount on your card while the therapist confirms, and only charge it once they accept.
+          </p>
           <div className="p-3 border border-gray-300 rounded-lg">
             <CardElement
               options={{
@@ -931,26 +1516,28 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
         </div>
 
         <div className="mb-6 p-4 bg-gray-50 rounded-lg">
-          <div className="flex justify-between items-center text-lg font-semibold">
-            <span>Total Amount:</span>
-            <span className="text-purple-600">${data.price}</span>
-          </div>
+          <PriceBreakdown quote={data.quote} />
         </div>
 
         <div className="flex space-x-4">
           <button
             type="button"
             onClick={onBack}
-            className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            disabled={processing || requestStatus === 'pending' || requestStatus === 'accepted'}
+            className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
           >
             Back
           </button>
           <button
             type="submit"
-            disabled={!stripe || processing || requestStatus !== 'accepted'}
+            disabled={!stripe || processing || requestStatus === 'pending' || requestStatus === 'declined' || requestStatus === 'timeout'}
             className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
           >
-            {processing ? 'Processing...' : `Pay ${data.price}`}
+            {processing
+              ? 'Processing...'
+              : requestStatus === 'accepted'
+              ? 'View Confirmation'
+              : `Request Booking · Hold $${data.price.toFixed(2)}`}
           </button>
         </div>
       </form>
@@ -958,6 +1545,28 @@ function PaymentForm({ data, user, onSuccess, onBack }) {
   );
 }
 
+// Line-by-line price from pricing.priceBooking()
+function PriceBreakdown({ quote }) {
+  return (
+    <div className="space-y-1 text-sm pt-2">
+      {quote.lines.map((line) => (
+        <div key={line.type} className={`flex justify-between ${line.amount < 0 ? 'text-green-700' : ''}`}>
+          <span className={line.amount < 0 ? '' : 'text-gray-600'}>{line.label}</span>
+          <span>{line.amount < 0 ? '-' : ''}${Math.abs(line.amount).toFixed(2)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between items-center text-lg font-semibold pt-2 border-t border-gray-200">
+        <span>Total Amount:</span>
+        <span className="text-purple-600">${quote.total.toFixed(2)}</span>
+      </div>
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>Includes GST of</span>
+        <span>${quote.gst.toFixed(2)}</span>
+      </div>
+    </div>
+  );
+}
+
 // Step 7: Thank You
 function ThankYouStep({ data, onNewBooking }) {
   return (
@@ -981,7 +1590,7 @@ function ThankYouStep({ data, onNewBooking }) {
           <p><span className="text-gray-600">Date:</span> {data.date}</p>
           <p><span className="text-gray-600">Time:</span> {data.time}</p>
           <p><span className="text-gray-600">Duration:</span> {data.duration} minutes</p>
-          <p><span className="text-gray-600">Therapist:</span> {data.therapist?.name}</p>
+          <p><span className="text-gray-600">Therapist:</span> {data.therapist?.name || 'First available therapist'}</p>
           <p><span className="text-gray-600">Location:</span> {data.address}</p>
         </div>
       </div>
@@ -996,209 +1605,4384 @@ function ThankYouStep({ data, onNewBooking }) {
   );
 }
 
-// Therapist Dashboard
-function TherapistDashboard({ user }) {
-  const [bookings, setBookings] = useState([]);
-  const [loading, setLoading] = useState(true);
+// Cancel / reschedule controls for an existing booking
+function BookingActions({ booking, role, onChanged }) {
+  const [mode, setMode] = useState(null);
+  const [reason, setReason] = useState('');
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
 
+  // Only the booked therapist's free times, ignoring this booking itself
   useEffect(() => {
-    fetchBookings();
-    const interval = setInterval(fetchBookings, 30000); // Refresh every 30 seconds
-    return () => clearInterval(interval);
-  }, []);
+    if (mode !== 'reschedule' || !date) return;
+    let cancelled = false;
 
-  const fetchBookings = async () => {
-    try {
-      const { data } = await supabase
-        .from('bookings')
-        .select(`
-          *,
-          customer:customer_id(name, email, phone),
-          service:service_id(name)
-        `)
-        .eq('therapist_id', user.id)
-        .in('status', ['requested', 'confirmed'])
-        .order('date', { ascending: true });
+    const fetchSlots = async () => {
+      setLoadingSlots(true);
+      try {
+        const therapists = (
+          await fetchTherapistSchedules(supabase, date, {
+            lat: booking.lat,
+            lon: booking.lon,
+            excludeBookingId: booking.id
+          })
+        ).filter((t) => t.id === booking.therapist_id);
+        const available = computeSlots(therapists, {
+          date,
+          duration: booking.duration,
+          lat: Number(booking.lat),
+          lon: Number(booking.lon)
+        });
+        if (!cancelled) setSlots(available);
+      } catch (error) {
+        console.error('Error loading availability:', error);
+      } finally {
+        if (!cancelled) setLoadingSlots(false);
+      }
+    };
 
-      setBookings(data || []);
-    } catch (error) {
-      console.error('Error fetching bookings:', error);
-    } finally {
-      setLoading(false);
-    }
+    fetchSlots();
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, date]);
+
+  const refund = refundForCancellation(booking, { cancelledBy: role });
+
+  const run = async (action) => {
+    setProcessing(true);
+    setError('');
+    try {
+      setMessage(await action());
+      setMode(null);
+      onChanged();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCancel = () =>
+    run(async () => {
+      const { refundAmount } = await cancelBooking(supabase, booking.id, reason);
+      return refundAmount > 0
+        ? `Booking cancelled. $${refundAmount.toFixed(2)} will be returned to the card.`
+        : 'Booking cancelled.';
+    });
+
+  const handleReschedule = () =>
+    run(async () => {
+      await rescheduleBooking(supabase, booking.id, date, time);
+      return `Booking moved to ${date} at ${time}.`;
+    });
+
+  return (
+    <div className="mt-4">
+      {message && <p className="mb-2 text-sm text-green-700">{message}</p>}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {!mode && (
+        <div className="flex space-x-4">
+          {canReschedule(booking) && (
+            <button
+              onClick={() => setMode('reschedule')}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Reschedule
+            </button>
+          )}
+          {canCancel(booking) && (
+            <button
+              onClick={() => setMode('cancel')}
+              className="flex-1 bg-gray-200 text-red-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Cancel Booking
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === 'cancel' && (
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <p className="text-sm mb-2">
+            {refund.refundPercent === 100
+              ? `The full $${refund.refundAmount.toFixed(2)} will be refunded.`
+              : refund.refundPercent > 0
+              ? `${refund.reason}: $${refund.refundAmount.toFixed(2)} (${refund.refundPercent}%) will be refunded.`
+              : `${refund.reason}: this cancellation is not refundable.`}
+          </p>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for cancelling (optional)"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 mb-4"
+            rows={2}
+          />
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Keep Booking
+            </button>
+            <button
+              onClick={handleCancel}
+              disabled={processing}
+              className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {processing ? 'Cancelling...' : 'Confirm Cancellation'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'reschedule' && (
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <input
+              type="date"
+              value={date}
+              min={businessDate()}
+              onChange={(e) => {
+                setDate(e.target.value);
+                setTime('');
+              }}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+            />
+            <select
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              disabled={!date || loadingSlots}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+            >
+              <option value="">{loadingSlots ? 'Checking availability...' : 'Select time'}</option>
+              {slots.map((slot) => (
+                <option key={slot.time} value={slot.time} disabled={!slot.available}>
+                  {slot.available ? slot.time : `${slot.time} (unavailable)`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleReschedule}
+              disabled={processing || !date || !time}
+              className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {processing ? 'Saving...' : 'Move Booking'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Therapist: check in on arrival, add time during the session, then complete
+// it or record that the customer wasn't there
+function SessionControls({ booking, onChanged }) {
+  const [mode, setMode] = useState(null);
+  const [actualDuration, setActualDuration] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const service = toService(booking.service);
+  const extensionCost = extensionPrice(service, booking.duration, service.increment);
+  const noShow = noShowCharge(booking);
+
+  const run = async (action) => {
+    setProcessing(true);
+    setError('');
+    try {
+      setMessage(await action());
+      setMode(null);
+      onChanged();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCheckIn = () =>
+    run(async () => {
+      await checkIn(supabase, booking.id);
+      return 'Checked in. The session has started.';
+    });
+
+  const handleExtend = () =>
+    run(async () => {
+      const { amount, duration } = await extendSession(supabase, booking.id, service.increment);
+      return `Session extended to ${duration} min. $${amount.toFixed(2)} charged to the customer's card.`;
+    });
+
+  const handleComplete = () => {
+    const minutes = Number(actualDuration);
+    const invalid = validateActualDuration(minutes);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    run(async () => {
+      await completeSession(supabase, booking.id, minutes);
+      return 'Session complete.';
+    });
+  };
+
+  const handleNoShow = () =>
+    run(async () => {
+      const { feeAmount } = await recordNoShow(supabase, booking.id);
+      return `Recorded as a no-show. The customer has been charged a $${feeAmount.toFixed(2)} fee.`;
+    });
+
+  const showCheckIn = canCheckIn(booking);
+  const showNoShow = canRecordNoShow(booking);
+
+  return (
+    <div className="mt-4">
+      {message && <p className="mb-2 text-sm text-green-700">{message}</p>}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {isInProgress(booking) && booking.checked_in_at && (
+        <p className="mb-2 text-sm text-gray-600">Checked in at {arrivalTime(booking.checked_in_at)}</p>
+      )}
+
+      {!mode && (showCheckIn || showNoShow) && (
+        <div className="flex space-x-4">
+          {showCheckIn && (
+            <button
+              onClick={handleCheckIn}
+              disabled={processing}
+              className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {processing ? 'Checking in...' : "I've Arrived"}
+            </button>
+          )}
+          {showNoShow && (
+            <button
+              onClick={() => setMode('no-show')}
+              className="flex-1 bg-gray-200 text-red-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Customer No-Show
+            </button>
+          )}
+        </div>
+      )}
+
+      {!mode && isInProgress(booking) && (
+        <div className="flex space-x-4">
+          <button
+            onClick={() => setMode('extend')}
+            className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+          >
+            Add {service.increment} min
+          </button>
+          <button
+            onClick={() => {
+              setActualDuration(String(booking.duration));
+              setMode('complete');
+            }}
+            className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"
+          >
+            Complete Session
+          </button>
+        </div>
+      )}
+
+      {mode === 'extend' && (
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <p className="text-sm mb-4">
+            Adding {service.increment} minutes costs ${extensionCost.toFixed(2)}, charged to the customer's card
+            straight away. Check with them before you go ahead.
+          </p>
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleExtend}
+              disabled={processing}
+              className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {processing ? 'Charging...' : `Add Time for $${extensionCost.toFixed(2)}`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'complete' && (
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <label className="block text-sm font-medium text-gray-700 mb-2">How long did the session run? (minutes)</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_ACTUAL_DURATION_MINUTES}
+            value={actualDuration}
+            onChange={(e) => setActualDuration(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 mb-4"
+          />
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleComplete}
+              disabled={processing}
+              className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {processing ? 'Saving...' : 'Mark as Complete'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'no-show' && (
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <p className="text-sm mb-4">
+            The customer will be charged a no-show fee of ${noShow.feeAmount.toFixed(2)} ({noShow.feePercent}% of the booking)
+            {noShow.refundAmount > 0 && ` and refunded the other $${noShow.refundAmount.toFixed(2)}`}. Only do this if
+            you've tried to reach them.
+          </p>
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleNoShow}
+              disabled={processing}
+              className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {processing ? 'Saving...' : 'Record No-Show'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Customer's bookings: upcoming, past and cancelled, with receipts
+const CUSTOMER_BOOKING_TABS = [
+  { id: 'upcoming', label: 'Upcoming', statuses: ['requested', 'confirmed', 'in_progress'] },
+  { id: 'past', label: 'Past', statuses: ['completed', 'no_show'] },
+  { id: 'cancelled', label: 'Cancelled', statuses: ['cancelled', 'declined'] }
+];
+
+const BOOKING_STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  in_progress: 'bg-purple-100 text-purple-800',
+  completed: 'bg-blue-100 text-blue-800',
+  no_show: 'bg-red-100 text-red-800'
+};
+
+// bookingData for a new booking that repeats `booking` at a new date and time
+const rebookDataFrom = (booking) => {
+  const service = booking.service?.active ? toService(booking.service) : null;
+  return {
+    address: booking.address,
+    addressParts: {
+      ...emptyAddressParts,
+      unit: booking.unit || '',
+      street: booking.street || '',
+      suburb: booking.suburb || '',
+      postcode: booking.postcode || '',
+      state: booking.state || ''
+    },
+    lat: Number(booking.lat),
+    lon: Number(booking.lon),
+    service,
+    // The service's steps may have changed since
+    duration: service && durationOptions(service).includes(booking.duration) ? booking.duration : service?.baseDuration,
+    therapist: booking.therapist ? { id: booking.therapist_id, name: booking.therapist.name } : null,
+    parking: booking.parking || '',
+    roomDetails: booking.room_details || '',
+    price: Number(booking.price)
+  };
+};
+
+function CustomerDashboard({ user, onRebook }) {
+  const [tab, setTab] = useState('upcoming');
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchBookings();
+  }, []);
+
+  const fetchBookings = async () => {
+    try {
+      const { data } = await supabase
+        .from('bookings')
+        .select(`
+          *,
+          therapist:therapist_names!therapist_id(name),
+          service:service_id(*),
+          payments(id, kind, amount, refunded_amount, status, created_at)
+        `)
+        .eq('customer_id', user.id)
+        .order('date', { ascending: false })
+        .order('time', { ascending: false });
+
+      setBookings(data || []);
+    } catch (error) {
+      console.error('Error fetching bookings:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const { statuses } = CUSTOMER_BOOKING_TABS.find((t) => t.id === tab);
+  const visible = bookings.filter((booking) => statuses.includes(booking.status));
+  // Upcoming reads soonest first
+  if (tab === 'upcoming') visible.reverse();
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h2 className="text-2xl font-bold mb-6">My Bookings</h2>
+
+      <div className="mb-6">
+        <nav className="flex space-x-4">
+          {CUSTOMER_BOOKING_TABS.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`px-4 py-2 rounded-lg ${
+                tab === t.id
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+        </div>
+      ) : visible.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+          No {tab} bookings
+        </div>
+      ) : (
+        <div className="grid gap-6">
+          {visible.map((booking) => (
+            <div key={booking.id} className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="font-semibold text-lg">{booking.service?.name}</h3>
+                  <p className="text-gray-600">{booking.therapist?.name || 'Waiting for a therapist'}</p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-sm ${BOOKING_STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {booking.status.replace('_', ' ')}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+                <div>
+                  <span className="text-gray-600">Date:</span> {booking.date}
+                </div>
+                <div>
+                  <span className="text-gray-600">Time:</span> {booking.time.slice(0, 5)}
+                </div>
+                <div>
+                  <span className="text-gray-600">Duration:</span> {booking.duration} min
+                </div>
+                <div>
+                  <span className="text-gray-600">Price:</span> ${Number(booking.price).toFixed(2)}
+                </div>
+                {Number(booking.tip) > 0 && (
+                  <div>
+                    <span className="text-gray-600">Tip:</span> ${Number(booking.tip).toFixed(2)}
+                  </div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <p className="text-sm text-gray-600">Address:</p>
+                <p className="text-sm">{booking.address}</p>
+              </div>
+
+              {booking.status === 'confirmed' && booking.therapist_eta && (
+                <p className="flex items-center mb-4 p-3 bg-blue-50 text-blue-800 rounded-lg text-sm">
+                  <Navigation className="h-4 w-4 mr-2" />
+                  {booking.therapist?.name || 'Your therapist'} is on the way, arriving around {arrivalTime(booking.therapist_eta)}
+                </p>
+              )}
+
+              {booking.payments?.length > 0 && (
+                <div className="mb-4 p-4 bg-gray-50 rounded-lg text-sm">
+                  <h4 className="font-medium mb-2">Receipt</h4>
+                  {booking.payments.map((payment) => (
+                    <div key={payment.id} className="flex justify-between">
+                      <span className="text-gray-600">
+                        {{ tip: 'Tip', extension: 'Extra time' }[payment.kind] || 'Session'} · {new Date(payment.created_at).toLocaleDateString()} · {payment.status}
+                      </span>
+                      <span>
+                        ${Number(payment.amount).toFixed(2)}
+                        {Number(payment.refunded_amount) > 0 && ` (refunded $${Number(payment.refunded_amount).toFixed(2)})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {tab === 'upcoming' && (
+                <BookingActions booking={booking} role="customer" onChanged={fetchBookings} />
+              )}
+
+              {tab !== 'upcoming' && (
+                <button
+                  onClick={() => onRebook(rebookDataFrom(booking))}
+                  className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700"
+                >
+                  Book Again
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Gift vouchers: buy one for someone, and see the ones already bought
+function GiftVouchers({ user }) {
+  return (
+    <Elements stripe={stripePromise}>
+      <GiftVoucherForm user={user} />
+    </Elements>
+  );
+}
+
+function GiftVoucherForm({ user }) {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [value, setValue] = useState(GIFT_VOUCHER_AMOUNTS[1]);
+  const [recipientName, setRecipientName] = useState('');
+  const [recipientEmail, setRecipientEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [vouchers, setVouchers] = useState([]);
+  const [purchasedCode, setPurchasedCode] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchVouchers();
+  }, []);
+
+  const fetchVouchers = async () => {
+    try {
+      setVouchers(await loadPurchasedVouchers(supabase, user.id));
+    } catch (error) {
+      console.error('Error fetching vouchers:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setProcessing(true);
+    setError('');
+    try {
+      const code = await purchaseVoucher(supabase, stripe, elements.getElement(CardElement), {
+        value,
+        recipientName,
+        recipientEmail,
+        message
+      });
+      setPurchasedCode(code);
+      setRecipientName('');
+      setRecipientEmail('');
+      setMessage('');
+      elements.getElement(CardElement).clear();
+      await fetchVouchers();
+    } catch (error) {
+      console.error('Error buying voucher:', error);
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h2 className="text-2xl font-bold mb-6">Gift Vouchers</h2>
+
+      {purchasedCode && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <div className="flex items-center text-green-800">
+            <CheckCircle className="h-5 w-5 mr-2" />
+            <span className="font-medium">Your voucher code is {purchasedCode}. Pass it on to use at checkout.</span>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Amount</label>
+          <div className="flex space-x-2">
+            {GIFT_VOUCHER_AMOUNTS.map((amount) => (
+              <button
+                key={amount}
+                type="button"
+                onClick={() => setValue(amount)}
+                className={`flex-1 py-2 px-4 rounded-lg border ${
+                  value === amount
+                    ? 'border-purple-600 bg-purple-50 text-purple-700'
+                    : 'border-gray-300 hover:border-gray-400'
+                }`}
+              >
+                ${amount}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Recipient's name</label>
+            <input
+              type="text"
+              value={recipientName}
+              onChange={(e) => setRecipientName(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Recipient's email</label>
+            <input
+              type="email"
+              value={recipientEmail}
+              onChange={(e) => setRecipientEmail(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+            />
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Message (optional)</label>
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            rows={2}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+          />
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Card Details</label>
+          <div className="p-3 border border-gray-300 rounded-lg">
+            <CardElement />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={!stripe || processing}
+          className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          {processing ? 'Processing...' : `Buy $${value} Voucher`}
+        </button>
+      </form>
+
+      {vouchers.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold mb-4">Vouchers you've bought</h3>
+          <div className="space-y-2 text-sm">
+            {vouchers.map((voucher) => (
+              <div key={voucher.id} className="flex justify-between">
+                <span>
+                  <span className="font-mono">{voucher.code}</span>
+                  {voucher.recipient_name && <span className="text-gray-600"> · for {voucher.recipient_name}</span>}
+                </span>
+                <span className="text-gray-600">
+                  ${Number(voucher.balance).toFixed(2)} of ${Number(voucher.value).toFixed(2)} left
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Post-session tip prompt
+function TipPrompt({ user }) {
+  return (
+    <Elements stripe={stripePromise}>
+      <TipForm user={user} />
+    </Elements>
+  );
+}
+
+function TipForm({ user }) {
+  const stripe = useStripe();
+  const [booking, setBooking] = useState(null);
+  const [presetAmount, setPresetAmount] = useState(null);
+  const [customAmount, setCustomAmount] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [tippedTherapist, setTippedTherapist] = useState(null);
+
+  useEffect(() => {
+    fetchUntippedBooking();
+  }, []);
+
+  // The most recent completed session the customer hasn't tipped or skipped
+  const fetchUntippedBooking = async () => {
+    try {
+      const { data } = await supabase
+        .from('bookings')
+        .select(`
+          id, date, price,
+          therapist:therapist_names!therapist_id(name),
+          service:service_id(name)
+        `)
+        .eq('customer_id', user.id)
+        .eq('status', 'completed')
+        .eq('tip', 0)
+        .eq('tip_prompt_dismissed', false)
+        .order('date', { ascending: false })
+        .limit(1);
+
+      setBooking(data?.[0] || null);
+    } catch (error) {
+      console.error('Error fetching completed bookings:', error);
+    }
+  };
+
+  const tipAmount = customAmount ? Number(customAmount) : presetAmount;
+
+  const handleTip = async () => {
+    if (!stripe || !tipAmount) return;
+
+    setProcessing(true);
+    setError('');
+    try {
+      await sendTip(supabase, stripe, booking.id, tipAmount);
+      setTippedTherapist(booking.therapist?.name || 'your therapist');
+      setBooking(null);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleSkip = async () => {
+    try {
+      await skipTip(supabase, booking.id);
+    } catch (error) {
+      console.error('Error skipping tip:', error);
+    }
+    setBooking(null);
+  };
+
+  if (tippedTherapist) {
+    return (
+      <div className="max-w-2xl mx-auto mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+        <div className="flex items-center text-green-800">
+          <CheckCircle className="h-5 w-5 mr-2" />
+          <span className="font-medium">Thank you! Your tip has been sent to {tippedTherapist}.</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (!booking) return null;
+
+  return (
+    <div className="max-w-2xl mx-auto mb-6 bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-1 flex items-center">
+        <DollarSign className="mr-2 h-5 w-5 text-purple-600" />
+        Add a tip for {booking.therapist?.name}?
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {booking.service?.name} on {booking.date}. Tips go to your therapist in full.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="flex space-x-2 mb-4">
+        {tipPresets(booking.price).map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => {
+              setPresetAmount(preset);
+              setCustomAmount('');
+            }}
+            className={`flex-1 py-2 px-4 rounded-lg border ${
+              !customAmount && presetAmount === preset
+                ? 'border-purple-600 bg-purple-50 text-purple-700'
+                : 'border-gray-300 hover:border-gray-400'
+            }`}
+          >
+            ${preset}
+          </button>
+        ))}
+        <input
+          type="number"
+          min="1"
+          step="1"
+          placeholder="Other"
+          value={customAmount}
+          onChange={(e) => setCustomAmount(e.target.value)}
+          className="flex-1 w-24 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+        />
+      </div>
+
+      <div className="flex space-x-4">
+        <button
+          type="button"
+          onClick={handleSkip}
+          className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+        >
+          No thanks
+        </button>
+        <button
+          type="button"
+          onClick={handleTip}
+          disabled={!stripe || processing || !(tipAmount >= 1)}
+          className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          {processing ? 'Processing...' : tipAmount >= 1 ? `Tip $${tipAmount}` : 'Choose an amount'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Therapist Dashboard
+function TherapistDashboard({ user }) {
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [sendingEta, setSendingEta] = useState(null);
+  const [view, setView] = useState('bookings');
+  const [applicationStatus, setApplicationStatus] = useState(null);
+
+  useEffect(() => {
+    // New therapists start on their application
+    loadApplication(supabase, user.id)
+      .then(({ status }) => {
+        setApplicationStatus(status);
+        if (status !== 'approved') setView('application');
+      })
+      .catch((error) => console.error('Error fetching application:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchBookings();
+    const interval = setInterval(fetchBookings, 30000); // Refresh every 30 seconds
+    const unsubscribe = subscribeToTherapistBookings(supabase, user.id, fetchBookings);
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, []);
+
+  // Tick the response countdown while there are open requests
+  const hasOpenRequests = bookings.some((booking) => booking.status === 'requested');
+  useEffect(() => {
+    if (!hasOpenRequests) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasOpenRequests]);
+
+  const fetchBookings = async () => {
+    try {
+      const [{ data }, offers] = await Promise.all([
+        supabase
+          .from('bookings')
+          .select(`
+            *,
+            customer:customer_names!customer_id(name),
+            service:service_id(name, base_duration, base_price, increment, increment_price)
+          `)
+          .eq('therapist_id', user.id)
+          .in('status', ['confirmed', 'in_progress'])
+          .order('date', { ascending: true }),
+        fetchOpenOffers(supabase, user.id)
+      ]);
+
+      setBookings([...offers, ...(data || [])]);
+    } catch (error) {
+      console.error('Error fetching bookings:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBookingResponse = async (bookingId, accept) => {
+    setError('');
+    try {
+      await respondToBooking(supabase, bookingId, accept);
+    } catch (error) {
+      console.error('Error updating booking:', error);
+      setError(error.message);
+    } finally {
+      fetchBookings();
+    }
+  };
+
+  const handleOnMyWay = async (bookingId) => {
+    setError('');
+    setSendingEta(bookingId);
+    try {
+      await sendOnMyWay(supabase, bookingId, await getCurrentPosition());
+    } catch (error) {
+      console.error('Error sending ETA:', error);
+      setError(error.message);
+    } finally {
+      setSendingEta(null);
+      fetchBookings();
+    }
+  };
+
+  const visibleBookings = bookings.filter(
+    (booking) => booking.status !== 'requested' || secondsUntilExpiry(booking, now) > 0
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Therapist Dashboard</h2>
+
+      <div className="mb-6">
+        <nav className="flex space-x-4">
+          <button
+            onClick={() => setView('bookings')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'bookings'
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Bookings
+          </button>
+          <button
+            onClick={() => setView('earnings')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'earnings'
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Earnings
+          </button>
+          <button
+            onClick={() => setView('availability')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'availability'
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Availability
+          </button>
+          <button
+            onClick={() => setView('profile')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'profile'
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Profile
+          </button>
+          <button
+            onClick={() => setView('application')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'application'
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Application
+          </button>
+        </nav>
+      </div>
+
+      {applicationStatus && applicationStatus !== 'approved' && view !== 'application' && (
+        <div className="mb-6 p-3 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded">
+          You won't be offered bookings until your application is approved
+          ({APPLICATION_STATUSES[applicationStatus].label.toLowerCase()}).
+        </div>
+      )}
+
+      {view === 'application' && <TherapistApplication user={user} onStatusChange={setApplicationStatus} />}
+
+      {view === 'earnings' && <TherapistEarnings user={user} />}
+
+      {view === 'availability' && <AvailabilityEditor user={user} />}
+
+      {view === 'profile' && <TherapistProfileEditor user={user} />}
+
+      {view === 'bookings' && (
+        <>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+              {error}
+            </div>
+          )}
+
+          <div className="grid gap-6">
+            {visibleBookings.length === 0 ? (
+              <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+                No pending bookings
+              </div>
+            ) : (
+              visibleBookings.map((booking) => (
+                <div key={booking.id} className="bg-white rounded-lg shadow-md p-6">
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h3 className="font-semibold text-lg">{booking.service.name}</h3>
+                      <p className="text-gray-600">{booking.customer?.name || 'Customer'}</p>
+                    </div>
+                    <span className={`px-3 py-1 rounded-full text-sm ${BOOKING_STATUS_STYLES[booking.status]}`}>
+                      {booking.status.replace('_', ' ')}
+                    </span>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+                    <div>
+                      <span className="text-gray-600">Date:</span> {booking.date}
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Time:</span> {booking.time}
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Duration:</span> {booking.duration} min
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Price:</span> ${booking.price}
+                    </div>
+                  </div>
+
+                  <div className="mb-4">
+                    <p className="text-sm text-gray-600">Address:</p>
+                    <p className="text-sm">{booking.address}</p>
+                  </div>
+
+                  {booking.parking && (
+                    <div className="mb-4">
+                      <p className="text-sm text-gray-600">Parking:</p>
+                      <p className="text-sm">{booking.parking}</p>
+                    </div>
+                  )}
+
+                  {booking.status === 'requested' && (
+                    <p className="flex items-center text-sm text-yellow-800 mb-2">
+                      <Timer className="h-4 w-4 mr-1" />
+                      Respond within {secondsUntilExpiry(booking, now)}s
+                    </p>
+                  )}
+
+                  {canSendOnMyWay(booking) && (
+                    <div className="mb-4">
+                      <button
+                        onClick={() => handleOnMyWay(booking.id)}
+                        disabled={sendingEta === booking.id}
+                        className="w-full flex items-center justify-center bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                      >
+                        <Navigation className="h-4 w-4 mr-2" />
+                        {sendingEta === booking.id
+                          ? 'Sending ETA...'
+                          : booking.therapist_eta ? 'Update ETA' : "I'm on my way"}
+                      </button>
+                      {booking.therapist_eta && (
+                        <p className="text-sm text-gray-600 mt-2">
+                          {booking.customer?.name || 'The customer'} has been told you'll arrive around {arrivalTime(booking.therapist_eta)}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {['confirmed', 'in_progress'].includes(booking.status) && (
+                    <SessionControls booking={booking} onChanged={fetchBookings} />
+                  )}
+
+                  {booking.status === 'confirmed' && (
+                    <BookingActions booking={booking} role="therapist" onChanged={fetchBookings} />
+                  )}
+
+                  {booking.status === 'requested' && (
+                    <div className="flex space-x-4">
+                      <button
+                        onClick={() => handleBookingResponse(booking.id, true)}
+                        className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => handleBookingResponse(booking.id, false)}
+                        className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Therapist: earnings per week or month, and statements to download
+function TherapistEarnings({ user }) {
+  const [therapistName, setTherapistName] = useState('');
+  const [bookings, setBookings] = useState([]);
+  const [period, setPeriod] = useState('week');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchEarnings();
+  }, []);
+
+  const fetchEarnings = async () => {
+    try {
+      const earnings = await loadTherapistEarnings(supabase, user.id);
+      setTherapistName(earnings.therapistName);
+      setBookings(earnings.bookings);
+    } catch (error) {
+      console.error('Error fetching earnings:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePdf = async (p) => {
+    setError('');
+    try {
+      await downloadStatementPdf(p, therapistName);
+    } catch (error) {
+      console.error('Error creating statement:', error);
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  const totals = summariseEarnings(bookings);
+  const unpaid = summariseEarnings(bookings, PLATFORM_COMMISSION_PERCENT, true);
+  const periods = earningsByPeriod(bookings, period);
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-600">Completed Sessions</p>
+          <p className="text-2xl font-bold">{totals.sessions}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-600">Session Earnings</p>
+          <p className="text-2xl font-bold">${totals.sessionTotal.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">less ${totals.commission.toFixed(2)} commission</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-600">Tips</p>
+          <p className="text-2xl font-bold text-green-600">${totals.tips.toFixed(2)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-600">Still to Be Paid</p>
+          <p className="text-2xl font-bold text-purple-600">${unpaid.net.toFixed(2)}</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="flex justify-between items-center p-4">
+          <p className="text-sm text-gray-600">
+            Commission is {PLATFORM_COMMISSION_PERCENT}% of each session. Tips are all yours.
+          </p>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+          >
+            {EARNINGS_PERIODS.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+        {periods.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No completed sessions yet</p>
+        ) : (
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sessions</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Earned</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Commission</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tips</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Net</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Statement</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {periods.map((p) => (
+                <tr key={p.start}>
+                  <td className="px-6 py-4 text-sm">
+                    {p.start} to {p.end}
+                    <span className={`block text-xs ${p.paidOut ? 'text-green-600' : 'text-yellow-700'}`}>
+                      {p.paidOut ? 'Paid out' : 'Not yet paid out'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm">{p.sessions}</td>
+                  <td className="px-6 py-4 text-sm">${p.sessionTotal.toFixed(2)}</td>
+                  <td className="px-6 py-4 text-sm">-${p.commission.toFixed(2)}</td>
+                  <td className="px-6 py-4 text-sm">${p.tips.toFixed(2)}</td>
+                  <td className="px-6 py-4 text-sm font-medium">${p.net.toFixed(2)}</td>
+                  <td className="px-6 py-4 text-sm space-x-3">
+                    <button onClick={() => downloadStatementCsv(p, therapistName)} className="text-purple-600 hover:text-purple-800">
+                      CSV
+                    </button>
+                    <button onClick={() => handlePdf(p)} className="text-purple-600 hover:text-purple-800">
+                      PDF
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Therapist: application documents and review status
+const APPLICATION_MESSAGES = {
+  applied: "Upload your documents below. You'll be able to submit your application once they're all here.",
+  documents_uploaded: 'Your documents are all here. Submit your application when you are ready.',
+  under_review: "We're reviewing your application and will be in touch soon.",
+  approved: 'You can be booked by customers. Keep your documents up to date here.',
+  suspended: "Your account is suspended, so you won't be offered bookings. Contact us if you have questions."
+};
+
+function TherapistApplication({ user, onStatusChange }) {
+  const [application, setApplication] = useState(null);
+  const [expiry, setExpiry] = useState({});
+  const [uploading, setUploading] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const today = toDateString(new Date());
+
+  useEffect(() => {
+    fetchApplication();
+  }, []);
+
+  const fetchApplication = async () => {
+    try {
+      const data = await loadApplication(supabase, user.id);
+      setApplication(data);
+      onStatusChange(data.status);
+    } catch (error) {
+      console.error('Error fetching application:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleUpload = async (kind, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploading(kind);
+    setError('');
+    try {
+      await uploadDocument(supabase, user.id, kind, file, expiry[kind]);
+      setExpiry({ ...expiry, [kind]: '' });
+      await fetchApplication();
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      setError(error.message);
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  const handleView = async (document) => {
+    setError('');
+    try {
+      window.open(await documentUrl(supabase, document), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening document:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (document) => {
+    setError('');
+    try {
+      await deleteDocument(supabase, document);
+      await fetchApplication();
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await submitApplication(supabase);
+      await fetchApplication();
+    } catch (error) {
+      console.error('Error submitting application:', error);
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!application) {
+    return error ? (
+      <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+        {error}
+      </div>
+    ) : (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  const status = APPLICATION_STATUSES[application.status];
+  const missing = missingDocuments(application.documents, today);
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex justify-between items-start mb-2">
+          <h3 className="text-lg font-semibold">Your Application</h3>
+          <span className={`px-3 py-1 rounded-full text-sm ${status.style}`}>{status.label}</span>
+        </div>
+        <p className="text-sm text-gray-600">{APPLICATION_MESSAGES[application.status]}</p>
+        {application.status_note && (
+          <p className="mt-4 p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">{application.status_note}</p>
+        )}
+        {application.status === 'documents_uploaded' && (
+          <button
+            onClick={handleSubmit}
+            disabled={submitting}
+            className="mt-4 bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {submitting ? 'Submitting...' : 'Submit for Review'}
+          </button>
+        )}
+      </div>
+
+      <div className="grid gap-6">
+        {REQUIRED_DOCUMENTS.map(({ kind, label, hasExpiry }) => {
+          const documents = application.documents.filter((d) => d.kind === kind);
+          return (
+            <div key={kind} className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex justify-between items-start mb-4">
+                <h4 className="font-semibold">{label}</h4>
+                {missing.some((d) => d.kind === kind) && (
+                  <span className="text-sm text-red-600">Needed</span>
+                )}
+              </div>
+
+              {documents.map((document) => (
+                <div key={document.id} className="flex justify-between items-center py-2 border-b text-sm">
+                  <div>
+                    <p>{document.file_name}</p>
+                    <p className={document.expires_on && document.expires_on < today ? 'text-red-600' : 'text-gray-600'}>
+                      Uploaded {new Date(document.uploaded_at).toLocaleDateString()}
+                      {document.expires_on && ` · ${document.expires_on < today ? 'Expired' : 'Expires'} ${document.expires_on}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-4">
+                    <button onClick={() => handleView(document)} className="text-purple-600 hover:text-purple-800">
+                      View
+                    </button>
+                    <button onClick={() => handleDelete(document)} className="text-red-600 hover:text-red-800">
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex items-end space-x-4 mt-4">
+                {hasExpiry && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Expiry date</label>
+                    <input
+                      type="date"
+                      min={today}
+                      value={expiry[kind] || ''}
+                      onChange={(e) => setExpiry({ ...expiry, [kind]: e.target.value })}
+                      className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+                    />
+                  </div>
+                )}
+                <label
+                  className={`cursor-pointer bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 ${
+                    uploading ? 'opacity-50 pointer-events-none' : ''
+                  }`}
+                >
+                  {uploading === kind ? 'Uploading...' : documents.length > 0 ? 'Upload New Copy' : 'Upload'}
+                  <input
+                    type="file"
+                    accept="application/pdf,image/jpeg,image/png"
+                    onChange={(e) => handleUpload(kind, e)}
+                    className="sr-only"
+                  />
+                </label>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Therapist photo, or their initials until they upload one
+function TherapistAvatar({ name, photoUrl, className = 'h-12 w-12' }) {
+  if (photoUrl) {
+    return <img src={photoUrl} alt={name} className={`${className} rounded-full object-cover flex-shrink-0`} />;
+  }
+  const initials = (name || '?')
+    .split(' ')
+    .map((part) => part[0])
+    .slice(0, 2)
+    .join('')
+    .toUpperCase();
+  return (
+    <div className={`${className} rounded-full bg-purple-100 text-purple-700 flex items-center justify-center font-semibold flex-shrink-0`}>
+      {initials}
+    </div>
+  );
+}
+
+// Therapist: profile shown to customers, and the qualifications behind it
+const EMPTY_QUALIFICATION = { name: '', issuer: '', expires_on: '', service_ids: [] };
+
+function TherapistProfileEditor({ user, geocoder = defaultGeocoder }) {
+  const [profile, setProfile] = useState(null);
+  const [qualifications, setQualifications] = useState([]);
+  const [services, setServices] = useState([]);
+  const [qualification, setQualification] = useState(EMPTY_QUALIFICATION);
+  const [homeQuery, setHomeQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  const today = toDateString(new Date());
+
+  useEffect(() => {
+    fetchProfile();
+    loadServices(supabase).then(setServices).catch((error) => {
+      console.error('Error fetching services:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!homeQuery) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await geocoder.suggest(homeQuery);
+        if (!cancelled) setSuggestions(results);
+      } catch (error) {
+        if (!cancelled) setError(error.message);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [homeQuery, geocoder]);
+
+  const fetchProfile = async () => {
+    try {
+      const data = await loadTherapistProfile(supabase, user.id);
+      setProfile(data.profile);
+      setQualifications(data.qualifications);
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      setError(error.message);
+    }
+  };
+
+  const changeProfile = (changes) => {
+    setProfile({ ...profile, ...changes });
+    setSaved(false);
+  };
+
+  const toggleIn = (ids, serviceId) =>
+    ids.includes(serviceId) ? ids.filter((id) => id !== serviceId) : [...ids, serviceId];
+
+  const chooseHomeBase = async (suggestion) => {
+    setError('');
+    try {
+      const address = await geocoder.resolve(suggestion);
+      changeProfile({ lat: address.lat, lon: address.lon, home_suburb: address.suburb });
+      setHomeQuery('');
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setUploading(true);
+    setError('');
+    try {
+      changeProfile({ photo_url: await uploadTherapistPhoto(supabase, user.id, file) });
+    } catch (error) {
+      console.error('Error uploading photo:', error);
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await saveTherapistProfile(supabase, user.id, profile);
+      setSaved(true);
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddQualification = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await addQualification(supabase, user.id, qualification);
+      setQualification(EMPTY_QUALIFICATION);
+      await fetchProfile();
+    } catch (error) {
+      console.error('Error adding qualification:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteQualification = async (qualificationId) => {
+    setError('');
+    try {
+      await deleteQualification(supabase, qualificationId);
+      await fetchProfile();
+    } catch (error) {
+      console.error('Error deleting qualification:', error);
+      setError(error.message);
+    }
+  };
+
+  if (!profile) {
+    return error ? (
+      <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+        {error}
+      </div>
+    ) : (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+  const serviceName = (serviceId) => services.find((service) => service.id === serviceId)?.name || `Service ${serviceId}`;
+  // Offered services no current qualification covers, so never matched
+  const unqualified = profile.service_ids.filter(
+    (serviceId) =>
+      !qualifications.some((q) => q.service_ids.includes(serviceId) && (!q.expires_on || q.expires_on >= today))
+  );
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-4">Your Profile</h3>
+
+        <div className="flex items-center space-x-4 mb-6">
+          <TherapistAvatar name={profile.therapist?.name} photoUrl={profile.photo_url} className="h-20 w-20" />
+          <label className="cursor-pointer text-sm text-purple-600 hover:text-purple-800">
+            {uploading ? 'Uploading...' : profile.photo_url ? 'Change photo' : 'Add a photo'}
+            <input type="file" accept="image/jpeg,image/png,image/webp" onChange={handlePhoto} disabled={uploading} className="sr-only" />
+          </label>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">About you</label>
+          <textarea
+            value={profile.bio || ''}
+            onChange={(e) => changeProfile({ bio: e.target.value })}
+            rows={4}
+            placeholder="Your experience, techniques and what clients can expect"
+            className={inputClass}
+          />
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Home base</label>
+          {profile.lat != null && (
+            <p className="text-sm mb-2">
+              {profile.home_suburb ? `Based in ${profile.home_suburb}` : 'Home base set'}. Customers only see your suburb.
+            </p>
+          )}
+          <div className="relative">
+            <input
+              type="text"
+              value={homeQuery}
+              onChange={(e) => setHomeQuery(e.target.value)}
+              placeholder={profile.lat != null ? 'Search to change your home base' : 'Start typing the address you travel from'}
+              autoComplete="off"
+              className={inputClass}
+            />
+            {suggestions.length > 0 && (
+              <ul className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-md">
+                {suggestions.map((suggestion) => (
+                  <li key={suggestion.id}>
+                    <button
+                      type="button"
+                      onClick={() => chooseHomeBase(suggestion)}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-purple-50"
+                    >
+                      {suggestion.description}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            How far you'll travel (km, up to {MAX_SERVICE_RADIUS_KM})
+          </label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_SERVICE_RADIUS_KM}
+            step="0.5"
+            value={profile.service_radius_km}
+            onChange={(e) => changeProfile({ service_radius_km: e.target.value })}
+            required
+            className={inputClass}
+          />
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Services you offer</label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {services.map((service) => (
+              <label key={service.id} className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={profile.service_ids.includes(service.id)}
+                  onChange={() => changeProfile({ service_ids: toggleIn(profile.service_ids, service.id) })}
+                  className="rounded text-purple-600"
+                />
+                <span>{service.name}</span>
+              </label>
+            ))}
+          </div>
+          {unqualified.length > 0 && (
+            <p className="mt-2 text-sm text-yellow-800">
+              You won't be offered {unqualified.map(serviceName).join(', ')} until you add a current qualification for it below.
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <button
+            type="submit"
+            disabled={saving || uploading}
+            className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Profile'}
+          </button>
+          {saved && <span className="text-sm text-green-600">Saved</span>}
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Qualifications</h3>
+
+        {qualifications.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-6">No qualifications added yet</p>
+        ) : (
+          <div className="divide-y mb-6">
+            {qualifications.map((q) => (
+              <div key={q.id} className="flex justify-between items-start py-3">
+                <div>
+                  <p className="font-medium">
+                    {q.name}
+                    {q.issuer && <span className="text-gray-600 font-normal"> · {q.issuer}</span>}
+                  </p>
+                  <p className="text-sm text-gray-600">{q.service_ids.map(serviceName).join(', ')}</p>
+                  <p className={`text-sm ${q.expires_on && q.expires_on < today ? 'text-red-600' : 'text-gray-600'}`}>
+                    {!q.expires_on ? 'No expiry' : q.expires_on < today ? `Expired ${q.expires_on}` : `Expires ${q.expires_on}`}
+                  </p>
+                </div>
+                <button onClick={() => handleDeleteQualification(q.id)} className="text-sm text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleAddQualification} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Qualification</label>
+            <input
+              type="text"
+              value={qualification.name}
+              onChange={(e) => setQualification({ ...qualification, name: e.target.value })}
+              placeholder="Diploma of Remedial Massage"
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Issued by (optional)</label>
+            <input
+              type="text"
+              value={qualification.issuer}
+              onChange={(e) => setQualification({ ...qualification, issuer: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Expires (optional)</label>
+            <input
+              type="date"
+              value={qualification.expires_on}
+              onChange={(e) => setQualification({ ...qualification, expires_on: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-3">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Qualifies you for</label>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              {services.map((service) => (
+                <label key={service.id} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={qualification.service_ids.includes(service.id)}
+                    onChange={() =>
+                      setQualification({ ...qualification, service_ids: toggleIn(qualification.service_ids, service.id) })
+                    }
+                    className="rounded text-purple-600"
+                  />
+                  <span>{service.name}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="md:col-span-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              Add Qualification
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Therapist: weekly hours, and changes to them on particular dates
+const EMPTY_EXCEPTION = {
+  kind: 'override',
+  start_date: '',
+  end_date: '',
+  start_time: '09:00',
+  end_time: '17:00',
+  note: ''
+};
+
+const describeException = (exception) =>
+  exception.kind === 'holiday'
+    ? exception.start_date === exception.end_date
+      ? exception.start_date
+      : `${exception.start_date} to ${exception.end_date}`
+    : `${exception.start_date}, ${exception.start_time.slice(0, 5)}-${exception.end_time.slice(0, 5)}`;
+
+function AvailabilityEditor({ user }) {
+  const [weekly, setWeekly] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [exception, setException] = useState(EMPTY_EXCEPTION);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAvailability();
+  }, []);
+
+  const fetchAvailability = async () => {
+    try {
+      const availability = await loadAvailability(supabase, user.id, toDateString(new Date()));
+      setWeekly(availability.weekly);
+      setExceptions(availability.exceptions);
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeWeekly = (blocks) => {
+    setWeekly(blocks);
+    setSaved(false);
+  };
+
+  const addBlock = (weekday) => changeWeekly([...weekly, { weekday, start_time: '09:00', end_time: '17:00' }]);
+
+  const updateBlock = (block, field) => (e) =>
+    changeWeekly(weekly.map((b) => (b === block ? { ...b, [field]: e.target.value } : b)));
+
+  const removeBlock = (block) => changeWeekly(weekly.filter((b) => b !== block));
+
+  const updateException = (field) => (e) => setException({ ...exception, [field]: e.target.value });
+
+  const handleSaveWeekly = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await saveWeeklyAvailability(supabase, weekly);
+      setSaved(true);
+    } catch (error) {
+      console.error('Error saving availability:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddException = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await addAvailabilityException(supabase, user.id, exception, exceptions);
+      setException(EMPTY_EXCEPTION);
+      await fetchAvailability();
+    } catch (error) {
+      console.error('Error adding availability exception:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteException = async (exceptionId) => {
+    setError('');
+    try {
+      await deleteAvailabilityException(supabase, exceptionId);
+      await fetchAvailability();
+    } catch (error) {
+      console.error('Error deleting availability exception:', error);
+      setError(error.message);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-1">Weekly Hours</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Customers can book you inside these hours, less travel time between bookings.
+        </p>
+
+        <div className="space-y-4 mb-6">
+          {WEEKDAYS.map(({ value, label }) => {
+            const blocks = weekly.filter((block) => block.weekday === value);
+            return (
+              <div key={value} className="flex items-start border-b pb-4">
+                <span className="w-28 pt-2 font-medium">{label}</span>
+                <div className="flex-1 space-y-2">
+                  {blocks.length === 0 && <p className="pt-2 text-sm text-gray-500">Not working</p>}
+                  {blocks.map((block, i) => (
+                    <div key={i} className="flex items-center space-x-2">
+                      <input type="time" value={block.start_time} onChange={updateBlock(block, 'start_time')} className={inputClass} />
+                      <span className="text-gray-500">to</span>
+                      <input type="time" value={block.end_time} onChange={updateBlock(block, 'end_time')} className={inputClass} />
+                      <button onClick={() => removeBlock(block)} className="p-2 text-gray-500 hover:text-red-600" title="Remove">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button onClick={() => addBlock(value)} className="text-sm text-purple-600 hover:text-purple-800">
+                    + Add hours
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={handleSaveWeekly}
+            disabled={saving}
+            className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Weekly Hours'}
+          </button>
+          {saved && <span className="text-sm text-green-600">Saved</span>}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Holidays and Changes</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Different hours replace your weekly hours for that date. Blocked time is taken out of whatever hours you have.
+        </p>
+
+        <form onSubmit={handleAddException} className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+            <select value={exception.kind} onChange={updateException('kind')} className={inputClass}>
+              {EXCEPTION_KINDS.map((kind) => (
+                <option key={kind.value} value={kind.value}>{kind.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {exception.kind === 'holiday' ? 'First day' : 'Date'}
+            </label>
+            <input
+              type="date"
+              value={exception.start_date}
+              min={toDateString(new Date())}
+              onChange={updateException('start_date')}
+              required
+              className={inputClass}
+            />
+          </div>
+          {exception.kind === 'holiday' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Last day</label>
+              <input
+                type="date"
+                value={exception.end_date}
+                min={exception.start_date || toDateString(new Date())}
+                onChange={updateException('end_date')}
+                className={inputClass}
+              />
+            </div>
+          ) : (
+            <div className="flex items-end space-x-2">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+                <input type="time" value={exception.start_time} onChange={updateException('start_time')} required className={inputClass} />
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+                <input type="time" value={exception.end_time} onChange={updateException('end_time')} required className={inputClass} />
+              </div>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
+            <input type="text" value={exception.note} onChange={updateException('note')} className={inputClass} />
+          </div>
+          <div className="md:col-span-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </form>
+
+        {exceptions.length === 0 ? (
+          <p className="text-sm text-gray-500">No upcoming holidays or changes</p>
+        ) : (
+          <div className="divide-y">
+            {exceptions.map((e) => (
+              <div key={e.id} className="flex justify-between items-center py-3">
+                <div>
+                  <p className="font-medium">
+                    {EXCEPTION_KINDS.find((kind) => kind.value === e.kind).label}: {describeException(e)}
+                  </p>
+                  {e.note && <p className="text-sm text-gray-600">{e.note}</p>}
+                </div>
+                <button onClick={() => handleDeleteException(e.id)} className="text-sm text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// CSV and Excel buttons for one export. `run(format, onProgress)` fetches
+// and saves the file, reporting how many rows it has fetched so far.
+function ExportButtons({ label = 'Export', run }) {
+  const [exporting, setExporting] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setProgress(0);
+    setError('');
+    try {
+      await run(format, setProgress);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      setError(error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <span className="text-sm text-gray-600">{label}</span>
+      {EXPORT_FORMATS.map((format) => (
+        <button
+          key={format.value}
+          type="button"
+          onClick={() => handleExport(format.value)}
+          disabled={exporting !== null}
+          className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+        >
+          {exporting === format.value ? (progress ? `${progress} rows...` : 'Exporting...') : format.label}
+        </button>
+      ))}
+      {error && <span className="text-sm text-red-600">{error}</span>}
+    </div>
+  );
+}
+
+// Admin: every booking, filtered and paged on the server, with a drawer to
+// manage one
+function AdminBookings() {
+  const [bookings, setBookings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [draft, setDraft] = useState(emptyBookingFilters);
+  const [filters, setFilters] = useState(emptyBookingFilters);
+  const [therapists, setTherapists] = useState([]);
+  const [services, setServices] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    Promise.all([loadTherapistOptions(supabase), loadAllServices(supabase)])
+      .then(([therapistOptions, allServices]) => {
+        setTherapists(therapistOptions);
+        setServices(allServices);
+      })
+      .catch((error) => console.error('Error fetching filter options:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [filters, page]);
+
+  const fetchBookings = async () => {
+    setLoading(true);
+    try {
+      const result = await loadAdminBookings(supabase, filters, page);
+      setBookings(result.bookings);
+      setTotal(result.total);
+    } catch (error) {
+      console.error('Error fetching bookings:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateDraft = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const applyFilters = (next) => {
+    setDraft(next);
+    setFilters(next);
+    setPage(0);
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+  const first = page * ADMIN_BOOKINGS_PAGE_SIZE;
+  const pages = Math.max(1, Math.ceil(total / ADMIN_BOOKINGS_PAGE_SIZE));
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          applyFilters(draft);
+        }}
+        className="bg-white rounded-lg shadow-md p-4 mb-6 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 items-end"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+          <select value={draft.status} onChange={updateDraft('status')} className={inputClass}>
+            <option value="">Any</option>
+            {BOOKING_STATUSES.map((status) => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+          <input type="date" value={draft.dateFrom} onChange={updateDraft('dateFrom')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+          <input type="date" value={draft.dateTo} min={draft.dateFrom} onChange={updateDraft('dateTo')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Therapist</label>
+          <select value={draft.therapistId} onChange={updateDraft('therapistId')} className={inputClass}>
+            <option value="">Any</option>
+            {therapists.map((therapist) => (
+              <option key={therapist.id} value={therapist.id}>{therapist.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Service</label>
+          <select value={draft.serviceId} onChange={updateDraft('serviceId')} className={inputClass}>
+            <option value="">Any</option>
+            {services.map((service) => (
+              <option key={service.id} value={service.id}>{service.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Customer</label>
+          <input
+            type="text"
+            value={draft.customer}
+            onChange={updateDraft('customer')}
+            placeholder="Name or email"
+            className={inputClass}
+          />
+        </div>
+        <div className="md:col-span-3 lg:col-span-6 flex space-x-4">
+          <button type="submit" className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700">
+            Filter
+          </button>
+          <button
+            type="button"
+            onClick={() => applyFilters(emptyBookingFilters)}
+            className="bg-gray-200 text-gray-700 py-2 px-6 rounded-lg hover:bg-gray-300"
+          >
+            Clear
+          </button>
+          <div className="ml-auto">
+            <ExportButtons
+              label="Export filtered"
+              run={(format, onProgress) => exportBookings(supabase, filters, format, onProgress)}
+            />
+          </div>
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        ) : bookings.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No bookings match these filters</p>
+        ) : (
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Therapist</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Service</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {bookings.map((booking) => (
+                <tr key={booking.id} onClick={() => setSelectedId(booking.id)} className="cursor-pointer hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {booking.date} {booking.time.slice(0, 5)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{booking.customer?.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{booking.therapist?.name || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{booking.service?.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full ${BOOKING_STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {statusLabel(booking.status)}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">${Number(booking.price).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex justify-between items-center p-4 border-t border-gray-200 text-sm">
+          <span className="text-gray-600">
+            {total === 0 ? 'No bookings' : `${first + 1}–${Math.min(first + ADMIN_BOOKINGS_PAGE_SIZE, total)} of ${total}`}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0 || loading}
+              className="bg-gray-200 text-gray-700 py-1 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {page + 1} of {pages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= pages || loading}
+              className="bg-gray-200 text-gray-700 py-1 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {selectedId && (
+        <BookingDrawer
+          bookingId={selectedId}
+          therapists={therapists}
+          onClose={() => setSelectedId(null)}
+          onChanged={fetchBookings}
+        />
+      )}
+    </div>
+  );
+}
+
+// Admin: one booking in full, with reassignment, status override, refunds
+// and internal notes
+function BookingDrawer({ bookingId, therapists, onClose, onChanged }) {
+  const [detail, setDetail] = useState(null);
+  const [therapistId, setTherapistId] = useState('');
+  const [override, setOverride] = useState(false);
+  const [status, setStatus] = useState('');
+  const [statusReason, setStatusReason] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState('');
+  const [note, setNote] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchDetail();
+  }, [bookingId]);
+
+  const fetchDetail = async () => {
+    try {
+      const loaded = await loadBookingDetail(supabase, bookingId);
+      setDetail(loaded);
+      setRefundAmount(String(refundableAmount(loaded.booking.payments)));
+    } catch (error) {
+      console.error('Error fetching booking:', error);
+      setError(error.message);
+    }
+  };
+
+  const run = async (action) => {
+    setProcessing(true);
+    setError('');
+    setMessage('');
+    try {
+      setMessage(await action());
+      await fetchDetail();
+      onChanged();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleReassign = () =>
+    run(async () => {
+      await reassignBooking(supabase, bookingId, therapistId, override);
+      setTherapistId('');
+      setOverride(false);
+      return `Reassigned to ${therapists.find((t) => t.id === therapistId).name}.`;
+    });
+
+  const handleStatus = () =>
+    run(async () => {
+      await setBookingStatus(supabase, bookingId, status, statusReason);
+      setStatus('');
+      setStatusReason('');
+      return `Status changed to ${statusLabel(status).toLowerCase()}.`;
+    });
+
+  const handleRefund = () => {
+    if (!window.confirm(`Refund $${Number(refundAmount).toFixed(2)} to the customer's card?`)) return;
+    run(async () => {
+      const { refundAmount: refunded } = await refundBooking(supabase, bookingId, Number(refundAmount), refundReason);
+      setRefundReason('');
+      return `$${refunded.toFixed(2)} refunded.`;
+    });
+  };
+
+  const handleNote = () =>
+    run(async () => {
+      await addBookingNote(supabase, bookingId, note);
+      setNote('');
+      return 'Note added.';
+    });
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+  const booking = detail?.booking;
+  const refundable = booking ? refundableAmount(booking.payments) : 0;
+  const history = detail
+    ? [
+        ...detail.events.map((event) => ({
+          id: event.id,
+          at: event.created_at,
+          who: event.actor?.name || 'System',
+          what: event.type.replace(/_/g, ' ')
+        })),
+        ...detail.audit.map((entry) => ({
+          id: entry.id,
+          at: entry.created_at,
+          who: entry.admin?.name,
+          what: describeAdminAction(entry)
+        }))
+      ].sort((a, b) => b.at.localeCompare(a.at))
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full max-w-lg h-full overflow-y-auto bg-white shadow-xl p-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h3 className="text-xl font-semibold">{booking?.service?.name || 'Booking'}</h3>
+            {booking && (
+              <p className="text-sm text-gray-600">
+                {booking.date} at {booking.time.slice(0, 5)} · {booking.duration} min
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        {!booking ? (
+          !error && (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+            </div>
+          )
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-600">Customer</p>
+                <p>{booking.customer?.name}</p>
+                <p className="text-gray-500">{booking.customer?.email}</p>
+                <p className="text-gray-500">{booking.customer?.phone}</p>
+              </div>
+              <div>
+                <p className="text-gray-600">Therapist</p>
+                {booking.therapist ? (
+                  <>
+                    <p>{booking.therapist.name}</p>
+                    <p className="text-gray-500">{booking.therapist.email}</p>
+                    <p className="text-gray-500">{booking.therapist.phone}</p>
+                  </>
+                ) : (
+                  <p className="text-gray-500">Not assigned</p>
+                )}
+              </div>
+              <div>
+                <p className="text-gray-600">Status</p>
+                <span className={`px-2 py-1 text-xs rounded-full ${BOOKING_STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {statusLabel(booking.status)}
+                </span>
+              </div>
+              <div>
+                <p className="text-gray-600">Price</p>
+                <p>${Number(booking.price).toFixed(2)}</p>
+              </div>
+              <div className="col-span-2">
+                <p className="text-gray-600">Address</p>
+                <p>{booking.address}</p>
+              </div>
+            </div>
+
+            {booking.payments.length > 0 && (
+              <div className="p-4 bg-gray-50 rounded-lg text-sm">
+                <h4 className="font-medium mb-2">Payments</h4>
+                {booking.payments.map((payment) => (
+                  <div key={payment.id} className="flex justify-between">
+                    <span className="text-gray-600">
+                      {payment.kind} · {new Date(payment.created_at).toLocaleDateString()} · {payment.status}
+                    </span>
+                    <span>
+                      ${Number(payment.amount).toFixed(2)}
+                      {Number(payment.refunded_amount) > 0 && ` (refunded $${Number(payment.refunded_amount).toFixed(2)})`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {booking.status === 'confirmed' && (
+              <div>
+                <h4 className="font-medium mb-2">Reassign</h4>
+                <select value={therapistId} onChange={(e) => setTherapistId(e.target.value)} className={`${inputClass} mb-2`}>
+                  <option value="">Choose a therapist</option>
+                  {therapists
+                    .filter((therapist) => therapist.approved && therapist.id !== booking.therapist_id)
+                    .map((therapist) => (
+                      <option key={therapist.id} value={therapist.id}>{therapist.name}</option>
+                    ))}
+                </select>
+                <label className="flex items-center text-sm mb-2">
+                  <input type="checkbox" checked={override} onChange={(e) => setOverride(e.target.checked)} className="mr-2" />
+                  Reassign even if they look busy (check with them first)
+                </label>
+                <button
+                  onClick={handleReassign}
+                  disabled={processing || !therapistId}
+                  className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                >
+                  Reassign Booking
+                </button>
+              </div>
+            )}
+
+            <div>
+              <h4 className="font-medium mb-2">Change Status</h4>
+              <select value={status} onChange={(e) => setStatus(e.target.value)} className={`${inputClass} mb-2`}>
+                <option value="">Choose a status</option>
+                {ADMIN_SETTABLE_STATUSES.filter((s) => s.value !== booking.status).map((s) => (
+                  <option key={s.value} value={s.value}>{s.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={statusReason}
+                onChange={(e) => setStatusReason(e.target.value)}
+                placeholder="Reason"
+                className={`${inputClass} mb-2`}
+              />
+              <p className="text-xs text-gray-500 mb-2">This doesn't charge or refund anything. Use Refund below for that.</p>
+              <button
+                onClick={handleStatus}
+                disabled={processing || !status || !statusReason.trim()}
+                className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Change Status
+              </button>
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Refund</h4>
+              {refundable > 0 ? (
+                <>
+                  <p className="text-sm text-gray-600 mb-2">Up to ${refundable.toFixed(2)} can be refunded.</p>
+                  <div className="grid grid-cols-3 gap-2 mb-2">
+                    <input
+                      type="number"
+                      min="0.01"
+                      max={refundable}
+                      step="0.01"
+                      value={refundAmount}
+                      onChange={(e) => setRefundAmount(e.target.value)}
+                      className={inputClass}
+                    />
+                    <input
+                      type="text"
+                      value={refundReason}
+                      onChange={(e) => setRefundReason(e.target.value)}
+                      placeholder="Reason"
+                      className={`${inputClass} col-span-2`}
+                    />
+                  </div>
+                  <button
+                    onClick={handleRefund}
+                    disabled={processing || !(Number(refundAmount) > 0) || !refundReason.trim()}
+                    className="bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Refund
+                  </button>
+                </>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {hasCardHold(booking.payments)
+                    ? "The card hasn't been charged yet. Cancelling the booking releases the hold."
+                    : 'Nothing left to refund on this booking.'}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Internal Notes</h4>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={MAX_NOTE_LENGTH}
+                rows={3}
+                placeholder="Only admins can see these"
+                className={`${inputClass} mb-2`}
+              />
+              <button
+                onClick={handleNote}
+                disabled={processing || !note.trim()}
+                className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+              >
+                Add Note
+              </button>
+              {detail.notes.map((n) => (
+                <div key={n.id} className="mt-3 p-3 bg-yellow-50 rounded-lg text-sm">
+                  <p className="whitespace-pre-wrap">{n.body}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {n.author?.name} · {new Date(n.created_at).toLocaleString()}
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">History</h4>
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes yet</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {history.map((item) => (
+                    <li key={item.id}>
+                      <span className="text-gray-500">{new Date(item.at).toLocaleString()}</span> · {item.who}: {item.what}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Admin: everyone with an account, with a drawer to manage one
+const ROLE_STYLES = {
+  admin: 'bg-purple-100 text-purple-800',
+  therapist: 'bg-blue-100 text-blue-800',
+  customer: 'bg-gray-100 text-gray-800'
+};
+
+function AdminUsers() {
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState({ role: '', search: '' });
+  const [filters, setFilters] = useState({ role: '', search: '' });
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchUsers();
+  }, [filters]);
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    try {
+      setUsers(await loadAdminUsers(supabase, filters));
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters(draft);
+        }}
+        className="bg-white rounded-lg shadow-md p-4 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })} className={inputClass}>
+            <option value="">Any</option>
+            {USER_ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Search</label>
+          <input
+            type="text"
+            value={draft.search}
+            onChange={(e) => setDraft({ ...draft, search: e.target.value })}
+            placeholder="Name or email"
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700">
+          Filter
+        </button>
+        <div className="md:col-span-4 flex justify-end">
+          <ExportButtons
+            label="Export users"
+            run={(format, onProgress) => exportUsers(supabase, filters, format, onProgress)}
+          />
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No users match these filters</p>
+        ) : (
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Phone</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map((user) => (
+                <tr key={user.id} onClick={() => setSelectedId(user.id)} className="cursor-pointer hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{user.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{user.email}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{user.phone}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full ${ROLE_STYLES[user.role]}`}>
+                      {user.role}
+                    </span>
+                    {user.suspended_at && (
+                      <span className="ml-2 px-2 py-1 text-xs rounded-full bg-red-100 text-red-800">suspended</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {new Date(user.created_at).toLocaleDateString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selectedId && <UserDrawer userId={selectedId} onClose={() => setSelectedId(null)} onChanged={fetchUsers} />}
+    </div>
+  );
+}
+
+// Admin: one user's account, with role, suspension, contact details and
+// password reset, and a read-only view of their bookings and payments
+function UserDrawer({ userId, onClose, onChanged }) {
+  const [detail, setDetail] = useState(null);
+  const [contact, setContact] = useState({ name: '', email: '', phone: '' });
+  const [role, setRole] = useState('');
+  const [roleReason, setRoleReason] = useState('');
+  const [suspendReason, setSuspendReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchDetail();
+  }, [userId]);
+
+  const fetchDetail = async () => {
+    try {
+      const loaded = await loadUserSupport(supabase, userId);
+      setDetail(loaded);
+      setContact({ name: loaded.user.name, email: loaded.user.email, phone: loaded.user.phone || '' });
+    } catch (error) {
+      console.error('Error fetching user:', error);
+      setError(error.message);
+    }
+  };
+
+  const run = async (action) => {
+    setProcessing(true);
+    setError('');
+    setMessage('');
+    try {
+      setMessage(await action());
+      await fetchDetail();
+      onChanged();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleContact = (e) => {
+    e.preventDefault();
+    const invalid = validateContactDetails(contact);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    run(async () => {
+      await updateContactDetails(supabase, userId, contact);
+      return 'Contact details saved.';
+    });
+  };
+
+  const handleRole = () => {
+    if (!window.confirm(`Make ${detail.user.name} ${roleLabel(role).toLowerCase()}?`)) return;
+    run(async () => {
+      await setUserRole(supabase, userId, role, roleReason);
+      setRole('');
+      setRoleReason('');
+      return `Role changed to ${roleLabel(role).toLowerCase()}.`;
+    });
+  };
+
+  const handleSuspend = () => {
+    if (!window.confirm(`Suspend ${detail.user.name}? They won't be able to sign in.`)) return;
+    run(async () => {
+      await suspendUser(supabase, userId, suspendReason);
+      setSuspendReason('');
+      return 'Account suspended.';
+    });
+  };
+
+  const handleReactivate = () =>
+    run(async () => {
+      await reactivateUser(supabase, userId);
+      return 'Account reactivated.';
+    });
+
+  const handleReset = () =>
+    run(async () => {
+      await sendPasswordReset(supabase, userId);
+      return `Password reset email sent to ${detail.user.email}.`;
+    });
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+  const user = detail?.user;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full max-w-lg h-full overflow-y-auto bg-white shadow-xl p-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h3 className="text-xl font-semibold">{user?.name || 'User'}</h3>
+            {user && (
+              <p className="text-sm text-gray-600">
+                {roleLabel(user.role)} · joined {new Date(user.created_at).toLocaleDateString()}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        {!user ? (
+          !error && (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+            </div>
+          )
+        ) : (
+          <div className="space-y-6">
+            {user.suspended_at && (
+              <div className="p-3 bg-red-50 rounded-lg text-sm text-red-800">
+                Suspended on {new Date(user.suspended_at).toLocaleDateString()}: {user.suspension_reason}
+              </div>
+            )}
+
+            <form onSubmit={handleContact}>
+              <h4 className="font-medium mb-2">Contact Details</h4>
+              <div className="space-y-2 mb-2">
+                <input
+                  type="text"
+                  value={contact.name}
+                  onChange={(e) => setContact({ ...contact, name: e.target.value })}
+                  placeholder="Name"
+                  className={inputClass}
+                />
+                <input
+                  type="email"
+                  value={contact.email}
+                  onChange={(e) => setContact({ ...contact, email: e.target.value })}
+                  placeholder="Email"
+                  className={inputClass}
+                />
+                <input
+                  type="tel"
+                  value={contact.phone}
+                  onChange={(e) => setContact({ ...contact, phone: e.target.value })}
+                  placeholder="Phone"
+                  className={inputClass}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mb-2">A new email address is also the one they sign in with.</p>
+              <button
+                type="submit"
+                disabled={processing}
+                className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Save Details
+              </button>
+            </form>
+
+            <div>
+              <h4 className="font-medium mb-2">Role</h4>
+              <select value={role} onChange={(e) => setRole(e.target.value)} className={`${inputClass} mb-2`}>
+                <option value="">Choose a role</option>
+                {USER_ROLES.filter((r) => r.value !== user.role).map((r) => (
+                  <option key={r.value} value={r.value}>{r.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={roleReason}
+                onChange={(e) => setRoleReason(e.target.value)}
+                placeholder="Reason"
+                className={`${inputClass} mb-2`}
+              />
+              {role === 'therapist' && (
+                <p className="text-xs text-gray-500 mb-2">They'll need to complete onboarding before they're offered bookings.</p>
+              )}
+              <button
+                onClick={handleRole}
+                disabled={processing || !role || !roleReason.trim()}
+                className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Change Role
+              </button>
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Account</h4>
+              {user.suspended_at ? (
+                <button
+                  onClick={handleReactivate}
+                  disabled={processing}
+                  className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                >
+                  Reactivate Account
+                </button>
+              ) : (
+                <>
+                  <input
+                    type="text"
+                    value={suspendReason}
+                    onChange={(e) => setSuspendReason(e.target.value)}
+                    placeholder="Reason for suspending"
+                    className={`${inputClass} mb-2`}
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleSuspend}
+                      disabled={processing || !suspendReason.trim()}
+                      className="bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Suspend Account
+                    </button>
+                    <button
+                      onClick={handleReset}
+                      disabled={processing}
+                      className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      Send Password Reset
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Bookings</h4>
+              {detail.bookings.length === 0 ? (
+                <p className="text-sm text-gray-500">No bookings</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 text-sm">
+                  {detail.bookings.map((booking) => (
+                    <li key={booking.id} className="py-2 flex justify-between">
+                      <div>
+                        <p>
+                          {booking.date} {booking.time.slice(0, 5)} · {booking.service?.name} · {booking.duration} min
+                        </p>
+                        <p className="text-gray-500">
+                          {booking.customer_id === user.id
+                            ? `with ${booking.therapist?.name || 'no therapist yet'}`
+                            : `for ${booking.customer?.name}`}
+                          {booking.suburb && ` · ${booking.suburb}`}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <span className={`px-2 py-1 text-xs rounded-full ${BOOKING_STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {statusLabel(booking.status)}
+                        </span>
+                        <p className="mt-1">${Number(booking.price).toFixed(2)}</p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Payments</h4>
+              {detail.payments.length === 0 ? (
+                <p className="text-sm text-gray-500">No payments</p>
+              ) : (
+                <div className="p-4 bg-gray-50 rounded-lg text-sm">
+                  {detail.payments.map((payment) => (
+                    <div key={payment.id} className="flex justify-between">
+                      <span className="text-gray-600">
+                        {payment.kind} · {new Date(payment.created_at).toLocaleDateString()} · {payment.status}
+                      </span>
+                      <span>
+                        ${Number(payment.amount).toFixed(2)}
+                        {Number(payment.refunded_amount) > 0 && ` (refunded $${Number(payment.refunded_amount).toFixed(2)})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">History</h4>
+              {detail.audit.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes yet</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {detail.audit.map((entry) => (
+                    <li key={entry.id}>
+                      <span className="text-gray-500">{new Date(entry.created_at).toLocaleString()}</span> ·{' '}
+                      {entry.admin?.name}: {describeUserAction(entry)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Admin: service catalogue
+const EMPTY_SERVICE = {
+  name: '',
+  description: '',
+  baseDuration: 60,
+  basePrice: '',
+  increment: 30,
+  incrementPrice: '',
+  active: true
+};
+
+function ServiceCatalogue() {
+  const [services, setServices] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchServices();
+  }, []);
+
+  const fetchServices = async () => {
+    try {
+      setServices(await loadAllServices(supabase));
+    } catch (error) {
+      console.error('Error fetching services:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateEditing = (field) => (e) =>
+    setEditing({ ...editing, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await saveService(supabase, editing);
+      setEditing(null);
+      await fetchServices();
+    } catch (error) {
+      console.error('Error saving service:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (service) => {
+    setError('');
+    try {
+      await setServiceActive(supabase, service.id, !service.active);
+      await fetchServices();
+    } catch (error) {
+      console.error('Error updating service:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (service) => {
+    if (!window.confirm(`Delete ${service.name}?`)) return;
+    setError('');
+    try {
+      await deleteService(supabase, service.id);
+      await fetchServices();
+    } catch (error) {
+      console.error('Error deleting service:', error);
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-4">{editing.id ? `Edit ${editing.name}` : 'New Service'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={updateEditing('name')}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+              <textarea
+                value={editing.description}
+                onChange={updateEditing('description')}
+                rows="2"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Base duration (minutes)</label>
+              <input
+                type="number"
+                min="1"
+                value={editing.baseDuration}
+                onChange={updateEditing('baseDuration')}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Base price ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={editing.basePrice}
+                onChange={updateEditing('basePrice')}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Increment (minutes)</label>
+              <input
+                type="number"
+                min="1"
+                value={editing.increment}
+                onChange={updateEditing('increment')}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Increment price ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={editing.incrementPrice}
+                onChange={updateEditing('incrementPrice')}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+              />
+            </div>
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={editing.active}
+                onChange={updateEditing('active')}
+                className="mr-2"
+              />
+              Offered to customers
+            </label>
+          </div>
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Service'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setEditing(EMPTY_SERVICE)}
+          className="mb-6 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700"
+        >
+          Add Service
+        </button>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Base</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Increment</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {services.map((service) => (
+              <tr key={service.id}>
+                <td className="px-6 py-4 text-sm">
+                  <div className="font-medium">{service.name}</div>
+                  <div className="text-gray-500">{service.description}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {service.baseDuration} min · ${service.basePrice.toFixed(2)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  +{service.increment} min · ${service.incrementPrice.toFixed(2)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 py-1 text-xs rounded-full ${
+                    service.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {service.active ? 'active' : 'retired'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                  <button onClick={() => setEditing(service)} className="text-purple-600 hover:text-purple-800">
+                    Edit
+                  </button>
+                  <button onClick={() => handleToggleActive(service)} className="text-gray-600 hover:text-gray-800">
+                    {service.active ? 'Retire' : 'Reactivate'}
+                  </button>
+                  <button onClick={() => handleDelete(service)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Admin: promo codes, gift vouchers and their redemptions
+const EMPTY_DISCOUNT_CODE = {
+  code: '',
+  kind: 'promo',
+  discount_type: 'percent',
+  value: '',
+  description: '',
+  starts_at: '',
+  expires_at: '',
+  max_redemptions: '',
+  max_per_customer: '',
+  service_ids: [],
+  active: true
+};
+
+const describeDiscount = (code) =>
+  code.discount_type === 'percent' ? `${Number(code.value)}% off` : `$${Number(code.value).toFixed(2)} off`;
+
+function DiscountCodes() {
+  const [codes, setCodes] = useState([]);
+  const [redemptions, setRedemptions] = useState([]);
+  const [services, setServices] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCodes();
+    loadAllServices(supabase).then(setServices).catch((error) => {
+      console.error('Error fetching services:', error);
+    });
+  }, []);
+
+  const fetchCodes = async () => {
+    try {
+      const [allCodes, recent] = await Promise.all([loadDiscountCodes(supabase), loadRedemptions(supabase)]);
+      setCodes(allCodes);
+      setRedemptions(recent);
+    } catch (error) {
+      console.error('Error fetching discount codes:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateEditing = (field) => (e) =>
+    setEditing({ ...editing, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const toggleService = (serviceId) =>
+    setEditing({
+      ...editing,
+      service_ids: editing.service_ids.includes(serviceId)
+        ? editing.service_ids.filter((id) => id !== serviceId)
+        : [...editing.service_ids, serviceId]
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await saveDiscountCode(supabase, editing);
+      setEditing(null);
+      await fetchCodes();
+    } catch (error) {
+      console.error('Error saving discount code:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (code) => {
+    setError('');
+    try {
+      await setDiscountCodeActive(supabase, code.id, !code.active);
+      await fetchCodes();
+    } catch (error) {
+      console.error('Error updating discount code:', error);
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-4">{editing.id ? `Edit ${editing.code}` : 'New Code'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Code</label>
+              <input
+                type="text"
+                value={editing.code}
+                onChange={(e) => setEditing({ ...editing, code: e.target.value.toUpperCase() })}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+              <select value={editing.kind} onChange={updateEditing('kind')} disabled={!!editing.id} className={inputClass}>
+                <option value="promo">Promo code</option>
+                <option value="voucher">Gift voucher</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Discount</label>
+              <select
+                value={editing.kind === 'voucher' ? 'fixed' : editing.discount_type}
+                onChange={updateEditing('discount_type')}
+                disabled={editing.kind === 'voucher'}
+                className={inputClass}
+              >
+                <option value="percent">Percentage</option>
+                <option value="fixed">Fixed amount</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {editing.kind !== 'voucher' && editing.discount_type === 'percent' ? 'Percent off' : 'Amount ($)'}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={editing.value}
+                onChange={updateEditing('value')}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Valid from</label>
+              <input type="date" value={editing.starts_at} onChange={updateEditing('starts_at')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Valid until</label>
+              <input type="date" value={editing.expires_at} onChange={updateEditing('expires_at')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Total uses (blank for unlimited)</label>
+              <input
+                type="number"
+                min="1"
+                value={editing.max_redemptions}
+                onChange={updateEditing('max_redemptions')}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Uses per customer</label>
+              <input
+                type="number"
+                min="1"
+                value={editing.max_per_customer}
+                onChange={updateEditing('max_per_customer')}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+              <input type="text" value={editing.description || ''} onChange={updateEditing('description')} className={inputClass} />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Treatments (none ticked means all)
+              </label>
+              <div className="flex flex-wrap gap-4">
+                {services.map((service) => (
+                  <label key={service.id} className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={editing.service_ids.includes(service.id)}
+                      onChange={() => toggleService(service.id)}
+                      className="mr-2"
+                    />
+                    {service.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center text-sm">
+              <input type="checkbox" checked={editing.active} onChange={updateEditing('active')} className="mr-2" />
+              Active
+            </label>
+          </div>
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Code'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setEditing(EMPTY_DISCOUNT_CODE)}
+          className="mb-6 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700"
+        >
+          Add Code
+        </button>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden mb-6">
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Uses</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {codes.map((code) => (
+              <tr key={code.id}>
+                <td className="px-6 py-4 text-sm">
+                  <div className="font-mono font-medium">{code.code}</div>
+                  <div className="text-gray-500">{code.kind === 'voucher' ? 'Gift voucher' : 'Promo code'}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {describeDiscount(code)}
+                  {code.kind === 'voucher' && (
+                    <div className="text-gray-500">${Number(code.balance).toFixed(2)} left</div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {code.uses}{code.max_redemptions ? ` / ${code.max_redemptions}` : ''}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {code.expires_at ? new Date(code.expires_at).toLocaleDateString() : 'Never'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 py-1 text-xs rounded-full ${
+                    code.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {code.active ? 'active' : 'inactive'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                  <button onClick={() => setEditing(toDiscountCodeForm(code))} className="text-purple-600 hover:text-purple-800">
+                    Edit
+                  </button>
+                  <button onClick={() => handleToggleActive(code)} className="text-gray-600 hover:text-gray-800">
+                    {code.active ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-4">Recent Redemptions</h3>
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Booking</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {redemptions.map((redemption) => (
+              <tr key={redemption.id} className={redemption.status === 'void' ? 'text-gray-400' : ''}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {new Date(redemption.created_at).toLocaleDateString()}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-mono">{redemption.discount?.code}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">{redemption.customer?.name}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {redemption.booking?.date} {redemption.booking?.time?.slice(0, 5)} · {redemption.booking?.status}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  ${Number(redemption.amount).toFixed(2)}
+                  {redemption.status === 'void' && ' (given back)'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Admin: therapist applications, approval and suspension
+function TherapistApplications() {
+  const [status, setStatus] = useState('under_review');
+  const [applications, setApplications] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(null);
+  const [error, setError] = useState('');
+
+  const today = toDateString(new Date());
+
+  useEffect(() => {
+    fetchApplications();
+  }, [status]);
+
+  const fetchApplications = async () => {
+    setLoading(true);
+    try {
+      setApplications(await loadApplications(supabase, status || null));
+    } catch (error) {
+      console.error('Error fetching applications:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleView = async (document) => {
+    setError('');
+    try {
+      window.open(await documentUrl(supabase, document), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening document:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleReview = async (application, action) => {
+    const note = notes[application.user_id] || '';
+    if (action.needsNote && !note.trim()) {
+      setError(`Add a note for ${application.therapist.name} saying why`);
+      return;
+    }
+
+    setProcessing(application.user_id);
+    setError('');
+    try {
+      await reviewTherapist(supabase, application.user_id, action.status, note);
+      setNotes({ ...notes, [application.user_id]: '' });
+      await fetchApplications();
+    } catch (error) {
+      console.error('Error reviewing therapist:', error);
+      setError(error.message);
+    } finally {
+      setProcessing(null);
+    }
   };
 
-  const handleBookingResponse = async (bookingId, response) => {
-    try {
-      const { error } = await supabase
-        .from('bookings')
-        .update({ status: response })
-        .eq('id', bookingId);
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Therapists</h3>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+        >
+          <option value="">All</option>
+          {Object.entries(APPLICATION_STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+        </div>
+      ) : applications.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+          No therapists here
+        </div>
+      ) : (
+        <div className="grid gap-6">
+          {applications.map((application) => {
+            const missing = missingDocuments(application.documents, today);
+            const actions = REVIEW_ACTIONS[application.status] || [];
+            return (
+              <div key={application.user_id} className="bg-white rounded-lg shadow-md p-6">
+                <div className="flex justify-between items-start mb-4">
+                  <div className="flex items-center space-x-4">
+                    <TherapistAvatar name={application.therapist.name} photoUrl={application.photo_url} />
+                    <div>
+                      <h4 className="font-semibold">{application.therapist.name}</h4>
+                      <p className="text-sm text-gray-600">
+                        {application.therapist.email}
+                        {application.therapist.phone && ` · ${application.therapist.phone}`}
+                      </p>
+                    </div>
+                  </div>
+                  <span className={`px-3 py-1 rounded-full text-sm ${APPLICATION_STATUSES[application.status].style}`}>
+                    {APPLICATION_STATUSES[application.status].label}
+                  </span>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+                  <div>
+                    <span className="text-gray-600">Based in:</span> {application.home_suburb || 'Not set'}
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Travels:</span> {Number(application.service_radius_km)} km
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Submitted:</span>{' '}
+                    {application.submitted_at ? new Date(application.submitted_at).toLocaleDateString() : '-'}
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Last reviewed:</span>{' '}
+                    {application.reviewed_at ? new Date(application.reviewed_at).toLocaleDateString() : '-'}
+                  </div>
+                </div>
+
+                {application.bio && <p className="text-sm text-gray-700 mb-4">{application.bio}</p>}
+
+                <div className="mb-4">
+                  <p className="text-sm font-medium mb-2">Documents</p>
+                  {application.documents.length === 0 && <p className="text-sm text-gray-500">None uploaded</p>}
+                  {application.documents.map((document) => (
+                    <div key={document.id} className="flex justify-between items-center text-sm py-1">
+                      <span>
+                        {REQUIRED_DOCUMENTS.find((d) => d.kind === document.kind).label}: {document.file_name}
+                        {document.expires_on && (
+                          <span className={document.expires_on < today ? 'text-red-600' : 'text-gray-600'}>
+                            {' '}· {document.expires_on < today ? 'expired' : 'expires'} {document.expires_on}
+                          </span>
+                        )}
+                      </span>
+                      <button onClick={() => handleView(document)} className="text-purple-600 hover:text-purple-800">
+                        View
+                      </button>
+                    </div>
+                  ))}
+                  {missing.length > 0 && (
+                    <p className="text-sm text-red-600 mt-2">Missing: {missing.map((d) => d.label).join(', ')}</p>
+                  )}
+                </div>
+
+                {application.status_note && (
+                  <p className="mb-4 p-3 bg-gray-50 rounded-lg text-sm">
+                    <span className="text-gray-600">Note to therapist:</span> {application.status_note}
+                  </p>
+                )}
+
+                {actions.length > 0 && (
+                  <div>
+                    <textarea
+                      value={notes[application.user_id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [application.user_id]: e.target.value })}
+                      rows={2}
+                      placeholder="Note to the therapist (needed when requesting changes or suspending)"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 mb-2"
+                    />
+                    {application.status === 'approved' && (
+                      <p className="text-xs text-gray-500 mb-2">
+                        Suspending withdraws open booking offers but leaves confirmed bookings with them.
+                      </p>
+                    )}
+                    <div className="flex space-x-4">
+                      {actions.map((action) => (
+                        <button
+                          key={action.status}
+                          onClick={() => handleReview(application, action)}
+                          disabled={processing === application.user_id}
+                          className={`flex-1 py-2 px-4 rounded-lg disabled:opacity-50 ${
+                            action.status === 'approved'
+                              ? 'bg-purple-600 text-white hover:bg-purple-700'
+                              : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                          }`}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Admin: payout runs, paying therapists for completed sessions
+// The last Sunday on or before today, so a run covers whole weeks by default
+const lastSunday = () => {
+  const today = toDateString(new Date());
+  return addDays(today, -weekdayOf(today));
+};
 
-      if (!error) {
-        fetchBookings();
-      }
+function PayoutRuns() {
+  const [periodEnd, setPeriodEnd] = useState(lastSunday());
+  const [unpaid, setUnpaid] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPayouts();
+  }, [periodEnd]);
+
+  const fetchPayouts = async () => {
+    setLoading(true);
+    try {
+      const [owed, pastRuns] = await Promise.all([loadUnpaidEarnings(supabase, periodEnd), loadPayoutRuns(supabase)]);
+      setUnpaid(owed);
+      setRuns(pastRuns);
     } catch (error) {
-      console.error('Error updating booking:', error);
+      console.error('Error fetching payouts:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
     }
   };
 
-  if (loading) {
-    return (
-      <div className="flex justify-center py-8">
-        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
-      </div>
-    );
-  }
+  const handleRun = async () => {
+    const total = unpaid.reduce((sum, row) => sum + row.net, 0);
+    if (!window.confirm(`Mark ${unpaid.length} therapists as paid $${total.toFixed(2)} for sessions up to ${periodEnd}?`)) return;
+
+    setRunning(true);
+    setError('');
+    try {
+      await createPayoutRun(supabase, periodEnd);
+      await fetchPayouts();
+    } catch (error) {
+      console.error('Error running payouts:', error);
+      setError(error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
 
   return (
     <div>
-      <h2 className="text-2xl font-bold mb-6">Therapist Dashboard</h2>
-      
-      <div className="grid gap-6">
-        {bookings.length === 0 ? (
-          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
-            No pending bookings
-          </div>
-        ) : (
-          bookings.map((booking) => (
-            <div key={booking.id} className="bg-white rounded-lg shadow-md p-6">
-              <div className="flex justify-between items-start mb-4">
-                <div>
-                  <h3 className="font-semibold text-lg">{booking.service.name}</h3>
-                  <p className="text-gray-600">{booking.customer.name}</p>
-                </div>
-                <span className={`px-3 py-1 rounded-full text-sm ${
-                  booking.status === 'requested' 
-                    ? 'bg-yellow-100 text-yellow-800' 
-                    : 'bg-green-100 text-green-800'
-                }`}>
-                  {booking.status}
-                </span>
-              </div>
-              
-              <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
-                <div>
-                  <span className="text-gray-600">Date:</span> {booking.date}
-                </div>
-                <div>
-                  <span className="text-gray-600">Time:</span> {booking.time}
-                </div>
-                <div>
-                  <span className="text-gray-600">Duration:</span> {booking.duration} min
-                </div>
-                <div>
-                  <span className="text-gray-600">Price:</span> ${booking.price}
-                </div>
-              </div>
-              
-              <div className="mb-4">
-                <p className="text-sm text-gray-600">Address:</p>
-                <p className="text-sm">{booking.address}</p>
-              </div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
 
-              {booking.parking && (
-                <div className="mb-4">
-                  <p className="text-sm text-gray-600">Parking:</p>
-                  <p className="text-sm">{booking.parking}</p>
-                </div>
-              )}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden mb-6">
+        <div className="flex justify-between items-end p-4">
+          <div>
+            <h3 className="text-lg font-semibold">Owed to Therapists</h3>
+            <p className="text-sm text-gray-600">
+              Completed sessions not yet paid out, less {PLATFORM_COMMISSION_PERCENT}% commission, plus tips
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Sessions up to</label>
+            <input
+              type="date"
+              value={periodEnd}
+              max={toDateString(new Date())}
+              onChange={(e) => setPeriodEnd(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600"
+            />
+          </div>
+        </div>
 
-              {booking.status === 'requested' && (
-                <div className="flex space-x-4">
-                  <button
-                    onClick={() => handleBookingResponse(booking.id, 'confirmed')}
-                    className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"
-                  >
-                    Accept
-                  </button>
-                  <button
-                    onClick={() => handleBookingResponse(booking.id, 'declined')}
-                    className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700"
-                  >
-                    Decline
-                  </button>
-                </div>
-              )}
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        ) : unpaid.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">Nothing to pay out</p>
+        ) : (
+          <>
+            <table className="min-w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Therapist</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sessions</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Earned</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Commission</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tips</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Net Payout</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {unpaid.map((row) => (
+                  <tr key={row.therapistId}>
+                    <td className="px-6 py-4 text-sm">
+                      {row.therapist.name}
+                      <span className="block text-xs text-gray-500">{row.therapist.email}</span>
+                    </td>
+                    <td className="px-6 py-4 text-sm">{row.sessions}</td>
+                    <td className="px-6 py-4 text-sm">${row.sessionTotal.toFixed(2)}</td>
+                    <td className="px-6 py-4 text-sm">-${row.commission.toFixed(2)}</td>
+                    <td className="px-6 py-4 text-sm">${row.tips.toFixed(2)}</td>
+                    <td className="px-6 py-4 text-sm font-medium">${row.net.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="p-4">
+              <button
+                onClick={handleRun}
+                disabled={running}
+                className="bg-purple-600 text-white py-2 px-6 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                {running ? 'Marking as paid...' : 'Mark as Paid Out'}
+              </button>
             </div>
-          ))
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <h3 className="text-lg font-semibold p-4">Past Payout Runs</h3>
+        {runs.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No payouts yet</p>
+        ) : (
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sessions Up To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Run</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Therapists</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Commission</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Paid Out</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Report</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {runs.map((run) => (
+                <tr key={run.id}>
+                  <td className="px-6 py-4 text-sm">{run.period_end}</td>
+                  <td className="px-6 py-4 text-sm">
+                    {new Date(run.created_at).toLocaleDateString()}
+                    {run.created_by_user && <span className="block text-xs text-gray-500">by {run.created_by_user.name}</span>}
+                  </td>
+                  <td className="px-6 py-4 text-sm">{run.payouts.length}</td>
+                  <td className="px-6 py-4 text-sm">{Number(run.commission_percent)}%</td>
+                  <td className="px-6 py-4 text-sm font-medium">
+                    ${run.payouts.reduce((sum, payout) => sum + Number(payout.net_amount), 0).toFixed(2)}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <button onClick={() => downloadPayoutRunCsv(run)} className="text-purple-600 hover:text-purple-800">
+                      CSV
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         )}
       </div>
     </div>
   );
 }
 
-// Admin Dashboard
-function AdminDashboard() {
-  const [view, setView] = useState('bookings');
-  const [bookings, setBookings] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [stats, setStats] = useState({
-    totalBookings: 0,
-    totalRevenue: 0,
-    activeTherapists: 0,
-    todaysBookings: 0
-  });
+// Admin: reports
+// Bars for one figure across a report's rows. Drawn by hand; the charts
+// are simple enough not to need a charting library.
+function BarChart({ rows, value, format }) {
+  const width = 720;
+  const height = 240;
+  const pad = { top: 16, right: 8, bottom: 36, left: 64 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const max = Math.max(...rows.map(value), 0) || 1;
+  const slot = plotWidth / Math.max(rows.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  // Keep axis labels from running into each other
+  const labelEvery = Math.ceil(rows.length / 12);
+  const yFor = (amount) => pad.top + plotHeight - (Math.max(amount, 0) / max) * plotHeight;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      {[0, 0.5, 1].map((fraction) => (
+        <g key={fraction}>
+          <line x1={pad.left} x2={width - pad.right} y1={yFor(max * fraction)} y2={yFor(max * fraction)} stroke="#e5e7eb" />
+          <text x={pad.left - 8} y={yFor(max * fraction) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+            {format(max * fraction)}
+          </text>
+        </g>
+      ))}
+      {rows.map((row, i) => {
+        const x = pad.left + i * slot + (slot - barWidth) / 2;
+        const y = yFor(value(row));
+        return (
+          <g key={row.bucket}>
+            <rect x={x} y={y} width={barWidth} height={pad.top + plotHeight - y} rx="2" fill="#9333ea">
+              <title>{`${row.label}: ${format(value(row))}`}</title>
+            </rect>
+            {i % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={height - pad.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">
+                {row.label.length > 14 ? `${row.label.slice(0, 13)}…` : row.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+const CHART_SERIES = {
+  revenue: { label: 'Revenue', value: (row) => row.revenue, format: (amount) => `$${amount.toFixed(0)}` },
+  bookings: { label: 'Bookings', value: (row) => row.bookings, format: (count) => count.toFixed(0) }
+};
+
+function AdminReports() {
+  const [preset, setPreset] = useState('30d');
+  const [range, setRange] = useState(() => presetRange('30d'));
+  const [groupBy, setGroupBy] = useState('day');
+  const [series, setSeries] = useState('revenue');
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [today, setToday] = useState({ todaysBookings: 0, activeTherapists: 0 });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
   useEffect(() => {
-    fetchData();
-  }, [view]);
+    fetchReports();
+  }, [range, groupBy]);
+
+  const fetchReports = async () => {
+    const invalid = validateReportRange(range);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
 
-  const fetchData = async () => {
     setLoading(true);
+    setError('');
     try {
-      if (view === 'bookings') {
-        const { data } = await supabase
-          .from('bookings')
-          .select(`
-            *,
-            customer:customer_id(name, email),
-            therapist:therapist_id(name, email),
-            service:service_id(name)
-          `)
-          .order('created_at', { ascending: false })
-          .limit(50);
-        
-        setBookings(data || []);
-      } else if (view === 'users') {
-        const { data } = await supabase
-          .from('users')
-          .select('*')
-          .order('created_at', { ascending: false });
-        
-        setUsers(data || []);
-      } else if (view === 'reports') {
-        // Calculate stats
-        const today = new Date().toISOString().split('T')[0];
-        
-        const { data: bookingStats } = await supabase
-          .from('bookings')
-          .select('price, date, status')
-          .eq('status', 'confirmed');
-
-        const { data: therapistCount } = await supabase
-          .from('users')
-          .select('id')
-          .eq('role', 'therapist');
-
-        const todaysBookings = bookingStats?.filter(b => b.date === today).length || 0;
-        const totalRevenue = bookingStats?.reduce((sum, b) => sum + b.price, 0) || 0;
-
-        setStats({
-          totalBookings: bookingStats?.length || 0,
-          totalRevenue,
-          activeTherapists: therapistCount?.length || 0,
-          todaysBookings
-        });
-      }
+      const [revenue, outcomes, todayStats] = await Promise.all([
+        loadRevenueReport(supabase, { ...range, groupBy }),
+        loadReportSummary(supabase, range),
+        loadTodayStats(supabase)
+      ]);
+      setRows(revenue);
+      setSummary(outcomes);
+      setToday(todayStats);
     } catch (error) {
-      console.error('Error fetching data:', error);
+      console.error('Error fetching reports:', error);
+      setError(error.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const choosePreset = (value) => {
+    setPreset(value);
+    setRange(presetRange(value));
+  };
+
+  const changeDate = (field, value) => {
+    setPreset('');
+    setRange((current) => ({ ...current, [field]: value }));
+  };
+
+  const totals = rows.reduce(
+    (sum, row) => ({
+      bookings: sum.bookings + row.bookings,
+      sessions: sum.sessions + row.sessions,
+      tips: sum.tips + row.tips,
+      refunds: sum.refunds + row.refunds,
+      revenue: sum.revenue + row.revenue
+    }),
+    { bookings: 0, sessions: 0, tips: 0, refunds: 0, revenue: 0 }
+  );
+  const groupLabel = REPORT_GROUPS.find((group) => group.value === groupBy).label;
+  const inputClass = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600';
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Today's Bookings</p>
+              <p className="text-2xl font-bold">{today.todaysBookings}</p>
+            </div>
+            <Calendar className="h-8 w-8 text-purple-600" />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Active Therapists</p>
+              <p className="text-2xl font-bold">{today.activeTherapists}</p>
+            </div>
+            <User className="h-8 w-8 text-blue-600" />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Revenue in Range</p>
+              <p className="text-2xl font-bold">${totals.revenue.toFixed(2)}</p>
+            </div>
+            <DollarSign className="h-8 w-8 text-green-600" />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Average Time to Accept</p>
+              <p className="text-2xl font-bold">{formatDuration(summary?.avgSecondsToAccept)}</p>
+            </div>
+            <Clock className="h-8 w-8 text-orange-600" />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Range</label>
+            <select value={preset} onChange={(e) => e.target.value && choosePreset(e.target.value)} className={inputClass}>
+              <option value="">Custom</option>
+              {RANGE_PRESETS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <input type="date" value={range.from} onChange={(e) => changeDate('from', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <input type="date" value={range.to} onChange={(e) => changeDate('to', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Group by</label>
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClass}>
+              {REPORT_GROUPS.map((group) => (
+                <option key={group.value} value={group.value}>{group.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex flex-wrap justify-between items-center gap-4 mt-4">
+          <p className="text-xs text-gray-500">Dates are session dates in Sydney time</p>
+          <div className="flex flex-wrap gap-4">
+            <ExportButtons
+              label="Export report"
+              run={(format) => exportReport({ rows, summary, ...range, groupBy }, format)}
+            />
+            <ExportButtons
+              label="Export payments"
+              run={(format, onProgress) => exportPayments(supabase, range, format, onProgress)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+        </div>
+      ) : (
+        <>
+          {summary && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+              <div className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-600">Cancellation Rate</p>
+                <p className="text-xl font-bold">{formatPercent(summary.cancellationRate)}</p>
+                <p className="text-xs text-gray-500">{summary.cancelled} of {summary.bookings} bookings</p>
+              </div>
+              <div className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-600">Unfilled Rate</p>
+                <p className="text-xl font-bold">{formatPercent(summary.unfilledRate)}</p>
+                <p className="text-xs text-gray-500">{summary.declined} declined, {summary.noShows} no-shows</p>
+              </div>
+              <div className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-600">Offer Decline Rate</p>
+                <p className="text-xl font-bold">{formatPercent(summary.offerDeclineRate)}</p>
+                <p className="text-xs text-gray-500">
+                  {summary.offersDeclined} declined, {summary.offersExpired} expired of {summary.offersMade} offers
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-600">Refunds</p>
+                <p className="text-xl font-bold">${summary.refundTotal.toFixed(2)}</p>
+                <p className="text-xs text-gray-500">{summary.refunds} payments refunded</p>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold">{CHART_SERIES[series].label} by {groupLabel.toLowerCase()}</h3>
+              <select value={series} onChange={(e) => setSeries(e.target.value)} className={inputClass}>
+                {Object.entries(CHART_SERIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {totals.bookings === 0 ? (
+              <p className="text-gray-600">No payments in this range.</p>
+            ) : (
+              <BarChart rows={rows} value={CHART_SERIES[series].value} format={CHART_SERIES[series].format} />
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            <table className="min-w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">{groupLabel}</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bookings</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sessions</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tips</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Refunds</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => (
+                  <tr key={row.bucket}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{row.label}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{row.bookings}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">${row.sessions.toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">${row.tips.toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">-${row.refunds.toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">${row.revenue.toFixed(2)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">Total</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">{totals.bookings}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">${totals.sessions.toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">${totals.tips.toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">-${totals.refunds.toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">${totals.revenue.toFixed(2)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Admin Dashboard
+function AdminDashboard() {
+  const [view, setView] = useState('bookings');
+
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6">Admin Dashboard</h2>
@@ -1225,6 +6009,46 @@ function AdminDashboard() {
           >
             Users
           </button>
+          <button
+            onClick={() => setView('therapists')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'therapists' 
+                ? 'bg-purple-600 text-white' 
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Therapists
+          </button>
+          <button
+            onClick={() => setView('services')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'services' 
+                ? 'bg-purple-600 text-white' 
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Services
+          </button>
+          <button
+            onClick={() => setView('discounts')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'discounts' 
+                ? 'bg-purple-600 text-white' 
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Discounts
+          </button>
+          <button
+            onClick={() => setView('payouts')}
+            className={`px-4 py-2 rounded-lg ${
+              view === 'payouts' 
+                ? 'bg-purple-600 text-white' 
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            Payouts
+          </button>
           <button
             onClick={() => setView('reports')}
             className={`px-4 py-2 rounded-lg ${
@@ -1238,145 +6062,19 @@ function AdminDashboard() {
         </nav>
       </div>
 
-      {loading ? (
-        <div className="flex justify-center py-8">
-          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
-        </div>
-      ) : (
-        <>
-          {view === 'bookings' && (
-            <div className="bg-white rounded-lg shadow-md overflow-hidden">
-              <table className="min-w-full">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Therapist</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Service</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {bookings.map((booking) => (
-                    <tr key={booking.id}>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        {booking.date} {booking.time}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        {booking.customer.name}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        {booking.therapist.name}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        {booking.service.name}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 text-xs rounded-full ${
-                          booking.status === 'confirmed' 
-                            ? 'bg-green-100 text-green-800'
-                            : booking.status === 'requested'
-                            ? 'bg-yellow-100 text-yellow-800'
-                            : 'bg-gray-100 text-gray-800'
-                        }`}>
-                          {booking.status}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        ${booking.price}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
+      {view === 'bookings' && <AdminBookings />}
 
-          {view === 'users' && (
-            <div className="bg-white rounded-lg shadow-md overflow-hidden">
-              <table className="min-w-full">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Phone</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {users.map((user) => (
-                    <tr key={user.id}>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">{user.name}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">{user.email}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">{user.phone}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 text-xs rounded-full ${
-                          user.role === 'admin' 
-                            ? 'bg-purple-100 text-purple-800'
-                            : user.role === 'therapist'
-                            ? 'bg-blue-100 text-blue-800'
-                            : 'bg-gray-100 text-gray-800'
-                        }`}>
-                          {user.role}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        {new Date(user.created_at).toLocaleDateString()}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
+      {view === 'users' && <AdminUsers />}
 
-          {view === 'reports' && (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm text-gray-600">Total Bookings</p>
-                    <p className="text-2xl font-bold">{stats.totalBookings}</p>
-                  </div>
-                  <Calendar className="h-8 w-8 text-purple-600" />
-                </div>
-              </div>
-              
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm text-gray-600">Total Revenue</p>
-                    <p className="text-2xl font-bold">${stats.totalRevenue}</p>
-                  </div>
-                  <DollarSign className="h-8 w-8 text-green-600" />
-                </div>
-              </div>
-              
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm text-gray-600">Active Therapists</p>
-                    <p className="text-2xl font-bold">{stats.activeTherapists}</p>
-                  </div>
-                  <User className="h-8 w-8 text-blue-600" />
-                </div>
-              </div>
-              
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm text-gray-600">Today's Bookings</p>
-                    <p className="text-2xl font-bold">{stats.todaysBookings}</p>
-                  </div>
-                  <Clock className="h-8 w-8 text-orange-600" />
-                </div>
-              </div>
-            </div>
-          )}
-        </>
-      )}
+      {view === 'therapists' && <TherapistApplications />}
+
+      {view === 'services' && <ServiceCatalogue />}
+
+      {view === 'discounts' && <DiscountCodes />}
+
+      {view === 'payouts' && <PayoutRuns />}
+
+      {view === 'reports' && <AdminReports />}
     </div>
   );
 }
\ No newline at end of file
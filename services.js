@@ -0,0 +1,116 @@
+// Service catalogue
+//
+// Treatments live in the `services` table so admins can add, edit and retire
+// them without a deploy. The booking flow reads the active ones through a
+// short-lived in-memory cache; admin edits clear it.
+
+// How long a loaded catalogue is reused before asking the database again
+export const SERVICES_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Durations offered: the base session plus up to this many increments
+export const MAX_EXTRA_INCREMENTS = 2;
+
+const FOREIGN_KEY_VIOLATION = '23503';
+
+let cache = null;
+
+// Database row -> the shape the booking flow uses
+export const toService = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || '',
+  baseDuration: row.base_duration,
+  basePrice: Number(row.base_price),
+  increment: row.increment,
+  incrementPrice: Number(row.increment_price),
+  active: row.active !== false
+});
+
+const toRow = (service) => ({
+  name: service.name.trim(),
+  description: service.description?.trim() || null,
+  base_duration: Number(service.baseDuration),
+  base_price: Number(service.basePrice),
+  increment: Number(service.increment),
+  increment_price: Number(service.incrementPrice),
+  active: service.active !== false
+});
+
+export const invalidateServices = () => {
+  cache = null;
+};
+
+// Active services, cheapest first. Concurrent callers share one request.
+export async function loadServices(supabase, { now = Date.now() } = {}) {
+  if (cache && now - cache.loadedAt < SERVICES_CACHE_TTL_MS) return cache.services;
+
+  const services = supabase
+    .from('services')
+    .select('*')
+    .eq('active', true)
+    .order('base_price')
+    .then(({ data, error }) => {
+      if (error) throw error;
+      return data.map(toService);
+    });
+
+  cache = { loadedAt: now, services };
+  services.catch(invalidateServices);
+  return services;
+}
+
+// Every service, retired ones included, for the admin catalogue
+export async function loadAllServices(supabase) {
+  const { data, error } = await supabase.from('services').select('*').order('name');
+  if (error) throw error;
+  return data.map(toService);
+}
+
+// Problems with a service form, as a message, or null when it can be saved
+export function validateService(service) {
+  if (!service.name?.trim()) return 'Name is required';
+
+  const baseDuration = Number(service.baseDuration);
+  const increment = Number(service.increment);
+  if (!Number.isInteger(baseDuration) || baseDuration <= 0) return 'Base duration must be a whole number of minutes';
+  if (!Number.isInteger(increment) || increment <= 0) return 'Increment must be a whole number of minutes';
+
+  if (!(Number(service.basePrice) >= 0)) return 'Base price must be zero or more';
+  if (!(Number(service.incrementPrice) >= 0)) return 'Increment price must be zero or more';
+  return null;
+}
+
+// Inserts a new service or updates an existing one (when it has an id)
+export async function saveService(supabase, service) {
+  const invalid = validateService(service);
+  if (invalid) throw new Error(invalid);
+
+  const query = service.id
+    ? supabase.from('services').update(toRow(service)).eq('id', service.id)
+    : supabase.from('services').insert(toRow(service));
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+
+  invalidateServices();
+  return toService(data);
+}
+
+// Retired services stay on past bookings but are no longer offered
+export async function setServiceActive(supabase, serviceId, active) {
+  const { error } = await supabase.from('services').update({ active }).eq('id', serviceId);
+  if (error) throw error;
+  invalidateServices();
+}
+
+// Only services that were never booked can be deleted outright
+export async function deleteService(supabase, serviceId) {
+  const { error } = await supabase.from('services').delete().eq('id', serviceId);
+  if (error?.code === FOREIGN_KEY_VIOLATION) {
+    throw new Error('This service has bookings. Retire it instead of deleting it.');
+  }
+  if (error) throw error;
+  invalidateServices();
+}
+
+export const durationOptions = (service) =>
+  Array.from({ length: MAX_EXTRA_INCREMENTS + 1 }, (_, i) => service.baseDuration + i * service.increment);
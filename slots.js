@@ -0,0 +1,58 @@
+// Bookable start times
+//
+// A slot is bookable when at least one therapist who covers the address and
+// is qualified for the service can fit the whole service duration into their
+// availability, with travel buffers around their other bookings, and it is
+// far enough in the future.
+import { fetchTherapistSchedules, fetchTherapistSchedulesBetween, matchTherapists, schedulesOn } from './matching';
+import { addDays, businessDate, fromMinutes, timeZoneOffsetMinutes } from './scheduling';
+
+export const SLOT_STEP_MINUTES = 30;
+export const DAY_START = 7 * 60;
+export const DAY_END = 21 * 60;
+
+// Customers can't book a therapist to turn up in less than this
+export const MIN_LEAD_TIME_MINUTES = 120;
+
+// How far ahead "next available" looks before giving up
+export const NEXT_AVAILABLE_SEARCH_DAYS = 14;
+
+// Minutes since midnight on Sydney's clock at `instant`
+const businessMinutes = (instant) => {
+  const wallClock = new Date(instant.getTime() + timeZoneOffsetMinutes(instant) * 60000);
+  return wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes();
+};
+
+// Every start time of the day for `date`, each marked available or not.
+// "Today" and the lead time are Sydney's, wherever the customer is.
+export function computeSlots(therapists, { date, duration, lat, lon, serviceId, now = new Date() }) {
+  const today = businessDate(now);
+  const earliestStart = businessMinutes(now) + MIN_LEAD_TIME_MINUTES;
+
+  const slots = [];
+  for (let start = DAY_START; start + duration <= DAY_END; start += SLOT_STEP_MINUTES) {
+    const time = fromMinutes(start);
+    const tooSoon = date < today || (date === today && start < earliestStart);
+    const available = !tooSoon &&
+      matchTherapists(therapists, { date, time, duration, lat, lon, serviceId }).length > 0;
+    slots.push({ time, available });
+  }
+  return slots;
+}
+
+export async function loadSlots(supabase, request) {
+  const therapists = await fetchTherapistSchedules(supabase, request.date, request);
+  return computeSlots(therapists, request);
+}
+
+// First bookable { date, time } on or after `request.date`, or null. The
+// schedules for the whole search are loaded up front, then checked day by day.
+export async function findNextAvailableSlot(supabase, request, days = NEXT_AVAILABLE_SEARCH_DAYS) {
+  const therapists = await fetchTherapistSchedulesBetween(supabase, request.date, addDays(request.date, days - 1), request);
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(request.date, offset);
+    const slot = computeSlots(schedulesOn(therapists, date), { ...request, date }).find((s) => s.available);
+    if (slot) return { date, time: slot.time };
+  }
+  return null;
+}
@@ -0,0 +1,136 @@
+import { DAY_END, DAY_START, SLOT_STEP_MINUTES, computeSlots, findNextAvailableSlot } from './slots';
+
+const bondi = { lat: -33.8915, lon: 151.2767 };
+
+// Works 09:00-17:00 on Tuesdays, from a kilometre away
+const therapist = {
+  id: 'a',
+  distanceKm: 1,
+  serviceRadiusKm: 10,
+  serviceIds: [1],
+  qualifications: [{ service_ids: [1], expires_on: null }],
+  availability: [{ weekday: 2, start_time: '09:00:00', end_time: '17:00:00' }],
+  exceptions: [],
+  commitments: []
+};
+
+// Tuesday 20 October 2026
+const request = { ...bondi, date: '2026-10-20', duration: 60, serviceId: 1 };
+
+// Monday well before the booking date
+const earlier = new Date('2026-10-12T00:00:00Z');
+
+const availableTimes = (slots) => slots.filter((slot) => slot.available).map((slot) => slot.time);
+
+describe('computeSlots', () => {
+  it('lists every step of the day that leaves room for the session', () => {
+    const slots = computeSlots([therapist], { ...request, now: earlier });
+    expect(slots[0].time).toBe('07:00');
+    expect(slots).toHaveLength((DAY_END - 60 - DAY_START) / SLOT_STEP_MINUTES + 1);
+    expect(slots[slots.length - 1].time).toBe('20:00');
+  });
+
+  it('marks the times a therapist can fit the whole session', () => {
+    const times = availableTimes(computeSlots([therapist], { ...request, now: earlier }));
+    expect(times[0]).toBe('09:00');
+    expect(times[times.length - 1]).toBe('16:00');
+  });
+
+  it('leaves out times the therapist is busy', () => {
+    const busy = { ...therapist, commitments: [{ therapist_id: 'a', start_minute: 600, end_minute: 720 }] };
+    const times = availableTimes(computeSlots([busy], { ...request, now: earlier }));
+    expect(times).not.toContain('10:00');
+    expect(times).not.toContain('11:30');
+    expect(times).toContain('09:00');
+    expect(times).toContain('12:00');
+  });
+
+  it("uses Sydney's date and clock for the lead time, not the browser's", () => {
+    // 09:30 on Tuesday in Sydney, still Monday in UTC; the first time is two
+    // hours on
+    const now = new Date('2026-10-19T22:30:00Z');
+    const times = availableTimes(computeSlots([therapist], { ...request, now }));
+    expect(times[0]).toBe('11:30');
+
+    expect(availableTimes(computeSlots([therapist], { ...request, date: '2026-10-19', now }))).toEqual([]);
+  });
+
+  it('follows daylight saving in Sydney', () => {
+    // 09:30 on Tuesday 14 April 2026 in Sydney, after daylight saving ends
+    const now = new Date('2026-04-13T23:30:00Z');
+    const times = availableTimes(computeSlots([therapist], { ...request, date: '2026-04-14', now }));
+    expect(times[0]).toBe('11:30');
+  });
+});
+
+describe('findNextAvailableSlot', () => {
+  const tables = {
+    therapist_profiles: [
+      {
+        user_id: 'a',
+        service_radius_km: 10,
+        service_ids: [1],
+        therapist: { id: 'a', name: 'Therapist a' }
+      }
+    ],
+    therapist_qualifications: [{ therapist_id: 'a', service_ids: [1], expires_on: null }],
+    therapist_availability: therapist.availability.map((row) => ({ therapist_id: 'a', ...row }))
+  };
+
+  // Applies eq() and in() to the columns the rows have, and ignores other
+  // filters
+  const query = (rows) => ({
+    select: () => query(rows),
+    eq: (column, value) => query(rows.filter((row) => !(column in row) || row[column] === value)),
+    in: (column, values) => query(rows.filter((row) => !(column in row) || values.includes(row[column]))),
+    lte: () => query(rows),
+    gte: () => query(rows),
+    then: (resolve) => resolve({ data: rows, error: null })
+  });
+
+  const supabase = {
+    queried: [],
+    from: (table) => {
+      supabase.queried.push(table);
+      return query(tables[table] || []);
+    },
+    rpc: (name) => {
+      supabase.queried.push(name);
+      return Promise.resolve({ data: name === 'therapist_distances' ? [{ therapist_id: 'a', distance_km: 1 }] : [], error: null });
+    }
+  };
+
+  beforeEach(() => {
+    supabase.queried = [];
+  });
+
+  it('finds the first day with a free time', async () => {
+    jest.useFakeTimers().setSystemTime(earlier);
+    try {
+      expect(await findNextAvailableSlot(supabase, { ...request, date: '2026-10-14' })).toEqual({
+        date: '2026-10-20',
+        time: '09:00'
+      });
+      expect(await findNextAvailableSlot(supabase, { ...request, date: '2026-10-14' }, 3)).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('loads the schedules for the whole search once', async () => {
+    jest.useFakeTimers().setSystemTime(earlier);
+    try {
+      await findNextAvailableSlot(supabase, { ...request, date: '2026-10-14' });
+    } finally {
+      jest.useRealTimers();
+    }
+    expect(supabase.queried.sort()).toEqual([
+      'therapist_availability',
+      'therapist_availability_exceptions',
+      'therapist_commitments_between',
+      'therapist_distances',
+      'therapist_profiles',
+      'therapist_qualifications'
+    ]);
+  });
+});
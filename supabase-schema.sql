@@ -8,20 +8,68 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     phone VARCHAR(20),
     role VARCHAR(20) NOT NULL CHECK (role IN ('customer', 'therapist', 'admin')),
+    stripe_customer_id VARCHAR(255),
+    -- Set while an admin has suspended the account; sign-in is blocked too
+    suspended_at TIMESTAMPTZ,
+    suspension_reason TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Therapist profiles
+-- lat/lon is the therapist's home base, which travel distances are measured
+-- from; only the suburb is shown to customers. Signed-in users can't select
+-- lat/lon: matching gets distances from therapist_distances(), and the
+-- therapist's own form reads them through therapist_home_base(). A therapist
+-- without one isn't matched to bookings.
 CREATE TABLE therapist_profiles (
     user_id UUID PRIMARY KEY REFERENCES users(id),
     bio TEXT,
     lat DECIMAL(10, 8),
     lon DECIMAL(11, 8),
+    home_suburb VARCHAR(100),
+    service_radius_km DECIMAL(5, 1) NOT NULL DEFAULT 10 CHECK (service_radius_km > 0 AND service_radius_km <= 100),
+    -- Services the therapist offers
+    service_ids INTEGER[] NOT NULL DEFAULT '{}',
+    photo_url TEXT,
+    -- Where the therapist's application is up to; only 'approved' therapists
+    -- can be booked. Moved on only by the onboarding functions below.
+    status VARCHAR(20) NOT NULL DEFAULT 'applied'
+        CHECK (status IN ('applied', 'documents_uploaded', 'under_review', 'approved', 'suspended')),
+    -- Admin's reason for requesting changes or suspending, shown to the therapist
+    status_note TEXT,
+    submitted_at TIMESTAMPTZ,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Files a therapist uploads with their application, kept in the private
+-- therapist-documents bucket at file_path
+CREATE TABLE therapist_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    therapist_id UUID NOT NULL REFERENCES therapist_profiles(user_id),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('qualification', 'insurance', 'police_check')),
+    file_path TEXT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    expires_on DATE,
+    uploaded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Certificates a therapist holds, and the services each one qualifies them
+-- for. A therapist is only offered bookings for a service they offer and
+-- hold an unexpired qualification for (see matching.isQualifiedFor).
+CREATE TABLE therapist_qualifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    therapist_id UUID NOT NULL REFERENCES users(id),
+    name VARCHAR(255) NOT NULL,
+    issuer VARCHAR(255),
+    expires_on DATE,
+    service_ids INTEGER[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Therapist availability
 CREATE TABLE therapist_availability (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -30,21 +78,73 @@ CREATE TABLE therapist_availability (
     start_time TIME NOT NULL,
     end_time TIME NOT NULL,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    UNIQUE(therapist_id, weekday, start_time, end_time)
+    UNIQUE(therapist_id, weekday, start_time, end_time),
+    CHECK (end_time > start_time)
 );
 
+-- Changes to the weekly hours (see scheduling.windowsForDate): 'override'
+-- replaces the weekly hours for one date, 'holiday' takes whole days off from
+-- start_date to end_date, and 'blocked' takes time out of one date's hours.
+CREATE TABLE therapist_availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    therapist_id UUID NOT NULL REFERENCES users(id),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('override', 'holiday', 'blocked')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    CHECK (
+        (kind = 'holiday' AND start_time IS NULL AND end_time IS NULL)
+        OR (kind <> 'holiday' AND start_date = end_date AND end_time > start_time)
+    )
+);
+
+CREATE INDEX therapist_availability_exceptions_dates_idx
+    ON therapist_availability_exceptions (start_date, end_date);
+
 -- Services
 CREATE TABLE services (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    base_duration INTEGER NOT NULL,
-    base_price DECIMAL(10, 2) NOT NULL,
-    increment INTEGER NOT NULL,
-    increment_price DECIMAL(10, 2) NOT NULL,
+    description TEXT,
+    base_duration INTEGER NOT NULL CHECK (base_duration > 0),
+    base_price DECIMAL(10, 2) NOT NULL CHECK (base_price >= 0),
+    increment INTEGER NOT NULL CHECK (increment > 0),
+    increment_price DECIMAL(10, 2) NOT NULL CHECK (increment_price >= 0),
     active BOOLEAN DEFAULT true,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Therapist payouts
+-- A payout run pays every therapist for their completed bookings (and the fee
+-- kept from no-shows) not yet paid out, up to period_end, and for their tips
+-- not yet paid out. Each booking paid records its payout in
+-- bookings.payout_id, and each tip in payments.payout_id.
+CREATE TABLE payout_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    period_end DATE NOT NULL,
+    commission_percent DECIMAL(5, 2) NOT NULL CHECK (commission_percent >= 0 AND commission_percent <= 100),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payout_run_id UUID NOT NULL REFERENCES payout_runs(id),
+    therapist_id UUID NOT NULL REFERENCES users(id),
+    booking_count INTEGER NOT NULL,
+    sessions_total DECIMAL(10, 2) NOT NULL,
+    commission DECIMAL(10, 2) NOT NULL,
+    tips_total DECIMAL(10, 2) NOT NULL,
+    -- sessions_total - commission + tips_total
+    net_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(payout_run_id, therapist_id)
+);
+
 -- Bookings
 CREATE TABLE bookings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -57,68 +157,352 @@ CREATE TABLE bookings (
     parking TEXT,
     room_details TEXT,
     address TEXT NOT NULL,
+    unit VARCHAR(20),
+    street VARCHAR(255),
+    suburb VARCHAR(100),
+    postcode VARCHAR(10),
+    state VARCHAR(10),
     lat DECIMAL(10, 8),
     lon DECIMAL(11, 8),
+    -- Includes time added during the session, which is charged separately
     price DECIMAL(10, 2) NOT NULL,
-    status VARCHAR(20) NOT NULL CHECK (status IN ('requested', 'confirmed', 'declined', 'completed', 'cancelled')),
+    -- Lines, total and GST from pricing.priceBooking(), as charged
+    price_breakdown JSONB,
+    discount_code VARCHAR(50),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('requested', 'confirmed', 'in_progress', 'declined', 'completed', 'no_show', 'cancelled')),
     tip DECIMAL(10, 2) DEFAULT 0,
+    tip_prompt_dismissed BOOLEAN NOT NULL DEFAULT false,
+    -- When the therapist expects to arrive, from their last "on my way"
+    therapist_eta TIMESTAMPTZ,
+    checked_in_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    -- Minutes the session actually ran, as recorded by the therapist
+    actual_duration INTEGER CHECK (actual_duration > 0),
+    -- What the customer was charged for not being there
+    no_show_fee DECIMAL(10, 2),
+    payout_id UUID REFERENCES payouts(id),
+    request_expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '120 seconds',
+    dispatch_mode VARCHAR(20) NOT NULL DEFAULT 'direct' CHECK (dispatch_mode IN ('direct', 'fallback', 'broadcast')),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Every therapist a booking request was offered to, and what happened
+CREATE TABLE booking_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id),
+    therapist_id UUID NOT NULL REFERENCES users(id),
+    rank INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'offered', 'accepted', 'declined', 'expired', 'withdrawn')),
+    offered_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(booking_id, therapist_id)
+);
+
+-- Audit trail of changes made to a booking after it was requested
+CREATE TABLE booking_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id),
+    actor_id UUID REFERENCES users(id),
+    type VARCHAR(50) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Internal notes on a booking, seen only by admins
+CREATE TABLE booking_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id),
+    author_id UUID NOT NULL REFERENCES users(id),
+    body TEXT NOT NULL CHECK (LENGTH(TRIM(body)) > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every change an admin makes through the admin functions: who, what, to
+-- which record (target_type 'booking', 'user', ...) and the details
+CREATE TABLE admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_id UUID NOT NULL REFERENCES users(id),
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(20) NOT NULL,
+    target_id UUID NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX admin_audit_log_target_idx ON admin_audit_log (target_type, target_id, created_at);
+
+-- Promo codes and gift vouchers
+-- Promo codes take a percentage or fixed amount off each booking they are
+-- used on. Gift vouchers are fixed-value codes with a balance that each
+-- redemption draws down; bought ones stay inactive until paid for.
+CREATE TABLE discount_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE CHECK (code = UPPER(code)),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('promo', 'voucher')),
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    value DECIMAL(10, 2) NOT NULL CHECK (value > 0),
+    balance DECIMAL(10, 2) CHECK (balance >= 0),
+    description TEXT,
+    starts_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    max_per_customer INTEGER CHECK (max_per_customer > 0),
+    -- NULL means any service
+    service_ids INTEGER[],
+    purchaser_id UUID REFERENCES users(id),
+    recipient_name VARCHAR(255),
+    recipient_email VARCHAR(255),
+    gift_message TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (discount_type = 'fixed' OR value <= 100),
+    CHECK (kind = 'promo' OR (discount_type = 'fixed' AND balance IS NOT NULL))
+);
+
+-- One per booking. Voided when the booking's payment is released or fully
+-- refunded, which gives a voucher its balance back.
+CREATE TABLE discount_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    discount_code_id UUID NOT NULL REFERENCES discount_codes(id),
+    booking_id UUID NOT NULL UNIQUE REFERENCES bookings(id),
+    customer_id UUID NOT NULL REFERENCES users(id),
+    amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'void')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    voided_at TIMESTAMPTZ
+);
+
 -- Payments
+-- A booking's card payment moves pending -> authorised (hold placed) ->
+-- completed (captured), or to cancelled when the hold is released. Tips and
+-- time added during a session are separate rows of kind 'tip' and
+-- 'extension' charged straight to the saved card, and gift voucher purchases
+-- are rows of kind 'voucher' with no booking.
 CREATE TABLE payments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     booking_id UUID REFERENCES bookings(id),
+    discount_code_id UUID REFERENCES discount_codes(id),
+    kind VARCHAR(20) NOT NULL DEFAULT 'booking' CHECK (kind IN ('booking', 'tip', 'extension', 'voucher')),
     stripe_payment_id VARCHAR(255),
     amount DECIMAL(10, 2) NOT NULL,
-    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'completed', 'failed', 'refunded')),
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'authorised', 'completed', 'failed', 'refunded', 'cancelled', 'disputed')),
+    -- The payout a tip was passed on in; sessions are paid per booking
+    payout_id UUID REFERENCES payouts(id),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- One tip per booking, even when two requests to add it race
+CREATE UNIQUE INDEX payments_one_tip_idx ON payments (booking_id) WHERE kind = 'tip' AND status IN ('pending', 'completed');
+
+-- Stripe webhook events, kept for idempotency and replay
+CREATE TABLE stripe_events (
+    id VARCHAR(255) PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'processed', 'failed', 'ignored')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
 -- Notifications
+-- Queued by the triggers further down and sent by netlify/lib/notifications.js,
+-- which renders subject and body from the type's template when it sends.
+-- 'sending' rows are claimed by a delivery run; 'failed' ones were given up on.
 CREATE TABLE notifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     booking_id UUID REFERENCES bookings(id),
+    user_id UUID REFERENCES users(id),
     type VARCHAR(50) NOT NULL,
-    to_email VARCHAR(255) NOT NULL,
+    channel VARCHAR(10) NOT NULL DEFAULT 'email' CHECK (channel IN ('email', 'sms')),
+    recipient VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    subject TEXT,
+    body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    attempt_log JSONB NOT NULL DEFAULT '[]',
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Stops the same message being queued twice
+    dedupe_key VARCHAR(255) UNIQUE,
     sent_at TIMESTAMPTZ,
-    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'sent', 'failed')),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE INDEX notifications_due_idx ON notifications (next_attempt_at) WHERE status IN ('pending', 'sending');
+
 -- Insert default services
-INSERT INTO services (name, base_duration, base_price, increment, increment_price) VALUES
-('Stressbuster', 60, 80, 30, 40),
-('Sports Massage', 60, 90, 30, 45),
-('Deep Tissue', 60, 100, 30, 50),
-('Swedish Relaxation', 60, 85, 30, 42),
-('Prenatal', 60, 95, 30, 47);
+INSERT INTO services (name, description, base_duration, base_price, increment, increment_price) VALUES
+('Stressbuster', 'Back, neck and shoulders to release built-up tension', 60, 80, 30, 40),
+('Sports Massage', 'Targeted work for training recovery and tight muscles', 60, 90, 30, 45),
+('Deep Tissue', 'Firm, slow pressure for chronic knots and stiffness', 60, 100, 30, 50),
+('Swedish Relaxation', 'Long, flowing strokes for full-body relaxation', 60, 85, 30, 42),
+('Prenatal', 'Side-lying massage for comfort during pregnancy', 60, 95, 30, 47);
 
 -- Row Level Security Policies
 
 -- Enable RLS
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE services ENABLE ROW LEVEL SECURITY;
 ALTER TABLE therapist_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE therapist_qualifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE therapist_documents ENABLE ROW LEVEL SECURITY;
 ALTER TABLE therapist_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE therapist_availability_exceptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payouts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_offers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discount_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discount_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Security model
+-- Policies decide which rows each signed-in user can reach; column grants
+-- decide what they can change in them. Anything that moves money or a
+-- booking's status goes through a database function or a Netlify function
+-- with the service key, which check the caller themselves. Roles are set
+-- when an account is created (create_user_profile) and afterwards only by
+-- admins, through netlify/functions/admin-users.js. supabase-tests.sql
+-- checks all of this.
+
+-- The signed-in user's role, or NULL once they are suspended: their session
+-- outlives the ban on signing in by up to an hour, so every write policy and
+-- function checks this rather than auth.uid() alone. Runs as its owner, so
+-- policies can ask without querying users under RLS, which recursed when the
+-- policy was on users.
+CREATE OR REPLACE FUNCTION current_user_role()
+RETURNS VARCHAR AS $$
+    SELECT role FROM users WHERE id = auth.uid() AND suspended_at IS NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(current_user_role() = 'admin', false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
 
 -- Users policies
 CREATE POLICY "Users can view own profile" ON users
     FOR SELECT USING (auth.uid() = id);
 
 CREATE POLICY "Users can update own profile" ON users
-    FOR UPDATE USING (auth.uid() = id);
+    FOR UPDATE USING (auth.uid() = id AND current_user_role() IS NOT NULL) WITH CHECK (auth.uid() = id);
+
+-- Rows are created by create_user_profile. People can change their own name
+-- and phone; email goes through Supabase Auth, and role and suspension are
+-- for admins.
+REVOKE INSERT, UPDATE, DELETE ON users FROM anon, authenticated;
+GRANT UPDATE (name, phone) ON users TO authenticated;
 
 CREATE POLICY "Admins can view all users" ON users
-    FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM users
-            WHERE id = auth.uid() AND role = 'admin'
-        )
-    );
+    FOR SELECT USING (is_admin());
+
+-- Therapists as customers see them: the name, and whether they can be
+-- booked (not suspended). The rest of a users row (email, phone, Stripe
+-- customer, why they were suspended) stays behind the policies above. Reads
+-- as its owner, past those policies, so only signed-in users get it.
+CREATE VIEW therapist_names AS
+    SELECT id, name, suspended_at IS NULL AS active FROM users WHERE role = 'therapist';
+
+REVOKE ALL ON therapist_names FROM anon, authenticated;
+GRANT SELECT ON therapist_names TO authenticated;
+
+-- Customers as their therapists see them: just the name, and only for
+-- someone with a booking assigned to the therapist or offered to them (the
+-- booking itself says where to go). Admins see every name. Reads as its
+-- owner, like therapist_names.
+CREATE VIEW customer_names AS
+    SELECT u.id, u.name FROM users u
+    WHERE is_admin()
+       OR EXISTS (SELECT 1 FROM bookings b WHERE b.customer_id = u.id AND b.therapist_id = auth.uid())
+       OR EXISTS (
+           SELECT 1 FROM booking_offers o JOIN bookings b ON b.id = o.booking_id
+           WHERE b.customer_id = u.id AND o.therapist_id = auth.uid() AND o.status IN ('queued', 'offered', 'accepted')
+       );
+
+REVOKE ALL ON customer_names FROM anon, authenticated;
+GRANT SELECT ON customer_names TO authenticated;
+
+-- Service policies
+-- Retired services stay readable so past bookings can still show their name
+CREATE POLICY "Services are visible to everyone" ON services
+    FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage services" ON services
+    FOR ALL USING (is_admin());
+
+-- Therapist profile policies
+-- Customers only see approved therapists; therapists always see their own
+CREATE POLICY "Approved therapist profiles are visible to signed-in users" ON therapist_profiles
+    FOR SELECT USING (auth.uid() IS NOT NULL AND (status = 'approved' OR user_id = auth.uid()));
+
+CREATE POLICY "Therapists can create own profile" ON therapist_profiles
+    FOR INSERT WITH CHECK (user_id = auth.uid() AND current_user_role() = 'therapist');
+
+CREATE POLICY "Therapists can update own profile" ON therapist_profiles
+    FOR UPDATE USING (user_id = auth.uid() AND current_user_role() = 'therapist') WITH CHECK (user_id = auth.uid());
+
+-- Therapists edit what customers see and what matching uses. user_id is
+-- listed because saving upserts the whole row; the policy keeps it theirs.
+-- The application status has its own functions, below.
+REVOKE UPDATE, DELETE ON therapist_profiles FROM anon, authenticated;
+GRANT UPDATE (user_id, bio, lat, lon, home_suburb, service_radius_km, service_ids, photo_url)
+    ON therapist_profiles TO authenticated;
+
+-- Every column but the home coordinates, which the policy above would
+-- otherwise hand to any signed-in customer
+REVOKE SELECT ON therapist_profiles FROM anon, authenticated;
+GRANT SELECT (
+    user_id, bio, home_suburb, service_radius_km, service_ids, photo_url, status, status_note,
+    submitted_at, reviewed_by, reviewed_at, created_at, updated_at
+) ON therapist_profiles TO authenticated;
+
+CREATE POLICY "Admins can view all therapist profiles" ON therapist_profiles
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Therapists can view own documents" ON therapist_documents
+    FOR SELECT USING (therapist_id = auth.uid());
+
+CREATE POLICY "Therapists can add own documents" ON therapist_documents
+    FOR INSERT WITH CHECK (therapist_id = auth.uid() AND current_user_role() = 'therapist');
+
+CREATE POLICY "Therapists can delete own documents" ON therapist_documents
+    FOR DELETE USING (therapist_id = auth.uid() AND current_user_role() = 'therapist');
+
+CREATE POLICY "Admins can view all therapist documents" ON therapist_documents
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Therapist qualifications are visible to signed-in users" ON therapist_qualifications
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Therapists can manage own qualifications" ON therapist_qualifications
+    FOR ALL USING (therapist_id = auth.uid() AND current_user_role() = 'therapist')
+    WITH CHECK (therapist_id = auth.uid() AND current_user_role() = 'therapist');
+
+CREATE POLICY "Therapist availability is visible to signed-in users" ON therapist_availability
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Therapists can manage own availability" ON therapist_availability
+    FOR ALL USING (therapist_id = auth.uid() AND current_user_role() = 'therapist')
+    WITH CHECK (therapist_id = auth.uid() AND current_user_role() = 'therapist');
+
+CREATE POLICY "Availability exceptions are visible to signed-in users" ON therapist_availability_exceptions
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Therapists can manage own availability exceptions" ON therapist_availability_exceptions
+    FOR ALL USING (therapist_id = auth.uid() AND current_user_role() = 'therapist')
+    WITH CHECK (therapist_id = auth.uid() AND current_user_role() = 'therapist');
 
 -- Bookings policies
 CREATE POLICY "Customers can view own bookings" ON bookings
@@ -128,18 +512,76 @@ CREATE POLICY "Therapists can view assigned bookings" ON bookings
     FOR SELECT USING (therapist_id = auth.uid());
 
 CREATE POLICY "Admins can view all bookings" ON bookings
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Therapists can view bookings offered to them" ON bookings
     FOR SELECT USING (
         EXISTS (
-            SELECT 1 FROM users
-            WHERE id = auth.uid() AND role = 'admin'
+            SELECT 1 FROM booking_offers
+            WHERE booking_offers.booking_id = bookings.id
+            AND booking_offers.therapist_id = auth.uid()
+            AND booking_offers.status = 'offered'
         )
     );
 
+-- A new booking starts as a request with nobody assigned; its price is
+-- checked against the catalogue when the card is authorised
 CREATE POLICY "Customers can create bookings" ON bookings
-    FOR INSERT WITH CHECK (customer_id = auth.uid());
+    FOR INSERT WITH CHECK (
+        customer_id = auth.uid() AND current_user_role() = 'customer' AND status = 'requested'
+    );
+
+-- Customers and therapists only write the booking details they fill in.
+-- Every later change (accepting, rescheduling, check-in, tips, prices) goes
+-- through the booking functions, so nobody updates bookings directly.
+REVOKE INSERT, UPDATE, DELETE ON bookings FROM anon, authenticated;
+GRANT INSERT (
+    customer_id, service_id, duration, date, time, parking, room_details, address, unit, street,
+    suburb, postcode, state, lat, lon, price, price_breakdown, discount_code, status
+) ON bookings TO authenticated;
+
+-- Booking offer policies
+CREATE POLICY "Therapists can view own offers" ON booking_offers
+    FOR SELECT USING (therapist_id = auth.uid());
+
+CREATE POLICY "Admins can view all offers" ON booking_offers
+    FOR SELECT USING (is_admin());
+
+-- Booking event policies
+CREATE POLICY "Users can view events on own bookings" ON booking_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM bookings
+            WHERE bookings.id = booking_events.booking_id
+            AND (bookings.customer_id = auth.uid() OR bookings.therapist_id = auth.uid())
+        )
+    );
+
+CREATE POLICY "Admins can view all booking events" ON booking_events
+    FOR SELECT USING (is_admin());
+
+-- Admin notes and audit policies
+-- Written only by the admin functions, with the service key
+CREATE POLICY "Admins can view booking notes" ON booking_notes
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins can view the audit log" ON admin_audit_log
+    FOR SELECT USING (is_admin());
+
+-- Payout policies
+CREATE POLICY "Therapists can view own payouts" ON payouts
+    FOR SELECT USING (therapist_id = auth.uid());
+
+CREATE POLICY "Therapists can view runs they were paid in" ON payout_runs
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM payouts WHERE payout_run_id = payout_runs.id AND therapist_id = auth.uid())
+    );
 
-CREATE POLICY "Therapists can update assigned bookings" ON bookings
-    FOR UPDATE USING (therapist_id = auth.uid());
+CREATE POLICY "Admins can view all payouts" ON payouts
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins can view all payout runs" ON payout_runs
+    FOR SELECT USING (is_admin());
 
 -- Payments policies
 CREATE POLICY "Users can view own payments" ON payments
@@ -152,13 +594,1175 @@ CREATE POLICY "Users can view own payments" ON payments
     );
 
 CREATE POLICY "Admins can view all payments" ON payments
+    FOR SELECT USING (is_admin());
+
+-- Stripe events policies
+CREATE POLICY "Admins can view Stripe events" ON stripe_events
+    FOR SELECT USING (is_admin());
+
+-- Notification policies
+CREATE POLICY "Users can view own notifications" ON notifications
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Admins can view all notifications" ON notifications
+    FOR SELECT USING (is_admin());
+
+-- Discount policies
+-- Customers never read codes directly; the discounts function checks them
+CREATE POLICY "Customers can view vouchers they bought" ON discount_codes
+    FOR SELECT USING (purchaser_id = auth.uid());
+
+CREATE POLICY "Admins can manage discount codes" ON discount_codes
+    FOR ALL USING (is_admin());
+
+CREATE POLICY "Customers can view own redemptions" ON discount_redemptions
+    FOR SELECT USING (customer_id = auth.uid());
+
+CREATE POLICY "Admins can view all redemptions" ON discount_redemptions
+    FOR SELECT USING (is_admin());
+
+-- Straight-line distance in km between two points, as scheduling.haversineKm
+-- works it out
+CREATE OR REPLACE FUNCTION distance_km(p_from_lat DECIMAL, p_from_lon DECIMAL, p_to_lat DECIMAL, p_to_lon DECIMAL)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT 2 * 6371 * ASIN(SQRT(
+        POWER(SIN(RADIANS(p_to_lat - p_from_lat) / 2), 2) +
+        COS(RADIANS(p_from_lat)) * COS(RADIANS(p_to_lat)) * POWER(SIN(RADIANS(p_to_lon - p_from_lon) / 2), 2)
+    ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The gap a therapist needs between appointments at two places: setup time
+-- plus the drive between them, worked out as scheduling.travelBufferMinutes
+-- does (15 minutes, and straight-line distance at 30 km/h)
+CREATE OR REPLACE FUNCTION travel_buffer_minutes(p_from_lat DECIMAL, p_from_lon DECIMAL, p_to_lat DECIMAL, p_to_lon DECIMAL)
+RETURNS INTEGER AS $$
+    SELECT 15 + CASE
+        WHEN p_from_lat IS NULL OR p_from_lon IS NULL OR p_to_lat IS NULL OR p_to_lon IS NULL THEN 0
+        ELSE CEIL(distance_km(p_from_lat, p_from_lon, p_to_lat, p_to_lon) / 30 * 60)::INTEGER
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- How far each approved therapist's home base is from a booking at
+-- p_lat/p_lon, for matching. Only therapists whose service radius covers the
+-- address come back, and the distance is rounded up to the kilometre, so
+-- asking from different addresses can't place a therapist more closely than
+-- the suburb customers already see.
+CREATE OR REPLACE FUNCTION therapist_distances(p_lat DECIMAL, p_lon DECIMAL)
+RETURNS TABLE (therapist_id UUID, distance_km INTEGER) AS $$
+    SELECT p.user_id, GREATEST(CEIL(d.km), 1)::INTEGER
+    FROM therapist_profiles p
+    CROSS JOIN LATERAL (SELECT distance_km(p.lat, p.lon, p_lat, p_lon) AS km) d
+    WHERE p.status = 'approved' AND p.lat IS NOT NULL AND p.lon IS NOT NULL AND d.km <= p.service_radius_km;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION therapist_distances(DECIMAL, DECIMAL) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION therapist_distances(DECIMAL, DECIMAL) TO authenticated, service_role;
+
+-- A therapist's home coordinates, for their own profile form or an admin
+CREATE OR REPLACE FUNCTION therapist_home_base(p_therapist_id UUID)
+RETURNS TABLE (lat DECIMAL, lon DECIMAL) AS $$
+    SELECT p.lat, p.lon FROM therapist_profiles p
+    WHERE p.user_id = p_therapist_id AND (p_therapist_id = auth.uid() OR is_admin());
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION therapist_home_base(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION therapist_home_base(UUID) TO authenticated, service_role;
+
+-- When each therapist is busy on a date, as minutes since midnight, for a
+-- booking at p_lat/p_lon: their confirmed and in-progress bookings widened
+-- by the travel buffer either side. Only these intervals leave the
+-- database, so matching can check clashes without seeing other customers'
+-- bookings or where they live. p_exclude_booking_id leaves out a booking
+-- that is being moved.
+CREATE OR REPLACE FUNCTION therapist_commitments(
+    p_date DATE, p_lat DECIMAL, p_lon DECIMAL, p_exclude_booking_id UUID DEFAULT NULL
+)
+RETURNS TABLE (therapist_id UUID, start_minute INTEGER, end_minute INTEGER) AS $$
+    SELECT b.therapist_id, s.start_minute - s.buffer, s.start_minute + b.duration + s.buffer
+    FROM bookings b
+    CROSS JOIN LATERAL (
+        SELECT
+            (EXTRACT(EPOCH FROM b.time) / 60)::INTEGER AS start_minute,
+            CASE WHEN p_lat IS NULL OR p_lon IS NULL THEN 0
+                 ELSE travel_buffer_minutes(b.lat, b.lon, p_lat, p_lon) END AS buffer
+    ) s
+    WHERE b.date = p_date AND b.status IN ('confirmed', 'in_progress')
+      AND b.id IS DISTINCT FROM p_exclude_booking_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION therapist_commitments(DATE, DECIMAL, DECIMAL, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION therapist_commitments(DATE, DECIMAL, DECIMAL, UUID) TO authenticated, service_role;
+
+-- therapist_commitments() for every date from p_from to p_to, each row with
+-- its date, so a search across days can load them all at once
+CREATE OR REPLACE FUNCTION therapist_commitments_between(
+    p_from DATE, p_to DATE, p_lat DECIMAL, p_lon DECIMAL, p_exclude_booking_id UUID DEFAULT NULL
+)
+RETURNS TABLE (therapist_id UUID, date DATE, start_minute INTEGER, end_minute INTEGER) AS $$
+    SELECT c.therapist_id, d.date::DATE, c.start_minute, c.end_minute
+    FROM generate_series(p_from, p_to, INTERVAL '1 day') AS d(date)
+    CROSS JOIN LATERAL therapist_commitments(d.date::DATE, p_lat, p_lon, p_exclude_booking_id) c;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION therapist_commitments_between(DATE, DATE, DECIMAL, DECIMAL, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION therapist_commitments_between(DATE, DATE, DECIMAL, DECIMAL, UUID) TO authenticated, service_role;
+
+-- Accounts
+-- Every sign-up gets its users row here, from the name, phone and kind of
+-- account passed to supabase.auth.signUp(). People sign up as customers or
+-- as therapists, who then go through onboarding; nobody signs up as an admin.
+CREATE OR REPLACE FUNCTION create_user_profile()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_role VARCHAR := CASE WHEN NEW.raw_user_meta_data->>'role' = 'therapist' THEN 'therapist' ELSE 'customer' END;
+BEGIN
+    INSERT INTO users (id, email, name, phone, role)
+    VALUES (
+        NEW.id,
+        NEW.email,
+        COALESCE(NULLIF(TRIM(NEW.raw_user_meta_data->>'name'), ''), SPLIT_PART(NEW.email, '@', 1)),
+        NULLIF(TRIM(NEW.raw_user_meta_data->>'phone'), ''),
+        v_role
+    );
+
+    -- Filled in from the dashboard's Profile tab; until it has a home base
+    -- the therapist isn't matched to bookings
+    IF v_role = 'therapist' THEN
+        INSERT INTO therapist_profiles (user_id, bio) VALUES (NEW.id, '');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER create_user_profile AFTER INSERT ON auth.users
+    FOR EACH ROW EXECUTE FUNCTION create_user_profile();
+
+-- Booking lifecycle
+-- requested -> confirmed | declined | cancelled
+-- confirmed -> in_progress | cancelled | no_show
+-- in_progress -> completed
+-- Every status change is checked against this, whoever makes it, except an
+-- admin's override (override_booking_status).
+CREATE OR REPLACE FUNCTION booking_status_change_allowed(p_from VARCHAR, p_to VARCHAR)
+RETURNS BOOLEAN AS $$
+    SELECT (p_from, p_to) IN (
+        ('requested', 'confirmed'), ('requested', 'declined'), ('requested', 'cancelled'),
+        ('confirmed', 'in_progress'), ('confirmed', 'cancelled'), ('confirmed', 'no_show'),
+        ('in_progress', 'completed')
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION check_booking_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status
+        AND NOT booking_status_change_allowed(OLD.status, NEW.status)
+        AND current_setting('app.booking_status_override', true) IS DISTINCT FROM 'on' THEN
+        RAISE EXCEPTION 'A booking can''t go from % to %', OLD.status, NEW.status;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_booking_status_change BEFORE UPDATE OF status ON bookings
+    FOR EACH ROW EXECUTE FUNCTION check_booking_status_change();
+
+-- An admin's status override (netlify/functions/admin-bookings.js), which
+-- can move a booking between any two statuses. Only the service key can call
+-- it. False if the booking wasn't in `p_from` any more.
+CREATE OR REPLACE FUNCTION override_booking_status(p_booking_id UUID, p_from VARCHAR, p_to VARCHAR)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_updated INTEGER;
+BEGIN
+    PERFORM set_config('app.booking_status_override', 'on', true);
+    UPDATE bookings SET
+        status = p_to,
+        checked_in_at = CASE WHEN p_to = 'in_progress' THEN COALESCE(checked_in_at, NOW()) ELSE checked_in_at END,
+        completed_at = CASE WHEN p_to = 'completed' THEN COALESCE(completed_at, NOW()) ELSE completed_at END
+    WHERE id = p_booking_id AND status = p_from;
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    PERFORM set_config('app.booking_status_override', 'off', true);
+    RETURN v_updated > 0;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION override_booking_status(UUID, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION override_booking_status(UUID, VARCHAR, VARCHAR) TO service_role;
+
+-- Booking request handshake
+-- A booking waits in 'requested' while it is offered to therapists. Each offer
+-- is open until its expires_at; when one is declined or runs out the next
+-- queued therapist is offered the booking ('fallback'), and in 'broadcast'
+-- mode every candidate is offered at once and the first to accept wins.
+-- Clients move bookings on only through these functions.
+
+-- Offers the booking to the next queued therapist, or closes the booking when
+-- nobody is left. Returns the booking's status afterwards.
+CREATE OR REPLACE FUNCTION advance_booking_offers(p_booking_id UUID)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_booking bookings%ROWTYPE;
+    v_next booking_offers%ROWTYPE;
+    v_last_status VARCHAR;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    IF v_booking.status <> 'requested' THEN
+        RETURN v_booking.status;
+    END IF;
+
+    UPDATE booking_offers SET status = 'expired', responded_at = NOW()
+    WHERE booking_id = p_booking_id AND status = 'offered' AND expires_at <= NOW();
+
+    -- Broadcast offers still waiting for an answer
+    IF EXISTS (SELECT 1 FROM booking_offers WHERE booking_id = p_booking_id AND status = 'offered') THEN
+        RETURN v_booking.status;
+    END IF;
+
+    SELECT * INTO v_next FROM booking_offers
+    WHERE booking_id = p_booking_id AND status = 'queued'
+    ORDER BY rank
+    LIMIT 1;
+
+    IF FOUND THEN
+        UPDATE booking_offers
+        SET status = 'offered', offered_at = NOW(), expires_at = NOW() + INTERVAL '120 seconds'
+        WHERE id = v_next.id
+        RETURNING expires_at INTO v_next.expires_at;
+
+        UPDATE bookings
+        SET therapist_id = v_next.therapist_id, request_expires_at = v_next.expires_at
+        WHERE id = p_booking_id;
+
+        RETURN 'requested';
+    END IF;
+
+    SELECT status INTO v_last_status FROM booking_offers
+    WHERE booking_id = p_booking_id
+    ORDER BY responded_at DESC NULLS LAST
+    LIMIT 1;
+
+    UPDATE bookings
+    SET status = CASE WHEN v_last_status = 'declined' THEN 'declined' ELSE 'cancelled' END
+    WHERE id = p_booking_id
+    RETURNING status INTO v_booking.status;
+
+    RETURN v_booking.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION advance_booking_offers(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Called by the customer once the booking row exists and the card hold is in
+-- place (payments.authoriseCard), with therapists in order of preference.
+-- Nobody is offered a booking with no money behind it.
+CREATE OR REPLACE FUNCTION create_booking_offers(p_booking_id UUID, p_therapist_ids UUID[], p_mode VARCHAR)
+RETURNS VARCHAR AS $$
+BEGIN
+    IF p_mode NOT IN ('direct', 'fallback', 'broadcast') THEN
+        RAISE EXCEPTION 'Unknown dispatch mode %', p_mode;
+    END IF;
+
+    IF array_length(p_therapist_ids, 1) IS NULL THEN
+        RAISE EXCEPTION 'No therapists to offer the booking to';
+    END IF;
+
+    UPDATE bookings SET dispatch_mode = p_mode, therapist_id = NULL
+    WHERE id = p_booking_id AND customer_id = auth.uid() AND status = 'requested'
+      AND current_user_role() IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM booking_offers WHERE booking_id = p_booking_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM payments
+        WHERE booking_id = p_booking_id AND kind = 'booking' AND status = 'authorised'
+    ) THEN
+        RAISE EXCEPTION 'Authorise your card before the booking is sent to therapists';
+    END IF;
+
+    INSERT INTO booking_offers (booking_id, therapist_id, rank, status, offered_at, expires_at)
+    SELECT
+        p_booking_id,
+        t.therapist_id,
+        t.rank,
+        CASE WHEN p_mode = 'broadcast' THEN 'offered' ELSE 'queued' END,
+        CASE WHEN p_mode = 'broadcast' THEN NOW() END,
+        CASE WHEN p_mode = 'broadcast' THEN NOW() + INTERVAL '120 seconds' END
+    FROM unnest(CASE WHEN p_mode = 'direct' THEN p_therapist_ids[1:1] ELSE p_therapist_ids END)
+        WITH ORDINALITY AS t(therapist_id, rank)
+    WHERE EXISTS (
+        SELECT 1 FROM therapist_profiles p
+        JOIN users u ON u.id = p.user_id
+        WHERE p.user_id = t.therapist_id AND p.status = 'approved'
+          AND u.role = 'therapist' AND u.suspended_at IS NULL
+    );
+
+    IF p_mode = 'broadcast' THEN
+        UPDATE bookings SET request_expires_at = NOW() + INTERVAL '120 seconds' WHERE id = p_booking_id;
+    END IF;
+
+    RETURN advance_booking_offers(p_booking_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Returns 'confirmed' or 'declined', 'expired' / 'taken' when the offer
+-- closed before the therapist answered, or 'clash' when they've since taken
+-- a booking that overlaps it (requests aren't commitments until accepted, so
+-- two overlapping ones can both be offered to the same therapist).
+-- Called by netlify/functions/bookings.js for the signed-in therapist, so an
+-- acceptance is charged on the server straight away.
+CREATE OR REPLACE FUNCTION respond_to_booking(p_booking_id UUID, p_therapist_id UUID, p_accept BOOLEAN)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_booking bookings%ROWTYPE;
+    v_offer booking_offers%ROWTYPE;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+    SELECT * INTO v_offer FROM booking_offers
+    WHERE booking_id = p_booking_id AND therapist_id = p_therapist_id AND status = 'offered';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This booking is no longer waiting for your response';
+    END IF;
+
+    IF v_booking.status <> 'requested' THEN
+        UPDATE booking_offers SET status = 'withdrawn', responded_at = NOW() WHERE id = v_offer.id;
+        RETURN 'taken';
+    END IF;
+
+    IF v_offer.expires_at <= NOW() THEN
+        PERFORM advance_booking_offers(p_booking_id);
+        RETURN 'expired';
+    END IF;
+
+    IF NOT p_accept THEN
+        UPDATE booking_offers SET status = 'declined', responded_at = NOW() WHERE id = v_offer.id;
+        PERFORM advance_booking_offers(p_booking_id);
+        RETURN 'declined';
+    END IF;
+
+    -- The therapist's profile row is locked so two acceptances of theirs
+    -- take turns, and the second sees the booking the first confirmed
+    PERFORM 1 FROM therapist_profiles WHERE user_id = p_therapist_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM therapist_commitments(v_booking.date, v_booking.lat, v_booking.lon, p_booking_id) c
+        WHERE c.therapist_id = p_therapist_id
+          AND c.start_minute < (EXTRACT(EPOCH FROM v_booking.time) / 60)::INTEGER + v_booking.duration
+          AND (EXTRACT(EPOCH FROM v_booking.time) / 60)::INTEGER < c.end_minute
+    ) THEN
+        UPDATE booking_offers SET status = 'declined', responded_at = NOW() WHERE id = v_offer.id;
+        PERFORM advance_booking_offers(p_booking_id);
+        RETURN 'clash';
+    END IF;
+
+    UPDATE booking_offers SET status = 'accepted', responded_at = NOW() WHERE id = v_offer.id;
+
+    UPDATE booking_offers SET status = 'withdrawn', responded_at = NOW()
+    WHERE booking_id = p_booking_id AND status IN ('offered', 'queued');
+
+    UPDATE bookings SET therapist_id = p_therapist_id, status = 'confirmed' WHERE id = p_booking_id;
+
+    RETURN 'confirmed';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION respond_to_booking(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION respond_to_booking(UUID, UUID, BOOLEAN) TO service_role;
+
+-- Called by the customer when their countdown runs out. Moves the booking on
+-- to the next therapist if there is one and returns its status, which is
+-- 'confirmed' if a therapist accepted just in time.
+CREATE OR REPLACE FUNCTION expire_booking_offer(p_booking_id UUID)
+RETURNS VARCHAR AS $$
+BEGIN
+    IF current_user_role() IS NULL
+        OR NOT EXISTS (SELECT 1 FROM bookings WHERE id = p_booking_id AND customer_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Booking not found';
+    END IF;
+
+    RETURN advance_booking_offers(p_booking_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Lets the customer give up on a request that hasn't been accepted
+CREATE OR REPLACE FUNCTION cancel_booking_request(p_booking_id UUID)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_status VARCHAR;
+BEGIN
+    UPDATE bookings SET status = 'cancelled'
+    WHERE id = p_booking_id AND customer_id = auth.uid() AND status = 'requested'
+      AND current_user_role() IS NOT NULL;
+
+    IF FOUND THEN
+        UPDATE booking_offers SET status = 'withdrawn', responded_at = NOW()
+        WHERE booking_id = p_booking_id AND status IN ('offered', 'queued');
+    END IF;
+
+    SELECT status INTO v_status FROM bookings
+    WHERE id = p_booking_id AND customer_id = auth.uid();
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found';
+    END IF;
+
+    RETURN v_status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Moves on requests nobody answered, e.g. when the customer closed the page.
+-- Schedule with pg_cron: SELECT cron.schedule('expire-booking-requests', '* * * * *', 'SELECT expire_booking_requests()');
+CREATE OR REPLACE FUNCTION expire_booking_requests()
+RETURNS INTEGER AS $$
+DECLARE
+    v_booking_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_booking_id IN
+        SELECT DISTINCT o.booking_id FROM booking_offers o
+        JOIN bookings b ON b.id = o.booking_id
+        WHERE b.status = 'requested' AND o.status = 'offered' AND o.expires_at <= NOW()
+    LOOP
+        PERFORM advance_booking_offers(v_booking_id);
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION expire_booking_requests() FROM PUBLIC, anon, authenticated;
+
+-- Records `p_amount` off a booking with a discount code, re-checking the
+-- code's limits with the code row locked so two checkouts can't both take
+-- its last use or the same voucher balance. Returns 'applied', or why the
+-- code can't be used: 'inactive', 'not-started', 'expired', 'wrong-service',
+-- 'used-up', 'customer-limit' or 'insufficient-balance'.
+CREATE OR REPLACE FUNCTION redeem_discount(p_code_id UUID, p_booking_id UUID, p_amount DECIMAL)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_code discount_codes%ROWTYPE;
+    v_booking bookings%ROWTYPE;
+BEGIN
+    IF EXISTS (SELECT 1 FROM discount_redemptions WHERE booking_id = p_booking_id AND status = 'applied') THEN
+        RETURN 'applied';
+    END IF;
+
+    SELECT * INTO v_booking FROM bookings WHERE id = p_booking_id;
+    SELECT * INTO v_code FROM discount_codes WHERE id = p_code_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_code.active THEN
+        RETURN 'inactive';
+    ELSIF v_code.starts_at > NOW() THEN
+        RETURN 'not-started';
+    ELSIF v_code.expires_at <= NOW() THEN
+        RETURN 'expired';
+    ELSIF v_code.service_ids IS NOT NULL AND NOT (v_booking.service_id = ANY (v_code.service_ids)) THEN
+        RETURN 'wrong-service';
+    ELSIF v_code.max_redemptions IS NOT NULL AND v_code.max_redemptions <= (
+        SELECT COUNT(*) FROM discount_redemptions
+        WHERE discount_code_id = p_code_id AND status = 'applied'
+    ) THEN
+        RETURN 'used-up';
+    ELSIF v_code.max_per_customer IS NOT NULL AND v_code.max_per_customer <= (
+        SELECT COUNT(*) FROM discount_redemptions
+        WHERE discount_code_id = p_code_id AND customer_id = v_booking.customer_id AND status = 'applied'
+    ) THEN
+        RETURN 'customer-limit';
+    ELSIF v_code.kind = 'voucher' AND v_code.balance < p_amount THEN
+        RETURN 'insufficient-balance';
+    END IF;
+
+    IF v_code.kind = 'voucher' THEN
+        UPDATE discount_codes SET balance = balance - p_amount WHERE id = p_code_id;
+    END IF;
+
+    INSERT INTO discount_redemptions (discount_code_id, booking_id, customer_id, amount)
+    VALUES (p_code_id, p_booking_id, v_booking.customer_id, p_amount)
+    ON CONFLICT (booking_id) DO UPDATE
+    SET discount_code_id = EXCLUDED.discount_code_id, amount = EXCLUDED.amount,
+        status = 'applied', created_at = NOW(), voided_at = NULL;
+
+    RETURN 'applied';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Gives a booking's discount back: frees the use, and refills a voucher
+CREATE OR REPLACE FUNCTION void_discount_redemption(p_booking_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_redemption discount_redemptions%ROWTYPE;
+BEGIN
+    UPDATE discount_redemptions SET status = 'void', voided_at = NOW()
+    WHERE booking_id = p_booking_id AND status = 'applied'
+    RETURNING * INTO v_redemption;
+
+    IF FOUND THEN
+        UPDATE discount_codes SET balance = balance + v_redemption.amount
+        WHERE id = v_redemption.discount_code_id AND kind = 'voucher';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION redeem_discount(UUID, UUID, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION void_discount_redemption(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Notification queue
+-- Queues an email to a user, and an SMS too when `p_sms` and they have a
+-- phone number. `p_key` identifies the message so it is only queued once.
+CREATE OR REPLACE FUNCTION queue_notification(
+    p_type VARCHAR, p_user_id UUID, p_booking_id UUID, p_key TEXT,
+    p_payload JSONB DEFAULT '{}', p_sms BOOLEAN DEFAULT true
+)
+RETURNS VOID AS $$
+DECLARE
+    v_user users%ROWTYPE;
+BEGIN
+    SELECT * INTO v_user FROM users WHERE id = p_user_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO notifications (type, booking_id, user_id, channel, recipient, payload, dedupe_key)
+    VALUES (p_type, p_booking_id, p_user_id, 'email', v_user.email, p_payload, p_key || ':email')
+    ON CONFLICT (dedupe_key) DO NOTHING;
+
+    IF p_sms AND COALESCE(v_user.phone, '') <> '' THEN
+        INSERT INTO notifications (type, booking_id, user_id, channel, recipient, payload, dedupe_key)
+        VALUES (p_type, p_booking_id, p_user_id, 'sms', v_user.phone, p_payload, p_key || ':sms')
+        ON CONFLICT (dedupe_key) DO NOTHING;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Booking confirmed, cancelled, missed, moved or given to another therapist.
+-- A declined request is told about by payments.release() in
+-- netlify/lib/payments.js, once the hold on the card has actually gone.
+CREATE OR REPLACE FUNCTION queue_booking_notifications()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        IF NEW.status = 'confirmed' THEN
+            PERFORM queue_notification('booking_confirmed', NEW.customer_id, NEW.id, 'booking_confirmed:' || NEW.id);
+        ELSIF NEW.status = 'cancelled' THEN
+            PERFORM queue_notification('booking_cancelled', NEW.customer_id, NEW.id, 'booking_cancelled:' || NEW.id || ':customer');
+            IF NEW.therapist_id IS NOT NULL THEN
+                PERFORM queue_notification('booking_cancelled', NEW.therapist_id, NEW.id, 'booking_cancelled:' || NEW.id || ':therapist');
+            END IF;
+        ELSIF NEW.status = 'no_show' THEN
+            PERFORM queue_notification('booking_no_show', NEW.customer_id, NEW.id, 'booking_no_show:' || NEW.id,
+                jsonb_build_object('fee', NEW.no_show_fee));
+        END IF;
+    ELSIF NEW.status = 'confirmed' AND NEW.therapist_id IS DISTINCT FROM OLD.therapist_id THEN
+        PERFORM queue_notification('booking_assigned', NEW.therapist_id, NEW.id,
+            'booking_assigned:' || NEW.id || ':' || NEW.therapist_id);
+        PERFORM queue_notification('booking_reassigned', NEW.customer_id, NEW.id,
+            'booking_reassigned:' || NEW.id || ':' || NEW.therapist_id || ':customer');
+        IF OLD.therapist_id IS NOT NULL THEN
+            PERFORM queue_notification('booking_reassigned', OLD.therapist_id, NEW.id,
+                'booking_reassigned:' || NEW.id || ':' || NEW.therapist_id || ':' || OLD.therapist_id);
+        END IF;
+    ELSIF NEW.status = 'confirmed' AND (NEW.date, NEW.time) IS DISTINCT FROM (OLD.date, OLD.time) THEN
+        PERFORM queue_notification('booking_rescheduled', NEW.customer_id, NEW.id,
+            'booking_rescheduled:' || NEW.id || ':' || NEW.date || 'T' || NEW.time || ':customer');
+        PERFORM queue_notification('booking_rescheduled', NEW.therapist_id, NEW.id,
+            'booking_rescheduled:' || NEW.id || ':' || NEW.date || 'T' || NEW.time || ':therapist');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- A therapist has been offered a booking
+CREATE OR REPLACE FUNCTION queue_offer_notifications()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'offered' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'offered') THEN
+        PERFORM queue_notification('booking_requested', NEW.therapist_id, NEW.booking_id,
+            'booking_requested:' || NEW.booking_id || ':' || NEW.therapist_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Receipts for completed payments, and the code for a paid gift voucher
+CREATE OR REPLACE FUNCTION queue_payment_notifications()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_customer_id UUID;
+    v_voucher discount_codes%ROWTYPE;
+    v_purchaser_name VARCHAR;
+BEGIN
+    IF NEW.status <> 'completed' OR OLD.status = 'completed' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.kind = 'voucher' THEN
+        SELECT * INTO v_voucher FROM discount_codes WHERE id = NEW.discount_code_id;
+        PERFORM queue_notification('receipt', v_voucher.purchaser_id, NULL, 'receipt:' || NEW.id,
+            jsonb_build_object('kind', NEW.kind, 'amount', NEW.amount, 'code', v_voucher.code), false);
+
+        IF v_voucher.recipient_email IS NOT NULL THEN
+            SELECT name INTO v_purchaser_name FROM users WHERE id = v_voucher.purchaser_id;
+            INSERT INTO notifications (type, channel, recipient, payload, dedupe_key)
+            VALUES ('gift_voucher', 'email', v_voucher.recipient_email,
+                jsonb_build_object(
+                    'code', v_voucher.code, 'value', v_voucher.value, 'from', v_purchaser_name,
+                    'recipient_name', v_voucher.recipient_name, 'message', v_voucher.gift_message
+                ),
+                'gift_voucher:' || v_voucher.id)
+            ON CONFLICT (dedupe_key) DO NOTHING;
+        END IF;
+    ELSE
+        SELECT customer_id INTO v_customer_id FROM bookings WHERE id = NEW.booking_id;
+        PERFORM queue_notification('receipt', v_customer_id, NEW.booking_id, 'receipt:' || NEW.id,
+            jsonb_build_object('kind', NEW.kind, 'amount', NEW.amount), false);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER queue_booking_notifications AFTER UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION queue_booking_notifications();
+
+CREATE TRIGGER queue_offer_notifications AFTER INSERT OR UPDATE ON booking_offers
+    FOR EACH ROW EXECUTE FUNCTION queue_offer_notifications();
+
+CREATE TRIGGER queue_payment_notifications AFTER UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION queue_payment_notifications();
+
+-- Reminders 24 hours and 2 hours before each confirmed booking, run by the
+-- send-notifications sweep. Each is only sent if the booking was made before
+-- its reminder was due, and again for the new time if the booking is moved.
+CREATE OR REPLACE FUNCTION queue_due_reminders()
+RETURNS VOID AS $$
+DECLARE
+    v_due RECORD;
+BEGIN
+    FOR v_due IN
+        SELECT b.id, b.customer_id, b.date, b.time, r.type
+        FROM bookings b
+        CROSS JOIN LATERAL (SELECT (b.date + b.time) AT TIME ZONE 'Australia/Sydney' AS starts_at) s
+        JOIN (VALUES
+            ('reminder_24h', INTERVAL '24 hours', INTERVAL '2 hours'),
+            ('reminder_2h', INTERVAL '2 hours', INTERVAL '0 hours')
+        ) AS r(type, send_from, send_until)
+            ON NOW() >= s.starts_at - r.send_from
+            AND NOW() < s.starts_at - r.send_until
+            AND b.created_at <= s.starts_at - r.send_from
+        WHERE b.status = 'confirmed'
+    LOOP
+        PERFORM queue_notification(v_due.type, v_due.customer_id, v_due.id,
+            v_due.type || ':' || v_due.id || ':' || v_due.date || 'T' || v_due.time);
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Claims up to `p_limit` due notifications for a delivery run. Claimed rows
+-- come round again after five minutes if the run dies before recording a result.
+CREATE OR REPLACE FUNCTION claim_notifications(p_limit INTEGER)
+RETURNS SETOF notifications AS $$
+    UPDATE notifications
+    SET status = 'sending', next_attempt_at = NOW() + INTERVAL '5 minutes'
+    WHERE id IN (
+        SELECT id FROM notifications
+        WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION queue_notification(VARCHAR, UUID, UUID, TEXT, JSONB, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION queue_due_reminders() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_notifications(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Availability editing
+-- The editor checks for overlaps before saving; these triggers make sure
+-- nothing overlapping gets in another way. Weekly blocks on the same day
+-- can't overlap, nor can two overrides or two blocked periods on one date,
+-- nor two holidays.
+CREATE OR REPLACE FUNCTION check_availability_overlap()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM therapist_availability a
+        WHERE a.therapist_id = NEW.therapist_id
+          AND a.weekday = NEW.weekday
+          AND a.id <> NEW.id
+          AND a.start_time < NEW.end_time
+          AND NEW.start_time < a.end_time
+    ) THEN
+        RAISE EXCEPTION 'Availability blocks on the same day overlap' USING ERRCODE = '23P01';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION check_availability_exception_overlap()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM therapist_availability_exceptions e
+        WHERE e.therapist_id = NEW.therapist_id
+          AND e.kind = NEW.kind
+          AND e.id <> NEW.id
+          AND e.start_date <= NEW.end_date
+          AND NEW.start_date <= e.end_date
+          AND (NEW.kind = 'holiday' OR (e.start_time < NEW.end_time AND NEW.start_time < e.end_time))
+    ) THEN
+        RAISE EXCEPTION 'This overlaps another % entry', NEW.kind USING ERRCODE = '23P01';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_availability_overlap BEFORE INSERT OR UPDATE ON therapist_availability
+    FOR EACH ROW EXECUTE FUNCTION check_availability_overlap();
+
+CREATE TRIGGER check_availability_exception_overlap BEFORE INSERT OR UPDATE ON therapist_availability_exceptions
+    FOR EACH ROW EXECUTE FUNCTION check_availability_exception_overlap();
+
+-- Replaces the calling therapist's weekly hours with `p_blocks`, an array of
+-- { weekday, start_time, end_time }, all or nothing. Runs as the caller, so
+-- the availability policies still apply.
+CREATE OR REPLACE FUNCTION replace_weekly_availability(p_blocks JSONB)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM therapist_availability WHERE therapist_id = auth.uid();
+
+    INSERT INTO therapist_availability (therapist_id, weekday, start_time, end_time)
+    SELECT auth.uid(), (block->>'weekday')::INTEGER, (block->>'start_time')::TIME, (block->>'end_time')::TIME
+    FROM jsonb_array_elements(p_blocks) AS block;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Therapist onboarding
+-- applied -> documents_uploaded once a current document of every kind is on
+-- file (and back if one is removed before submitting), -> under_review when
+-- the therapist submits, -> approved by an admin, or back to
+-- documents_uploaded with a note asking for changes. Admins can suspend an
+-- approved therapist and reinstate a suspended one.
+
+-- Whether the therapist has an unexpired document of every required kind
+CREATE OR REPLACE FUNCTION therapist_documents_complete(p_therapist_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COUNT(DISTINCT kind) = 3
+    FROM therapist_documents
+    WHERE therapist_id = p_therapist_id AND (expires_on IS NULL OR expires_on >= CURRENT_DATE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Status and review fields only change through the functions below, which
+-- run as their owner rather than the signed-in user
+CREATE OR REPLACE FUNCTION protect_therapist_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.status := 'applied';
+            NEW.status_note := NULL;
+            NEW.submitted_at := NULL;
+            NEW.reviewed_by := NULL;
+            NEW.reviewed_at := NULL;
+        ELSIF (NEW.status, NEW.status_note, NEW.submitted_at, NEW.reviewed_by, NEW.reviewed_at)
+            IS DISTINCT FROM (OLD.status, OLD.status_note, OLD.submitted_at, OLD.reviewed_by, OLD.reviewed_at) THEN
+            RAISE EXCEPTION 'Application status can only be changed through onboarding';
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_therapist_status BEFORE INSERT OR UPDATE ON therapist_profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_therapist_status();
+
+-- Keeps applied / documents_uploaded in step with the documents on file
+CREATE OR REPLACE FUNCTION sync_application_documents()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_therapist_id UUID := COALESCE(NEW.therapist_id, OLD.therapist_id);
+    v_complete BOOLEAN := therapist_documents_complete(v_therapist_id);
+BEGIN
+    UPDATE therapist_profiles
+    SET status = CASE WHEN v_complete THEN 'documents_uploaded' ELSE 'applied' END
+    WHERE user_id = v_therapist_id
+      AND status = CASE WHEN v_complete THEN 'applied' ELSE 'documents_uploaded' END;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER sync_application_documents AFTER INSERT OR DELETE ON therapist_documents
+    FOR EACH ROW EXECUTE FUNCTION sync_application_documents();
+
+-- Sends the caller's application for review. Returns 'under_review', or
+-- 'documents-missing' / 'not-ready' when it can't be submitted yet.
+CREATE OR REPLACE FUNCTION submit_therapist_application()
+RETURNS VARCHAR AS $$
+DECLARE
+    v_status VARCHAR;
+BEGIN
+    IF current_user_role() IS DISTINCT FROM 'therapist' THEN
+        RETURN 'not-ready';
+    END IF;
+
+    SELECT status INTO v_status FROM therapist_profiles WHERE user_id = auth.uid() FOR UPDATE;
+
+    IF NOT therapist_documents_complete(auth.uid()) THEN
+        RETURN 'documents-missing';
+    END IF;
+    IF v_status IS DISTINCT FROM 'documents_uploaded' THEN
+        RETURN 'not-ready';
+    END IF;
+
+    UPDATE therapist_profiles
+    SET status = 'under_review', submitted_at = NOW(), status_note = NULL
+    WHERE user_id = auth.uid();
+    RETURN 'under_review';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Admin decision on a therapist: 'approved' or 'documents_uploaded' (changes
+-- requested) for one under review, 'suspended' for an approved one, and
+-- 'approved' again to reinstate. Returns the new status, or 'not-allowed'.
+-- Suspending withdraws any offers the therapist hasn't answered yet.
+CREATE OR REPLACE FUNCTION review_therapist(p_therapist_id UUID, p_status VARCHAR, p_note TEXT DEFAULT NULL)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_status VARCHAR;
+    v_booking_id UUID;
+BEGIN
+    IF NOT is_admin() THEN
+        RETURN 'not-allowed';
+    END IF;
+
+    SELECT status INTO v_status FROM therapist_profiles WHERE user_id = p_therapist_id FOR UPDATE;
+
+    IF NOT (
+        (v_status = 'under_review' AND p_status IN ('approved', 'documents_uploaded'))
+        OR (v_status = 'approved' AND p_status = 'suspended')
+        OR (v_status = 'suspended' AND p_status = 'approved')
+    ) THEN
+        RETURN 'not-allowed';
+    END IF;
+
+    UPDATE therapist_profiles
+    SET status = p_status, status_note = NULLIF(TRIM(p_note), ''), reviewed_by = auth.uid(), reviewed_at = NOW()
+    WHERE user_id = p_therapist_id;
+
+    IF p_status = 'suspended' THEN
+        FOR v_booking_id IN
+            UPDATE booking_offers SET status = 'withdrawn', responded_at = NOW()
+            WHERE therapist_id = p_therapist_id AND status IN ('offered', 'queued')
+            RETURNING booking_id
+        LOOP
+            PERFORM advance_booking_offers(v_booking_id);
+        END LOOP;
+    END IF;
+
+    RETURN p_status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Takes a therapist out of matching when an admin changes their role or
+-- suspends their account (netlify/functions/admin-users.js): an approved
+-- profile is suspended, to be reinstated through review_therapist, and offers
+-- they haven't answered move on to the next therapist. Returns how many
+-- offers were withdrawn.
+CREATE OR REPLACE FUNCTION stand_down_therapist(p_therapist_id UUID, p_admin_id UUID, p_note TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    v_booking_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    UPDATE therapist_profiles
+    SET status = 'suspended', status_note = NULLIF(TRIM(p_note), ''), reviewed_by = p_admin_id, reviewed_at = NOW()
+    WHERE user_id = p_therapist_id AND status = 'approved';
+
+    FOR v_booking_id IN
+        UPDATE booking_offers SET status = 'withdrawn', responded_at = NOW()
+        WHERE therapist_id = p_therapist_id AND status IN ('offered', 'queued')
+        RETURNING booking_id
+    LOOP
+        PERFORM advance_booking_offers(v_booking_id);
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION stand_down_therapist(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION stand_down_therapist(UUID, UUID, TEXT) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION therapist_documents_complete(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Payout runs
+-- Pays out every completed booking not yet paid out, dated up to
+-- p_period_end, less p_commission_percent of what the customer was charged
+-- for the session and kept paying (so a no-show pays on the fee kept, and a
+-- partial refund comes off). Tips not yet paid out on those bookings, or on
+-- earlier runs' bookings, are passed on in full. Commission is rounded per
+-- booking, as earnings.js does.
+-- Returns the run's id, or NULL when there was nothing to pay.
+CREATE OR REPLACE FUNCTION create_payout_run(p_period_end DATE, p_commission_percent DECIMAL)
+RETURNS UUID AS $$
+DECLARE
+    v_run_id UUID;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can run payouts';
+    END IF;
+
+    -- Stop two runs paying the same bookings or tips
+    PERFORM 1 FROM bookings
+    WHERE status IN ('completed', 'no_show') AND payout_id IS NULL AND therapist_id IS NOT NULL AND date <= p_period_end
+    FOR UPDATE;
+
+    PERFORM 1 FROM payments p JOIN bookings b ON b.id = p.booking_id
+    WHERE p.kind = 'tip' AND p.status = 'completed' AND p.payout_id IS NULL
+      AND b.status IN ('completed', 'no_show') AND b.therapist_id IS NOT NULL AND b.date <= p_period_end
+    FOR UPDATE OF p;
+
+    INSERT INTO payout_runs (period_end, commission_percent, created_by)
+    VALUES (p_period_end, p_commission_percent, auth.uid())
+    RETURNING id INTO v_run_id;
+
+    INSERT INTO payouts (payout_run_id, therapist_id, booking_count, sessions_total, commission, tips_total, net_amount)
+    SELECT
+        v_run_id,
+        l.therapist_id,
+        SUM(l.sessions),
+        SUM(l.session),
+        SUM(ROUND(l.session * p_commission_percent / 100, 2)),
+        SUM(l.tip),
+        SUM(l.session - ROUND(l.session * p_commission_percent / 100, 2) + l.tip)
+    FROM (
+        SELECT
+            b.therapist_id,
+            1 AS sessions,
+            COALESCE((
+                SELECT SUM(p.amount - p.refunded_amount) FROM payments p
+                WHERE p.booking_id = b.id AND p.kind IN ('booking', 'extension') AND p.status = 'completed'
+            ), 0) AS session,
+            0 AS tip
+        FROM bookings b
+        WHERE b.status IN ('completed', 'no_show') AND b.payout_id IS NULL AND b.therapist_id IS NOT NULL AND b.date <= p_period_end
+        UNION ALL
+        SELECT b.therapist_id, 0, 0, p.amount - p.refunded_amount
+        FROM payments p JOIN bookings b ON b.id = p.booking_id
+        WHERE p.kind = 'tip' AND p.status = 'completed' AND p.payout_id IS NULL
+          AND b.status IN ('completed', 'no_show') AND b.therapist_id IS NOT NULL AND b.date <= p_period_end
+    ) l
+    GROUP BY l.therapist_id;
+
+    IF NOT FOUND THEN
+        DELETE FROM payout_runs WHERE id = v_run_id;
+        RETURN NULL;
+    END IF;
+
+    UPDATE bookings b SET payout_id = p.id
+    FROM payouts p
+    WHERE p.payout_run_id = v_run_id
+      AND b.therapist_id = p.therapist_id
+      AND b.status IN ('completed', 'no_show') AND b.payout_id IS NULL AND b.date <= p_period_end;
+
+    UPDATE payments t SET payout_id = p.id
+    FROM payouts p, bookings b
+    WHERE p.payout_run_id = v_run_id
+      AND b.id = t.booking_id AND b.therapist_id = p.therapist_id
+      AND t.kind = 'tip' AND t.status = 'completed' AND t.payout_id IS NULL
+      AND b.status IN ('completed', 'no_show') AND b.date <= p_period_end;
+
+    RETURN v_run_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- How long each booking took to fill and how many therapists were asked
+CREATE VIEW booking_fill_times WITH (security_invoker = true) AS
+SELECT
+    b.id AS booking_id,
+    b.dispatch_mode,
+    b.created_at,
+    accepted.responded_at AS filled_at,
+    EXTRACT(EPOCH FROM accepted.responded_at - b.created_at) AS seconds_to_fill,
+    COUNT(o.id) FILTER (WHERE o.offered_at IS NOT NULL) AS offers_made,
+    COUNT(o.id) FILTER (WHERE o.status = 'declined') AS declines,
+    COUNT(o.id) FILTER (WHERE o.status = 'expired') AS timeouts
+FROM bookings b
+LEFT JOIN booking_offers o ON o.booking_id = b.id
+LEFT JOIN booking_offers accepted ON accepted.booking_id = b.id AND accepted.status = 'accepted'
+GROUP BY b.id, accepted.responded_at;
+
+-- Reporting
+-- Aggregates for the admin Reports tab, worked out here rather than by
+-- pulling every row to the browser. Money is what was actually taken: card
+-- payments for sessions, extensions and tips that went through, less
+-- refunds, plus gift voucher balance spent on sessions that went ahead (or
+-- kept a fee). Gift voucher sales aren't counted until the voucher is spent
+-- on a booking, so a voucher-paid session counts like any other. Everything is attributed to the booking's date, which is already
+-- the Sydney calendar date of the session, so a late-evening booking never
+-- slips into the next UTC day. Weeks start on Monday.
+
+-- Revenue between two dates grouped by 'day', 'week', 'month', 'service' or
+-- 'therapist'. `bucket` is the period's first day or the service/therapist id.
+CREATE OR REPLACE FUNCTION report_revenue(p_from DATE, p_to DATE, p_group TEXT)
+RETURNS TABLE (
+    bucket TEXT, label TEXT, booking_count BIGINT,
+    session_total DECIMAL, tip_total DECIMAL, refund_total DECIMAL, revenue DECIMAL
+) AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can see reports';
+    END IF;
+    IF p_group NOT IN ('day', 'week', 'month', 'service', 'therapist') THEN
+        RAISE EXCEPTION 'Unknown report grouping %', p_group;
+    END IF;
+
+    RETURN QUERY
+    -- A redemption is voided when its booking is released or refunded in full
+    WITH vouchers AS (
+        SELECT r.booking_id, r.amount
+        FROM discount_redemptions r
+        JOIN discount_codes c ON c.id = r.discount_code_id
+        WHERE c.kind = 'voucher' AND r.status = 'applied'
+    ),
+    paid AS (
+        SELECT
+            b.id,
+            b.date,
+            b.service_id,
+            b.therapist_id,
+            COALESCE(SUM(p.amount) FILTER (WHERE p.kind IN ('booking', 'extension')), 0)
+                + COALESCE(MAX(v.amount), 0) AS sessions,
+            COALESCE(SUM(p.amount) FILTER (WHERE p.kind = 'tip'), 0) AS tips,
+            COALESCE(SUM(p.refunded_amount), 0) AS refunds
+        FROM bookings b
+        LEFT JOIN payments p ON p.booking_id = b.id AND p.status IN ('completed', 'refunded')
+        LEFT JOIN vouchers v ON v.booking_id = b.id AND b.status NOT IN ('requested', 'declined')
+        WHERE b.date BETWEEN p_from AND p_to
+        GROUP BY b.id
+        HAVING COUNT(p.id) > 0 OR COUNT(v.booking_id) > 0
+    ),
+    grouped AS (
+        SELECT
+            CASE p_group
+                WHEN 'day' THEN paid.date::TEXT
+                WHEN 'week' THEN DATE_TRUNC('week', paid.date)::DATE::TEXT
+                WHEN 'month' THEN DATE_TRUNC('month', paid.date)::DATE::TEXT
+                WHEN 'service' THEN paid.service_id::TEXT
+                ELSE COALESCE(paid.therapist_id::TEXT, '')
+            END AS key,
+            CASE p_group
+                WHEN 'service' THEN s.name
+                WHEN 'therapist' THEN COALESCE(t.name, 'Unassigned')
+            END AS name,
+            paid.sessions,
+            paid.tips,
+            paid.refunds
+        FROM paid
+        LEFT JOIN services s ON s.id = paid.service_id
+        LEFT JOIN users t ON t.id = paid.therapist_id
+    )
+    SELECT
+        g.key,
+        COALESCE(MIN(g.name), g.key)::TEXT,
+        COUNT(*),
+        SUM(g.sessions),
+        SUM(g.tips),
+        SUM(g.refunds),
+        SUM(g.sessions + g.tips - g.refunds)
+    FROM grouped g
+    GROUP BY g.key
+    ORDER BY g.key;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Booking outcomes between two dates: how many were cancelled, declined
+-- (nobody took them) or missed, how often offers were turned down or left to
+-- run out, how long requests took to be accepted, and what was refunded
+CREATE OR REPLACE FUNCTION report_summary(p_from DATE, p_to DATE)
+RETURNS TABLE (
+    booking_count BIGINT, completed_count BIGINT, cancelled_count BIGINT, declined_count BIGINT,
+    no_show_count BIGINT, offers_made BIGINT, offers_declined BIGINT, offers_expired BIGINT,
+    avg_seconds_to_accept NUMERIC, refund_count BIGINT, refund_total DECIMAL
+) AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can see reports';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE b.status = 'completed'),
+        COUNT(*) FILTER (WHERE b.status = 'cancelled'),
+        COUNT(*) FILTER (WHERE b.status = 'declined'),
+        COUNT(*) FILTER (WHERE b.status = 'no_show'),
+        COALESCE(SUM(f.offers_made), 0)::BIGINT,
+        COALESCE(SUM(f.declines), 0)::BIGINT,
+        COALESCE(SUM(f.timeouts), 0)::BIGINT,
+        ROUND(AVG(f.seconds_to_fill)::NUMERIC, 1),
+        (SELECT COUNT(*) FROM payments p JOIN bookings rb ON rb.id = p.booking_id
+            WHERE rb.date BETWEEN p_from AND p_to AND p.refunded_amount > 0),
+        (SELECT COALESCE(SUM(p.refunded_amount), 0) FROM payments p JOIN bookings rb ON rb.id = p.booking_id
+            WHERE rb.date BETWEEN p_from AND p_to)
+    FROM bookings b
+    JOIN booking_fill_times f ON f.booking_id = b.id
+    WHERE b.date BETWEEN p_from AND p_to;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Application documents, readable only by their owner and admins
+INSERT INTO storage.buckets (id, name, public) VALUES ('therapist-documents', 'therapist-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Therapists can upload own documents" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'therapist-documents' AND (storage.foldername(name))[1] = auth.uid()::text
+        AND current_user_role() = 'therapist'
+    );
+
+CREATE POLICY "Therapists and admins can read therapist documents" ON storage.objects
     FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM users
-            WHERE id = auth.uid() AND role = 'admin'
+        bucket_id = 'therapist-documents' AND (
+            (storage.foldername(name))[1] = auth.uid()::text
+            OR is_admin()
         )
     );
 
+CREATE POLICY "Therapists can delete own documents" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'therapist-documents' AND (storage.foldername(name))[1] = auth.uid()::text
+        AND current_user_role() = 'therapist'
+    );
+
+-- Profile photos, public so booking cards can show them. Each therapist
+-- uploads into a folder named after their user id.
+INSERT INTO storage.buckets (id, name, public) VALUES ('therapist-photos', 'therapist-photos', true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Therapists can upload own photos" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'therapist-photos' AND (storage.foldername(name))[1] = auth.uid()::text
+        AND current_user_role() = 'therapist'
+    );
+
+CREATE POLICY "Therapists can delete own photos" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'therapist-photos' AND (storage.foldername(name))[1] = auth.uid()::text
+        AND current_user_role() = 'therapist'
+    );
+
+-- Stream booking changes to the customer's countdown and therapist dashboard
+ALTER PUBLICATION supabase_realtime ADD TABLE bookings;
+ALTER PUBLICATION supabase_realtime ADD TABLE booking_offers;
+
 -- Trigger to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -172,4 +1776,7 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_therapist_profiles_updated_at BEFORE UPDATE ON therapist_profiles
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
@@ -0,0 +1,402 @@
+-- Security tests for supabase-schema.sql
+-- What customers, therapists and admins can and can't do, checked as each of
+-- them the way PostgREST runs their requests: as the authenticated role, with
+-- their user id in request.jwt.claims. Uses pgTAP; run with
+-- `supabase test db` or `pg_prove` against a database with the schema
+-- loaded. Everything happens in one transaction that is rolled back.
+BEGIN;
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(60);
+
+-- Fixtures
+-- Signing up through Supabase Auth inserts into auth.users; the customer
+-- asks to be an admin.
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+    ('11111111-1111-1111-1111-111111111111', 'cara@example.com', '{"name": "Cara Customer", "role": "admin"}'),
+    ('22222222-2222-2222-2222-222222222222', 'theo@example.com', '{"name": "Theo Therapist", "role": "therapist"}'),
+    ('33333333-3333-3333-3333-333333333333', 'olive@example.com', '{"name": "Olive Other", "role": "therapist"}'),
+    ('44444444-4444-4444-4444-444444444444', 'ada@example.com', '{"name": "Ada Admin"}');
+
+UPDATE users SET role = 'admin' WHERE id = '44444444-4444-4444-4444-444444444444';
+
+INSERT INTO services (id, name, base_duration, base_price, increment, increment_price)
+VALUES (9001, 'Test Massage', 60, 100, 30, 40);
+
+INSERT INTO bookings (id, customer_id, therapist_id, service_id, duration, date, time, address, price, status)
+VALUES (
+    'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111',
+    '22222222-2222-2222-2222-222222222222', 9001, 60, CURRENT_DATE + 1, '10:00', '1 Test St', 100, 'confirmed'
+);
+
+-- A request offered to the same therapist for half an hour later
+INSERT INTO bookings (id, customer_id, service_id, duration, date, time, address, price, status)
+VALUES (
+    'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '11111111-1111-1111-1111-111111111111',
+    9001, 60, CURRENT_DATE + 1, '10:30', '2 Test St', 100, 'requested'
+);
+
+INSERT INTO booking_offers (booking_id, therapist_id, rank, status, offered_at, expires_at)
+VALUES (
+    'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '22222222-2222-2222-2222-222222222222',
+    1, 'offered', NOW(), NOW() + INTERVAL '2 minutes'
+);
+
+-- A request the customer hasn't authorised their card for
+INSERT INTO bookings (id, customer_id, service_id, duration, date, time, address, price, status)
+VALUES (
+    'cccccccc-cccc-cccc-cccc-cccccccccccc', '11111111-1111-1111-1111-111111111111',
+    9001, 60, CURRENT_DATE + 3, '14:00', '3 Test St', 100, 'requested'
+);
+
+-- A request offered to the other therapist, who is approved and based in Bondi
+UPDATE therapist_profiles SET status = 'approved', lat = -33.8915, lon = 151.2767, service_radius_km = 10
+WHERE user_id = '33333333-3333-3333-3333-333333333333';
+
+INSERT INTO bookings (id, customer_id, therapist_id, service_id, duration, date, time, address, price, status)
+VALUES (
+    'dddddddd-dddd-dddd-dddd-dddddddddddd', '11111111-1111-1111-1111-111111111111',
+    '33333333-3333-3333-3333-333333333333', 9001, 60, CURRENT_DATE + 4, '15:00', '4 Test St', 100, 'requested'
+);
+
+INSERT INTO booking_offers (booking_id, therapist_id, rank, status, offered_at, expires_at)
+VALUES (
+    'dddddddd-dddd-dddd-dddd-dddddddddddd', '33333333-3333-3333-3333-333333333333',
+    1, 'offered', NOW(), NOW() + INTERVAL '2 minutes'
+);
+
+INSERT INTO admin_audit_log (admin_id, action, target_type, target_id)
+VALUES ('44444444-4444-4444-4444-444444444444', 'user.role', 'user', '33333333-3333-3333-3333-333333333333');
+
+-- Signing up
+SELECT is(
+    (SELECT role FROM users WHERE id = '11111111-1111-1111-1111-111111111111'),
+    'customer',
+    'asking for the admin role at sign-up makes a customer'
+);
+SELECT is(
+    (SELECT role FROM users WHERE id = '22222222-2222-2222-2222-222222222222'),
+    'therapist',
+    'therapists can sign up as therapists'
+);
+SELECT is(
+    (SELECT status FROM therapist_profiles WHERE user_id = '22222222-2222-2222-2222-222222222222'),
+    'applied',
+    'a therapist sign-up starts onboarding'
+);
+
+-- As the customer
+SET LOCAL role authenticated;
+SET LOCAL request.jwt.claims TO '{"sub": "11111111-1111-1111-1111-111111111111", "role": "authenticated"}';
+
+SELECT throws_ok(
+    $$ INSERT INTO users (id, email, name, role) VALUES (gen_random_uuid(), 'mallory@example.com', 'Mallory', 'admin') $$,
+    '42501',
+    NULL,
+    'customers cannot create users rows'
+);
+SELECT throws_ok(
+    $$ UPDATE users SET role = 'admin' WHERE id = '11111111-1111-1111-1111-111111111111' $$,
+    '42501',
+    NULL,
+    'customers cannot change their own role'
+);
+SELECT lives_ok(
+    $$ UPDATE users SET phone = '0400 000 000' WHERE id = '11111111-1111-1111-1111-111111111111' $$,
+    'customers can change their own phone'
+);
+SELECT lives_ok(
+    $$ UPDATE users SET name = 'Renamed' WHERE id = '33333333-3333-3333-3333-333333333333' $$,
+    'renaming someone else reaches no rows'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM users WHERE email LIKE '%@example.com'),
+    1,
+    'customers only see their own users row'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM therapist_names
+     WHERE id IN ('22222222-2222-2222-2222-222222222222', '33333333-3333-3333-3333-333333333333')),
+    2,
+    'customers see therapists'' names'
+);
+SELECT throws_ok(
+    $$ SELECT lat, lon FROM therapist_profiles $$,
+    '42501',
+    NULL,
+    'customers cannot see where therapists live'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM therapist_profiles WHERE user_id = '33333333-3333-3333-3333-333333333333' AND bio = ''),
+    1,
+    'customers can still read the rest of an approved profile'
+);
+SELECT is(
+    (SELECT distance_km FROM therapist_distances(-33.8870, 151.2767) WHERE therapist_id = '33333333-3333-3333-3333-333333333333'),
+    1,
+    'matching gets how far away a therapist is, rounded up to the kilometre'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM therapist_distances(-33.6, 151.2767)),
+    0,
+    'therapists whose radius doesn''t cover the address aren''t listed'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM therapist_home_base('33333333-3333-3333-3333-333333333333')),
+    0,
+    'customers cannot read a therapist''s home base'
+);
+SELECT is(is_admin(), false, 'customers are not admins');
+SELECT is((SELECT COUNT(*)::INTEGER FROM admin_audit_log), 0, 'customers cannot read the audit log');
+SELECT throws_ok(
+    $$ INSERT INTO therapist_profiles (user_id, bio) VALUES ('11111111-1111-1111-1111-111111111111', '') $$,
+    '42501',
+    NULL,
+    'customers cannot give themselves a therapist profile'
+);
+SELECT lives_ok(
+    $$ INSERT INTO bookings (customer_id, service_id, duration, date, time, address, price, status)
+       VALUES ('11111111-1111-1111-1111-111111111111', 9001, 60, CURRENT_DATE + 2, '11:00', '1 Test St', 100, 'requested') $$,
+    'customers can request a booking'
+);
+SELECT throws_ok(
+    $$ INSERT INTO bookings (customer_id, service_id, duration, date, time, address, price, status)
+       VALUES ('11111111-1111-1111-1111-111111111111', 9001, 60, CURRENT_DATE + 2, '11:00', '1 Test St', 100, 'confirmed') $$,
+    '42501',
+    NULL,
+    'customers cannot create a confirmed booking'
+);
+SELECT throws_ok(
+    $$ INSERT INTO bookings (customer_id, therapist_id, service_id, duration, date, time, address, price, status)
+       VALUES ('11111111-1111-1111-1111-111111111111', '22222222-2222-2222-2222-222222222222', 9001, 60,
+               CURRENT_DATE + 2, '11:00', '1 Test St', 100, 'requested') $$,
+    '42501',
+    NULL,
+    'customers cannot choose who a booking is assigned to'
+);
+SELECT throws_ok(
+    $$ UPDATE bookings SET status = 'cancelled' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    '42501',
+    NULL,
+    'customers cannot update bookings directly'
+);
+SELECT throws_ok(
+    $$ SELECT * FROM report_summary(CURRENT_DATE - 30, CURRENT_DATE) $$,
+    'P0001',
+    'Only admins can see reports',
+    'customers cannot run reports'
+);
+SELECT throws_ok(
+    $$ SELECT override_booking_status('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'confirmed', 'completed') $$,
+    '42501',
+    NULL,
+    'only the server can override a booking status'
+);
+SELECT throws_ok(
+    $$ SELECT create_booking_offers('cccccccc-cccc-cccc-cccc-cccccccccccc',
+                                    ARRAY['22222222-2222-2222-2222-222222222222']::UUID[], 'direct') $$,
+    'P0001',
+    'Authorise your card before the booking is sent to therapists',
+    'a request is only offered to therapists once the card is authorised'
+);
+
+-- As the therapist
+SET LOCAL request.jwt.claims TO '{"sub": "22222222-2222-2222-2222-222222222222", "role": "authenticated"}';
+
+SELECT throws_ok(
+    $$ UPDATE bookings SET price = 1 WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    '42501',
+    NULL,
+    'therapists cannot change the price of their bookings'
+);
+SELECT throws_ok(
+    $$ UPDATE therapist_profiles SET status = 'approved' WHERE user_id = '22222222-2222-2222-2222-222222222222' $$,
+    '42501',
+    NULL,
+    'therapists cannot approve themselves'
+);
+SELECT lives_ok(
+    $$ UPDATE therapist_profiles SET bio = 'Deep tissue and remedial' WHERE user_id = '22222222-2222-2222-2222-222222222222' $$,
+    'therapists can edit their own profile'
+);
+SELECT lives_ok(
+    $$ UPDATE therapist_profiles SET bio = 'Changed' WHERE user_id = '33333333-3333-3333-3333-333333333333' $$,
+    'editing another therapist''s profile reaches no rows'
+);
+SELECT lives_ok(
+    $$ UPDATE therapist_profiles SET lat = -33.9, lon = 151.2 WHERE user_id = '22222222-2222-2222-2222-222222222222' $$,
+    'therapists can move their own home base'
+);
+SELECT results_eq(
+    $$ SELECT lat, lon FROM therapist_home_base('22222222-2222-2222-2222-222222222222') $$,
+    $$ VALUES (-33.9::DECIMAL, 151.2::DECIMAL) $$,
+    'therapists read their own home base back'
+);
+SELECT is(
+    (SELECT name FROM customer_names WHERE id = '11111111-1111-1111-1111-111111111111'),
+    'Cara Customer',
+    'therapists see the names of their customers'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM customer_names),
+    1,
+    'therapists see no other users through customer_names'
+);
+SELECT throws_ok(
+    $$ SELECT respond_to_booking('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '22222222-2222-2222-2222-222222222222', true) $$,
+    '42501',
+    NULL,
+    'therapists answer offers through the server, which charges the card'
+);
+
+-- As the admin
+SET LOCAL request.jwt.claims TO '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+
+SELECT is(is_admin(), true, 'admins are admins');
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM users WHERE email LIKE '%@example.com'),
+    4,
+    'admins see every user, without the users policy recursing'
+);
+SELECT lives_ok($$ SELECT * FROM report_summary(CURRENT_DATE - 30, CURRENT_DATE) $$, 'admins can run reports');
+SELECT is((SELECT COUNT(*)::INTEGER FROM admin_audit_log), 1, 'admins can read the audit log');
+
+-- Back as the database owner, as the server's functions run
+RESET role;
+
+SELECT is(
+    (SELECT name FROM users WHERE id = '33333333-3333-3333-3333-333333333333'),
+    'Olive Other',
+    'the other user was not renamed'
+);
+SELECT is(
+    (SELECT bio FROM therapist_profiles WHERE user_id = '33333333-3333-3333-3333-333333333333'),
+    '',
+    'the other therapist''s profile was not edited'
+);
+SELECT is(
+    respond_to_booking('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', '22222222-2222-2222-2222-222222222222', true),
+    'clash',
+    'therapists cannot accept a request that overlaps a booking they have'
+);
+SELECT is(
+    (SELECT status FROM bookings WHERE id = 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb'),
+    'declined',
+    'the overlapping request moved on, with nobody left to offer it to'
+);
+SELECT is(
+    (SELECT COUNT(*)::INTEGER FROM notifications WHERE booking_id = 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb' AND type = 'booking_declined'),
+    0,
+    'a declined request isn''t announced until the server has released the hold'
+);
+
+-- An admin suspending or demoting a therapist
+SELECT is(
+    stand_down_therapist('33333333-3333-3333-3333-333333333333', '44444444-4444-4444-4444-444444444444', 'Left'),
+    1,
+    'standing a therapist down withdraws the offers they haven''t answered'
+);
+SELECT is(
+    (SELECT status FROM therapist_profiles WHERE user_id = '33333333-3333-3333-3333-333333333333'),
+    'suspended',
+    'a therapist who is stood down can''t be matched'
+);
+SELECT is(
+    (SELECT status FROM bookings WHERE id = 'dddddddd-dddd-dddd-dddd-dddddddddddd'),
+    'cancelled',
+    'their request moved on, with nobody left to offer it to'
+);
+
+-- A suspended account whose session is still open
+UPDATE users SET suspended_at = NOW() WHERE id = '33333333-3333-3333-3333-333333333333';
+SET LOCAL role authenticated;
+SET LOCAL request.jwt.claims TO '{"sub": "33333333-3333-3333-3333-333333333333", "role": "authenticated"}';
+
+SELECT is(current_user_role(), NULL, 'a suspended user has no role');
+SELECT throws_ok(
+    $$ INSERT INTO therapist_availability (therapist_id, weekday, start_time, end_time)
+       VALUES ('33333333-3333-3333-3333-333333333333', 1, '09:00', '17:00') $$,
+    '42501',
+    NULL,
+    'a suspended therapist cannot add availability'
+);
+UPDATE users SET name = 'Olive Again' WHERE id = '33333333-3333-3333-3333-333333333333';
+
+RESET role;
+SELECT is(
+    (SELECT name FROM users WHERE id = '33333333-3333-3333-3333-333333333333'),
+    'Olive Other',
+    'a suspended user cannot edit their profile'
+);
+
+-- Booking lifecycle
+SELECT throws_ok(
+    $$ UPDATE bookings SET status = 'requested' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    'P0001',
+    'A booking can''t go from confirmed to requested',
+    'a confirmed booking cannot go back to requested'
+);
+SELECT throws_ok(
+    $$ UPDATE bookings SET status = 'completed' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    'P0001',
+    'A booking can''t go from confirmed to completed',
+    'a booking has to be checked in before it is completed'
+);
+SELECT lives_ok(
+    $$ UPDATE bookings SET status = 'in_progress' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    'a confirmed booking can be checked in'
+);
+SELECT lives_ok(
+    $$ UPDATE bookings SET status = 'completed' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa' $$,
+    'a booking in progress can be completed'
+);
+SELECT ok(
+    override_booking_status('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'completed', 'confirmed'),
+    'an admin override can move a booking back'
+);
+SELECT is(
+    (SELECT status FROM bookings WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa'),
+    'confirmed',
+    'the override changed the status'
+);
+
+-- Paying therapists
+SET LOCAL request.jwt.claims TO '{"sub": "44444444-4444-4444-4444-444444444444", "role": "authenticated"}';
+UPDATE bookings SET status = 'in_progress' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa';
+UPDATE bookings SET status = 'completed' WHERE id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa';
+INSERT INTO payments (booking_id, kind, amount, refunded_amount, status)
+VALUES ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'booking', 100, 20, 'completed');
+
+SELECT isnt(create_payout_run(CURRENT_DATE + 1, 20), NULL, 'admins can pay out completed bookings');
+SELECT results_eq(
+    $$ SELECT booking_count, sessions_total, commission, tips_total, net_amount FROM payouts $$,
+    $$ VALUES (1, 80.00::DECIMAL(10, 2), 16.00::DECIMAL(10, 2), 0.00::DECIMAL(10, 2), 64.00::DECIMAL(10, 2)) $$,
+    'a session is paid on what the customer was charged less what was refunded'
+);
+
+INSERT INTO payments (booking_id, kind, amount, status)
+VALUES ('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'tip', 10, 'completed');
+
+SELECT isnt(create_payout_run(CURRENT_DATE + 1, 20), NULL, 'a tip added after its booking was paid out is paid in the next run');
+SELECT results_eq(
+    $$ SELECT booking_count, tips_total, net_amount FROM payouts ORDER BY booking_count $$,
+    $$ VALUES (0, 10.00::DECIMAL(10, 2), 10.00::DECIMAL(10, 2)), (1, 0.00::DECIMAL(10, 2), 64.00::DECIMAL(10, 2)) $$,
+    'the late tip is passed on in full, without paying the session again'
+);
+SELECT is(create_payout_run(CURRENT_DATE + 1, 20), NULL, 'nothing is paid twice');
+
+-- Revenue
+INSERT INTO discount_codes (id, code, kind, discount_type, value, balance)
+VALUES ('eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', 'GIFTTEST', 'voucher', 'fixed', 50, 20);
+INSERT INTO discount_redemptions (discount_code_id, booking_id, customer_id, amount)
+VALUES ('eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', '11111111-1111-1111-1111-111111111111', 30);
+
+SELECT results_eq(
+    $$ SELECT booking_count, session_total, tip_total, refund_total, revenue
+       FROM report_revenue(CURRENT_DATE + 1, CURRENT_DATE + 1, 'day') $$,
+    $$ VALUES (1::BIGINT, 130.00::DECIMAL, 10.00::DECIMAL, 20.00::DECIMAL, 120.00::DECIMAL) $$,
+    'voucher balance spent on a session counts as revenue alongside the card payment'
+);
+
+SELECT * FROM finish();
+ROLLBACK;
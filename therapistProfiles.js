@@ -0,0 +1,110 @@
+// Therapist profiles
+//
+// What customers see when choosing a therapist, and what matching needs:
+// home base, how far they'll travel, the services they offer and the
+// qualifications behind them. Therapists edit their own; RLS keeps them to
+// their own rows and photo folder. The home base coordinates can only be read
+// back through therapist_home_base(), by the therapist or an admin.
+
+export const MAX_SERVICE_RADIUS_KM = 100;
+
+export const PHOTO_BUCKET = 'therapist-photos';
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Everything on a profile but the home coordinates
+export const PROFILE_COLUMNS =
+  'user_id, bio, home_suburb, service_radius_km, service_ids, photo_url, status, status_note, submitted_at, reviewed_by, reviewed_at, created_at, updated_at';
+
+// The therapist's profile and qualifications, soonest to expire first. A
+// therapist who signed up before profiles existed gets an empty one.
+export async function loadTherapistProfile(supabase, therapistId) {
+  const [profile, home, qualifications] = await Promise.all([
+    supabase
+      .from('therapist_profiles')
+      .select(`${PROFILE_COLUMNS}, therapist:user_id(name)`)
+      .eq('user_id', therapistId)
+      .maybeSingle(),
+    supabase.rpc('therapist_home_base', { p_therapist_id: therapistId }).maybeSingle(),
+    supabase
+      .from('therapist_qualifications')
+      .select('*')
+      .eq('therapist_id', therapistId)
+      .order('expires_on', { ascending: true, nullsFirst: false })
+  ]);
+  if (profile.error || home.error || qualifications.error) throw profile.error || home.error || qualifications.error;
+
+  return {
+    profile: profile.data
+      ? { ...profile.data, lat: home.data?.lat ?? null, lon: home.data?.lon ?? null }
+      : { user_id: therapistId, bio: '', lat: null, lon: null, service_radius_km: 10, service_ids: [] },
+    qualifications: qualifications.data
+  };
+}
+
+// Problems with the profile form, as a message, or null
+export function validateTherapistProfile(profile) {
+  if (profile.lat == null || profile.lon == null) return 'Set your home base so we can match you with nearby bookings';
+  const radius = Number(profile.service_radius_km);
+  if (!(radius > 0 && radius <= MAX_SERVICE_RADIUS_KM)) {
+    return `Travel radius must be between 1 and ${MAX_SERVICE_RADIUS_KM} km`;
+  }
+  if (!profile.service_ids?.length) return 'Choose at least one service you offer';
+  return null;
+}
+
+export async function saveTherapistProfile(supabase, therapistId, profile) {
+  const invalid = validateTherapistProfile(profile);
+  if (invalid) throw new Error(invalid);
+
+  const { error } = await supabase.from('therapist_profiles').upsert({
+    user_id: therapistId,
+    bio: profile.bio?.trim() || '',
+    lat: profile.lat,
+    lon: profile.lon,
+    home_suburb: profile.home_suburb || null,
+    service_radius_km: Number(profile.service_radius_km),
+    service_ids: profile.service_ids,
+    photo_url: profile.photo_url || null
+  });
+  if (error) throw error;
+}
+
+// Uploads a profile photo and resolves with its public URL. The profile
+// isn't changed until it is saved.
+export async function uploadTherapistPhoto(supabase, therapistId, file) {
+  if (!PHOTO_TYPES.includes(file.type)) throw new Error('Photos must be JPEG, PNG or WebP');
+  if (file.size > MAX_PHOTO_BYTES) throw new Error('Photos must be 5 MB or smaller');
+
+  const path = `${therapistId}/${Date.now()}.${file.type.split('/')[1]}`;
+  const { error } = await supabase.storage.from(PHOTO_BUCKET).upload(path, file, { contentType: file.type });
+  if (error) throw error;
+
+  return supabase.storage.from(PHOTO_BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
+// Problems with a qualification form, as a message, or null
+export function validateQualification(qualification) {
+  if (!qualification.name?.trim()) return 'Name the qualification';
+  if (!qualification.service_ids?.length) return 'Choose the services this qualifies you for';
+  return null;
+}
+
+export async function addQualification(supabase, therapistId, qualification) {
+  const invalid = validateQualification(qualification);
+  if (invalid) throw new Error(invalid);
+
+  const { error } = await supabase.from('therapist_qualifications').insert({
+    therapist_id: therapistId,
+    name: qualification.name.trim(),
+    issuer: qualification.issuer?.trim() || null,
+    expires_on: qualification.expires_on || null,
+    service_ids: qualification.service_ids
+  });
+  if (error) throw error;
+}
+
+export async function deleteQualification(supabase, qualificationId) {
+  const { error } = await supabase.from('therapist_qualifications').delete().eq('id', qualificationId);
+  if (error) throw error;
+}